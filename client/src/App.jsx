@@ -24,6 +24,8 @@ import VolunteersPage from './pages/Volunteers/VolunteersPage';
 import VolunteerSchedulePage from './pages/Classes/VolunteerSchedulePage';
 import GalleryPage from './pages/Gallery/GalleryPage';
 import ProfilePage from './pages/Profile/ProfilePage';
+import SettingsPage from './pages/Settings/SettingsPage';
+import WatchlistPage from './pages/Watchlist/WatchlistPage';
 
 // Styles
 import './index.css';
@@ -85,8 +87,10 @@ function App() {
               <Route path="/my-schedule" element={<VolunteerSchedulePage />} />
               <Route path="/attendance" element={<AttendancePage />} />
               <Route path="/analytics" element={<AnalyticsPage />} />
+              <Route path="/watchlist" element={<AdminRoute><WatchlistPage /></AdminRoute>} />
               <Route path="/gallery" element={<GalleryPage />} />
               <Route path="/profile" element={<ProfilePage />} />
+              <Route path="/settings" element={<AdminRoute><SettingsPage /></AdminRoute>} />
             </Route>
             
             {/* Root redirect */}
@@ -0,0 +1,188 @@
+import { useState, useEffect } from 'react';
+import { alertsAPI, authAPI, classesAPI } from '../../services/api';
+import { formatTime } from '../../utils/helpers';
+import Modal from '../ui/Modal';
+import Alert from '../ui/Alert';
+import { ALERT_TYPES, alertStyle } from './alertUtils';
+
+const RED = '#b91d20';
+const label = { display: 'block', fontSize: '0.75rem', fontWeight: 700, color: '#374151', marginBottom: '6px' };
+const input = { width: '100%', background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#111827', fontSize: '0.875rem', borderRadius: '8px', padding: '9px 12px', outline: 'none', fontFamily: 'inherit', boxSizing: 'border-box' };
+
+const AUDIENCE_OPTIONS = [
+  { value: 'everyone', label: 'Everyone' },
+  { value: 'volunteers', label: 'All volunteers' },
+  { value: 'users', label: 'Specific people' },
+  { value: 'class', label: 'Volunteers of a class' },
+];
+
+const apiError = (err, fallback) => err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback;
+// datetime-local values are local time without a zone
+const toISO = (value) => (value ? new Date(value).toISOString() : undefined);
+
+/**
+ * Staff form for a new alert: type, audience, optional schedule and expiry,
+ * and pinning. Render it only while open; `onSent` runs after it's created.
+ */
+export default function AlertComposer({ initialMessage = '', onClose, onSent }) {
+  const [form, setForm] = useState({
+    message: initialMessage, type: 'info', audience: 'everyone', userIds: [], classId: '',
+    publishAt: '', expiresAt: '', pinned: false,
+  });
+  const [people, setPeople] = useState(null);
+  const [classes, setClasses] = useState(null);
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState('');
+
+  const set = (field) => (e) => setForm(f => ({ ...f, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+
+  // Recipient and class choices load the first time they're needed
+  useEffect(() => {
+    const load = async () => {
+      try {
+        if (form.audience === 'users' && !people) {
+          const res = await authAPI.getVolunteers();
+          setPeople(res.volunteers || []);
+        }
+        if (form.audience === 'class' && !classes) {
+          const res = await classesAPI.getAll();
+          const today = new Date().toISOString().split('T')[0];
+          setClasses((res.classes || [])
+            .filter(c => c.date >= today && c.status !== 'cancelled')
+            .sort((a, b) => (a.date + a.startTime).localeCompare(b.date + b.startTime)));
+        }
+      } catch (err) {
+        setError(apiError(err, 'Failed to load recipients'));
+      }
+    };
+    load();
+  }, [form.audience, people, classes]);
+
+  const toggleUser = (id) => setForm(f => ({
+    ...f,
+    userIds: f.userIds.includes(id) ? f.userIds.filter(u => u !== id) : [...f.userIds, id],
+  }));
+
+  const send = async () => {
+    setIsSending(true);
+    setError('');
+    try {
+      await alertsAPI.create({
+        message: form.message.trim(),
+        type: form.type,
+        audience: form.audience,
+        userIds: form.audience === 'users' ? form.userIds : undefined,
+        classId: form.audience === 'class' ? form.classId : undefined,
+        publishAt: toISO(form.publishAt),
+        expiresAt: toISO(form.expiresAt),
+        pinned: form.pinned,
+      });
+      onSent?.();
+      onClose();
+    } catch (err) {
+      setError(apiError(err, 'Failed to send alert'));
+    }
+    setIsSending(false);
+  };
+
+  const canSend = form.message.trim()
+    && (form.audience !== 'users' || form.userIds.length > 0)
+    && (form.audience !== 'class' || form.classId);
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={<span style={{ fontWeight: 800, fontSize: '1.25rem', color: '#111827' }}>New Alert</span>}
+      footer={
+        <div style={{ display: 'flex', gap: '12px', width: '100%' }}>
+          <button onClick={onClose} disabled={isSending} type="button" style={{ flex: 1, background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151', borderRadius: '8px', padding: '10px 20px', fontWeight: 700, fontSize: '0.9rem', cursor: 'pointer' }}>
+            Cancel
+          </button>
+          <button onClick={send} disabled={isSending || !canSend} type="button" style={{ flex: 1, background: RED, color: 'white', border: 'none', borderRadius: '8px', padding: '10px 20px', fontWeight: 700, fontSize: '0.9rem', cursor: 'pointer', opacity: isSending || !canSend ? 0.6 : 1 }}>
+            {isSending ? 'Sending...' : form.publishAt ? 'Schedule Alert' : 'Send Alert'}
+          </button>
+        </div>
+      }
+    >
+      {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+        <div>
+          <label style={label}>Message</label>
+          <textarea rows={3} value={form.message} onChange={set('message')} maxLength={1000} placeholder="What does everyone need to know?" style={{ ...input, resize: 'vertical' }} />
+        </div>
+
+        <div>
+          <label style={label}>Type</label>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            {ALERT_TYPES.map(type => {
+              const style = alertStyle(type);
+              const active = form.type === type;
+              return (
+                <button key={type} type="button" onClick={() => setForm(f => ({ ...f, type }))} style={{
+                  flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '6px',
+                  padding: '8px', borderRadius: '8px', cursor: 'pointer', fontWeight: 700, fontSize: '0.8125rem', fontFamily: 'inherit',
+                  background: active ? style.background : 'white', color: active ? style.color : '#6B7280',
+                  border: `1px solid ${active ? style.color : '#E5E7EB'}`,
+                }}>
+                  <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>{style.icon}</span>
+                  {style.label}
+                </button>
+              );
+            })}
+          </div>
+          {form.type === 'urgent' && (
+            <p style={{ margin: '6px 0 0', fontSize: '0.75rem', color: '#6B7280' }}>Each recipient will have to acknowledge it.</p>
+          )}
+        </div>
+
+        <div>
+          <label style={label}>Send to</label>
+          <select value={form.audience} onChange={set('audience')} style={input}>
+            {AUDIENCE_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+          {form.audience === 'users' && (
+            <div style={{ marginTop: '8px', maxHeight: '160px', overflowY: 'auto', border: '1px solid #E5E7EB', borderRadius: '8px', padding: '6px' }}>
+              {!people && <div style={{ padding: '6px', color: '#9CA3AF', fontSize: '0.8125rem' }}>Loading...</div>}
+              {people?.length === 0 && <div style={{ padding: '6px', color: '#9CA3AF', fontSize: '0.8125rem' }}>No team members yet.</div>}
+              {people?.map(p => (
+                <label key={p._id} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '5px 6px', fontSize: '0.8125rem', color: '#374151', cursor: 'pointer' }}>
+                  <input type="checkbox" checked={form.userIds.includes(p._id)} onChange={() => toggleUser(p._id)} style={{ accentColor: RED }} />
+                  {p.name}
+                  {p.role === 'coordinator' && <span style={{ color: '#9CA3AF', fontSize: '0.75rem' }}>coordinator</span>}
+                </label>
+              ))}
+            </div>
+          )}
+          {form.audience === 'class' && (
+            <select value={form.classId} onChange={set('classId')} style={{ ...input, marginTop: '8px' }}>
+              <option value="">{classes ? 'Choose an upcoming class' : 'Loading...'}</option>
+              {classes?.map(c => (
+                <option key={c._id} value={c._id} disabled={!c.assignedVolunteer}>
+                  {c.subject} · {c.date}, {formatTime(c.startTime)}{c.assignedVolunteer ? '' : ' (no volunteer)'}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+          <div>
+            <label style={label}>Publish at (optional)</label>
+            <input type="datetime-local" value={form.publishAt} onChange={set('publishAt')} style={input} />
+          </div>
+          <div>
+            <label style={label}>Expires at (optional)</label>
+            <input type="datetime-local" value={form.expiresAt} min={form.publishAt || undefined} onChange={set('expiresAt')} style={input} />
+          </div>
+        </div>
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.875rem', fontWeight: 600, color: '#374151', cursor: 'pointer' }}>
+          <input type="checkbox" checked={form.pinned} onChange={set('pinned')} style={{ accentColor: RED }} />
+          Pin to the top of everyone's alerts
+        </label>
+      </div>
+    </Modal>
+  );
+}
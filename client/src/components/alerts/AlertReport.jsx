@@ -0,0 +1,105 @@
+import { useState, useEffect } from 'react';
+import { alertsAPI } from '../../services/api';
+import Modal from '../ui/Modal';
+import Alert from '../ui/Alert';
+import { alertStyle, describeAudience } from './alertUtils';
+
+const th = { textAlign: 'left', padding: '8px 10px', fontSize: '0.6875rem', fontWeight: 700, color: '#9CA3AF', textTransform: 'uppercase', letterSpacing: '0.05em', borderBottom: '1px solid #F3F4F6' };
+const td = { padding: '8px 10px', fontSize: '0.8125rem', color: '#374151', borderBottom: '1px solid #F9FAFB' };
+
+const when = (date) => (date ? new Date(date).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '—');
+
+/** Admin view of who an alert reached: each recipient with when they read and acknowledged it. */
+export default function AlertReport({ alertId, onClose }) {
+  const [report, setReport] = useState(null);
+  const [filter, setFilter] = useState('all');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setReport(await alertsAPI.getReport(alertId));
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load the report');
+      }
+    };
+    load();
+  }, [alertId]);
+
+  const alert = report?.alert;
+  const style = alertStyle(alert?.type);
+  const rows = (report?.recipients || []).filter(r =>
+    filter === 'all' ? true
+      : filter === 'unread' ? !r.readAt
+        : alert?.requiresAck && !r.acknowledgedAt
+  );
+
+  return (
+    <Modal isOpen onClose={onClose} size="lg" title={<span style={{ fontWeight: 800, fontSize: '1.25rem', color: '#111827' }}>Alert Report</span>}>
+      {error && <Alert type="error" message={error} />}
+      {!report && !error && <p style={{ color: '#9CA3AF' }}>Loading...</p>}
+
+      {alert && (
+        <>
+          <div style={{ background: style.background, border: `1px solid ${style.border}`, borderLeft: `4px solid ${style.color}`, borderRadius: '10px', padding: '12px 14px', marginBottom: '16px' }}>
+            <div style={{ fontSize: '0.75rem', fontWeight: 700, color: style.color, marginBottom: '4px' }}>
+              {style.label} · {describeAudience(alert)} · sent by {alert.senderName}
+            </div>
+            <div style={{ fontSize: '0.875rem', color: '#111827' }}>{alert.message}</div>
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: `repeat(${alert.requiresAck ? 3 : 2}, 1fr)`, gap: '12px', marginBottom: '16px' }}>
+            {[
+              { label: 'Recipients', value: report.summary.total },
+              { label: 'Read', value: report.summary.read },
+              ...(alert.requiresAck ? [{ label: 'Acknowledged', value: report.summary.acknowledged }] : []),
+            ].map(s => (
+              <div key={s.label} style={{ background: '#F9FAFB', borderRadius: '12px', padding: '12px', border: '1px solid #F3F4F6', textAlign: 'center' }}>
+                <div style={{ fontSize: '1.5rem', fontWeight: 800, color: '#111827', lineHeight: 1, marginBottom: '6px' }}>{s.value}</div>
+                <div style={{ fontSize: '0.6875rem', fontWeight: 600, color: '#9CA3AF', textTransform: 'uppercase', letterSpacing: '0.05em' }}>{s.label}</div>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+            {[['all', 'Everyone'], ['unread', 'Not read'], ...(alert.requiresAck ? [['unacknowledged', 'Not acknowledged']] : [])].map(([value, text]) => (
+              <button key={value} type="button" onClick={() => setFilter(value)} style={{
+                background: filter === value ? '#111827' : 'white', color: filter === value ? 'white' : '#374151',
+                border: '1px solid #E5E7EB', borderRadius: '20px', padding: '4px 12px', fontSize: '0.75rem', fontWeight: 700, cursor: 'pointer',
+              }}>
+                {text}
+              </button>
+            ))}
+          </div>
+
+          <div style={{ maxHeight: '360px', overflowY: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  <th style={th}>Name</th>
+                  <th style={th}>Read</th>
+                  {alert.requiresAck && <th style={th}>Acknowledged</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(r => (
+                  <tr key={r.user._id}>
+                    <td style={td}>
+                      <div style={{ fontWeight: 600, color: '#111827' }}>{r.user.name}</div>
+                      <div style={{ fontSize: '0.75rem', color: '#9CA3AF' }}>{r.user.email}</div>
+                    </td>
+                    <td style={{ ...td, color: r.readAt ? '#374151' : '#9CA3AF' }}>{when(r.readAt)}</td>
+                    {alert.requiresAck && <td style={{ ...td, color: r.acknowledgedAt ? '#15803D' : '#b91d20', fontWeight: 600 }}>{when(r.acknowledgedAt)}</td>}
+                  </tr>
+                ))}
+                {rows.length === 0 && (
+                  <tr><td colSpan={3} style={{ ...td, textAlign: 'center', color: '#9CA3AF' }}>Nobody here.</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </Modal>
+  );
+}
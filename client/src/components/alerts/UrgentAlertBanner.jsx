@@ -0,0 +1,70 @@
+import { useState, useEffect } from 'react';
+import { alertsAPI } from '../../services/api';
+import { onRealtime } from '../../services/realtime';
+import { alertStyle, ALERTS_CHANGED_EVENT } from './alertUtils';
+
+const urgentStyle = alertStyle('urgent');
+
+/** Urgent alerts sent to you stay on top of every page until you acknowledge them. */
+export default function UrgentAlertBanner() {
+  const [pending, setPending] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await alertsAPI.getAll();
+        setPending((res.alerts || []).filter(a => a.isRecipient && a.requiresAck && !a.acknowledgedAt));
+      } catch { /* the banner is best effort; the alerts menu shows the same alerts */ }
+    };
+    load();
+  }, [refreshKey]);
+
+  useEffect(() => {
+    const refresh = () => setRefreshKey(k => k + 1);
+    const unsubscribe = onRealtime('alert', refresh);
+    window.addEventListener(ALERTS_CHANGED_EVENT, refresh);
+    return () => { unsubscribe(); window.removeEventListener(ALERTS_CHANGED_EVENT, refresh); };
+  }, []);
+
+  const acknowledge = async (id) => {
+    setBusyId(id);
+    try {
+      await alertsAPI.acknowledge(id);
+      setPending(prev => prev.filter(a => a._id !== id));
+      window.dispatchEvent(new Event(ALERTS_CHANGED_EVENT));
+    } catch (err) {
+      console.error('Failed to acknowledge alert:', err);
+    }
+    setBusyId(null);
+  };
+
+  if (pending.length === 0) return null;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '20px' }}>
+      {pending.map(alert => (
+        <div key={alert._id} role="alert" style={{
+          display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap',
+          background: urgentStyle.background, border: `1px solid ${urgentStyle.border}`, borderLeft: `4px solid ${urgentStyle.color}`,
+          borderRadius: '12px', padding: '12px 16px',
+        }}>
+          <span className="material-symbols-outlined" style={{ fontSize: '22px', color: urgentStyle.color }}>{urgentStyle.icon}</span>
+          <div style={{ flex: 1, minWidth: '200px' }}>
+            <div style={{ fontSize: '0.75rem', fontWeight: 700, color: urgentStyle.color }}>
+              Urgent · {alert.senderName} · {new Date(alert.publishAt || alert.createdAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+            </div>
+            <div style={{ fontSize: '0.9rem', color: '#111827', fontWeight: 500 }}>{alert.message}</div>
+          </div>
+          <button onClick={() => acknowledge(alert._id)} disabled={busyId === alert._id} style={{
+            background: urgentStyle.color, color: 'white', border: 'none', borderRadius: '8px', padding: '8px 14px',
+            fontWeight: 700, fontSize: '0.8125rem', cursor: 'pointer', opacity: busyId === alert._id ? 0.7 : 1,
+          }}>
+            Acknowledge
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
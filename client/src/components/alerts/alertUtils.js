@@ -0,0 +1,30 @@
+// Colours and icons per alert type; unknown types from older alerts show as info
+const ALERT_STYLES = {
+  info: { label: 'Info', icon: 'info', color: '#1D4ED8', background: '#EFF6FF', border: '#DBEAFE' },
+  warning: { label: 'Warning', icon: 'warning', color: '#B45309', background: '#FFFBEB', border: '#FDE68A' },
+  urgent: { label: 'Urgent', icon: 'priority_high', color: '#b91d20', background: '#FEF2F2', border: '#FECACA' },
+};
+
+export const ALERT_TYPES = Object.keys(ALERT_STYLES);
+
+export const alertStyle = (type) => ALERT_STYLES[type] || ALERT_STYLES.info;
+
+// Who an alert went to, e.g. "All volunteers" or "Maths · 2026-10-02"
+export function describeAudience(alert) {
+  switch (alert.audience) {
+    case 'volunteers': return 'All volunteers';
+    case 'users': return `${alert.recipients?.length || 0} selected ${alert.recipients?.length === 1 ? 'person' : 'people'}`;
+    case 'class': return alert.class ? `Volunteers of ${alert.class.subject} · ${alert.class.date}` : 'Volunteers of a class';
+    default: return 'Everyone';
+  }
+}
+
+// Scheduled alerts aren't live yet and expired ones are over
+export function alertState(alert, now = new Date()) {
+  if (alert.publishAt && new Date(alert.publishAt) > now) return 'scheduled';
+  if (alert.expiresAt && new Date(alert.expiresAt) <= now) return 'expired';
+  return 'live';
+}
+
+// Fired on window after this tab sends or acknowledges an alert, so other alert views reload
+export const ALERTS_CHANGED_EVENT = 'alerts:changed';
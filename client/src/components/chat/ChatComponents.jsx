@@ -1,30 +1,316 @@
 import { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../../context/AuthContext';
-import { messagesAPI } from '../../services/api';
+import { messagesAPI, classesAPI } from '../../services/api';
+import { formatTime } from '../../utils/helpers';
+import { CHAT_OPEN_EVENT } from './chatEvents';
+import { onRealtime } from '../../services/realtime';
 
-// Floating chat button for volunteers to send messages to admin
-export function VolunteerChatWidget() {
-  const [open, setOpen] = useState(false);
+const RED = '#b91d20';
+const inputStyle = {
+  width: '100%', borderRadius: '10px', border: '1px solid #E5E7EB',
+  padding: '9px 12px', fontSize: '0.8125rem', fontFamily: 'inherit',
+  outline: 'none', boxSizing: 'border-box', color: '#111827', background: '#F9FAFB',
+};
+const sendBtn = {
+  background: RED, color: 'white', border: 'none', borderRadius: '10px', padding: '9px 14px',
+  fontWeight: 700, fontSize: '0.8125rem', cursor: 'pointer',
+};
+const linkBtn = { background: 'none', border: 'none', color: RED, fontSize: '0.75rem', fontWeight: 700, cursor: 'pointer', padding: 0 };
+
+const apiError = (err, fallback) => err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback;
+const shortDate = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+const sameId = (a, b) => !!a && !!b && String(a._id || a) === String(b._id || b);
+
+// What a conversation is about, e.g. "Maths · 2026-10-02, 10:00 AM"
+function conversationTopic(conversation) {
+  const cls = conversation.class;
+  const about = cls ? `${cls.subject} · ${cls.date}${cls.startTime ? `, ${formatTime(cls.startTime)}` : ''}` : '';
+  const session = conversation.attendance ? ' (attendance)' : '';
+  return [conversation.subject, about && about + session].filter(Boolean).join(' — ') || 'General';
+}
+
+function UnreadBadge({ count }) {
+  if (!count) return null;
+  return (
+    <span style={{ background: RED, color: 'white', fontSize: '0.6875rem', fontWeight: 700, padding: '1px 7px', borderRadius: '20px', lineHeight: 1.6 }}>
+      {count}
+    </span>
+  );
+}
+
+// Who besides me has read a message I sent
+function Receipt({ message, myId }) {
+  const readers = (message.readBy || []).filter(r => r.user && !sameId(r.user, myId));
+  return (
+    <div style={{ fontSize: '0.625rem', color: '#9CA3AF', marginTop: '2px', textAlign: 'right' }}>
+      {readers.length === 0 ? 'Sent' : `Seen by ${readers.map(r => r.user.name).join(', ')}`}
+    </div>
+  );
+}
+
+/**
+ * Messages of one conversation with a reply box. Marks the conversation read
+ * when opened; `onActivity` runs after it's read or replied to so lists can refresh.
+ */
+function MessageThread({ conversationId, onActivity, isStaff = false, compact = false }) {
+  const { user } = useAuth();
+  const myId = user?._id || user?.id;
+
+  const [conversation, setConversation] = useState(null);
+  const [messages, setMessages] = useState([]);
   const [text, setText] = useState('');
   const [sending, setSending] = useState(false);
-  const [sent, setSent] = useState(false);
   const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+  const bottomRef = useRef(null);
+  const onActivityRef = useRef(onActivity);
+  useEffect(() => { onActivityRef.current = onActivity; });
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await messagesAPI.getConversation(conversationId);
+        setConversation(res.conversation);
+        setMessages(res.messages || []);
+        const read = await messagesAPI.markRead(conversationId);
+        if (read.marked > 0) onActivityRef.current?.();
+      } catch (err) {
+        setError(apiError(err, 'Failed to load conversation'));
+      }
+    };
+    load();
+  }, [conversationId, reloadKey]);
+
+  // Someone else wrote in this conversation while it's open
+  useEffect(() => onRealtime('message', (event) => {
+    if (String(event.conversationId) === String(conversationId) && !sameId(event.message.sender, myId)) {
+      setReloadKey(k => k + 1);
+    }
+  }), [conversationId, myId]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ block: 'end' });
+  }, [messages.length]);
 
-  const handleSend = async () => {
+  const handleReply = async () => {
     if (!text.trim()) return;
     setSending(true);
     setError('');
     try {
-      await messagesAPI.send(text.trim());
+      const res = await messagesAPI.reply(conversationId, text.trim());
+      setMessages(prev => [...prev, res.message]);
+      setConversation(prev => ({ ...prev, status: 'open' }));
       setText('');
-      setSent(true);
-      setTimeout(() => setSent(false), 3000);
-    } catch (e) {
-      setError('Failed to send. Try again.');
+      onActivity?.();
+    } catch (err) {
+      setError(apiError(err, 'Failed to send. Try again.'));
+    }
+    setSending(false);
+  };
+
+  const toggleStatus = async () => {
+    try {
+      const res = await messagesAPI.setStatus(conversationId, conversation.status === 'open' ? 'closed' : 'open');
+      setConversation(res.conversation);
+      onActivity?.();
+    } catch (err) {
+      setError(apiError(err, 'Failed to update conversation'));
+    }
+  };
+
+  if (!conversation) {
+    return <div style={{ padding: '16px', color: error ? RED : '#9CA3AF', fontSize: '0.8125rem' }}>{error || 'Loading...'}</div>;
+  }
+
+  const lastMine = [...messages].reverse().find(m => sameId(m.sender, myId));
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', height: '100%', minHeight: 0 }}>
+      <div style={{ padding: '10px 14px', borderBottom: '1px solid #F3F4F6', display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+        <div style={{ minWidth: 0 }}>
+          <div style={{ fontWeight: 700, fontSize: '0.875rem', color: '#111827', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            {isStaff ? conversation.volunteer?.name : 'Admin team'}
+          </div>
+          <div style={{ fontSize: '0.75rem', color: '#6B7280', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            {conversationTopic(conversation)}
+            {conversation.status === 'closed' && ' · closed'}
+          </div>
+        </div>
+        {isStaff && (
+          <button onClick={toggleStatus} style={{ ...linkBtn, color: '#6B7280', whiteSpace: 'nowrap' }}>
+            {conversation.status === 'open' ? 'Mark resolved' : 'Reopen'}
+          </button>
+        )}
+      </div>
+
+      <div style={{ flex: 1, overflowY: 'auto', padding: '12px 14px', display: 'flex', flexDirection: 'column', gap: '8px', maxHeight: compact ? '260px' : '360px' }}>
+        {messages.map(msg => {
+          const mine = sameId(msg.sender, myId);
+          return (
+            <div key={msg._id} style={{ alignSelf: mine ? 'flex-end' : 'flex-start', maxWidth: '85%' }}>
+              {!mine && <div style={{ fontSize: '0.6875rem', color: '#6B7280', fontWeight: 600, marginBottom: '2px' }}>{msg.senderName}</div>}
+              <div style={{
+                background: mine ? RED : '#F3F4F6', color: mine ? 'white' : '#111827',
+                borderRadius: mine ? '12px 12px 2px 12px' : '12px 12px 12px 2px',
+                padding: '8px 12px', fontSize: '0.8125rem', lineHeight: 1.5, whiteSpace: 'pre-wrap', wordBreak: 'break-word',
+              }}>
+                {msg.text}
+              </div>
+              <div style={{ fontSize: '0.625rem', color: '#9CA3AF', marginTop: '2px', textAlign: mine ? 'right' : 'left' }}>{shortDate(msg.createdAt)}</div>
+              {mine && msg === lastMine && <Receipt message={msg} myId={myId} />}
+            </div>
+          );
+        })}
+        <div ref={bottomRef} />
+      </div>
+
+      <div style={{ padding: '10px 14px', borderTop: '1px solid #F3F4F6' }}>
+        {error && <div style={{ color: RED, fontSize: '0.75rem', marginBottom: '6px' }}>{error}</div>}
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-end' }}>
+          <textarea
+            value={text}
+            onChange={e => { setText(e.target.value); setError(''); }}
+            onKeyDown={e => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); handleReply(); } }}
+            placeholder="Write a reply..."
+            rows={2}
+            style={{ ...inputStyle, resize: 'none' }}
+          />
+          <button onClick={handleReply} disabled={sending || !text.trim()} style={{ ...sendBtn, opacity: (sending || !text.trim()) ? 0.6 : 1 }}>
+            {sending ? '...' : 'Send'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ConversationRow({ conversation, isStaff, active, onClick }) {
+  return (
+    <button onClick={onClick} style={{
+      display: 'flex', gap: '10px', alignItems: 'flex-start', width: '100%', textAlign: 'left',
+      background: active ? '#FFF5F5' : conversation.unread ? '#FFFBFB' : 'white',
+      border: 'none', borderBottom: '1px solid #F3F4F6', padding: '10px 14px', cursor: 'pointer', fontFamily: 'inherit',
+    }}>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', alignItems: 'center' }}>
+          <span style={{ fontWeight: conversation.unread ? 800 : 600, fontSize: '0.8125rem', color: '#111827', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            {isStaff ? conversation.volunteer?.name : conversationTopic(conversation)}
+          </span>
+          <span style={{ fontSize: '0.625rem', color: '#9CA3AF', whiteSpace: 'nowrap' }}>{shortDate(conversation.lastMessageAt)}</span>
+        </div>
+        {isStaff && (
+          <div style={{ fontSize: '0.6875rem', color: '#6B7280', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            {conversationTopic(conversation)}{conversation.status === 'closed' && ' · closed'}
+          </div>
+        )}
+        <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', alignItems: 'center', marginTop: '2px' }}>
+          <span style={{ fontSize: '0.75rem', color: '#6B7280', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            {conversation.lastSenderName && `${conversation.lastSenderName}: `}{conversation.lastMessageText}
+          </span>
+          <UnreadBadge count={conversation.unread} />
+        </div>
+      </div>
+    </button>
+  );
+}
+
+// Floating chat for volunteers: their conversations with the admin team
+export function VolunteerChatWidget() {
+  const { user } = useAuth();
+  const myId = user?._id || user?.id;
+
+  const [open, setOpen] = useState(false);
+  // 'list', 'new' or a conversation id
+  const [view, setView] = useState('list');
+  const [conversations, setConversations] = useState([]);
+  const [unreadTotal, setUnreadTotal] = useState(0);
+  const [myClasses, setMyClasses] = useState([]);
+  const [draft, setDraft] = useState({ subject: '', classId: '', attendanceId: '', text: '' });
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  // Unread badge on the button
+  useEffect(() => {
+    const loadCount = async () => {
+      try {
+        const res = await messagesAPI.getUnreadCount();
+        setUnreadTotal(res.unread);
+      } catch { /* badge is best effort */ }
+    };
+    loadCount();
+  }, [refreshKey]);
+
+  // New messages and reads elsewhere refresh the badge and list
+  useEffect(() => {
+    const refresh = () => setRefreshKey(k => k + 1);
+    const unsubscribers = [onRealtime('message', refresh), onRealtime('read', refresh)];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, []);
+
+  useEffect(() => {
+    if (!open) return;
+    const load = async () => {
+      try {
+        const res = await messagesAPI.getConversations();
+        setConversations(res.conversations || []);
+        setUnreadTotal(res.unreadTotal);
+      } catch (err) {
+        setError(apiError(err, 'Failed to load messages'));
+      }
+    };
+    load();
+  }, [open, refreshKey]);
+
+  // Classes to attach to a new message, loaded the first time the form opens
+  useEffect(() => {
+    if (view !== 'new' || myClasses.length > 0) return;
+    const load = async () => {
+      try {
+        const res = await classesAPI.getAll();
+        setMyClasses((res.classes || [])
+          .filter(c => sameId(c.assignedVolunteer, myId))
+          .sort((a, b) => b.date.localeCompare(a.date)));
+      } catch { /* attaching a class is optional */ }
+    };
+    load();
+  }, [view, myClasses.length, myId]);
+
+  // Other pages open the widget on a new message about a class or session
+  useEffect(() => {
+    const handleOpen = (e) => {
+      const { classId = '', attendanceId = '', subject = '' } = e.detail || {};
+      setDraft({ subject, classId, attendanceId, text: '' });
+      setError('');
+      setView('new');
+      setOpen(true);
+    };
+    window.addEventListener(CHAT_OPEN_EVENT, handleOpen);
+    return () => window.removeEventListener(CHAT_OPEN_EVENT, handleOpen);
+  }, []);
+
+  const handleStart = async () => {
+    if (!draft.text.trim()) return;
+    setSending(true);
+    setError('');
+    try {
+      const res = await messagesAPI.start({
+        text: draft.text.trim(),
+        subject: draft.subject.trim(),
+        classId: draft.classId || undefined,
+        attendanceId: draft.attendanceId || undefined,
+      });
+      setDraft({ subject: '', classId: '', attendanceId: '', text: '' });
+      setView(res.conversation._id);
+      setRefreshKey(k => k + 1);
+    } catch (err) {
+      setError(apiError(err, 'Failed to send. Try again.'));
     }
     setSending(false);
   };
 
+  const inThread = view !== 'list' && view !== 'new';
+
   return (
     <>
       {/* Floating button */}
@@ -33,149 +319,234 @@ export function VolunteerChatWidget() {
         style={{
           position: 'fixed', bottom: '28px', right: '28px', zIndex: 1000,
           width: '52px', height: '52px', borderRadius: '50%',
-          background: '#b91d20', border: 'none', cursor: 'pointer',
+          background: RED, border: 'none', cursor: 'pointer',
           boxShadow: '0 4px 20px rgba(185,29,32,0.35)',
           display: 'flex', alignItems: 'center', justifyContent: 'center',
           transition: 'transform 200ms',
         }}
-        title="Message Admin"
+        title="Messages"
       >
         <span className="material-symbols-outlined" style={{ fontSize: '24px', color: 'white' }}>
           {open ? 'close' : 'chat'}
         </span>
+        {!open && unreadTotal > 0 && (
+          <span style={{ position: 'absolute', top: '-2px', right: '-2px', background: 'white', color: RED, border: `2px solid ${RED}`, borderRadius: '20px', fontSize: '0.6875rem', fontWeight: 800, padding: '0 6px', lineHeight: 1.5 }}>
+            {unreadTotal}
+          </span>
+        )}
       </button>
 
       {/* Chat panel */}
       {open && (
         <div style={{
           position: 'fixed', bottom: '90px', right: '28px', zIndex: 999,
-          width: '320px', background: 'white', borderRadius: '20px',
+          width: '340px', background: 'white', borderRadius: '20px',
           boxShadow: '0 8px 40px rgba(0,0,0,0.18)', border: '1px solid #EBEBEB',
-          overflow: 'hidden',
+          overflow: 'hidden', display: 'flex', flexDirection: 'column',
         }}>
           {/* Header */}
-          <div style={{ background: '#b91d20', padding: '16px 20px', display: 'flex', alignItems: 'center', gap: '12px' }}>
-            <div style={{ width: '36px', height: '36px', borderRadius: '50%', background: 'rgba(255,255,255,0.2)', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
-              <span className="material-symbols-outlined" style={{ fontSize: '18px', color: 'white' }}>support_agent</span>
-            </div>
-            <div>
-              <div style={{ fontWeight: 700, fontSize: '0.9rem', color: 'white' }}>Message Admin</div>
-              <div style={{ fontSize: '0.7rem', color: 'rgba(255,255,255,0.75)' }}>Send a request or suggestion</div>
+          <div style={{ background: RED, padding: '14px 18px', display: 'flex', alignItems: 'center', gap: '12px' }}>
+            {view !== 'list' ? (
+              <button onClick={() => { setView('list'); setError(''); }} title="Back" style={{ width: '32px', height: '32px', borderRadius: '50%', background: 'rgba(255,255,255,0.2)', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                <span className="material-symbols-outlined" style={{ fontSize: '18px', color: 'white' }}>arrow_back</span>
+              </button>
+            ) : (
+              <div style={{ width: '32px', height: '32px', borderRadius: '50%', background: 'rgba(255,255,255,0.2)', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                <span className="material-symbols-outlined" style={{ fontSize: '18px', color: 'white' }}>support_agent</span>
+              </div>
+            )}
+            <div style={{ flex: 1 }}>
+              <div style={{ fontWeight: 700, fontSize: '0.9rem', color: 'white' }}>{view === 'new' ? 'New Message' : 'Messages'}</div>
+              <div style={{ fontSize: '0.7rem', color: 'rgba(255,255,255,0.75)' }}>Conversations with the admin team</div>
             </div>
+            {view === 'list' && (
+              <button onClick={() => { setView('new'); setError(''); }} style={{ background: 'white', color: RED, border: 'none', borderRadius: '8px', padding: '5px 10px', fontWeight: 700, fontSize: '0.75rem', cursor: 'pointer' }}>
+                New
+              </button>
+            )}
           </div>
 
           {/* Body */}
-          <div style={{ padding: '16px' }}>
-            {sent ? (
-              <div style={{ background: '#F0FDF4', border: '1px solid #BBF7D0', borderRadius: '10px', padding: '14px', textAlign: 'center' }}>
-                <span className="material-symbols-outlined" style={{ fontSize: '28px', color: '#16A34A', display: 'block', marginBottom: '6px' }}>check_circle</span>
-                <div style={{ fontWeight: 700, color: '#15803D', fontSize: '0.875rem' }}>Message sent!</div>
-                <div style={{ color: '#6B7280', fontSize: '0.75rem', marginTop: '4px' }}>Admin will review your message.</div>
-              </div>
-            ) : (
-              <>
-                <textarea
-                  value={text}
-                  onChange={e => { setText(e.target.value); setError(''); }}
-                  placeholder="Type your request or suggestion here..."
-                  rows={4}
-                  style={{
-                    width: '100%', borderRadius: '10px', border: '1px solid #E5E7EB',
-                    padding: '10px 12px', fontSize: '0.875rem', fontFamily: 'inherit',
-                    resize: 'none', outline: 'none', boxSizing: 'border-box',
-                    color: '#111827', background: '#F9FAFB',
-                  }}
-                />
-                {error && <div style={{ color: '#b91d20', fontSize: '0.75rem', marginTop: '6px' }}>{error}</div>}
-                <button
-                  onClick={handleSend}
-                  disabled={sending || !text.trim()}
-                  style={{
-                    width: '100%', marginTop: '10px', background: '#b91d20', color: 'white',
-                    border: 'none', borderRadius: '10px', padding: '10px', fontWeight: 700,
-                    fontSize: '0.875rem', cursor: 'pointer', opacity: (sending || !text.trim()) ? 0.6 : 1,
-                  }}
-                >
-                  {sending ? 'Sending...' : 'Send Message'}
-                </button>
-              </>
-            )}
-          </div>
+          {view === 'list' && (
+            <div style={{ maxHeight: '380px', overflowY: 'auto' }}>
+              {error && <div style={{ color: RED, fontSize: '0.75rem', padding: '10px 14px' }}>{error}</div>}
+              {conversations.length === 0 && !error && (
+                <div style={{ padding: '28px 20px', textAlign: 'center', color: '#9CA3AF', fontSize: '0.8125rem' }}>
+                  No messages yet. Send a request or suggestion and replies will show up here.
+                </div>
+              )}
+              {conversations.map(c => (
+                <ConversationRow key={c._id} conversation={c} onClick={() => setView(c._id)} />
+              ))}
+            </div>
+          )}
+
+          {view === 'new' && (
+            <div style={{ padding: '14px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+              <input value={draft.subject} onChange={e => setDraft(d => ({ ...d, subject: e.target.value }))} placeholder="Subject (optional)" maxLength={120} style={inputStyle} />
+              {draft.attendanceId ? (
+                <div style={{ fontSize: '0.75rem', color: '#6B7280' }}>
+                  About an attendance session · <button onClick={() => setDraft(d => ({ ...d, attendanceId: '', classId: '' }))} style={linkBtn}>remove</button>
+                </div>
+              ) : (
+                <select value={draft.classId} onChange={e => setDraft(d => ({ ...d, classId: e.target.value }))} style={inputStyle}>
+                  <option value="">Not about a specific class</option>
+                  {myClasses.map(c => (
+                    <option key={c._id} value={c._id}>{c.subject} · {c.date}, {formatTime(c.startTime)}</option>
+                  ))}
+                </select>
+              )}
+              <textarea
+                value={draft.text}
+                onChange={e => { setDraft(d => ({ ...d, text: e.target.value })); setError(''); }}
+                placeholder="Type your request or suggestion here..."
+                rows={4}
+                style={{ ...inputStyle, resize: 'none' }}
+              />
+              {error && <div style={{ color: RED, fontSize: '0.75rem' }}>{error}</div>}
+              <button onClick={handleStart} disabled={sending || !draft.text.trim()} style={{ ...sendBtn, opacity: (sending || !draft.text.trim()) ? 0.6 : 1 }}>
+                {sending ? 'Sending...' : 'Send Message'}
+              </button>
+            </div>
+          )}
+
+          {inThread && (
+            <MessageThread key={view} conversationId={view} compact onActivity={() => setRefreshKey(k => k + 1)} />
+          )}
         </div>
       )}
     </>
   );
 }
 
-// Admin inbox panel — embedded in a page section
-export function AdminMessageInbox() {
-  const [messages, setMessages] = useState([]);
+/**
+ * Admin inbox panel: conversations with filters and unread counts, a thread
+ * view with replies, and new messages to a volunteer. `volunteers` feeds the
+ * volunteer filter and recipient list.
+ */
+export function AdminMessageInbox({ volunteers = [] }) {
+  const [conversations, setConversations] = useState([]);
+  const [unreadTotal, setUnreadTotal] = useState(0);
   const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ status: 'open', unread: false, volunteerId: '' });
+  // null, 'new' or a conversation id
+  const [selected, setSelected] = useState(null);
+  const [draft, setDraft] = useState({ volunteerId: '', subject: '', text: '' });
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const [refreshKey, setRefreshKey] = useState(0);
 
-  const load = async () => {
-    try {
-      const res = await messagesAPI.getAll();
-      setMessages(res.messages || []);
-    } catch (e) { /* admin only */ }
-    setLoading(false);
-  };
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const params = {};
+        if (filters.status) params.status = filters.status;
+        if (filters.unread) params.unread = 'true';
+        if (filters.volunteerId) params.volunteerId = filters.volunteerId;
+        const res = await messagesAPI.getConversations(params);
+        setConversations(res.conversations || []);
+        setUnreadTotal(res.unreadTotal);
+      } catch (err) {
+        setError(apiError(err, 'Failed to load messages'));
+      }
+      setLoading(false);
+    };
+    load();
+  }, [filters, refreshKey]);
 
-  useEffect(() => { load(); }, []);
+  useEffect(() => {
+    const refresh = () => setRefreshKey(k => k + 1);
+    const unsubscribers = [onRealtime('message', refresh), onRealtime('read', refresh)];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, []);
 
-  const markRead = async (id) => {
-    await messagesAPI.markRead(id);
-    setMessages(prev => prev.map(m => m._id === id ? { ...m, isRead: true } : m));
+  const handleStart = async () => {
+    if (!draft.volunteerId || !draft.text.trim()) return;
+    setSending(true);
+    setError('');
+    try {
+      const res = await messagesAPI.start({ volunteerId: draft.volunteerId, subject: draft.subject.trim(), text: draft.text.trim() });
+      setDraft({ volunteerId: '', subject: '', text: '' });
+      setSelected(res.conversation._id);
+      setRefreshKey(k => k + 1);
+    } catch (err) {
+      setError(apiError(err, 'Failed to send message'));
+    }
+    setSending(false);
   };
 
-  const unread = messages.filter(m => !m.isRead).length;
-
   if (loading) return <div style={{ padding: '24px', color: '#9CA3AF', fontSize: '0.875rem' }}>Loading messages...</div>;
 
+  const filterSelect = { ...inputStyle, width: 'auto', padding: '6px 10px' };
+
   return (
     <div>
-      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '16px' }}>
-        <h3 style={{ fontWeight: 800, fontSize: '1rem', color: '#111827' }}>Volunteer Messages</h3>
-        {unread > 0 && (
-          <span style={{ background: '#b91d20', color: 'white', fontSize: '0.6875rem', fontWeight: 700, padding: '2px 8px', borderRadius: '20px' }}>
-            {unread} new
-          </span>
-        )}
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '10px', marginBottom: '16px', flexWrap: 'wrap' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+          <h3 style={{ fontWeight: 800, fontSize: '1rem', color: '#111827', margin: 0 }}>Volunteer Messages</h3>
+          {unreadTotal > 0 && (
+            <span style={{ background: RED, color: 'white', fontSize: '0.6875rem', fontWeight: 700, padding: '2px 8px', borderRadius: '20px' }}>
+              {unreadTotal} new
+            </span>
+          )}
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+          <select value={filters.status} onChange={e => setFilters(f => ({ ...f, status: e.target.value }))} style={filterSelect}>
+            <option value="open">Open</option>
+            <option value="closed">Resolved</option>
+            <option value="">All</option>
+          </select>
+          {volunteers.length > 0 && (
+            <select value={filters.volunteerId} onChange={e => setFilters(f => ({ ...f, volunteerId: e.target.value }))} style={filterSelect}>
+              <option value="">Everyone</option>
+              {volunteers.map(v => <option key={v._id} value={v._id}>{v.name}</option>)}
+            </select>
+          )}
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.8125rem', fontWeight: 600, color: '#374151', cursor: 'pointer' }}>
+            <input type="checkbox" checked={filters.unread} onChange={e => setFilters(f => ({ ...f, unread: e.target.checked }))} style={{ accentColor: RED }} />
+            Unread only
+          </label>
+          {volunteers.length > 0 && (
+            <button onClick={() => { setSelected('new'); setError(''); }} style={{ ...sendBtn, padding: '6px 12px' }}>New message</button>
+          )}
+        </div>
       </div>
 
-      {messages.length === 0 ? (
-        <div style={{ textAlign: 'center', padding: '32px', color: '#9CA3AF', fontSize: '0.875rem' }}>
-          No messages from volunteers yet.
-        </div>
-      ) : (
-        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', maxHeight: '380px', overflowY: 'auto' }}>
-          {messages.map(msg => (
-            <div key={msg._id} style={{
-              background: msg.isRead ? '#FAFAFA' : '#FFF5F5',
-              border: `1px solid ${msg.isRead ? '#F3F4F6' : '#FEE2E2'}`,
-              borderRadius: '12px', padding: '14px 16px',
-              display: 'flex', gap: '12px', alignItems: 'flex-start',
-            }}>
-              <div style={{ width: '36px', height: '36px', borderRadius: '50%', background: msg.isRead ? '#F3F4F6' : '#FEF2F2', display: 'flex', alignItems: 'center', justifyContent: 'center', flexShrink: 0 }}>
-                <span className="material-symbols-outlined" style={{ fontSize: '18px', color: msg.isRead ? '#9CA3AF' : '#b91d20' }}>person</span>
-              </div>
-              <div style={{ flex: 1, minWidth: 0 }}>
-                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '4px' }}>
-                  <span style={{ fontWeight: 700, fontSize: '0.875rem', color: '#111827' }}>{msg.senderName}</span>
-                  <span style={{ fontSize: '0.6875rem', color: '#9CA3AF' }}>
-                    {new Date(msg.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
-                  </span>
-                </div>
-                <p style={{ fontSize: '0.8125rem', color: '#374151', lineHeight: 1.5, margin: 0 }}>{msg.text}</p>
-                {!msg.isRead && (
-                  <button onClick={() => markRead(msg._id)} style={{ marginTop: '8px', background: 'none', border: 'none', color: '#b91d20', fontSize: '0.75rem', fontWeight: 700, cursor: 'pointer', padding: 0 }}>
-                    Mark as read
-                  </button>
-                )}
-              </div>
+      {error && selected !== 'new' && <div style={{ color: RED, fontSize: '0.8125rem', marginBottom: '10px' }}>{error}</div>}
+
+      <div style={{ display: 'grid', gridTemplateColumns: selected ? 'minmax(220px, 320px) 1fr' : '1fr', border: '1px solid #F3F4F6', borderRadius: '12px', overflow: 'hidden' }}>
+        <div style={{ maxHeight: '460px', overflowY: 'auto', borderRight: selected ? '1px solid #F3F4F6' : 'none' }}>
+          {conversations.length === 0 ? (
+            <div style={{ textAlign: 'center', padding: '32px', color: '#9CA3AF', fontSize: '0.875rem' }}>
+              {filters.unread || filters.volunteerId || filters.status !== 'open' ? 'No conversations match these filters.' : 'No open conversations.'}
             </div>
+          ) : conversations.map(c => (
+            <ConversationRow key={c._id} conversation={c} isStaff active={selected === c._id} onClick={() => setSelected(c._id)} />
           ))}
         </div>
-      )}
+
+        {selected === 'new' && (
+          <div style={{ padding: '14px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            <select value={draft.volunteerId} onChange={e => setDraft(d => ({ ...d, volunteerId: e.target.value }))} style={inputStyle}>
+              <option value="">Choose a volunteer</option>
+              {volunteers.filter(v => v.role !== 'coordinator').map(v => <option key={v._id} value={v._id}>{v.name}</option>)}
+            </select>
+            <input value={draft.subject} onChange={e => setDraft(d => ({ ...d, subject: e.target.value }))} placeholder="Subject (optional)" maxLength={120} style={inputStyle} />
+            <textarea value={draft.text} onChange={e => setDraft(d => ({ ...d, text: e.target.value }))} placeholder="Write your message..." rows={5} style={{ ...inputStyle, resize: 'vertical' }} />
+            {error && <div style={{ color: RED, fontSize: '0.75rem' }}>{error}</div>}
+            <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+              <button onClick={() => setSelected(null)} style={{ ...sendBtn, background: '#F9FAFB', color: '#374151', border: '1px solid #E5E7EB' }}>Cancel</button>
+              <button onClick={handleStart} disabled={sending || !draft.volunteerId || !draft.text.trim()} style={{ ...sendBtn, opacity: (sending || !draft.volunteerId || !draft.text.trim()) ? 0.6 : 1 }}>
+                {sending ? 'Sending...' : 'Send'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {selected && selected !== 'new' && (
+          <MessageThread key={selected} conversationId={selected} isStaff onActivity={() => setRefreshKey(k => k + 1)} />
+        )}
+      </div>
     </div>
   );
 }
@@ -0,0 +1,9 @@
+export const CHAT_OPEN_EVENT = 'chat:open';
+
+/**
+ * Opens the volunteer chat widget on a new message, optionally about a class
+ * or attendance session: `{ classId, attendanceId, subject }`.
+ */
+export function openVolunteerChat(detail = {}) {
+  window.dispatchEvent(new CustomEvent(CHAT_OPEN_EVENT, { detail }));
+}
@@ -1,9 +1,12 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { Outlet, useLocation } from 'react-router-dom';
 import Sidebar from './Sidebar';
 import { useAuth } from '../../context/AuthContext';
 import { VolunteerChatWidget } from '../chat/ChatComponents';
 import { VolunteerCaptureWidget } from '../capture/VolunteerCaptureWidget';
+import LiveToasts from '../ui/LiveToasts';
+import UrgentAlertBanner from '../alerts/UrgentAlertBanner';
+import { connectRealtime, disconnectRealtime } from '../../services/realtime';
 
 // Global page background — subtle grid + brand accents
 // Renders behind all pages, full viewport
@@ -68,6 +71,12 @@ export default function Layout() {
   // Sidebar collapsed state — owned here so content area margin stays in sync
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
 
+  // Live events feed the toasts and badges for as long as someone is signed in
+  useEffect(() => {
+    connectRealtime();
+    return disconnectRealtime;
+  }, []);
+
   const SIDEBAR_EXPANDED = 240;
   const SIDEBAR_COLLAPSED = 64;
   const sidebarWidth = sidebarCollapsed ? SIDEBAR_COLLAPSED : SIDEBAR_EXPANDED;
@@ -87,6 +96,7 @@ export default function Layout() {
         className="hidden-mobile-margin"
       >
         <main className="main-content" style={styles.mainContent}>
+          <UrgentAlertBanner />
           <div key={location.pathname} className="animate-fade-in" style={{ width: '100%', height: '100%' }}>
             <Outlet />
           </div>
@@ -109,6 +119,7 @@ export default function Layout() {
           </a>
         </footer>
       </div>
+      <LiveToasts />
       {isVolunteer && <VolunteerChatWidget />}
       {isVolunteer && <VolunteerCaptureWidget />}
     </div>
@@ -1,7 +1,11 @@
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useState, useEffect, useRef } from 'react';
-import api from '../../services/api';
+import { alertsAPI, messagesAPI } from '../../services/api';
+import { onRealtime } from '../../services/realtime';
 import { useAuth } from '../../context/AuthContext';
+import AlertComposer from '../alerts/AlertComposer';
+import AlertReport from '../alerts/AlertReport';
+import { alertStyle, alertState, describeAudience, ALERTS_CHANGED_EVENT } from '../alerts/alertUtils';
 import renovatioLogo from '../../assets/brandings/renovatioLogo.png';
 
 const adminNavItems = [
@@ -11,9 +15,13 @@ const adminNavItems = [
   { path: '/volunteers',label: 'Volunteers',  icon: 'badge' },
   { path: '/attendance',label: 'Attendance',  icon: 'how_to_reg' },
   { path: '/analytics', label: 'Analytics',   icon: 'bar_chart' },
+  { path: '/watchlist', label: 'Watchlist',   icon: 'crisis_alert' },
   { path: '/gallery',   label: 'Gallery',     icon: 'collections' },
 ];
 
+// Admins also manage installation settings
+const settingsNavItem = { path: '/settings', label: 'Settings', icon: 'settings' };
+
 const volunteerNavItems = [
   { path: '/dashboard',   label: 'Overview',     icon: 'grid_view' },
   { path: '/my-schedule', label: 'My Schedule',  icon: 'calendar_month' },
@@ -22,25 +30,45 @@ const volunteerNavItems = [
   { path: '/gallery',     label: 'Gallery',      icon: 'collections' },
 ];
 
-function AlertsDropdown({ currentUser, collapsed }) {
+const pill = { fontSize: '0.625rem', fontWeight: 700, padding: '1px 6px', borderRadius: '10px', textTransform: 'uppercase', letterSpacing: '0.03em' };
+const itemAction = { background: 'none', border: 'none', padding: 0, fontSize: '0.7rem', fontWeight: 700, color: '#6B7280', cursor: 'pointer' };
+
+function AlertsDropdown({ currentUser, collapsed, onCompose, onReport }) {
   const [isOpen, setIsOpen] = useState(false);
   const [alerts, setAlerts] = useState([]);
+  const [unread, setUnread] = useState(0);
+  // Alerts that were unread when the menu was opened, highlighted until it closes
+  const [freshIds, setFreshIds] = useState([]);
+  const [showInactive, setShowInactive] = useState(false);
   const [newMsg, setNewMsg] = useState('');
   const [isSending, setIsSending] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
   const dropdownRef = useRef(null);
+  const canSend = currentUser?.role === 'admin' || currentUser?.role === 'coordinator';
   const isAdmin = currentUser?.role === 'admin';
 
-  const fetchAlerts = async () => {
-    try {
-      const res = await api.get('/api/alerts');
-      if (res.data.success) setAlerts(res.data.alerts);
-    } catch (err) {
-      console.error('Failed to fetch alerts:', err);
-    }
-  };
+  // Loaded up front for the badge, and again whenever alerts change
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await alertsAPI.getAll(showInactive);
+        setAlerts(res.alerts || []);
+        setUnread(res.unread || 0);
+      } catch (err) {
+        console.error('Failed to fetch alerts:', err);
+      }
+    };
+    load();
+  }, [showInactive, refreshKey]);
+
+  useEffect(() => {
+    const refresh = () => setRefreshKey(k => k + 1);
+    const unsubscribe = onRealtime('alert', refresh);
+    window.addEventListener(ALERTS_CHANGED_EVENT, refresh);
+    return () => { unsubscribe(); window.removeEventListener(ALERTS_CHANGED_EVENT, refresh); };
+  }, []);
 
   useEffect(() => {
-    if (isOpen) fetchAlerts();
     const handleClick = (e) => {
       if (dropdownRef.current && !dropdownRef.current.contains(e.target)) setIsOpen(false);
     };
@@ -48,20 +76,60 @@ function AlertsDropdown({ currentUser, collapsed }) {
     return () => document.removeEventListener('mousedown', handleClick);
   }, [isOpen]);
 
+  // Opening the menu marks what's in it as read
+  const toggle = async () => {
+    const opening = !isOpen;
+    setIsOpen(opening);
+    if (!opening) return;
+    const unreadIds = alerts.filter(a => a.isRecipient && !a.readAt).map(a => a._id);
+    setFreshIds(unreadIds);
+    if (unreadIds.length === 0) return;
+    try {
+      await alertsAPI.markRead(unreadIds);
+      const now = new Date().toISOString();
+      setAlerts(prev => prev.map(a => (unreadIds.includes(a._id) ? { ...a, readAt: now } : a)));
+      setUnread(0);
+    } catch (err) {
+      console.error('Failed to mark alerts read:', err);
+    }
+  };
+
   const sendAlert = async () => {
     if (!newMsg.trim()) return;
     setIsSending(true);
     try {
-      const res = await api.post('/api/alerts', { message: newMsg });
-      if (res.data.success) { setNewMsg(''); fetchAlerts(); }
+      await alertsAPI.create({ message: newMsg.trim() });
+      setNewMsg('');
+      setRefreshKey(k => k + 1);
     } catch (err) { console.error('Failed to send alert:', err); }
     setIsSending(false);
   };
 
+  const replaceAlert = (updated) => setAlerts(prev => prev.map(a => (a._id === updated._id ? updated : a)));
+
+  const acknowledge = async (id) => {
+    try {
+      const res = await alertsAPI.acknowledge(id);
+      replaceAlert(res.alert);
+      window.dispatchEvent(new Event(ALERTS_CHANGED_EVENT));
+    } catch (err) { console.error('Failed to acknowledge alert:', err); }
+  };
+
+  const update = async (id, data) => {
+    try {
+      const res = await alertsAPI.update(id, data);
+      replaceAlert(res.alert);
+    } catch (err) { console.error('Failed to update alert:', err); }
+  };
+
+  const awaitingAck = alerts.filter(a => a.isRecipient && a.requiresAck && !a.acknowledgedAt).length;
+  const badge = unread + awaitingAck;
+  const urgentBadge = awaitingAck > 0;
+
   return (
     <div style={{ position: 'relative' }} ref={dropdownRef}>
       <button
-        onClick={(e) => { e.stopPropagation(); setIsOpen(!isOpen); }}
+        onClick={(e) => { e.stopPropagation(); toggle(); }}
         title="Notifications"
         style={{
           display: 'flex', alignItems: 'center', gap: collapsed ? 0 : '10px',
@@ -74,55 +142,105 @@ function AlertsDropdown({ currentUser, collapsed }) {
         onMouseEnter={e => { e.currentTarget.style.background = '#F9FAFB'; e.currentTarget.style.color = '#111827'; }}
         onMouseLeave={e => { e.currentTarget.style.background = 'none'; e.currentTarget.style.color = '#6B7280'; }}
       >
-        <span className="material-symbols-outlined" style={{ fontSize: '20px', flexShrink: 0 }}>
-          {alerts.length > 0 ? 'notifications_active' : 'notifications'}
+        <span className="material-symbols-outlined" style={{ fontSize: '20px', flexShrink: 0, color: urgentBadge ? alertStyle('urgent').color : undefined }}>
+          {badge > 0 ? 'notifications_active' : 'notifications'}
         </span>
         {!collapsed && (
           <>
             <span style={{ whiteSpace: 'nowrap' }}>Notifications</span>
-            {alerts.length > 0 && (
-              <span style={{ marginLeft: 'auto', background: '#e11d48', color: 'white', fontSize: '0.65rem', fontWeight: 700, padding: '1px 6px', borderRadius: '10px' }}>
-                {alerts.length}
+            {badge > 0 && (
+              <span style={{ marginLeft: 'auto', background: urgentBadge ? alertStyle('urgent').color : '#e11d48', color: 'white', fontSize: '0.65rem', fontWeight: 700, padding: '1px 6px', borderRadius: '10px' }}>
+                {badge}
               </span>
             )}
           </>
         )}
-        {collapsed && alerts.length > 0 && (
+        {collapsed && badge > 0 && (
           <span style={{ position: 'absolute', top: '6px', right: '6px', width: '8px', height: '8px', background: '#e11d48', borderRadius: '50%' }} />
         )}
       </button>
 
       {isOpen && (
-        <div style={{ position: 'absolute', bottom: '48px', left: collapsed ? '64px' : '100%', marginLeft: collapsed ? '4px' : '8px', width: '300px', backgroundColor: 'white', borderRadius: '12px', boxShadow: '0 12px 32px rgba(0,0,0,0.15)', border: '1px solid #E5E7EB', zIndex: 200, overflow: 'hidden' }}>
-          <div style={{ padding: '12px 16px', borderBottom: '1px solid #E5E7EB', backgroundColor: '#F9FAFB', fontWeight: 600, fontSize: '0.875rem' }}>
+        <div style={{ position: 'absolute', bottom: '48px', left: collapsed ? '64px' : '100%', marginLeft: collapsed ? '4px' : '8px', width: '340px', backgroundColor: 'white', borderRadius: '12px', boxShadow: '0 12px 32px rgba(0,0,0,0.15)', border: '1px solid #E5E7EB', zIndex: 200, overflow: 'hidden' }}>
+          <div style={{ padding: '12px 16px', borderBottom: '1px solid #E5E7EB', backgroundColor: '#F9FAFB', fontWeight: 600, fontSize: '0.875rem', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
             Alerts &amp; Notifications
+            {canSend && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '0.7rem', fontWeight: 600, color: '#6B7280', cursor: 'pointer' }}>
+                <input type="checkbox" checked={showInactive} onChange={e => setShowInactive(e.target.checked)} />
+                Scheduled &amp; expired
+              </label>
+            )}
           </div>
-          <div style={{ maxHeight: '280px', overflowY: 'auto', padding: '8px 0' }}>
+          <div style={{ maxHeight: '320px', overflowY: 'auto', padding: '8px 0' }}>
             {alerts.length === 0 ? (
               <div style={{ padding: '16px', textAlign: 'center', color: '#9CA3AF', fontSize: '0.875rem' }}>No recent alerts</div>
             ) : (
-              alerts.map(a => (
-                <div key={a._id} style={{ padding: '12px 16px', borderBottom: '1px solid #F3F4F6' }}>
-                  <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
-                    <span style={{ fontSize: '0.75rem', fontWeight: 700, color: '#4B5563' }}>{a.senderName}</span>
-                    <span style={{ fontSize: '0.65rem', color: '#9CA3AF' }}>{new Date(a.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+              alerts.map(a => {
+                const style = alertStyle(a.type);
+                const state = alertState(a);
+                const needsAck = a.isRecipient && a.requiresAck && !a.acknowledgedAt;
+                return (
+                  <div key={a._id} style={{
+                    padding: '10px 14px', borderBottom: '1px solid #F3F4F6', borderLeft: `3px solid ${style.color}`,
+                    background: needsAck ? style.background : freshIds.includes(a._id) ? '#FAFAFA' : 'white',
+                    opacity: state === 'live' ? 1 : 0.7,
+                  }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '4px' }}>
+                      <span className="material-symbols-outlined" style={{ fontSize: '15px', color: style.color }}>{style.icon}</span>
+                      <span style={{ fontSize: '0.75rem', fontWeight: 700, color: '#4B5563' }}>{a.senderName}</span>
+                      {a.type !== 'info' && <span style={{ ...pill, background: style.background, color: style.color }}>{style.label}</span>}
+                      {a.pinned && <span className="material-symbols-outlined" title="Pinned" style={{ fontSize: '14px', color: '#6B7280' }}>keep</span>}
+                      {state !== 'live' && <span style={{ ...pill, background: '#F3F4F6', color: '#6B7280' }}>{state}</span>}
+                      <span style={{ marginLeft: 'auto', fontSize: '0.65rem', color: '#9CA3AF' }}>
+                        {new Date(a.publishAt || a.createdAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                      </span>
+                    </div>
+                    <div style={{ fontSize: '0.875rem', color: '#1F2937', lineHeight: 1.4, fontWeight: freshIds.includes(a._id) ? 600 : 400 }}>{a.message}</div>
+                    {canSend && (
+                      <div style={{ fontSize: '0.7rem', color: '#9CA3AF', marginTop: '4px' }}>
+                        To {describeAudience(a).toLowerCase()} · read by {a.readCount}{a.requiresAck ? ` · acknowledged by ${a.acknowledgedCount}` : ''}
+                        {a.expiresAt && state !== 'expired' && ` · until ${new Date(a.expiresAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`}
+                      </div>
+                    )}
+                    {(needsAck || canSend) && (
+                      <div style={{ display: 'flex', gap: '12px', marginTop: '6px' }}>
+                        {needsAck && (
+                          <button onClick={() => acknowledge(a._id)} style={{ ...itemAction, color: style.color }}>Acknowledge</button>
+                        )}
+                        {canSend && (
+                          <button onClick={() => update(a._id, { pinned: !a.pinned })} style={itemAction}>{a.pinned ? 'Unpin' : 'Pin'}</button>
+                        )}
+                        {canSend && state !== 'expired' && (
+                          <button onClick={() => update(a._id, { expiresAt: new Date().toISOString() })} style={itemAction}>End now</button>
+                        )}
+                        {isAdmin && (
+                          <button onClick={() => { setIsOpen(false); onReport(a._id); }} style={itemAction}>Report</button>
+                        )}
+                      </div>
+                    )}
                   </div>
-                  <div style={{ fontSize: '0.875rem', color: '#1F2937', lineHeight: 1.4 }}>{a.message}</div>
-                </div>
-              ))
+                );
+              })
             )}
           </div>
-          {isAdmin && (
+          {canSend && (
             <div style={{ padding: '12px', borderTop: '1px solid #E5E7EB', backgroundColor: '#F9FAFB', display: 'flex', gap: '8px' }}>
               <input
                 type="text"
                 autoComplete="off"
-                placeholder="Send global alert..."
+                placeholder="Quick alert to everyone..."
                 value={newMsg}
                 onChange={e => setNewMsg(e.target.value)}
                 onKeyDown={e => e.key === 'Enter' && sendAlert()}
                 style={{ flex: 1, padding: '6px 12px', borderRadius: '6px', border: '1px solid #D1D5DB', fontSize: '0.8125rem', outline: 'none' }}
               />
+              <button
+                onClick={() => { setIsOpen(false); onCompose(newMsg); setNewMsg(''); }}
+                title="Type, audience, schedule…"
+                style={{ background: 'white', color: '#374151', border: '1px solid #D1D5DB', borderRadius: '6px', padding: '0 8px', cursor: 'pointer', display: 'flex', alignItems: 'center' }}
+              >
+                <span className="material-symbols-outlined" style={{ fontSize: '18px' }}>tune</span>
+              </button>
               <button
                 onClick={sendAlert}
                 disabled={isSending || !newMsg.trim()}
@@ -143,9 +261,31 @@ export default function Sidebar({ collapsed, onToggle }) {
   const location = useLocation();
   const navigate = useNavigate();
   const [isMobileOpen, setIsMobileOpen] = useState(false);
+  // Kept here rather than in AlertsDropdown so an open form survives sidebar re-renders
+  const [composer, setComposer] = useState(null);
+  const [reportAlertId, setReportAlertId] = useState(null);
 
   const currentUser = user || teacher;
-  const navItems = currentUser?.role === 'volunteer' ? volunteerNavItems : adminNavItems;
+  const isStaff = currentUser?.role === 'admin' || currentUser?.role === 'coordinator';
+  // Unread volunteer messages, shown on the Volunteers link where the inbox lives
+  const [unreadMessages, setUnreadMessages] = useState(0);
+
+  useEffect(() => {
+    if (!isStaff) return;
+    const loadUnread = async () => {
+      try {
+        const res = await messagesAPI.getUnreadCount();
+        setUnreadMessages(res.unread);
+      } catch { /* badge is best effort */ }
+    };
+    loadUnread();
+    const unsubscribers = [onRealtime('message', loadUnread), onRealtime('read', loadUnread)];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [isStaff]);
+
+  const navItems = currentUser?.role === 'volunteer' ? volunteerNavItems
+    : currentUser?.role === 'admin' ? [...adminNavItems, settingsNavItem]
+    : adminNavItems;
   const profilePicUrl = currentUser?.profilePicUrl || null;
   const initials = (currentUser?.name || 'U').split(' ').map(w => w[0]).join('').toUpperCase().slice(0, 2);
 
@@ -192,6 +332,7 @@ export default function Sidebar({ collapsed, onToggle }) {
       <nav style={{ flex: 1, padding: '16px 8px', display: 'flex', flexDirection: 'column', gap: '4px', overflowY: 'auto' }}>
         {navItems.map((item) => {
           const isActive = location.pathname === item.path;
+          const badge = item.path === '/volunteers' && isStaff ? unreadMessages : 0;
           return (
             <Link
               key={item.path}
@@ -215,6 +356,11 @@ export default function Sidebar({ collapsed, onToggle }) {
             >
               <span className="material-symbols-outlined" style={{ fontSize: '20px', flexShrink: 0 }}>{item.icon}</span>
               {(!collapsed || forMobile) && <span style={{ whiteSpace: 'nowrap' }}>{item.label}</span>}
+              {badge > 0 && (!collapsed || forMobile) && (
+                <span style={{ marginLeft: 'auto', background: '#e11d48', color: 'white', fontSize: '0.65rem', fontWeight: 700, padding: '1px 6px', borderRadius: '10px' }}>
+                  {badge}
+                </span>
+              )}
             </Link>
           );
         })}
@@ -222,7 +368,12 @@ export default function Sidebar({ collapsed, onToggle }) {
 
       {/* Bottom: Alerts + Profile */}
       <div style={{ padding: '12px 8px', borderTop: '1px solid #F3F4F6', display: 'flex', flexDirection: 'column', gap: '4px' }}>
-        <AlertsDropdown currentUser={currentUser} collapsed={collapsed && !forMobile} />
+        <AlertsDropdown
+          currentUser={currentUser}
+          collapsed={collapsed && !forMobile}
+          onCompose={(message) => { setComposer({ message }); setIsMobileOpen(false); }}
+          onReport={(id) => { setReportAlertId(id); setIsMobileOpen(false); }}
+        />
 
         {/* Profile Button */}
         <button
@@ -308,6 +459,15 @@ export default function Sidebar({ collapsed, onToggle }) {
           </aside>
         </>
       )}
+
+      {composer && (
+        <AlertComposer
+          initialMessage={composer.message}
+          onClose={() => setComposer(null)}
+          onSent={() => window.dispatchEvent(new Event(ALERTS_CHANGED_EVENT))}
+        />
+      )}
+      {reportAlertId && <AlertReport alertId={reportAlertId} onClose={() => setReportAlertId(null)} />}
     </>
   );
 }
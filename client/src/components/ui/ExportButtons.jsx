@@ -0,0 +1,53 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Export Buttons Component
+ * CSV / Excel / PDF download buttons for an attendance register
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { useState } from 'react';
+import { attendanceAPI } from '../../services/api';
+import { downloadBlob } from '../../utils/helpers';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel' },
+  { value: 'pdf', label: 'PDF' },
+];
+
+export default function ExportButtons({ params, disabled = false }) {
+  const [busyFormat, setBusyFormat] = useState('');
+  const [error, setError] = useState('');
+
+  const handleExport = async (format) => {
+    setBusyFormat(format);
+    setError('');
+    try {
+      const { blob, filename } = await attendanceAPI.exportRegister({ ...params, format });
+      downloadBlob(blob, filename);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Export failed.');
+    }
+    setBusyFormat('');
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '8px' }}>
+        {FORMATS.map(f => (
+          <button
+            key={f.value}
+            type="button"
+            onClick={() => handleExport(f.value)}
+            disabled={disabled || !!busyFormat}
+            style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '4px', background: 'white', color: '#374151', border: '1px solid #E5E7EB', borderRadius: '8px', padding: '8px 10px', fontSize: '0.8rem', fontWeight: 700, cursor: disabled || busyFormat ? 'not-allowed' : 'pointer', opacity: disabled ? 0.5 : 1 }}
+          >
+            <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>download</span>
+            {busyFormat === f.value ? '...' : f.label}
+          </button>
+        ))}
+      </div>
+      {error && <div style={{ fontSize: '0.75rem', color: '#b91d20', marginTop: '6px' }}>{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Live Toasts
+ * Short-lived notifications for alerts, messages, attendance and photos
+ * pushed by the server while the app is open
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { onRealtime } from '../../services/realtime';
+
+const RED = '#b91d20';
+const TOAST_MS = 6000;
+const MAX_TOASTS = 4;
+
+export default function LiveToasts() {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(0);
+
+  const myId = String(user?._id || user?.id || '');
+  const isStaff = user?.role === 'admin' || user?.role === 'coordinator';
+
+  useEffect(() => {
+    const show = (toast) => {
+      const id = ++nextId.current;
+      setToasts(prev => [...prev.slice(-(MAX_TOASTS - 1)), { ...toast, id }]);
+      setTimeout(() => setToasts(prev => prev.filter(t => t.id !== id)), TOAST_MS);
+    };
+    const fromMe = (id) => String(id?._id || id) === myId;
+
+    const unsubscribers = [
+      onRealtime('alert', ({ alert }) => {
+        if (fromMe(alert.sender)) return;
+        show({ icon: 'campaign', title: `Alert from ${alert.senderName}`, text: alert.message, urgent: alert.type === 'urgent' });
+      }),
+      onRealtime('message', ({ message }) => {
+        if (fromMe(message.sender)) return;
+        show({ icon: 'chat', title: `${isStaff ? 'Message' : 'Reply'} from ${message.senderName}`, text: message.text, to: isStaff ? '/volunteers' : null });
+      }),
+      onRealtime('attendance', (event) => {
+        if (fromMe(event.takenBy)) return;
+        show({
+          icon: 'how_to_reg',
+          title: event.action === 'created' ? 'Attendance submitted' : 'Attendance edited',
+          text: `${event.takenByName} · ${event.subject}, ${new Date(event.date).toLocaleDateString()}`,
+          to: `/attendance?classId=${event.classId}`,
+        });
+      }),
+      onRealtime('photo', ({ photo }) => {
+        if (fromMe(photo.volunteer)) return;
+        show({ icon: 'photo_camera', title: 'New class photo', text: `${photo.volunteer?.name || 'A volunteer'} · ${photo.class?.subject || 'Class'}`, to: '/gallery' });
+      }),
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [myId, isStaff]);
+
+  if (toasts.length === 0) return null;
+
+  return (
+    <div style={{ position: 'fixed', top: '20px', right: '20px', zIndex: 1100, display: 'flex', flexDirection: 'column', gap: '10px', width: '320px', maxWidth: 'calc(100vw - 40px)' }}>
+      {toasts.map(toast => (
+        <div
+          key={toast.id}
+          className="animate-fade-in"
+          onClick={() => { if (toast.to) navigate(toast.to); setToasts(prev => prev.filter(t => t.id !== toast.id)); }}
+          style={{
+            display: 'flex', gap: '12px', alignItems: 'flex-start', cursor: toast.to ? 'pointer' : 'default',
+            background: 'white', borderRadius: '12px', padding: '12px 14px',
+            border: `1px solid ${toast.urgent ? '#FECACA' : '#EBEBEB'}`, borderLeft: `4px solid ${RED}`,
+            boxShadow: '0 8px 24px rgba(0,0,0,0.12)',
+          }}
+        >
+          <span className="material-symbols-outlined" style={{ fontSize: '20px', color: RED, flexShrink: 0 }}>{toast.icon}</span>
+          <div style={{ minWidth: 0, flex: 1 }}>
+            <div style={{ fontWeight: 700, fontSize: '0.8125rem', color: '#111827' }}>{toast.title}</div>
+            <div style={{ fontSize: '0.8125rem', color: '#4B5563', overflow: 'hidden', textOverflow: 'ellipsis', display: '-webkit-box', WebkitLineClamp: 2, WebkitBoxOrient: 'vertical' }}>{toast.text}</div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
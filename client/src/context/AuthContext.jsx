@@ -51,11 +51,14 @@ export function AuthProvider({ children }) {
     try {
       const response = await authAPI.login(email, password, role);
       
+      if (response.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.challengeToken };
+      }
       if (response.success) {
         setUser(response.user || response.teacher);
         setIsAuthenticated(true);
         console.log('[AUTH] Login state updated for:', (response.user || response.teacher).name);
-        return { success: true };
+        return { success: true, twoFactorSetupRequired: response.twoFactorSetupRequired };
       } else {
         console.error('[AUTH] Login failed:', response.message);
         return { success: false, message: response.message };
@@ -73,11 +76,28 @@ export function AuthProvider({ children }) {
     }
   };
 
+  /**
+   * Second login step for admins with 2FA
+   */
+  const completeTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await authAPI.loginTwoFactor(challengeToken, code);
+      setUser(response.user || response.teacher);
+      setIsAuthenticated(true);
+      return { success: true, twoFactorSetupRequired: response.twoFactorSetupRequired };
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Verification failed. Please try again.';
+      console.error('[AUTH] Two-factor error:', message);
+      return { success: false, message, expired: !!error.response?.data?.expired };
+    }
+  };
+
   /**
    * Logout handler
    */
   const logout = () => {
     console.log('[AUTH] Logging out');
+    authAPI.logout();
     localStorage.removeItem('token');
     localStorage.removeItem('user');
     localStorage.removeItem('teacher');
@@ -105,6 +125,7 @@ export function AuthProvider({ children }) {
     isLoading,
     isAuthenticated,
     login,
+    completeTwoFactor,
     logout,
     updateUser, // Exposed to update state
   };
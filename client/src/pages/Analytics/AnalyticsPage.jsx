@@ -1,10 +1,13 @@
 import { useState, useEffect } from 'react';
 import { Chart as ChartJS, ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement, PointElement, LineElement, Filler } from 'chart.js';
 import { Doughnut, Bar } from 'react-chartjs-2';
-import { attendanceAPI } from '../../services/api';
+import { attendanceAPI, classesAPI, studentsAPI } from '../../services/api';
 import { AnalyticsSkeleton } from '../../components/ui/Skeleton';
 import Alert from '../../components/ui/Alert';
 import Skeleton from '../../components/ui/Skeleton';
+import ExportButtons from '../../components/ui/ExportButtons';
+import { useAuth } from '../../context/AuthContext';
+import { formatTime } from '../../utils/helpers';
 
 ChartJS.register(ArcElement, Tooltip, Legend, CategoryScale, LinearScale, BarElement, PointElement, LineElement, Filler);
 
@@ -20,7 +23,78 @@ const PIE_COLORS = [
   '#fecaca', '#374151', '#6B7280', '#9CA3AF', '#D1D5DB',
 ];
 
+const INPUT = { width: '100%', background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#111827', fontSize: '0.875rem', borderRadius: '8px', padding: '9px 12px', outline: 'none', fontFamily: 'inherit', boxSizing: 'border-box' };
+const LABEL = { display: 'block', fontSize: '0.75rem', fontWeight: 700, color: '#374151', marginBottom: '6px' };
+
+// Register export: student × session matrix for one class or section over a date range
+function RegisterExportCard({ isVolunteer }) {
+  const [classes, setClasses] = useState([]);
+  const [sections, setSections] = useState([]);
+  const [scope, setScope] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [classesRes, studentsRes] = await Promise.all([
+          classesAPI.getAll(),
+          isVolunteer ? Promise.resolve({ students: [] }) : studentsAPI.getAll(),
+        ]);
+        setClasses((classesRes.classes || []).filter(c => c.status !== 'cancelled'));
+        setSections([...new Set((studentsRes.students || []).map(s => s.section))].sort());
+      } catch (err) {
+        console.error('[ANALYTICS PAGE] Export options error:', err);
+      }
+    };
+    load();
+  }, [isVolunteer]);
+
+  // scope is "class:<id>" or "section:<name>"
+  const [kind, value] = scope ? [scope.slice(0, scope.indexOf(':')), scope.slice(scope.indexOf(':') + 1)] : [];
+  const params = {
+    ...(kind === 'class' ? { classId: value } : kind === 'section' ? { section: value } : {}),
+    ...(from ? { from } : {}),
+    ...(to ? { to } : {}),
+  };
+
+  return (
+    <div style={{ ...CARD, marginBottom: '20px' }}>
+      <div style={{ fontSize: '0.6875rem', fontWeight: 700, color: RED, textTransform: 'uppercase', letterSpacing: '0.08em', marginBottom: '4px' }}>Reports</div>
+      <h3 style={{ fontWeight: 800, fontSize: '1rem', color: '#111827', margin: '0 0 16px 0' }}>Export Attendance Register</h3>
+      <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr 1.6fr', gap: '12px', alignItems: 'end' }}>
+        <div>
+          <label style={LABEL}>Class or Section</label>
+          <select style={INPUT} value={scope} onChange={e => setScope(e.target.value)}>
+            <option value="">-- Choose --</option>
+            {sections.length > 0 && (
+              <optgroup label="Sections">
+                {sections.map(sec => <option key={sec} value={`section:${sec}`}>{sec}</option>)}
+              </optgroup>
+            )}
+            <optgroup label="Classes">
+              {classes.map(c => <option key={c._id} value={`class:${c._id}`}>{c.subject} ({c.date}, {formatTime(c.startTime)})</option>)}
+            </optgroup>
+          </select>
+        </div>
+        <div>
+          <label style={LABEL}>From</label>
+          <input type="date" style={INPUT} value={from} onChange={e => setFrom(e.target.value)} />
+        </div>
+        <div>
+          <label style={LABEL}>To</label>
+          <input type="date" style={INPUT} value={to} min={from || undefined} onChange={e => setTo(e.target.value)} />
+        </div>
+        <ExportButtons params={params} disabled={!scope} />
+      </div>
+    </div>
+  );
+}
+
 export default function AnalyticsPage() {
+  const { user, teacher } = useAuth();
+  const isVolunteer = (user || teacher)?.role === 'volunteer';
+
   const [data, setData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
@@ -152,6 +226,8 @@ export default function AnalyticsPage() {
         ))}
       </div>
 
+      <RegisterExportCard isVolunteer={isVolunteer} />
+
       {/* Charts row */}
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 1.6fr', gap: '20px', marginBottom: '20px' }}>
         {/* Volunteer Pie */}
@@ -5,17 +5,105 @@
 
 import { useState, useEffect, useRef } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
-import { classesAPI, studentsAPI, attendanceAPI } from '../../services/api';
+import { classesAPI, attendanceAPI } from '../../services/api';
 import { formatTime, toISODateString } from '../../utils/helpers';
+import { ATTENDANCE_STATUSES, getStatusMeta } from '../../utils/attendanceStatus';
 import { useAuth } from '../../context/AuthContext';
 import { ListPageSkeleton } from '../../components/ui/Skeleton';
 import Alert from '../../components/ui/Alert';
+import { openVolunteerChat } from '../../components/chat/chatEvents';
 
 const RED = '#b91d20';
 const card = { background: 'white', borderRadius: '16px', border: '1px solid #EBEBEB', boxShadow: '0 4px 16px rgba(0,0,0,0.06), 0 1px 4px rgba(0,0,0,0.04)' };
 const inputStyle = { width: '100%', background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#111827', fontSize: '0.875rem', borderRadius: '8px', padding: '10px 14px', outline: 'none', fontFamily: 'inherit', boxSizing: 'border-box' };
 const labelStyle = { display: 'block', fontSize: '0.8rem', fontWeight: 700, color: '#374151', marginBottom: '6px' };
 
+// Slide-over panel listing every change made to a submitted session
+function HistoryDrawer({ attendanceId, onClose }) {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await attendanceAPI.getHistory(attendanceId);
+        setHistory(res.history || []);
+      } catch (err) {
+        setLoadError(err.response?.data?.message || 'Failed to load history.');
+      }
+      setLoading(false);
+    };
+    load();
+  }, [attendanceId]);
+
+  const statusLabel = (status) => status ? getStatusMeta(status).label : '—';
+
+  return (
+    <div onClick={onClose} style={{ position: 'fixed', inset: 0, background: 'rgba(17,24,39,0.35)', zIndex: 1000, display: 'flex', justifyContent: 'flex-end' }}>
+      <div onClick={e => e.stopPropagation()} className="animate-fade-in" style={{ width: '420px', maxWidth: '100%', height: '100%', background: 'white', boxShadow: '-8px 0 24px rgba(0,0,0,0.12)', display: 'flex', flexDirection: 'column' }}>
+        <div style={{ padding: '20px 24px', borderBottom: '1px solid #F3F4F6', display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <div>
+            <h3 style={{ margin: 0, fontWeight: 800, color: '#111827', fontSize: '1.1rem' }}>Change History</h3>
+            <p style={{ margin: '2px 0 0', fontSize: '0.75rem', color: '#9CA3AF' }}>Every submission and correction to this session</p>
+          </div>
+          <button onClick={onClose} style={{ background: '#F9FAFB', border: '1px solid #E5E7EB', width: '32px', height: '32px', borderRadius: '8px', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+            <span className="material-symbols-outlined" style={{ fontSize: '18px', color: '#6B7280' }}>close</span>
+          </button>
+        </div>
+
+        <div style={{ flex: 1, overflowY: 'auto', padding: '16px 24px' }}>
+          {loading ? (
+            <div style={{ padding: '24px', textAlign: 'center', color: '#9CA3AF', fontSize: '0.875rem' }}>Loading history...</div>
+          ) : loadError ? (
+            <Alert type="error" message={loadError} />
+          ) : history.length === 0 ? (
+            <div style={{ padding: '24px', textAlign: 'center', color: '#9CA3AF', fontSize: '0.875rem' }}>No changes recorded yet.</div>
+          ) : (
+            history.map(entry => (
+              <div key={entry._id} style={{ borderLeft: `3px solid ${entry.action === 'created' ? '#16A34A' : '#1D4ED8'}`, padding: '4px 0 4px 14px', marginBottom: '20px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', marginBottom: '4px' }}>
+                  <span style={{ fontWeight: 700, fontSize: '0.875rem', color: '#111827' }}>
+                    {entry.actorName} {entry.action === 'created' ? 'submitted' : 'edited'}
+                  </span>
+                  <span style={{ fontSize: '0.6875rem', color: '#9CA3AF', whiteSpace: 'nowrap' }}>
+                    {new Date(entry.createdAt).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                  </span>
+                </div>
+                {entry.reason && (
+                  <div style={{ fontSize: '0.75rem', color: '#6B7280', fontStyle: 'italic', marginBottom: '6px' }}>“{entry.reason}”</div>
+                )}
+                {entry.action === 'created' ? (
+                  <div style={{ fontSize: '0.75rem', color: '#6B7280' }}>{entry.changes.length} students recorded</div>
+                ) : (
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                    {entry.changes.map(c => (
+                      <div key={c._id} style={{ fontSize: '0.75rem', background: '#F9FAFB', borderRadius: '6px', padding: '5px 8px' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                          <span style={{ color: '#374151', fontWeight: 600 }}>{c.student?.name || 'Removed student'}</span>
+                          <span style={{ color: '#6B7280' }}>{statusLabel(c.from)} → <strong style={{ color: '#111827' }}>{statusLabel(c.to)}</strong></span>
+                        </div>
+                        {(c.fromReason || '') !== (c.toReason || '') && (
+                          <div style={{ color: '#6B7280', marginTop: '2px' }}>Reason: “{c.toReason || '(none)'}”</div>
+                        )}
+                      </div>
+                    ))}
+                    {entry.note?.to !== undefined && (
+                      <div style={{ fontSize: '0.75rem', color: '#6B7280', background: '#F9FAFB', borderRadius: '6px', padding: '5px 8px' }}>
+                        📝 Note changed to “{entry.note.to || '(empty)'}”
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
 export default function AttendancePage() {
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
@@ -37,33 +125,90 @@ export default function AttendancePage() {
   const [selectedClassId, setSelectedClassId] = useState(preselectedClassId || '');
   const [selectedDate, setSelectedDate] = useState(toISODateString(new Date()));
   const [attendance, setAttendance] = useState({});
+  const [reasons, setReasons] = useState({}); // excused reasons by student id
   const [sessionNote, setSessionNote] = useState('');
+  // Already-submitted session for the chosen class/date (edit mode)
+  const [existingSession, setExistingSession] = useState(null);
+  const [editReason, setEditReason] = useState('');
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const isEditing = !!existingSession && existingSession.classId === selectedClassId && existingSession.date === selectedDate;
 
   useEffect(() => {
     loadData();
   }, []);
 
+  // Only students enrolled in the chosen class are listed
+  useEffect(() => {
+    let cancelled = false;
+    const loadRoster = async () => {
+      if (!selectedClassId) { setStudents([]); return; }
+      try {
+        const res = await classesAPI.getRoster(selectedClassId);
+        if (!cancelled) setStudents(res.students || []);
+      } catch (err) {
+        console.error('[ATTENDANCE] Roster load error:', err);
+        if (!cancelled) setError('Failed to load the class roster.');
+      }
+    };
+    loadRoster();
+    return () => { cancelled = true; };
+  }, [selectedClassId]);
+
+  // Reopen a previously submitted session instead of starting a fresh one
+  useEffect(() => {
+    if (!selectedClassId || !selectedDate || students.length === 0) return;
+    let cancelled = false;
+    const loadSession = async () => {
+      try {
+        const res = await attendanceAPI.getByClass(selectedClassId, selectedDate);
+        if (cancelled) return;
+        const session = res.records?.[0];
+        const next = {};
+        if (session) {
+          const statuses = {};
+          const savedReasons = {};
+          session.records.forEach(r => {
+            const id = r.student?._id || r.student;
+            statuses[id] = r.status;
+            savedReasons[id] = r.reason || '';
+          });
+          // Students missing from the session stay unmarked until a status is picked (latecomers)
+          students.forEach(s => { next[s._id] = statuses[s._id]; });
+          setExistingSession({ _id: session._id, classId: selectedClassId, date: selectedDate, statuses, reasons: savedReasons });
+          setReasons(savedReasons);
+          setEditReason('');
+          setSessionNote(session.note || '');
+        } else {
+          students.forEach(s => { next[s._id] = 'present'; });
+          setExistingSession(null);
+          setReasons({});
+          setSessionNote('');
+        }
+        setAttendance(next);
+      } catch (err) {
+        console.error('[ATTENDANCE] Session lookup error:', err);
+      }
+    };
+    loadSession();
+    return () => { cancelled = true; };
+  }, [selectedClassId, selectedDate, students]);
+
   const loadData = async () => {
     setIsLoading(true);
     setError('');
     try {
-      const [classesRes, studentsRes] = await Promise.all([
-        classesAPI.getAll(),
-        studentsAPI.getAll(),
-      ]);
+      const classesRes = await classesAPI.getAll();
 
-      const allCls = classesRes.classes || [];
+      // Cancelled classes can't take attendance
+      const allCls = (classesRes.classes || []).filter(c => c.status !== 'cancelled');
       // volunteers only see their assigned classes
       const myCls = isVolunteer
         ? allCls.filter(c => c.assignedVolunteer && (c.assignedVolunteer._id === myId || c.assignedVolunteer === myId))
         : allCls;
 
       setAllClasses(myCls);
-      const studs = studentsRes.students || [];
-      setStudents(studs);
-      const init = {};
-      studs.forEach(s => { init[s._id] = 'present'; });
-      setAttendance(init);
+      const preselected = myCls.find(c => c._id === preselectedClassId);
+      if (preselected?.series && preselected.date <= toISODateString(new Date())) setSelectedDate(preselected.date);
     } catch (err) {
       console.error('[ATTENDANCE] Load error:', err);
       setError('Failed to load data. Please refresh.');
@@ -71,8 +216,15 @@ export default function AttendancePage() {
     setIsLoading(false);
   };
 
-  const toggleAttendance = (id) => {
-    setAttendance(prev => ({ ...prev, [id]: prev[id] === 'present' ? 'absent' : 'present' }));
+  // A series occurrence is one specific date, so picking it moves the date with it
+  const selectClass = (id) => {
+    setSelectedClassId(id);
+    const cls = allClasses.find(c => c._id === id);
+    if (cls?.series && cls.date <= toISODateString(new Date())) setSelectedDate(cls.date);
+  };
+
+  const setStatus = (id, status) => {
+    setAttendance(prev => ({ ...prev, [id]: status }));
   };
 
   const markAll = (status) => {
@@ -85,25 +237,44 @@ export default function AttendancePage() {
     if (!selectedClassId) { setError('Please select a class'); return; }
     if (!selectedDate) { setError('Please select a date'); return; }
     if (students.length === 0) { setError('No students available'); return; }
+    if (isEditing && !editReason.trim()) { setError('Please give a reason for changing this session'); return; }
+    const missingReason = students.find(s => attendance[s._id] === 'excused' && !reasons[s._id]?.trim());
+    if (missingReason) { setError(`Please give a reason for excusing ${missingReason.name}`); return; }
     setError('');
     setIsSubmitting(true);
-    const records = students.map(s => ({ student: s._id, status: attendance[s._id] || 'absent' }));
     try {
-      const res = await attendanceAPI.mark({ class: selectedClassId, date: selectedDate, note: sessionNote.trim(), records });
-      if (res.success) {
-        setSuccess('✅ Attendance marked successfully!');
-        setTimeout(() => navigate(`/analytics?classId=${selectedClassId}`), 1800);
+      if (isEditing) {
+        // Only send statuses (or excuse reasons) that changed, plus any latecomers now marked
+        const records = students
+          .filter(s => attendance[s._id] && (
+            attendance[s._id] !== existingSession.statuses[s._id]
+            || (attendance[s._id] === 'excused' && reasons[s._id] !== existingSession.reasons[s._id])
+          ))
+          .map(s => ({ student: s._id, status: attendance[s._id], reason: reasons[s._id] || '' }));
+        const res = await attendanceAPI.patch(existingSession._id, { records, note: sessionNote.trim(), reason: editReason.trim() });
+        if (res.success) {
+          setSuccess('✅ Attendance updated successfully!');
+          setTimeout(() => navigate(`/analytics?classId=${selectedClassId}`), 1800);
+        }
+      } else {
+        const records = students.map(s => ({ student: s._id, status: attendance[s._id] || 'absent', reason: reasons[s._id] || '' }));
+        const res = await attendanceAPI.mark({ class: selectedClassId, date: selectedDate, note: sessionNote.trim(), records });
+        if (res.success) {
+          setSuccess('✅ Attendance marked successfully!');
+          setTimeout(() => navigate(`/analytics?classId=${selectedClassId}`), 1800);
+        }
       }
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to mark attendance.');
+      setError(err.response?.data?.message || 'Failed to save attendance.');
     }
     setIsSubmitting(false);
   };
 
 
 
-  const presentCount = Object.values(attendance).filter(s => s === 'present').length;
-  const absentCount = Object.values(attendance).filter(s => s === 'absent').length;
+  const countOf = (status) => Object.values(attendance).filter(s => s === status).length;
+  const presentCount = countOf('present') + countOf('late') + countOf('left-early');
+  const absentCount = countOf('absent');
   const selectedClass = allClasses.find(c => c._id === selectedClassId);
 
   if (isLoading) return <ListPageSkeleton />;
@@ -121,10 +292,31 @@ export default function AttendancePage() {
             </p>
           </div>
         </div>
+        {isEditing && (
+          <div style={{ background: '#EFF6FF', border: '1px solid #DBEAFE', borderRadius: '10px', padding: '8px 14px', display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <span className="material-symbols-outlined" style={{ fontSize: '16px', color: '#1D4ED8' }}>edit_note</span>
+            <span style={{ fontSize: '0.8125rem', fontWeight: 600, color: '#1D4ED8' }}>Editing submitted session</span>
+            <button onClick={() => setIsHistoryOpen(true)} style={{ marginLeft: '4px', background: 'white', border: '1px solid #DBEAFE', color: '#1D4ED8', borderRadius: '6px', padding: '3px 10px', fontWeight: 700, fontSize: '0.75rem', cursor: 'pointer' }}>
+              History
+            </button>
+          </div>
+        )}
         {isVolunteer && (
           <div style={{ background: '#FEF2F2', border: '1px solid #FEE2E2', borderRadius: '10px', padding: '8px 14px', display: 'flex', alignItems: 'center', gap: '8px' }}>
             <span className="material-symbols-outlined" style={{ fontSize: '16px', color: RED }}>assignment_ind</span>
             <span style={{ fontSize: '0.8125rem', fontWeight: 600, color: RED }}>Volunteer Mode</span>
+            {isEditing && (
+              <button
+                onClick={() => openVolunteerChat({
+                  classId: selectedClassId,
+                  attendanceId: existingSession._id,
+                  subject: `${selectedClass?.subject || 'Class'} attendance, ${selectedDate}`,
+                })}
+                style={{ marginLeft: '4px', background: 'white', border: '1px solid #FEE2E2', color: RED, borderRadius: '6px', padding: '3px 10px', fontWeight: 700, fontSize: '0.75rem', cursor: 'pointer' }}
+              >
+                Message admin
+              </button>
+            )}
           </div>
         )}
       </div>
@@ -141,12 +333,12 @@ export default function AttendancePage() {
             <select
               style={{ ...inputStyle, appearance: 'none', backgroundImage: `url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='16' height='16' viewBox='0 0 24 24' fill='none' stroke='%236B7280' stroke-width='2'%3E%3Cpath d='m6 9 6 6 6-6'/%3E%3C/svg%3E")`, backgroundRepeat: 'no-repeat', backgroundPosition: 'right 12px center', paddingRight: '40px', cursor: 'pointer' }}
               value={selectedClassId}
-              onChange={e => setSelectedClassId(e.target.value)}
+              onChange={e => selectClass(e.target.value)}
             >
               <option value="">-- Choose a class --</option>
               {allClasses.map(cls => (
                 <option key={cls._id} value={cls._id}>
-                  {cls.subject} ({cls.day}, {formatTime(cls.startTime)})
+                  {cls.subject} ({cls.series ? cls.date : cls.day}, {formatTime(cls.startTime)})
                 </option>
               ))}
             </select>
@@ -187,8 +379,8 @@ export default function AttendancePage() {
           {students.length === 0 ? (
             <div style={{ ...card, padding: '48px', textAlign: 'center' }}>
               <div style={{ width: '64px', height: '64px', background: '#FEF2F2', borderRadius: '16px', display: 'flex', alignItems: 'center', justifyContent: 'center', margin: '0 auto 16px', fontSize: '28px' }}>👥</div>
-              <h3 style={{ fontWeight: 700, color: '#111827', marginBottom: '8px' }}>No students available</h3>
-              <p style={{ color: '#6B7280', margin: 0 }}>Add students from the Students tab before marking attendance.</p>
+              <h3 style={{ fontWeight: 700, color: '#111827', marginBottom: '8px' }}>{selectedClassId ? 'No students enrolled' : 'Select a class'}</h3>
+              <p style={{ color: '#6B7280', margin: 0 }}>{selectedClassId ? 'Add students to this class roster from the Classes tab, or add students from the Students tab.' : 'The class roster loads once a class is chosen.'}</p>
             </div>
           ) : (
             <>
@@ -197,8 +389,7 @@ export default function AttendancePage() {
                 <div style={{ display: 'flex', gap: '20px', flex: 1 }}>
                   {[
                     { label: 'Total', value: students.length, color: '#374151' },
-                    { label: 'Present', value: presentCount, color: '#16A34A' },
-                    { label: 'Absent', value: absentCount, color: RED },
+                    ...ATTENDANCE_STATUSES.map(st => ({ label: st.label, value: countOf(st.value), color: st.color })),
                   ].map(s => (
                     <div key={s.label}>
                       <div style={{ fontSize: '0.6875rem', fontWeight: 700, color: '#9CA3AF', textTransform: 'uppercase', letterSpacing: '0.06em' }}>{s.label}</div>
@@ -215,36 +406,64 @@ export default function AttendancePage() {
               {/* Student list */}
               <div style={{ ...card, padding: '8px', marginBottom: '20px' }}>
                 {students.map(student => {
-                  const isPresent = attendance[student._id] === 'present';
+                  const status = attendance[student._id];
+                  const isUnmarked = !status;
+                  const meta = getStatusMeta(status);
                   return (
                     <div
                       key={student._id}
-                      onClick={() => toggleAttendance(student._id)}
                       style={{
-                        display: 'flex', alignItems: 'center', justifyContent: 'space-between',
-                        padding: '14px 16px', borderRadius: '10px', marginBottom: '4px',
-                        cursor: 'pointer', transition: 'all 150ms',
-                        background: isPresent ? 'rgba(34,197,94,0.07)' : 'rgba(239,68,68,0.06)',
-                        border: `1.5px solid ${isPresent ? 'rgba(34,197,94,0.25)' : 'rgba(239,68,68,0.2)'}`,
+                        padding: '12px 16px', borderRadius: '10px', marginBottom: '4px',
+                        transition: 'all 150ms',
+                        background: isUnmarked ? '#F9FAFB' : meta.bg,
+                        border: `1.5px solid ${isUnmarked ? '#E5E7EB' : meta.border}`,
                       }}
                     >
-                      <div style={{ display: 'flex', alignItems: 'center', gap: '14px' }}>
-                        <div style={{ width: '36px', height: '36px', borderRadius: '50%', background: isPresent ? '#F0FDF4' : '#FEF2F2', display: 'flex', alignItems: 'center', justifyContent: 'center', fontWeight: 800, fontSize: '0.9rem', color: isPresent ? '#16A34A' : RED, flexShrink: 0 }}>
-                          {student.name[0].toUpperCase()}
+                      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px', flexWrap: 'wrap' }}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '14px' }}>
+                          <div style={{ width: '36px', height: '36px', borderRadius: '50%', background: 'white', display: 'flex', alignItems: 'center', justifyContent: 'center', fontWeight: 800, fontSize: '0.9rem', color: meta.color, flexShrink: 0 }}>
+                            {student.name[0].toUpperCase()}
+                          </div>
+                          <div>
+                            <div style={{ fontWeight: 700, color: '#111827', fontSize: '0.9375rem' }}>{student.name}</div>
+                            <div style={{ fontSize: '0.75rem', color: '#9CA3AF' }}>
+                              Roll #{student.rollNo} · {student.section}{isUnmarked && ' · Not recorded'}
+                            </div>
+                          </div>
                         </div>
-                        <div>
-                          <div style={{ fontWeight: 700, color: '#111827', fontSize: '0.9375rem' }}>{student.name}</div>
-                          <div style={{ fontSize: '0.75rem', color: '#9CA3AF' }}>Roll #{student.rollNo} · {student.section}</div>
+                        {/* Multi-state selector */}
+                        <div style={{ display: 'flex', gap: '4px', background: 'white', border: '1px solid #E5E7EB', borderRadius: '20px', padding: '3px' }}>
+                          {ATTENDANCE_STATUSES.map(st => {
+                            const active = status === st.value;
+                            return (
+                              <button
+                                key={st.value}
+                                type="button"
+                                title={st.label}
+                                onClick={() => setStatus(student._id, st.value)}
+                                style={{
+                                  border: 'none', borderRadius: '16px', padding: '5px 12px', cursor: 'pointer',
+                                  fontWeight: 700, fontSize: '0.75rem', transition: 'all 150ms',
+                                  background: active ? st.solid : 'transparent',
+                                  color: active ? 'white' : '#6B7280',
+                                  boxShadow: active ? `0 2px 8px ${st.border}` : 'none',
+                                }}
+                              >
+                                {active ? st.label : st.short}
+                              </button>
+                            );
+                          })}
                         </div>
                       </div>
-                      <div style={{
-                        padding: '5px 14px', borderRadius: '20px', fontWeight: 700, fontSize: '0.8125rem',
-                        background: isPresent ? '#22C55E' : RED,
-                        color: 'white', boxShadow: isPresent ? '0 2px 8px rgba(34,197,94,0.3)' : '0 2px 8px rgba(185,29,32,0.3)',
-                        transition: 'all 150ms'
-                      }}>
-                        {isPresent ? 'Present' : 'Absent'}
-                      </div>
+                      {status === 'excused' && (
+                        <input
+                          type="text"
+                          style={{ ...inputStyle, marginTop: '10px', background: 'white', padding: '8px 12px' }}
+                          value={reasons[student._id] || ''}
+                          onChange={e => setReasons(prev => ({ ...prev, [student._id]: e.target.value }))}
+                          placeholder="Reason for excusing (required), e.g. medical, family event"
+                        />
+                      )}
                     </div>
                   );
                 })}
@@ -260,6 +479,18 @@ export default function AttendancePage() {
                   onChange={e => setSessionNote(e.target.value)}
                   placeholder="Any notes about today's class session..."
                 />
+                {isEditing && (
+                  <div style={{ marginTop: '14px' }}>
+                    <label style={labelStyle}>Reason for Change *</label>
+                    <input
+                      type="text"
+                      style={inputStyle}
+                      value={editReason}
+                      onChange={e => setEditReason(e.target.value)}
+                      placeholder="e.g. Student arrived late, marked absent by mistake"
+                    />
+                  </div>
+                )}
               </div>
 
               {/* Submit */}
@@ -278,7 +509,7 @@ export default function AttendancePage() {
                     minWidth: '280px'
                   }}
                 >
-                  {isSubmitting ? 'Submitting...' : `Submit Attendance (${presentCount}P / ${absentCount}A)`}
+                  {isSubmitting ? 'Submitting...' : `${isEditing ? 'Save Changes' : 'Submit Attendance'} (${presentCount}P / ${absentCount}A)`}
                 </button>
                 {!selectedClassId && (
                   <p style={{ marginTop: '8px', color: '#9CA3AF', fontSize: '0.8125rem' }}>Please select a class above before submitting</p>
@@ -287,6 +518,10 @@ export default function AttendancePage() {
             </>
           )}
         </>
+
+      {isHistoryOpen && existingSession && (
+        <HistoryDrawer attendanceId={existingSession._id} onClose={() => setIsHistoryOpen(false)} />
+      )}
     </div>
   );
 }
@@ -7,14 +7,35 @@
 
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { classesAPI, authAPI } from '../../services/api';
+import { classesAPI, authAPI, studentsAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
 import { formatTime, groupBy } from '../../utils/helpers';
 import { getHoliday, isCurrentSlot } from '../../utils/timetableUtils';
 import { GridPageSkeleton } from '../../components/ui/Skeleton';
 import Modal from '../../components/ui/Modal';
 import Alert from '../../components/ui/Alert';
+import CoverRequestsPanel from './CoverRequestsPanel';
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const emptyForm = () => ({
+  subject: '',
+  date: new Date().toISOString().split('T')[0],
+  startTime: '09:00',
+  endTime: '10:00',
+  assignedVolunteer: '',
+  autoAssign: false,
+  youtubeLink: '',
+  repeats: false,
+  days: [],
+  endDate: '',
+  exceptions: '',
+});
 
 export default function ClassesPage() {
+  const { user, teacher } = useAuth();
+  // Coordinators can edit and cancel classes; deleting is left to admins
+  const isAdmin = (user || teacher)?.role === 'admin';
   const [isLoading, setIsLoading] = useState(true);
   const [classes, setClasses] = useState([]);
   const [error, setError] = useState('');
@@ -24,16 +45,20 @@ export default function ClassesPage() {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [volunteers, setVolunteers] = useState([]);
-  const [formData, setFormData] = useState({
-    subject: '',
-    day: 'Monday',
-    date: new Date().toISOString().split('T')[0],
-    startTime: '09:00',
-    endTime: '10:00',
-    assignedVolunteer: '',
-    youtubeLink: '',
-  });
+  const [formData, setFormData] = useState(emptyForm);
   const [formError, setFormError] = useState('');
+  const [editingClassId, setEditingClassId] = useState(null);
+  const [editingSeriesId, setEditingSeriesId] = useState(null);
+  const [cancelTarget, setCancelTarget] = useState(null);
+  const [cancelReason, setCancelReason] = useState('');
+  const [allStudents, setAllStudents] = useState([]);
+  // Roster editor: explicit students plus whole sections; empty means every student
+  const [roster, setRoster] = useState({ studentIds: [], sections: [], applyToSeries: false });
+  const [rosterSearch, setRosterSearch] = useState('');
+  // Free volunteers for the slot being edited, least loaded first, and who is unavailable
+  const [suggestions, setSuggestions] = useState(null);
+  // Past volunteer swaps for the class being edited
+  const [assignmentHistory, setAssignmentHistory] = useState([]);
 
   useEffect(() => {
     loadClasses();
@@ -42,15 +67,48 @@ export default function ClassesPage() {
     return () => clearInterval(interval);
   }, []);
 
+  // Re-rank volunteers whenever the slot of a single class changes
+  const isSingleClass = !formData.repeats || !!editingClassId;
+  useEffect(() => {
+    if (!isModalOpen || !isSingleClass || !formData.date || formData.startTime >= formData.endTime) return;
+    let stale = false;
+    const loadSuggestions = async () => {
+      try {
+        const slot = { date: formData.date, startTime: formData.startTime, endTime: formData.endTime };
+        const response = await classesAPI.suggestVolunteers(editingClassId ? { ...slot, classId: editingClassId } : slot);
+        if (!stale) setSuggestions(response);
+      } catch (err) {
+        console.error('Failed to load volunteer suggestions:', err);
+        if (!stale) setSuggestions(null);
+      }
+    };
+    loadSuggestions();
+    return () => { stale = true; };
+  }, [isModalOpen, isSingleClass, formData.date, formData.startTime, formData.endTime, editingClassId]);
+
+  const unavailableReason = (volunteerId) =>
+    suggestions?.unavailable.find(u => u.volunteer._id === volunteerId)?.reason;
+  const topSuggestion = suggestions?.suggestions[0];
+
   const loadVolunteers = async () => {
     try {
       const response = await authAPI.getVolunteers();
-      setVolunteers(response.volunteers || []);
+      // Only volunteers (not coordinators) can be assigned to classes
+      setVolunteers((response.volunteers || []).filter(v => v.role !== 'coordinator'));
     } catch (err) {
       console.error('Failed to load volunteers:', err);
     }
   };
 
+  const loadStudents = async () => {
+    try {
+      const response = await studentsAPI.getAll();
+      setAllStudents(response.students || []);
+    } catch (err) {
+      console.error('Failed to load students:', err);
+    }
+  };
+
   const loadClasses = async () => {
     setIsLoading(true);
     setError('');
@@ -69,6 +127,80 @@ export default function ClassesPage() {
     setFormError('');
   };
 
+  const toggleDay = (d) => {
+    const days = formData.days.includes(d) ? formData.days.filter(x => x !== d) : [...formData.days, d];
+    setFormData({ ...formData, days });
+    setFormError('');
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm());
+    setEditingClassId(null);
+    setEditingSeriesId(null);
+    setRoster({ studentIds: [], sections: [], applyToSeries: false });
+    setRosterSearch('');
+    setAssignmentHistory([]);
+  };
+
+  const toggleRosterSection = (section) => {
+    setRoster(prev => ({
+      ...prev,
+      sections: prev.sections.includes(section) ? prev.sections.filter(s => s !== section) : [...prev.sections, section],
+    }));
+  };
+
+  const toggleRosterStudent = (id) => {
+    setRoster(prev => ({
+      ...prev,
+      studentIds: prev.studentIds.includes(id) ? prev.studentIds.filter(x => x !== id) : [...prev.studentIds, id],
+    }));
+  };
+
+  const openCreateModal = () => {
+    resetForm();
+    loadStudents();
+    setFormError('');
+    setIsModalOpen(true);
+  };
+
+  const openEditModal = async (cls) => {
+    setFormData({
+      ...emptyForm(),
+      subject: cls.subject,
+      date: cls.date,
+      startTime: cls.startTime,
+      endTime: cls.endTime,
+      assignedVolunteer: cls.assignedVolunteer?._id || cls.assignedVolunteer || '',
+      youtubeLink: cls.youtubeLink || '',
+    });
+    setEditingClassId(cls._id);
+    setEditingSeriesId(cls.series || null);
+    setRoster({ studentIds: [], sections: [], applyToSeries: false });
+    setRosterSearch('');
+    setAssignmentHistory([]);
+    setFormError('');
+    setIsModalOpen(true);
+    loadStudents();
+    classesAPI.getAssignmentHistory(cls._id)
+      .then(response => setAssignmentHistory(response.history || []))
+      .catch(err => console.error('[CLASSES] Assignment history error:', err));
+    try {
+      const response = await classesAPI.getRoster(cls._id);
+      setRoster({
+        studentIds: (response.studentIds || []).map(String),
+        sections: response.sections || [],
+        applyToSeries: response.scope === 'series',
+      });
+    } catch (err) {
+      setFormError(err.response?.data?.message || 'Failed to load class roster');
+    }
+  };
+
+  const flashSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setFormError('');
@@ -78,21 +210,118 @@ export default function ClassesPage() {
       setIsSubmitting(false);
       return;
     }
+    const isSeries = formData.repeats && !editingClassId;
+    if (isSeries && (formData.days.length === 0 || !formData.endDate)) {
+      setFormError('Pick the weekdays and an end date for the series');
+      setIsSubmitting(false);
+      return;
+    }
+    const { repeats: _repeats, days, endDate, exceptions, autoAssign, ...classData } = formData;
+    try {
+      let response;
+      if (editingClassId) {
+        response = await classesAPI.update(editingClassId, classData);
+      } else if (isSeries) {
+        response = await classesAPI.createSeries({
+          ...classData,
+          days,
+          startDate: classData.date,
+          endDate,
+          exceptions: exceptions.split(',').map(d => d.trim()).filter(Boolean),
+        });
+      } else {
+        response = await classesAPI.create({ ...classData, autoAssign: autoAssign && !classData.assignedVolunteer });
+      }
+      if (response.success) {
+        // The roster is saved against the class (or, for a new series, its first occurrence with applyToSeries)
+        const rosterClassId = editingClassId || (isSeries ? response.classes[0]._id : response.class._id);
+        const hasRoster = roster.studentIds.length > 0 || roster.sections.length > 0;
+        if (editingClassId || hasRoster) {
+          await classesAPI.setRoster(rosterClassId, {
+            studentIds: roster.studentIds,
+            sections: roster.sections,
+            applyToSeries: isSeries || (!!editingSeriesId && roster.applyToSeries),
+          });
+        }
+        flashSuccess(editingClassId ? 'Class updated successfully!' : isSeries || autoAssign ? response.message : 'Class created successfully!');
+        setIsModalOpen(false);
+        resetForm();
+        loadClasses();
+      }
+    } catch (err) {
+      const data = err.response?.data;
+      const conflicts = data?.conflicts?.length ? ` (${data.conflicts.join(', ')})` : '';
+      setFormError(data?.message ? data.message + conflicts : `Failed to ${editingClassId ? 'update' : 'create'} class`);
+    }
+    setIsSubmitting(false);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this class permanently?')) return;
+    setIsSubmitting(true);
+    try {
+      const response = await classesAPI.remove(editingClassId);
+      if (response.success) {
+        flashSuccess('Class deleted.');
+        setIsModalOpen(false);
+        resetForm();
+        loadClasses();
+      }
+    } catch (err) {
+      setFormError(err.response?.data?.message || 'Failed to delete class');
+    }
+    setIsSubmitting(false);
+  };
+
+  const handleDeleteSeries = async () => {
+    if (!window.confirm('Delete every class in this series? Classes that already have attendance are kept.')) return;
+    setIsSubmitting(true);
     try {
-      const response = await classesAPI.create(formData);
+      const response = await classesAPI.removeSeries(editingSeriesId);
       if (response.success) {
-        setSuccess('Class created successfully!');
+        flashSuccess(`Series deleted (${response.deleted} removed, ${response.kept} kept with attendance).`);
         setIsModalOpen(false);
-        setFormData({ subject: '', day: 'Monday', date: new Date().toISOString().split('T')[0], startTime: '09:00', endTime: '10:00', assignedVolunteer: '', youtubeLink: '' });
+        resetForm();
+        loadClasses();
+      }
+    } catch (err) {
+      setFormError(err.response?.data?.message || 'Failed to delete series');
+    }
+    setIsSubmitting(false);
+  };
+
+  const handleCancelClass = async () => {
+    if (!cancelReason.trim()) { setFormError('Please give a reason for cancelling'); return; }
+    setIsSubmitting(true);
+    try {
+      // Cancelling one occurrence of a series records the date as a series exception
+      const response = cancelTarget.series
+        ? await classesAPI.addException(cancelTarget.series, cancelTarget.date, cancelReason.trim())
+        : await classesAPI.cancel(cancelTarget._id, cancelReason.trim());
+      if (response.success) {
+        flashSuccess('Class cancelled.');
+        setCancelTarget(null);
+        setCancelReason('');
         loadClasses();
-        setTimeout(() => setSuccess(''), 3000);
       }
     } catch (err) {
-      setFormError(err.response?.data?.message || 'Failed to create class');
+      setFormError(err.response?.data?.message || 'Failed to cancel class');
     }
     setIsSubmitting(false);
   };
 
+  const handleReinstate = async (cls) => {
+    try {
+      const response = await classesAPI.reinstate(cls._id);
+      if (response.success) {
+        flashSuccess('Class reinstated.');
+        loadClasses();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reinstate class');
+    }
+  };
+
   const currentWeekDates = Array.from({ length: 7 }).map((_, i) => {
     const d = new Date(currentTime);
     const currentDay = d.getDay() || 7;
@@ -101,6 +330,11 @@ export default function ClassesPage() {
   });
 
   const classesByDate = groupBy(classes, 'date');
+  const rosterSectionOptions = [...new Set(allStudents.map(s => s.section))].sort();
+  const rosterMatches = allStudents.filter(s =>
+    `${s.name} ${s.rollNo} ${s.section}`.toLowerCase().includes(rosterSearch.toLowerCase())
+  );
+  const rosterCount = allStudents.filter(s => roster.studentIds.includes(s._id) || roster.sections.includes(s.section)).length;
   const year = currentTime.getFullYear();
   const month = String(currentTime.getMonth() + 1).padStart(2, '0');
   const day = String(currentTime.getDate()).padStart(2, '0');
@@ -135,7 +369,7 @@ export default function ClassesPage() {
             <button onClick={() => setWeekOffset(0)} style={{ padding: '8px 16px', border: 'none', borderLeft: '1px solid #E5E7EB', borderRight: '1px solid #E5E7EB', background: 'none', fontWeight: 700, fontSize: '0.875rem', color: '#111827', cursor: 'pointer', whiteSpace: 'nowrap' }}>This Week</button>
             <button onClick={() => setWeekOffset(prev => prev + 1)} style={{ padding: '8px 16px', border: 'none', background: 'none', fontWeight: 700, fontSize: '0.875rem', color: '#6B7280', cursor: 'pointer', whiteSpace: 'nowrap' }}>Next →</button>
           </div>
-          <button onClick={() => setIsModalOpen(true)} style={{ display: 'flex', alignItems: 'center', gap: '8px', background: '#b91d20', color: 'white', border: 'none', borderRadius: '8px', padding: '10px 20px', fontWeight: 700, fontSize: '0.875rem', cursor: 'pointer', whiteSpace: 'nowrap', boxShadow: '0 2px 8px rgba(185,29,32,0.25)' }}>
+          <button onClick={openCreateModal} style={{ display: 'flex', alignItems: 'center', gap: '8px', background: '#b91d20', color: 'white', border: 'none', borderRadius: '8px', padding: '10px 20px', fontWeight: 700, fontSize: '0.875rem', cursor: 'pointer', whiteSpace: 'nowrap', boxShadow: '0 2px 8px rgba(185,29,32,0.25)' }}>
             <span className="material-symbols-outlined" style={{ fontSize: '18px' }}>add</span> Add Class
           </button>
         </div>
@@ -144,6 +378,8 @@ export default function ClassesPage() {
       {error && <Alert type="error" message={error} />}
       {success && <Alert type="success" message={success} />}
 
+      <CoverRequestsPanel onChange={loadClasses} />
+
       {/* Timetable Grid */}
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(7, minmax(0, 1fr))', gap: '10px', marginBottom: '32px' }}>
         {currentWeekDates.map((dateStr) => {
@@ -177,18 +413,25 @@ export default function ClassesPage() {
                   dayClasses
                     .sort((a, b) => a.startTime.localeCompare(b.startTime))
                     .map((cls) => {
-                      const active = isCurrentSlot(dateStr, cls.startTime, cls.endTime, currentTime);
+                      const isCancelled = cls.status === 'cancelled';
+                      const active = !isCancelled && isCurrentSlot(dateStr, cls.startTime, cls.endTime, currentTime);
                       return (
-                        <div key={cls._id} style={{ background: active ? '#FFF5F5' : '#FCFDFD', border: active ? '1.5px solid #b91d20' : '1px solid #F0F0F0', borderRadius: '8px', padding: '8px 10px', display: 'flex', flexDirection: 'column', gap: '3px', position: 'relative' }}>
+                        <div key={cls._id} title={isCancelled ? `Cancelled: ${cls.cancellationReason}` : undefined} style={{ background: active ? '#FFF5F5' : isCancelled ? '#F9FAFB' : '#FCFDFD', border: active ? '1.5px solid #b91d20' : '1px solid #F0F0F0', borderRadius: '8px', padding: '8px 10px', display: 'flex', flexDirection: 'column', gap: '3px', position: 'relative', opacity: isCancelled ? 0.75 : 1 }}>
                           {active && (
                             <div style={{ position: 'absolute', top: '6px', right: '6px', width: '7px', height: '7px', borderRadius: '50%', background: '#b91d20', boxShadow: '0 0 0 2px rgba(185,29,32,0.25)' }} />
                           )}
-                          <div style={{ fontSize: '0.625rem', fontWeight: 700, color: active ? '#b91d20' : '#9CA3AF', letterSpacing: '0.02em' }}>
+                          <div style={{ fontSize: '0.625rem', fontWeight: 700, color: active ? '#b91d20' : '#9CA3AF', letterSpacing: '0.02em', textDecoration: isCancelled ? 'line-through' : 'none', display: 'flex', alignItems: 'center', gap: '3px' }}>
                             {formatTime(cls.startTime)} – {formatTime(cls.endTime)}
+                            {cls.series && <span className="material-symbols-outlined" title="Weekly series" style={{ fontSize: '11px' }}>repeat</span>}
                           </div>
-                          <div style={{ fontSize: '0.8125rem', fontWeight: 700, color: '#111827', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                          <div style={{ fontSize: '0.8125rem', fontWeight: 700, color: isCancelled ? '#9CA3AF' : '#111827', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', textDecoration: isCancelled ? 'line-through' : 'none' }}>
                             {cls.subject}
                           </div>
+                          {isCancelled && (
+                            <div style={{ fontSize: '0.5625rem', fontWeight: 700, color: '#b91d20', textTransform: 'uppercase', letterSpacing: '0.04em', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                              Cancelled · {cls.cancellationReason}
+                            </div>
+                          )}
                           {cls.assignedVolunteer && (
                             <div style={{ fontSize: '0.625rem', color: '#6B7280', display: 'flex', alignItems: 'center', gap: '3px' }}>
                               <span className="material-symbols-outlined" style={{ fontSize: '11px' }}>person</span>
@@ -203,9 +446,19 @@ export default function ClassesPage() {
                               Content
                             </a>
                           )}
-                          <div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
-                            <Link to={`/attendance?classId=${cls._id}`} style={{ flex: 1, background: '#FEF2F2', color: '#b91d20', border: '1px solid #FEE2E2', borderRadius: '5px', padding: '3px 4px', fontSize: '0.5625rem', fontWeight: 700, textAlign: 'center', textDecoration: 'none', display: 'block' }}>Attendance</Link>
-                            <Link to={`/analytics?classId=${cls._id}`} style={{ flex: 1, background: '#F9FAFB', color: '#6B7280', border: '1px solid #F3F4F6', borderRadius: '5px', padding: '3px 4px', fontSize: '0.5625rem', fontWeight: 700, textAlign: 'center', textDecoration: 'none', display: 'block' }}>Analytics</Link>
+                          {!isCancelled && (
+                            <div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
+                              <Link to={`/attendance?classId=${cls._id}`} style={{ flex: 1, background: '#FEF2F2', color: '#b91d20', border: '1px solid #FEE2E2', borderRadius: '5px', padding: '3px 4px', fontSize: '0.5625rem', fontWeight: 700, textAlign: 'center', textDecoration: 'none', display: 'block' }}>Attendance</Link>
+                              <Link to={`/analytics?classId=${cls._id}`} style={{ flex: 1, background: '#F9FAFB', color: '#6B7280', border: '1px solid #F3F4F6', borderRadius: '5px', padding: '3px 4px', fontSize: '0.5625rem', fontWeight: 700, textAlign: 'center', textDecoration: 'none', display: 'block' }}>Analytics</Link>
+                            </div>
+                          )}
+                          <div style={{ display: 'flex', gap: '4px' }}>
+                            <button onClick={() => openEditModal(cls)} style={{ flex: 1, background: 'white', color: '#374151', border: '1px solid #E5E7EB', borderRadius: '5px', padding: '3px 4px', fontSize: '0.5625rem', fontWeight: 700, cursor: 'pointer' }}>Edit</button>
+                            {isCancelled ? (
+                              <button onClick={() => handleReinstate(cls)} style={{ flex: 1, background: '#F0FDF4', color: '#16A34A', border: '1px solid #BBF7D0', borderRadius: '5px', padding: '3px 4px', fontSize: '0.5625rem', fontWeight: 700, cursor: 'pointer' }}>Reinstate</button>
+                            ) : (
+                              <button onClick={() => { setCancelTarget(cls); setCancelReason(''); setFormError(''); }} style={{ flex: 1, background: 'white', color: '#6B7280', border: '1px solid #E5E7EB', borderRadius: '5px', padding: '3px 4px', fontSize: '0.5625rem', fontWeight: 700, cursor: 'pointer' }}>Cancel</button>
+                            )}
                           </div>
                         </div>
                       );
@@ -228,7 +481,7 @@ export default function ClassesPage() {
           </div>
           <h2 style={{ fontWeight: 800, fontSize: '1.5rem', color: '#111827', marginBottom: '12px' }}>No classes scheduled</h2>
           <p style={{ color: '#6B7280', marginBottom: '32px', maxWidth: '360px', margin: '0 auto 32px', lineHeight: 1.6 }}>Create your first class to get started with foundation tracking and schedules.</p>
-          <button onClick={() => setIsModalOpen(true)} style={{ background: '#b91d20', color: 'white', border: 'none', borderRadius: '8px', padding: '12px 28px', fontWeight: 700, fontSize: '0.9rem', cursor: 'pointer' }}>
+          <button onClick={openCreateModal} style={{ background: '#b91d20', color: 'white', border: 'none', borderRadius: '8px', padding: '12px 28px', fontWeight: 700, fontSize: '0.9rem', cursor: 'pointer' }}>
             Create Schedule
           </button>
         </div>
@@ -238,14 +491,24 @@ export default function ClassesPage() {
       <Modal
         isOpen={isModalOpen}
         onClose={() => setIsModalOpen(false)}
-        title={<span style={{ fontWeight: 800, fontSize: '1.25rem', color: '#111827' }}>Add New Class</span>}
+        title={<span style={{ fontWeight: 800, fontSize: '1.25rem', color: '#111827' }}>{editingClassId ? 'Edit Class' : 'Add New Class'}</span>}
         footer={
           <div style={{ display: 'flex', gap: '12px', width: '100%' }}>
+            {isAdmin && editingSeriesId && (
+              <button onClick={handleDeleteSeries} disabled={isSubmitting} type="button" style={{ background: 'white', border: '1px solid #FEE2E2', color: '#b91d20', borderRadius: '8px', padding: '10px 16px', fontWeight: 700, fontSize: '0.9rem', cursor: 'pointer' }}>
+                Delete Series
+              </button>
+            )}
+            {isAdmin && editingClassId && (
+              <button onClick={handleDelete} disabled={isSubmitting} type="button" style={{ background: 'white', border: '1px solid #FEE2E2', color: '#b91d20', borderRadius: '8px', padding: '10px 16px', fontWeight: 700, fontSize: '0.9rem', cursor: 'pointer' }}>
+                Delete
+              </button>
+            )}
             <button onClick={() => setIsModalOpen(false)} disabled={isSubmitting} type="button" style={{ flex: 1, background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151', borderRadius: '8px', padding: '10px 20px', fontWeight: 700, fontSize: '0.9rem', cursor: 'pointer' }}>
               Cancel
             </button>
             <button onClick={handleSubmit} disabled={isSubmitting} type="submit" style={{ flex: 1, background: '#b91d20', color: 'white', border: 'none', borderRadius: '8px', padding: '10px 20px', fontWeight: 700, fontSize: '0.9rem', cursor: 'pointer', opacity: isSubmitting ? 0.7 : 1 }}>
-              {isSubmitting ? 'Creating...' : 'Confirm Schedule'}
+              {isSubmitting ? 'Saving...' : editingClassId ? 'Save Changes' : 'Confirm Schedule'}
             </button>
           </div>
         }
@@ -258,19 +521,49 @@ export default function ClassesPage() {
             <input type="text" autoComplete="off" name="subject" style={inputStyle} placeholder="e.g., Mathematics, Physics" value={formData.subject} onChange={handleInputChange} required minLength={2} />
           </div>
 
-          <div style={{ display: 'flex', gap: '16px', marginBottom: '18px' }}>
-            <div style={{ flex: 1 }}>
-              <label style={labelStyle}>Day of Week</label>
-              <select name="day" style={inputStyle} value={formData.day} onChange={handleInputChange} required>
-                {['Monday','Tuesday','Wednesday','Thursday','Friday','Saturday','Sunday'].map(d => <option key={d} value={d}>{d}</option>)}
-              </select>
+          {!editingClassId && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.875rem', fontWeight: 600, color: '#374151', marginBottom: '18px', cursor: 'pointer' }}>
+              <input type="checkbox" checked={formData.repeats} onChange={e => setFormData({ ...formData, repeats: e.target.checked })} />
+              Repeats weekly
+            </label>
+          )}
+
+          {formData.repeats && !editingClassId && (
+            <div style={fieldStyle}>
+              <label style={labelStyle}>Days of Week</label>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                {WEEKDAYS.map(d => {
+                  const on = formData.days.includes(d);
+                  return (
+                    <button key={d} type="button" onClick={() => toggleDay(d)} style={{ padding: '6px 10px', borderRadius: '6px', fontSize: '0.75rem', fontWeight: 700, cursor: 'pointer', border: on ? '1px solid #b91d20' : '1px solid #E5E7EB', background: on ? '#FEF2F2' : 'white', color: on ? '#b91d20' : '#6B7280' }}>
+                      {d.slice(0, 3)}
+                    </button>
+                  );
+                })}
+              </div>
             </div>
+          )}
+
+          <div style={{ display: 'flex', gap: '16px', marginBottom: '18px' }}>
             <div style={{ flex: 1 }}>
-              <label style={labelStyle}>Date</label>
+              <label style={labelStyle}>{formData.repeats && !editingClassId ? 'Start Date' : 'Date'}</label>
               <input type="date" name="date" style={inputStyle} value={formData.date} onChange={handleInputChange} required />
             </div>
+            {formData.repeats && !editingClassId && (
+              <div style={{ flex: 1 }}>
+                <label style={labelStyle}>End Date</label>
+                <input type="date" name="endDate" style={inputStyle} value={formData.endDate} min={formData.date} onChange={handleInputChange} required />
+              </div>
+            )}
           </div>
 
+          {formData.repeats && !editingClassId && (
+            <div style={fieldStyle}>
+              <label style={labelStyle}>Skip Dates</label>
+              <input type="text" autoComplete="off" name="exceptions" style={inputStyle} placeholder="e.g. 2026-11-12, 2026-12-25" value={formData.exceptions} onChange={handleInputChange} />
+            </div>
+          )}
+
           <div style={{ display: 'flex', gap: '16px', marginBottom: '18px' }}>
             <div style={{ flex: 1 }}>
               <label style={labelStyle}>Start Time</label>
@@ -286,16 +579,123 @@ export default function ClassesPage() {
             <label style={labelStyle}>Assign Volunteer</label>
             <select name="assignedVolunteer" style={inputStyle} value={formData.assignedVolunteer} onChange={handleInputChange}>
               <option value="">No volunteer assigned</option>
-              {volunteers.map(v => <option key={v._id} value={v._id}>{v.name}</option>)}
+              {volunteers.map(v => (
+                <option key={v._id} value={v._id}>{v.name}{unavailableReason(v._id) ? ' (unavailable)' : ''}</option>
+              ))}
             </select>
+            {isSingleClass && formData.assignedVolunteer && unavailableReason(formData.assignedVolunteer) && (
+              <div style={{ marginTop: '6px', fontSize: '0.75rem', color: '#B45309' }}>
+                {unavailableReason(formData.assignedVolunteer)}
+              </div>
+            )}
+            {isSingleClass && topSuggestion && formData.assignedVolunteer !== topSuggestion.volunteer._id && (
+              <div style={{ marginTop: '8px', display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px', background: '#F0FDF4', border: '1px solid #BBF7D0', borderRadius: '8px', padding: '8px 12px', fontSize: '0.8125rem', color: '#166534' }}>
+                <span>
+                  Suggested: <strong>{topSuggestion.volunteer.name}</strong> · {topSuggestion.load} upcoming class{topSuggestion.load === 1 ? '' : 'es'}
+                </span>
+                <button type="button" onClick={() => setFormData({ ...formData, assignedVolunteer: topSuggestion.volunteer._id, autoAssign: false })} style={{ background: 'white', border: '1px solid #BBF7D0', color: '#166534', borderRadius: '6px', padding: '4px 10px', fontWeight: 700, fontSize: '0.75rem', cursor: 'pointer' }}>
+                  Assign
+                </button>
+              </div>
+            )}
+            {isSingleClass && suggestions && !topSuggestion && (
+              <div style={{ marginTop: '6px', fontSize: '0.75rem', color: '#9CA3AF' }}>No volunteer is free and available at this time.</div>
+            )}
+            {!editingClassId && !formData.repeats && !formData.assignedVolunteer && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.8125rem', fontWeight: 600, color: '#374151', marginTop: '8px', cursor: 'pointer' }}>
+                <input type="checkbox" checked={formData.autoAssign} onChange={e => setFormData({ ...formData, autoAssign: e.target.checked })} />
+                Auto-assign the least-loaded available volunteer
+              </label>
+            )}
+            {editingClassId && assignmentHistory.length > 0 && (
+              <div style={{ marginTop: '10px', fontSize: '0.75rem', color: '#6B7280', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                {assignmentHistory.map(change => (
+                  <div key={change._id}>
+                    {new Date(change.createdAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}: {change.from?.name || 'Unassigned'} → <strong>{change.to?.name || 'Unassigned'}</strong>
+                    {' '}by {change.actorName}{change.reason ? ` (${change.reason})` : ''}
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
 
           <div style={fieldStyle}>
             <label style={labelStyle}>YouTube Content Link</label>
             <input type="url" name="youtubeLink" style={inputStyle} placeholder="https://youtube.com/watch?v=..." value={formData.youtubeLink} onChange={handleInputChange} />
           </div>
+
+          {/* Roster editor */}
+          <div style={{ ...fieldStyle, paddingTop: '16px', borderTop: '1px solid #F3F4F6' }}>
+            <label style={{ ...labelStyle, display: 'flex', justifyContent: 'space-between' }}>
+              <span>Class Roster</span>
+              <span style={{ fontWeight: 600, color: '#9CA3AF' }}>
+                {rosterCount > 0 ? `${rosterCount} enrolled` : 'Empty: every student is included'}
+              </span>
+            </label>
+            {rosterSectionOptions.length > 0 && (
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '10px' }}>
+                <span style={{ fontSize: '0.75rem', color: '#6B7280', alignSelf: 'center' }}>Whole section:</span>
+                {rosterSectionOptions.map(sec => {
+                  const on = roster.sections.includes(sec);
+                  return (
+                    <button key={sec} type="button" onClick={() => toggleRosterSection(sec)} style={{ padding: '4px 10px', borderRadius: '12px', fontSize: '0.7rem', fontWeight: 700, cursor: 'pointer', border: on ? '1px solid #b91d20' : '1px solid #E5E7EB', background: on ? '#FEF2F2' : '#F3F4F6', color: on ? '#b91d20' : '#374151' }}>
+                      {sec}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+            <input type="text" autoComplete="off" style={{ ...inputStyle, marginBottom: '8px' }} placeholder="Search students to enroll..." value={rosterSearch} onChange={e => setRosterSearch(e.target.value)} />
+            <div style={{ maxHeight: '160px', overflowY: 'auto', border: '1px solid #F3F4F6', borderRadius: '8px' }}>
+              {rosterMatches.length === 0 ? (
+                <div style={{ padding: '12px', fontSize: '0.8rem', color: '#9CA3AF', textAlign: 'center' }}>No students found</div>
+              ) : rosterMatches.map(s => {
+                const viaSection = roster.sections.includes(s.section);
+                return (
+                  <label key={s._id} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '6px 10px', fontSize: '0.8rem', color: viaSection ? '#9CA3AF' : '#374151', cursor: viaSection ? 'default' : 'pointer', borderBottom: '1px solid #F9FAFB' }}>
+                    <input type="checkbox" checked={viaSection || roster.studentIds.includes(s._id)} disabled={viaSection} onChange={() => toggleRosterStudent(s._id)} />
+                    <span style={{ fontWeight: 600 }}>{s.name}</span>
+                    <span style={{ marginLeft: 'auto', fontSize: '0.7rem', color: '#9CA3AF' }}>#{s.rollNo} · {s.section}</span>
+                  </label>
+                );
+              })}
+            </div>
+            {editingSeriesId && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.8rem', fontWeight: 600, color: '#374151', marginTop: '10px', cursor: 'pointer' }}>
+                <input type="checkbox" checked={roster.applyToSeries} onChange={e => setRoster(prev => ({ ...prev, applyToSeries: e.target.checked }))} />
+                Apply to every class in this series
+              </label>
+            )}
+          </div>
         </form>
       </Modal>
+
+      {/* Cancel Class Modal */}
+      <Modal
+        isOpen={!!cancelTarget}
+        onClose={() => setCancelTarget(null)}
+        size="sm"
+        title={<span style={{ fontWeight: 800, fontSize: '1.25rem', color: '#111827' }}>Cancel Class</span>}
+        footer={
+          <div style={{ display: 'flex', gap: '12px', width: '100%' }}>
+            <button onClick={() => setCancelTarget(null)} disabled={isSubmitting} type="button" style={{ flex: 1, background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151', borderRadius: '8px', padding: '10px 20px', fontWeight: 700, fontSize: '0.9rem', cursor: 'pointer' }}>
+              Keep Class
+            </button>
+            <button onClick={handleCancelClass} disabled={isSubmitting} type="button" style={{ flex: 1, background: '#b91d20', color: 'white', border: 'none', borderRadius: '8px', padding: '10px 20px', fontWeight: 700, fontSize: '0.9rem', cursor: 'pointer', opacity: isSubmitting ? 0.7 : 1 }}>
+              {isSubmitting ? 'Cancelling...' : 'Cancel Class'}
+            </button>
+          </div>
+        }
+      >
+        {formError && <Alert type="error" message={formError} />}
+        {cancelTarget && (
+          <p style={{ color: '#6B7280', fontSize: '0.875rem', marginTop: 0 }}>
+            {cancelTarget.subject} on {cancelTarget.date}, {formatTime(cancelTarget.startTime)} – {formatTime(cancelTarget.endTime)}
+          </p>
+        )}
+        <label style={labelStyle}>Reason *</label>
+        <textarea rows={2} style={{ ...inputStyle, resize: 'vertical' }} value={cancelReason} onChange={e => setCancelReason(e.target.value)} placeholder="e.g. Centre closed for exams, volunteer unavailable" />
+      </Modal>
     </div>
   );
 }
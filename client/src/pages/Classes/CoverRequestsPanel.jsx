@@ -0,0 +1,118 @@
+import { useState, useEffect } from 'react';
+import { substitutionsAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { formatTime } from '../../utils/helpers';
+import Alert from '../../components/ui/Alert';
+
+const RED = '#b91d20';
+const card = { background: 'white', borderRadius: '16px', border: '1px solid #EBEBEB', boxShadow: '0 4px 16px rgba(0,0,0,0.06)', padding: '20px 24px', marginBottom: '24px' };
+const smallBtn = { border: '1px solid #E5E7EB', background: '#F9FAFB', color: '#374151', borderRadius: '6px', padding: '5px 12px', fontWeight: 700, fontSize: '0.75rem', cursor: 'pointer' };
+const STATUS = {
+  open: { label: 'Needs cover', bg: '#FFFBEB', color: '#B45309' },
+  claimed: { label: 'Claimed', bg: '#EFF6FF', color: '#1D4ED8' },
+};
+
+const apiError = (err, fallback) => err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback;
+const sameId = (a, b) => !!a && !!b && String(a._id || a) === String(b._id || b);
+
+/**
+ * Open and claimed cover requests. Volunteers claim or withdraw them; staff
+ * approve or decline claims. `refreshKey` reloads the list; `onChange` runs
+ * after a swap is approved so the timetable can refresh.
+ */
+export default function CoverRequestsPanel({ refreshKey, onChange }) {
+  const { user, teacher } = useAuth();
+  const currentUser = user || teacher;
+  const myId = currentUser?._id || currentUser?.id;
+  const isStaff = currentUser?.role === 'admin' || currentUser?.role === 'coordinator';
+
+  const [requests, setRequests] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await substitutionsAPI.getAll();
+        setRequests(res.substitutions || []);
+      } catch (err) {
+        console.error('[COVER] Load error:', err);
+      }
+    };
+    load();
+  }, [refreshKey]);
+
+  const act = async (request, action, fallback) => {
+    setBusyId(request._id);
+    setError('');
+    setSuccess('');
+    try {
+      const res = await substitutionsAPI[action](request._id);
+      setSuccess(res.message);
+      if (action === 'approve' || action === 'cancel') {
+        setRequests(prev => prev.filter(r => r._id !== request._id));
+      } else {
+        setRequests(prev => prev.map(r => (r._id === request._id ? res.substitution : r)));
+      }
+      if (action === 'approve') onChange?.();
+    } catch (err) {
+      setError(apiError(err, fallback));
+    }
+    setBusyId(null);
+  };
+
+  if (requests.length === 0 && !error && !success) return null;
+
+  return (
+    <div style={card}>
+      <h3 style={{ margin: '0 0 12px', fontWeight: 800, color: '#111827', fontSize: '1.1rem', display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <span className="material-symbols-outlined" style={{ fontSize: '20px', color: RED }}>swap_horiz</span>
+        Cover Requests
+      </h3>
+
+      {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+      {success && <Alert type="success" message={success} onClose={() => setSuccess('')} />}
+
+      {requests.map(request => {
+        const cls = request.class;
+        const status = STATUS[request.status];
+        const isMine = sameId(request.originalVolunteer, myId);
+        const claimedByMe = sameId(request.claimedBy, myId);
+        const busy = busyId === request._id;
+
+        return (
+          <div key={request._id} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px', padding: '12px 0', borderTop: '1px solid #F3F4F6', flexWrap: 'wrap' }}>
+            <div style={{ minWidth: 0 }}>
+              <div style={{ fontWeight: 700, color: '#111827', fontSize: '0.9rem' }}>
+                {cls?.subject} · {cls?.date}, {formatTime(cls?.startTime)} – {formatTime(cls?.endTime)}
+              </div>
+              <div style={{ fontSize: '0.8125rem', color: '#6B7280' }}>
+                {isMine ? 'You asked for cover' : `${request.originalVolunteer?.name || 'A volunteer'} needs cover`}
+                {request.reason && ` · ${request.reason}`}
+                {request.claimedBy && ` · claimed by ${claimedByMe ? 'you' : request.claimedBy.name}`}
+              </div>
+            </div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <span style={{ fontSize: '0.6875rem', fontWeight: 700, borderRadius: '999px', padding: '3px 10px', background: status?.bg, color: status?.color }}>
+                {status?.label}
+              </span>
+              {isStaff && request.status === 'claimed' && (
+                <>
+                  <button onClick={() => act(request, 'decline', 'Failed to decline')} disabled={busy} style={smallBtn}>Decline</button>
+                  <button onClick={() => act(request, 'approve', 'Failed to approve')} disabled={busy} style={{ ...smallBtn, background: RED, borderColor: RED, color: 'white' }}>Approve</button>
+                </>
+              )}
+              {!isStaff && !isMine && request.status === 'open' && (
+                <button onClick={() => act(request, 'claim', 'Failed to claim')} disabled={busy} style={{ ...smallBtn, background: RED, borderColor: RED, color: 'white' }}>I can cover</button>
+              )}
+              {(isMine || isStaff) && (
+                <button onClick={() => act(request, 'cancel', 'Failed to withdraw')} disabled={busy} style={{ ...smallBtn, color: RED }}>Withdraw</button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,10 +1,13 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { classesAPI } from '../../services/api';
+import { classesAPI, substitutionsAPI } from '../../services/api';
 import { useAuth } from '../../context/AuthContext';
 import { formatTime, groupBy } from '../../utils/helpers';
 import { getHoliday, isCurrentSlot } from '../../utils/timetableUtils';
 import { GridPageSkeleton } from '../../components/ui/Skeleton';
+import Modal from '../../components/ui/Modal';
+import Alert from '../../components/ui/Alert';
+import CoverRequestsPanel from './CoverRequestsPanel';
 
 export default function VolunteerSchedulePage() {
   const { user, teacher } = useAuth();
@@ -15,6 +18,12 @@ export default function VolunteerSchedulePage() {
   const [myClasses, setMyClasses] = useState([]);
   const [weekOffset, setWeekOffset] = useState(0);
   const [currentTime, setCurrentTime] = useState(new Date());
+  // Class the volunteer is asking cover for
+  const [coverTarget, setCoverTarget] = useState(null);
+  const [coverReason, setCoverReason] = useState('');
+  const [coverError, setCoverError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [coverRefresh, setCoverRefresh] = useState(0);
 
   useEffect(() => {
     const load = async () => {
@@ -57,6 +66,20 @@ export default function VolunteerSchedulePage() {
     return `${fmt(start)} – ${fmt(end)}`;
   };
 
+  const requestCover = async () => {
+    setIsSubmitting(true);
+    setCoverError('');
+    try {
+      await substitutionsAPI.request(coverTarget._id, coverReason.trim());
+      setCoverTarget(null);
+      setCoverReason('');
+      setCoverRefresh(n => n + 1);
+    } catch (err) {
+      setCoverError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to request cover');
+    }
+    setIsSubmitting(false);
+  };
+
   if (isLoading) return <GridPageSkeleton />;
 
   return (
@@ -79,6 +102,8 @@ export default function VolunteerSchedulePage() {
         </div>
       </div>
 
+      <CoverRequestsPanel refreshKey={coverRefresh} />
+
       {myClasses.length === 0 ? (
         <div style={{ background: 'white', borderRadius: '20px', padding: '64px 32px', border: '1px solid #EBEBEB', textAlign: 'center', boxShadow: '0 4px 16px rgba(0,0,0,0.06)' }}>
           <div style={{ width: '72px', height: '72px', background: '#FEF2F2', borderRadius: '16px', display: 'flex', alignItems: 'center', justifyContent: 'center', margin: '0 auto 24px' }}>
@@ -124,28 +149,39 @@ export default function VolunteerSchedulePage() {
                     dayClasses
                       .sort((a, b) => a.startTime.localeCompare(b.startTime))
                       .map(cls => {
-                        const active = isCurrentSlot(dateStr, cls.startTime, cls.endTime, currentTime);
+                        const isCancelled = cls.status === 'cancelled';
+                        const active = !isCancelled && isCurrentSlot(dateStr, cls.startTime, cls.endTime, currentTime);
                         return (
-                          <div key={cls._id} style={{ background: active ? '#FFF5F5' : '#FCFDFD', border: active ? '1.5px solid #b91d20' : '1px solid #F0F0F0', borderRadius: '8px', padding: '8px 10px', display: 'flex', flexDirection: 'column', gap: '3px', position: 'relative' }}>
+                          <div key={cls._id} title={isCancelled ? `Cancelled: ${cls.cancellationReason}` : undefined} style={{ background: active ? '#FFF5F5' : isCancelled ? '#F9FAFB' : '#FCFDFD', border: active ? '1.5px solid #b91d20' : '1px solid #F0F0F0', borderRadius: '8px', padding: '8px 10px', display: 'flex', flexDirection: 'column', gap: '3px', position: 'relative', opacity: isCancelled ? 0.75 : 1 }}>
                             {active && (
                               <div style={{ position: 'absolute', top: '6px', right: '6px', width: '7px', height: '7px', borderRadius: '50%', background: '#b91d20', boxShadow: '0 0 0 2px rgba(185,29,32,0.25)' }} />
                             )}
-                            <div style={{ fontSize: '0.625rem', fontWeight: 700, color: active ? '#b91d20' : '#9CA3AF' }}>
+                            <div style={{ fontSize: '0.625rem', fontWeight: 700, color: active ? '#b91d20' : '#9CA3AF', textDecoration: isCancelled ? 'line-through' : 'none' }}>
                               {formatTime(cls.startTime)} – {formatTime(cls.endTime)}
                             </div>
-                            <div style={{ fontSize: '0.8125rem', fontWeight: 700, color: '#111827', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            <div style={{ fontSize: '0.8125rem', fontWeight: 700, color: isCancelled ? '#9CA3AF' : '#111827', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', textDecoration: isCancelled ? 'line-through' : 'none' }}>
                               {cls.subject}
                             </div>
+                            {isCancelled && (
+                              <div style={{ fontSize: '0.5625rem', fontWeight: 700, color: '#b91d20', textTransform: 'uppercase', letterSpacing: '0.04em', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                Cancelled · {cls.cancellationReason}
+                              </div>
+                            )}
                             {cls.youtubeLink && (
                               <a href={cls.youtubeLink} target="_blank" rel="noopener noreferrer" style={{ fontSize: '0.625rem', color: '#3B82F6', textDecoration: 'none', display: 'flex', alignItems: 'center', gap: '3px', marginTop: '2px' }}>
                                 <span className="material-symbols-outlined" style={{ fontSize: '11px' }}>smart_display</span>
                                 View Content
                               </a>
                             )}
-                            <div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
+                            {!isCancelled && <div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
                               <Link to={`/attendance?classId=${cls._id}`} style={{ flex: 1, background: '#FEF2F2', color: '#b91d20', border: '1px solid #FEE2E2', borderRadius: '5px', padding: '4px 6px', fontSize: '0.5625rem', fontWeight: 700, textAlign: 'center', textDecoration: 'none', display: 'block' }}>Attendance</Link>
                               <Link to={`/analytics?classId=${cls._id}`} style={{ flex: 1, background: '#F9FAFB', color: '#6B7280', border: '1px solid #F3F4F6', borderRadius: '5px', padding: '4px 6px', fontSize: '0.5625rem', fontWeight: 700, textAlign: 'center', textDecoration: 'none', display: 'block' }}>Analytics</Link>
-                            </div>
+                            </div>}
+                            {!isCancelled && dateStr >= todayStr && (
+                              <button onClick={() => { setCoverTarget(cls); setCoverError(''); }} style={{ background: 'white', color: '#B45309', border: '1px solid #FDE68A', borderRadius: '5px', padding: '4px 6px', fontSize: '0.5625rem', fontWeight: 700, cursor: 'pointer' }}>
+                                Need cover
+                              </button>
+                            )}
                           </div>
                         );
                       })
@@ -160,6 +196,34 @@ export default function VolunteerSchedulePage() {
           })}
         </div>
       )}
+
+      {/* Request Cover Modal */}
+      <Modal
+        isOpen={!!coverTarget}
+        onClose={() => setCoverTarget(null)}
+        size="sm"
+        title={<span style={{ fontWeight: 800, fontSize: '1.25rem', color: '#111827' }}>Request Cover</span>}
+        footer={
+          <div style={{ display: 'flex', gap: '12px', width: '100%' }}>
+            <button onClick={() => setCoverTarget(null)} disabled={isSubmitting} type="button" style={{ flex: 1, background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151', borderRadius: '8px', padding: '10px 20px', fontWeight: 700, fontSize: '0.9rem', cursor: 'pointer' }}>
+              Cancel
+            </button>
+            <button onClick={requestCover} disabled={isSubmitting} type="button" style={{ flex: 1, background: '#b91d20', color: 'white', border: 'none', borderRadius: '8px', padding: '10px 20px', fontWeight: 700, fontSize: '0.9rem', cursor: 'pointer', opacity: isSubmitting ? 0.7 : 1 }}>
+              {isSubmitting ? 'Sending...' : 'Ask for Cover'}
+            </button>
+          </div>
+        }
+      >
+        {coverError && <Alert type="error" message={coverError} />}
+        {coverTarget && (
+          <p style={{ color: '#6B7280', fontSize: '0.875rem', marginTop: 0 }}>
+            {coverTarget.subject} on {coverTarget.date}, {formatTime(coverTarget.startTime)} – {formatTime(coverTarget.endTime)}.
+            Volunteers who are free then will be asked to take it; you stay assigned until an admin approves a swap.
+          </p>
+        )}
+        <label style={{ display: 'block', fontSize: '0.75rem', fontWeight: 700, color: '#374151', marginBottom: '6px' }}>Reason (optional)</label>
+        <textarea rows={2} value={coverReason} onChange={e => setCoverReason(e.target.value)} placeholder="e.g. Exam that day" style={{ width: '100%', background: '#F9FAFB', border: '1px solid #E5E7EB', borderRadius: '8px', padding: '10px 14px', fontSize: '0.875rem', fontFamily: 'inherit', resize: 'vertical', boxSizing: 'border-box' }} />
+      </Modal>
     </div>
   );
 }
@@ -10,7 +10,9 @@ const card = { background: 'white', borderRadius: '16px', border: '1px solid #EB
 export default function GalleryPage() {
   const { user, teacher } = useAuth();
   const currentUser = user || teacher;
-  const isAdmin = currentUser?.role === 'admin';
+  // Admins and coordinators see everyone's captures; only admins can delete them
+  const isAdmin = currentUser?.role === 'admin' || currentUser?.role === 'coordinator';
+  const canDelete = currentUser?.role === 'admin';
 
   const [photos, setPhotos] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -183,7 +185,7 @@ export default function GalleryPage() {
                 </a>
               )}
               <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '16px' }}>
-                {isAdmin && (
+                {canDelete && (
                   <button onClick={handleDelete} style={{ background: '#FEF2F2', border: '1px solid #FECACA', color: '#B91C1C', borderRadius: '8px', padding: '8px 16px', fontWeight: 600, cursor: 'pointer' }}>Delete</button>
                 )}
                 <button onClick={() => setSelected(null)} style={{ background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151', borderRadius: '8px', padding: '8px 16px', fontWeight: 600, cursor: 'pointer' }}>Close</button>
@@ -1,6 +1,7 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { authAPI, usersAPI } from '../../services/api';
 import Alert from '../../components/ui/Alert';
 import renovatioLogo from '../../assets/brandings/renovatioLogo.png';
 
@@ -12,14 +13,100 @@ import renovatioLogo from '../../assets/brandings/renovatioLogo.png';
  */
 export default function LoginPage() {
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const { login, completeTwoFactor } = useAuth();
+  // Emailed links land here: /login?invite=<token> lets an invited admin sign up or an
+  // invited volunteer/coordinator choose a password; /login?reset=<token> resets a password;
+  // /login?verifyEmail=<token> confirms an email change
+  const [searchParams, setSearchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
+  const resetToken = searchParams.get('reset');
+  const verifyEmailToken = searchParams.get('verifyEmail');
   
   const [loginRole, setLoginRole] = useState('admin');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [showForgot, setShowForgot] = useState(false);
+  const [invite, setInvite] = useState(null);
+  // Set after the password step when the admin has 2FA on
+  const [challengeToken, setChallengeToken] = useState('');
+  const [twoFactorCode, setTwoFactorCode] = useState('');
   
   // Form states
   const [loginForm, setLoginForm] = useState({ email: '', password: '' });
+  const [inviteForm, setInviteForm] = useState({ name: '', email: '', password: '' });
+  const [forgotEmail, setForgotEmail] = useState('');
+  const [newPassword, setNewPassword] = useState({ password: '', confirm: '' });
+  const [signUpForm, setSignUpForm] = useState({ name: '', email: '', password: '', organisationName: '' });
+  // Sign-up is only offered while the registration policy leaves it open
+  const [registration, setRegistration] = useState(null);
+
+  useEffect(() => {
+    const loadRegistration = async () => {
+      try {
+        const res = await authAPI.getRegistration();
+        if (res.success) setRegistration(res.registration);
+      } catch (err) {
+        console.error('[LOGIN] Registration policy error:', err);
+      }
+    };
+    loadRegistration();
+  }, []);
+
+  // Look up who an invite is for; team members already have an account and only pick a password
+  useEffect(() => {
+    if (!inviteToken) return;
+    const loadInvite = async () => {
+      try {
+        const res = await authAPI.getInvite(inviteToken);
+        if (res.success) {
+          setInvite(res.invite);
+          setInviteForm((f) => ({ ...f, email: res.invite.email }));
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || 'This invite is invalid or has expired');
+      }
+    };
+    loadInvite();
+  }, [inviteToken]);
+
+  // Confirm an email change as soon as its link is opened
+  useEffect(() => {
+    if (!verifyEmailToken) return;
+    const confirmEmail = async () => {
+      try {
+        const res = await usersAPI.confirmEmailChange(verifyEmailToken);
+        setNotice(`${res.message} Sign in with your new email.`);
+        setLoginForm((f) => ({ ...f, email: res.email }));
+      } catch (err) {
+        setError(err.response?.data?.message || 'This confirmation link is invalid or has expired');
+      }
+      setSearchParams({});
+    };
+    confirmEmail();
+  }, [verifyEmailToken, setSearchParams]);
+
+  const isTeamInvite = !!invite && invite.role !== 'admin';
+  const mode = challengeToken ? 'two-factor' : resetToken ? 'reset' : isTeamInvite ? 'team-invite' : inviteToken ? 'admin-invite' : showForgot ? 'forgot' : 'login';
+  const headings = {
+    'login': ['Portal Login', 'Enter your credentials below'],
+    'two-factor': ['Two-Step Verification', 'Enter the 6-digit code from your authenticator app'],
+    'forgot': ['Reset Password', "We'll email you a link to choose a new password"],
+    'reset': ['Choose a New Password', 'This link works once and expires after an hour'],
+    'admin-invite': ['Accept Admin Invite', 'Create your account to join your organisation'],
+    'team-invite': [`Welcome, ${invite?.name || ''}`, `Choose a password to join ${invite?.organisation?.name || 'your organisation'} as a ${invite?.role}`],
+  };
+
+  const backToLogin = () => {
+    setSearchParams({});
+    setShowForgot(false);
+    setChallengeToken('');
+    setTwoFactorCode('');
+    setError('');
+  };
+
+  // Admins whose organisation requires 2FA but who haven't set it up go straight to enrolment
+  const afterLogin = (result) => navigate(result.twoFactorSetupRequired ? '/profile?setup2fa=1' : '/dashboard');
 
   /**
    * Handle login submit
@@ -33,9 +120,11 @@ export default function LoginPage() {
     
     const result = await login(loginForm.email, loginForm.password, loginRole);
     
-    if (result.success) {
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    } else if (result.success) {
       console.log('[LOGIN] Login successful, redirecting to dashboard');
-      navigate('/dashboard');
+      afterLogin(result);
     } else {
       console.log('[LOGIN] Login failed:', result.message);
       setError(result.message);
@@ -44,6 +133,134 @@ export default function LoginPage() {
     setIsLoading(false);
   };
 
+  /**
+   * Create an admin account from an invite, then sign straight in
+   */
+  const handleAcceptInvite = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+
+    try {
+      const res = await authAPI.register(inviteForm.name, inviteForm.email, inviteForm.password, { inviteToken });
+      if (res.success) {
+        const result = await login(inviteForm.email, inviteForm.password, 'admin');
+        if (result.success) {
+          afterLogin(result);
+          return;
+        }
+        setError(result.message);
+      }
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Could not accept the invite. Please try again.');
+    }
+
+    setIsLoading(false);
+  };
+
+  /**
+   * Self sign-up while registration is open, then sign straight in
+   */
+  const handleSignUp = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+
+    try {
+      const { name, email, password, organisationName } = signUpForm;
+      const res = await authAPI.register(name, email, password, { organisationName });
+      if (res.success) {
+        const result = await login(email, password, res.user.role === 'volunteer' ? 'volunteer' : 'admin');
+        if (result.success) {
+          afterLogin(result);
+          return;
+        }
+        setError(result.message);
+      }
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Could not create your account. Please try again.');
+    }
+
+    setIsLoading(false);
+  };
+
+  /**
+   * Second step for admins with 2FA: an authenticator or recovery code
+   */
+  const handleTwoFactor = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+
+    const result = await completeTwoFactor(challengeToken, twoFactorCode);
+    if (result.success) {
+      afterLogin(result);
+      return;
+    }
+    if (result.expired) {
+      setChallengeToken('');
+      setTwoFactorCode('');
+    }
+    setError(result.message);
+    setIsLoading(false);
+  };
+
+  /**
+   * Email a reset link; the reply is the same whether or not the account exists
+   */
+  const handleForgot = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+    try {
+      const res = await authAPI.forgotPassword(forgotEmail);
+      setNotice(res.message);
+      setShowForgot(false);
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Could not send the reset link. Please try again.');
+    }
+    setIsLoading(false);
+  };
+
+  /**
+   * Set a password from a reset link or a team invite. Invited members are signed straight in.
+   */
+  const handleSetPassword = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (newPassword.password !== newPassword.confirm) {
+      setError('Passwords do not match');
+      return;
+    }
+    setIsLoading(true);
+
+    try {
+      if (mode === 'team-invite') {
+        const res = await authAPI.acceptInvite(inviteToken, newPassword.password);
+        const portal = res.role === 'volunteer' ? 'volunteer' : 'admin';
+        const result = await login(res.email, newPassword.password, portal);
+        if (result.success) {
+          navigate('/dashboard');
+          return;
+        }
+        setError(result.message);
+      } else {
+        const res = await authAPI.resetPassword(resetToken, newPassword.password);
+        setNotice(res.message);
+        setLoginRole(res.role === 'volunteer' ? 'volunteer' : 'admin');
+        setNewPassword({ password: '', confirm: '' });
+        setSearchParams({});
+      }
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Could not set your password. Please try again.');
+    }
+
+    setIsLoading(false);
+  };
+
+  const inputClass = 'w-full bg-gray-100 border border-transparent focus:border-gray-300 rounded-md px-4 py-3 transition-colors outline-none text-gray-900 text-sm';
+  const inputStyle = { backgroundColor: '#f4f6f8', padding: '0.875rem 1rem' };
+
   return (
     <div className="font-body bg-gray-100 min-h-screen flex flex-col" style={{ backgroundColor: '#f4f6f8' }}>
       <main className="flex-grow flex items-center justify-center p-6" style={{ padding: '1.5rem' }}>
@@ -84,94 +301,253 @@ export default function LoginPage() {
           {/* Login Content Side */}
           <div className="p-10 md:p-14 flex flex-col justify-center bg-white" style={{ padding: '3.5rem' }}>
             <div className="mb-8" style={{ marginBottom: '2rem' }}>
-              <h2 className="font-headline font-bold text-3xl text-gray-900 tracking-tight" style={{ fontSize: '1.75rem' }}>Portal Login</h2>
-              <p className="text-gray-500 text-sm mt-1">Enter your credentials below</p>
+              <h2 className="font-headline font-bold text-3xl text-gray-900 tracking-tight" style={{ fontSize: '1.75rem' }}>
+                {headings[mode][0]}
+              </h2>
+              <p className="text-gray-500 text-sm mt-1">
+                {headings[mode][1]}
+              </p>
             </div>
 
             {/* Error Space */}
             {error && <div className="mb-6"><Alert type="error" message={error} /></div>}
+            {notice && <div className="mb-6"><Alert type="success" message={notice} onClose={() => setNotice('')} /></div>}
 
-            {/* Tabs */}
-            <div className="flex bg-gray-50 p-1.5 rounded-lg mb-8" style={{ backgroundColor: '#f8f9fa', padding: '0.375rem', marginBottom: '2rem' }}>
-              <button 
-                type="button"
-                onClick={() => { setLoginRole('admin'); setError(''); }}
-                className={`flex-1 py-3 px-4 rounded-md flex items-center justify-center space-x-2 transition-all duration-200 ${
-                  loginRole === 'admin' 
-                  ? 'bg-white font-semibold shadow-sm text-red-700' 
-                  : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100 font-medium'
-                }`}
-                style={{ padding: '0.75rem 1rem', gap: '0.5rem', color: loginRole === 'admin' ? '#b91d20' : undefined }}
-              >
-                <span className="material-symbols-outlined text-lg">deployed_code</span>
-                <span className="text-xs uppercase tracking-wider font-semibold">Admin Access</span>
-              </button>
-              <button 
-                type="button"
-                onClick={() => { setLoginRole('volunteer'); setError(''); }}
-                className={`flex-1 py-3 px-4 rounded-md flex items-center justify-center space-x-2 transition-all duration-200 ${
-                  loginRole === 'volunteer' 
-                  ? 'bg-white font-semibold shadow-sm text-red-700' 
-                  : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100 font-medium'
-                }`}
-                style={{ padding: '0.75rem 1rem', gap: '0.5rem', color: loginRole === 'volunteer' ? '#b91d20' : undefined }}
-              >
-                <span className="material-symbols-outlined text-lg">volunteer_activism</span>
-                <span className="text-xs uppercase tracking-wider font-semibold">Volunteer Access</span>
-              </button>
-            </div>
-
-            <form onSubmit={handleLogin} className="space-y-6" style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2" htmlFor="email" style={{ marginBottom: '0.5rem' }}>
-                  Institutional Email
-                </label>
-                <input 
-                  className="w-full bg-gray-100 border border-transparent focus:border-gray-300 rounded-md px-4 py-3 transition-colors outline-none text-gray-900 text-sm"
-                  style={{ backgroundColor: '#f4f6f8', padding: '0.875rem 1rem' }} 
-                  id="email" 
-                  name="email" 
-                  autoComplete="username email"
-                  placeholder={loginRole === 'admin' ? "name@renovatio.org" : "volunteer@renovatio.org"}
-                  type="email" 
-                  value={loginForm.email}
-                  onChange={(e) => setLoginForm({ ...loginForm, email: e.target.value })}
-                  required
-                />
-              </div>
-              
-              <div>
-                <div className="flex justify-between items-center mb-2" style={{ marginBottom: '0.5rem' }}>
-                  <label className="block text-sm font-medium text-gray-700" htmlFor="password">
-                    Security Password
-                  </label>
-                  <a className="text-xs font-medium hover:underline text-red-700" style={{ color: '#b91d20' }} href="#">Forgot Access?</a>
+            {mode === 'two-factor' ? (
+              <form onSubmit={handleTwoFactor} style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700" htmlFor="two-factor-code" style={{ marginBottom: '0.5rem' }}>Authentication Code</label>
+                  <input className={inputClass} style={{ ...inputStyle, letterSpacing: '0.2em' }} id="two-factor-code" autoComplete="one-time-code" inputMode="text" autoFocus placeholder="123456" value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)} required />
+                  <p className="text-gray-500 text-xs" style={{ marginTop: '0.5rem' }}>Lost your device? Enter one of your recovery codes instead.</p>
                 </div>
-                <input 
-                  className="w-full bg-gray-100 border border-transparent focus:border-gray-300 rounded-md px-4 py-3 transition-colors outline-none text-gray-900 text-sm" 
-                  style={{ backgroundColor: '#f4f6f8', padding: '0.875rem 1rem' }} 
-                  id="password" 
-                  name="password" 
-                  autoComplete="current-password"
-                  placeholder="••••••••" 
-                  type="password" 
-                  value={loginForm.password}
-                  onChange={(e) => setLoginForm({ ...loginForm, password: e.target.value })}
-                  required
-                />
-              </div>
-
-              <div className="pt-2">
-                <button 
-                  className="w-full py-3 bg-red-700 text-white text-sm font-bold rounded-md hover:bg-red-800 transition-colors" 
+                <button
+                  className="w-full py-3 bg-red-700 text-white text-sm font-bold rounded-md hover:bg-red-800 transition-colors"
                   style={{ backgroundColor: '#b91d20', padding: '0.875rem' }}
                   type="submit"
                   disabled={isLoading}
                 >
-                  {isLoading ? 'Signing In...' : 'Sign In to Dashboard'}
+                  {isLoading ? 'Verifying...' : 'Verify & Sign In'}
                 </button>
-              </div>
-            </form>
+                <button type="button" onClick={backToLogin} className="text-xs font-medium hover:underline" style={{ color: '#b91d20', background: 'none', border: 'none', cursor: 'pointer' }}>
+                  Back to sign in
+                </button>
+              </form>
+            ) : mode === 'reset' || mode === 'team-invite' ? (
+              <form onSubmit={handleSetPassword} style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
+                {invite && (
+                  <input type="email" autoComplete="username email" value={invite.email} readOnly hidden />
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700" htmlFor="new-password" style={{ marginBottom: '0.5rem' }}>New Password</label>
+                  <input className={inputClass} style={inputStyle} id="new-password" autoComplete="new-password" type="password" minLength={6} placeholder="At least 6 characters" value={newPassword.password}
+                    onChange={(e) => setNewPassword({ ...newPassword, password: e.target.value })} required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700" htmlFor="confirm-password" style={{ marginBottom: '0.5rem' }}>Confirm Password</label>
+                  <input className={inputClass} style={inputStyle} id="confirm-password" autoComplete="new-password" type="password" minLength={6} value={newPassword.confirm}
+                    onChange={(e) => setNewPassword({ ...newPassword, confirm: e.target.value })} required />
+                </div>
+                <button
+                  className="w-full py-3 bg-red-700 text-white text-sm font-bold rounded-md hover:bg-red-800 transition-colors"
+                  style={{ backgroundColor: '#b91d20', padding: '0.875rem' }}
+                  type="submit"
+                  disabled={isLoading}
+                >
+                  {isLoading ? 'Saving...' : mode === 'team-invite' ? 'Set Password & Sign In' : 'Update Password'}
+                </button>
+                <button type="button" onClick={backToLogin} className="text-xs font-medium hover:underline" style={{ color: '#b91d20', background: 'none', border: 'none', cursor: 'pointer' }}>
+                  Back to sign in
+                </button>
+              </form>
+            ) : mode === 'forgot' ? (
+              <form onSubmit={handleForgot} style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700" htmlFor="forgot-email" style={{ marginBottom: '0.5rem' }}>Account Email</label>
+                  <input className={inputClass} style={inputStyle} id="forgot-email" autoComplete="username email" type="email" placeholder="name@renovatio.org" value={forgotEmail}
+                    onChange={(e) => setForgotEmail(e.target.value)} required />
+                </div>
+                <button
+                  className="w-full py-3 bg-red-700 text-white text-sm font-bold rounded-md hover:bg-red-800 transition-colors"
+                  style={{ backgroundColor: '#b91d20', padding: '0.875rem' }}
+                  type="submit"
+                  disabled={isLoading}
+                >
+                  {isLoading ? 'Sending...' : 'Send Reset Link'}
+                </button>
+                <button type="button" onClick={backToLogin} className="text-xs font-medium hover:underline" style={{ color: '#b91d20', background: 'none', border: 'none', cursor: 'pointer' }}>
+                  Back to sign in
+                </button>
+              </form>
+            ) : mode === 'admin-invite' ? (
+              <form onSubmit={handleAcceptInvite} style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700" htmlFor="invite-name" style={{ marginBottom: '0.5rem' }}>Full Name</label>
+                  <input className={inputClass} style={inputStyle} id="invite-name" autoComplete="name" type="text" value={inviteForm.name}
+                    onChange={(e) => setInviteForm({ ...inviteForm, name: e.target.value })} required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700" htmlFor="invite-email" style={{ marginBottom: '0.5rem' }}>Invited Email</label>
+                  <input className={inputClass} style={inputStyle} id="invite-email" autoComplete="username email" type="email" placeholder="name@renovatio.org" value={inviteForm.email}
+                    onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })} required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700" htmlFor="invite-password" style={{ marginBottom: '0.5rem' }}>Choose a Password</label>
+                  <input className={inputClass} style={inputStyle} id="invite-password" autoComplete="new-password" type="password" minLength={6} placeholder="At least 6 characters" value={inviteForm.password}
+                    onChange={(e) => setInviteForm({ ...inviteForm, password: e.target.value })} required />
+                </div>
+                <button
+                  className="w-full py-3 bg-red-700 text-white text-sm font-bold rounded-md hover:bg-red-800 transition-colors"
+                  style={{ backgroundColor: '#b91d20', padding: '0.875rem' }}
+                  type="submit"
+                  disabled={isLoading}
+                >
+                  {isLoading ? 'Creating Account...' : 'Create Account & Sign In'}
+                </button>
+                <button type="button" onClick={backToLogin} className="text-xs font-medium hover:underline" style={{ color: '#b91d20', background: 'none', border: 'none', cursor: 'pointer' }}>
+                  Already have an account? Sign in instead
+                </button>
+              </form>
+            ) : (
+              <>
+                {/* Tabs */}
+                <div className="flex bg-gray-50 p-1.5 rounded-lg mb-8" style={{ backgroundColor: '#f8f9fa', padding: '0.375rem', marginBottom: '2rem' }}>
+                  <button 
+                    type="button"
+                    onClick={() => { setLoginRole('admin'); setError(''); }}
+                    className={`flex-1 py-3 px-4 rounded-md flex items-center justify-center space-x-2 transition-all duration-200 ${
+                      loginRole === 'admin' 
+                      ? 'bg-white font-semibold shadow-sm text-red-700' 
+                      : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100 font-medium'
+                    }`}
+                    style={{ padding: '0.75rem 1rem', gap: '0.5rem', color: loginRole === 'admin' ? '#b91d20' : undefined }}
+                  >
+                    <span className="material-symbols-outlined text-lg">deployed_code</span>
+                    <span className="text-xs uppercase tracking-wider font-semibold">Admin Access</span>
+                  </button>
+                  <button 
+                    type="button"
+                    onClick={() => { setLoginRole('volunteer'); setError(''); }}
+                    className={`flex-1 py-3 px-4 rounded-md flex items-center justify-center space-x-2 transition-all duration-200 ${
+                      loginRole === 'volunteer' 
+                      ? 'bg-white font-semibold shadow-sm text-red-700' 
+                      : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100 font-medium'
+                    }`}
+                    style={{ padding: '0.75rem 1rem', gap: '0.5rem', color: loginRole === 'volunteer' ? '#b91d20' : undefined }}
+                  >
+                    <span className="material-symbols-outlined text-lg">volunteer_activism</span>
+                    <span className="text-xs uppercase tracking-wider font-semibold">Volunteer Access</span>
+                  </button>
+                  {registration?.open && (
+                    <button
+                      type="button"
+                      onClick={() => { setLoginRole('signup'); setError(''); }}
+                      className={`flex-1 py-3 px-4 rounded-md flex items-center justify-center space-x-2 transition-all duration-200 ${
+                        loginRole === 'signup'
+                        ? 'bg-white font-semibold shadow-sm text-red-700'
+                        : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100 font-medium'
+                      }`}
+                      style={{ padding: '0.75rem 1rem', gap: '0.5rem', color: loginRole === 'signup' ? '#b91d20' : undefined }}
+                    >
+                      <span className="material-symbols-outlined text-lg">person_add</span>
+                      <span className="text-xs uppercase tracking-wider font-semibold">Sign Up</span>
+                    </button>
+                  )}
+                </div>
+
+                {loginRole === 'signup' ? (
+                  <form onSubmit={handleSignUp} style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700" htmlFor="signup-name" style={{ marginBottom: '0.5rem' }}>Full Name</label>
+                      <input className={inputClass} style={inputStyle} id="signup-name" autoComplete="name" type="text" value={signUpForm.name}
+                        onChange={(e) => setSignUpForm({ ...signUpForm, name: e.target.value })} required />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700" htmlFor="signup-email" style={{ marginBottom: '0.5rem' }}>Email</label>
+                      <input className={inputClass} style={inputStyle} id="signup-email" autoComplete="username email" type="email" placeholder="name@renovatio.org" value={signUpForm.email}
+                        onChange={(e) => setSignUpForm({ ...signUpForm, email: e.target.value })} required />
+                      {registration.mode === 'domain' && (
+                        <p className="text-gray-500 text-xs" style={{ marginTop: '0.5rem' }}>
+                          Use your {registration.allowedDomains.map((d) => `@${d}`).join(' or ')} address.
+                        </p>
+                      )}
+                    </div>
+                    {registration.firstUser && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700" htmlFor="signup-organisation" style={{ marginBottom: '0.5rem' }}>Organisation Name</label>
+                        <input className={inputClass} style={inputStyle} id="signup-organisation" autoComplete="organization" type="text" placeholder="Optional" value={signUpForm.organisationName}
+                          onChange={(e) => setSignUpForm({ ...signUpForm, organisationName: e.target.value })} />
+                      </div>
+                    )}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700" htmlFor="signup-password" style={{ marginBottom: '0.5rem' }}>Choose a Password</label>
+                      <input className={inputClass} style={inputStyle} id="signup-password" autoComplete="new-password" type="password" minLength={6} placeholder="At least 6 characters" value={signUpForm.password}
+                        onChange={(e) => setSignUpForm({ ...signUpForm, password: e.target.value })} required />
+                    </div>
+                    <button
+                      className="w-full py-3 bg-red-700 text-white text-sm font-bold rounded-md hover:bg-red-800 transition-colors"
+                      style={{ backgroundColor: '#b91d20', padding: '0.875rem' }}
+                      type="submit"
+                      disabled={isLoading}
+                    >
+                      {isLoading ? 'Creating Account...' : 'Create Account & Sign In'}
+                    </button>
+                  </form>
+                ) : (
+                <form onSubmit={handleLogin} className="space-y-6" style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2" htmlFor="email" style={{ marginBottom: '0.5rem' }}>
+                      Institutional Email
+                    </label>
+                    <input 
+                      className="w-full bg-gray-100 border border-transparent focus:border-gray-300 rounded-md px-4 py-3 transition-colors outline-none text-gray-900 text-sm"
+                      style={{ backgroundColor: '#f4f6f8', padding: '0.875rem 1rem' }} 
+                      id="email" 
+                      name="email" 
+                      autoComplete="username email"
+                      placeholder={loginRole === 'admin' ? "name@renovatio.org" : "volunteer@renovatio.org"}
+                      type="email" 
+                      value={loginForm.email}
+                      onChange={(e) => setLoginForm({ ...loginForm, email: e.target.value })}
+                      required
+                    />
+                  </div>
+                  
+                  <div>
+                    <div className="flex justify-between items-center mb-2" style={{ marginBottom: '0.5rem' }}>
+                      <label className="block text-sm font-medium text-gray-700" htmlFor="password">
+                        Security Password
+                      </label>
+                      <button type="button" onClick={() => { setShowForgot(true); setForgotEmail(loginForm.email); setError(''); setNotice(''); }} className="text-xs font-medium hover:underline text-red-700" style={{ color: '#b91d20', background: 'none', border: 'none', cursor: 'pointer', padding: 0 }}>Forgot Access?</button>
+                    </div>
+                    <input 
+                      className="w-full bg-gray-100 border border-transparent focus:border-gray-300 rounded-md px-4 py-3 transition-colors outline-none text-gray-900 text-sm" 
+                      style={{ backgroundColor: '#f4f6f8', padding: '0.875rem 1rem' }} 
+                      id="password" 
+                      name="password" 
+                      autoComplete="current-password"
+                      placeholder="••••••••" 
+                      type="password" 
+                      value={loginForm.password}
+                      onChange={(e) => setLoginForm({ ...loginForm, password: e.target.value })}
+                      required
+                    />
+                  </div>
+
+                  <div className="pt-2">
+                    <button 
+                      className="w-full py-3 bg-red-700 text-white text-sm font-bold rounded-md hover:bg-red-800 transition-colors" 
+                      style={{ backgroundColor: '#b91d20', padding: '0.875rem' }}
+                      type="submit"
+                      disabled={isLoading}
+                    >
+                      {isLoading ? 'Signing In...' : 'Sign In to Dashboard'}
+                    </button>
+                  </div>
+                </form>
+                )}
+              </>
+            )}
 
             <div className="mt-10 text-center" style={{ marginTop: '2.5rem' }}>
               <p className="text-gray-500 text-xs">
@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { usersAPI } from '../../services/api';
+import Alert from '../../components/ui/Alert';
+
+const RED = '#b91d20';
+const card = { background: 'white', borderRadius: '16px', border: '1px solid #EBEBEB', boxShadow: '0 4px 16px rgba(0,0,0,0.06)', padding: '24px' };
+const input = { width: '100%', background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#111827', fontSize: '0.9rem', borderRadius: '8px', padding: '10px 14px', outline: 'none', fontFamily: 'inherit', boxSizing: 'border-box' };
+const secondaryBtn = { background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151', borderRadius: '8px', padding: '8px 14px', fontWeight: 600, fontSize: '0.8125rem', cursor: 'pointer' };
+const primaryBtn = { background: RED, color: 'white', border: 'none', borderRadius: '8px', padding: '8px 16px', fontWeight: 700, fontSize: '0.8125rem', cursor: 'pointer' };
+const row = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '12px 0', borderTop: '1px solid #F3F4F6' };
+
+const apiError = (err, fallback) => err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback;
+const EMPTY = { currentPassword: '', newPassword: '', confirm: '', newEmail: '', password: '' };
+
+/**
+ * Password, sign-in email and account deletion for the signed-in user.
+ */
+export default function AccountSecurityCard({ email, passwordChangedAt, onDeleted }) {
+  const [open, setOpen] = useState(null); // 'password' | 'email' | 'delete'
+  const [form, setForm] = useState(EMPTY);
+  const [changedAt, setChangedAt] = useState(passwordChangedAt);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const toggle = (section) => {
+    setOpen(open === section ? null : section);
+    setForm(EMPTY);
+    setError('');
+  };
+  const field = (name) => ({ value: form[name], onChange: (e) => setForm((f) => ({ ...f, [name]: e.target.value })) });
+
+  const submit = (fn, fallback) => async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+    setSuccess('');
+    try {
+      await fn();
+    } catch (err) {
+      setError(apiError(err, fallback));
+    }
+    setIsSubmitting(false);
+  };
+
+  const savePassword = submit(async () => {
+    const res = await usersAPI.changePassword(form.currentPassword, form.newPassword);
+    setSuccess(res.message);
+    setChangedAt(new Date().toISOString());
+    toggle(null);
+  }, 'Failed to change password');
+
+  const changePassword = (e) => {
+    if (form.newPassword !== form.confirm) {
+      e.preventDefault();
+      setError('Passwords do not match');
+      return;
+    }
+    savePassword(e);
+  };
+
+  const changeEmail = submit(async () => {
+    const res = await usersAPI.requestEmailChange(form.newEmail, form.password);
+    setSuccess(res.message);
+    toggle(null);
+  }, 'Failed to change email');
+
+  const deleteAccount = submit(async () => {
+    await usersAPI.deleteMe(form.password);
+    onDeleted();
+  }, 'Failed to delete account');
+
+  const formRow = { display: 'flex', flexDirection: 'column', gap: '8px', paddingBottom: '12px' };
+  const actions = (label, danger) => (
+    <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+      <button type="button" onClick={() => toggle(null)} style={secondaryBtn}>Cancel</button>
+      <button type="submit" disabled={isSubmitting} style={{ ...primaryBtn, background: danger ? '#7F1D1D' : RED, opacity: isSubmitting ? 0.7 : 1 }}>{label}</button>
+    </div>
+  );
+
+  return (
+    <div style={card}>
+      <h3 style={{ margin: '0 0 16px', fontWeight: 800, color: '#111827', fontSize: '1.1rem' }}>Security</h3>
+
+      {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+      {success && <Alert type="success" message={success} onClose={() => setSuccess('')} />}
+
+      <div style={row}>
+        <div>
+          <div style={{ fontWeight: 600, color: '#374151', fontSize: '0.9rem' }}>Password</div>
+          <div style={{ fontSize: '0.8125rem', color: '#9CA3AF' }}>
+            Last changed: {changedAt ? new Date(changedAt).toLocaleDateString('en-IN', { dateStyle: 'medium' }) : 'unknown'}
+          </div>
+        </div>
+        <button onClick={() => toggle('password')} style={secondaryBtn}>Change</button>
+      </div>
+      {open === 'password' && (
+        <form onSubmit={changePassword} style={formRow}>
+          <input type="password" autoComplete="current-password" placeholder="Current password" required style={input} {...field('currentPassword')} />
+          <input type="password" autoComplete="new-password" placeholder="New password (min 6 characters)" minLength={6} required style={input} {...field('newPassword')} />
+          <input type="password" autoComplete="new-password" placeholder="Confirm new password" minLength={6} required style={input} {...field('confirm')} />
+          {actions('Update Password')}
+        </form>
+      )}
+
+      <div style={row}>
+        <div>
+          <div style={{ fontWeight: 600, color: '#374151', fontSize: '0.9rem' }}>Email</div>
+          <div style={{ fontSize: '0.8125rem', color: '#9CA3AF' }}>{email}</div>
+        </div>
+        <button onClick={() => toggle('email')} style={secondaryBtn}>Change</button>
+      </div>
+      {open === 'email' && (
+        <form onSubmit={changeEmail} style={formRow}>
+          <input type="email" autoComplete="email" placeholder="New email address" required style={input} {...field('newEmail')} />
+          <input type="password" autoComplete="current-password" placeholder="Current password" required style={input} {...field('password')} />
+          <div style={{ fontSize: '0.75rem', color: '#9CA3AF' }}>We'll email a confirmation link to the new address. Your email changes once you open it.</div>
+          {actions('Send Link')}
+        </form>
+      )}
+
+      <div style={row}>
+        <div>
+          <div style={{ fontWeight: 600, color: RED, fontSize: '0.9rem' }}>Delete account</div>
+          <div style={{ fontSize: '0.8125rem', color: '#9CA3AF' }}>Removes your account, messages and profile picture</div>
+        </div>
+        <button onClick={() => toggle('delete')} style={{ ...secondaryBtn, color: RED }}>Delete</button>
+      </div>
+      {open === 'delete' && (
+        <form onSubmit={deleteAccount} style={formRow}>
+          <div style={{ fontSize: '0.8125rem', color: '#374151' }}>
+            This can't be undone. Attendance you recorded stays with your organisation.
+          </div>
+          <input type="password" autoComplete="current-password" placeholder="Confirm with your password" required style={input} {...field('password')} />
+          {actions('Delete My Account', true)}
+        </form>
+      )}
+    </div>
+  );
+}
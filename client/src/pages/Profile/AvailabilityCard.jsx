@@ -0,0 +1,125 @@
+import { useState, useEffect } from 'react';
+import { usersAPI } from '../../services/api';
+import Alert from '../../components/ui/Alert';
+
+const RED = '#b91d20';
+const card = { background: 'white', borderRadius: '16px', border: '1px solid #EBEBEB', boxShadow: '0 4px 16px rgba(0,0,0,0.06)', padding: '24px' };
+const label = { fontSize: '0.75rem', fontWeight: 700, color: '#9CA3AF', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: '6px' };
+const input = { background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#111827', fontSize: '0.875rem', borderRadius: '8px', padding: '8px 10px', outline: 'none', fontFamily: 'inherit', boxSizing: 'border-box' };
+const secondaryBtn = { background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151', borderRadius: '8px', padding: '8px 14px', fontWeight: 600, fontSize: '0.8125rem', cursor: 'pointer' };
+const primaryBtn = { background: RED, color: 'white', border: 'none', borderRadius: '8px', padding: '8px 16px', fontWeight: 700, fontSize: '0.8125rem', cursor: 'pointer' };
+const removeBtn = { background: 'none', border: 'none', color: '#9CA3AF', cursor: 'pointer', padding: '4px', display: 'flex' };
+const row = { display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '8px' };
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const apiError = (err, fallback) => err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback;
+
+/**
+ * When a volunteer can take classes: recurring weekly slots and dates they're away.
+ * Schedulers use it to suggest and auto-assign volunteers.
+ */
+export default function AvailabilityCard() {
+  const [weekly, setWeekly] = useState(null);
+  const [blackouts, setBlackouts] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await usersAPI.getAvailability();
+        if (res.success) {
+          setWeekly(res.availability?.weekly || []);
+          setBlackouts(res.availability?.blackouts || []);
+        }
+      } catch (err) {
+        console.error('[AVAILABILITY] Load error:', err);
+        setError(apiError(err, 'Failed to load availability'));
+      }
+    };
+    load();
+  }, []);
+
+  const updateAt = (setList, index, changes) =>
+    setList((list) => list.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  const removeAt = (setList, index) => setList((list) => list.filter((_, i) => i !== index));
+
+  const save = async () => {
+    setIsSaving(true);
+    setError('');
+    setSuccess('');
+    try {
+      const res = await usersAPI.updateAvailability({ weekly, blackouts });
+      setWeekly(res.availability.weekly);
+      setBlackouts(res.availability.blackouts);
+      setSuccess(res.message);
+    } catch (err) {
+      setError(apiError(err, 'Failed to save availability'));
+    }
+    setIsSaving(false);
+  };
+
+  if (!weekly) {
+    return error ? <div style={card}><Alert type="error" message={error} /></div> : null;
+  }
+
+  return (
+    <div style={card}>
+      <h3 style={{ margin: '0 0 4px', fontWeight: 800, color: '#111827', fontSize: '1.1rem' }}>Availability</h3>
+      <p style={{ margin: '0 0 16px', fontSize: '0.8125rem', color: '#6B7280' }}>
+        Classes are only suggested for times you're free. Leave the weekly slots empty if you can take classes any time.
+      </p>
+
+      {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+      {success && <Alert type="success" message={success} onClose={() => setSuccess('')} />}
+
+      <div style={label}>Every week</div>
+      {weekly.map((slot, i) => (
+        <div key={i} style={row}>
+          <select value={slot.day} onChange={(e) => updateAt(setWeekly, i, { day: e.target.value })} style={{ ...input, flex: 1 }}>
+            {WEEKDAYS.map((d) => <option key={d} value={d}>{d}</option>)}
+          </select>
+          <input type="time" value={slot.startTime} onChange={(e) => updateAt(setWeekly, i, { startTime: e.target.value })} style={input} />
+          <span style={{ color: '#9CA3AF', fontSize: '0.8125rem' }}>to</span>
+          <input type="time" value={slot.endTime} onChange={(e) => updateAt(setWeekly, i, { endTime: e.target.value })} style={input} />
+          <button type="button" onClick={() => removeAt(setWeekly, i)} title="Remove" style={removeBtn}>
+            <span className="material-symbols-outlined" style={{ fontSize: '18px' }}>close</span>
+          </button>
+        </div>
+      ))}
+      <button type="button" onClick={() => setWeekly((list) => [...list, { day: 'Monday', startTime: '09:00', endTime: '17:00' }])} style={{ ...secondaryBtn, marginBottom: '20px' }}>
+        Add time slot
+      </button>
+
+      <div style={label}>Away</div>
+      {blackouts.map((b, i) => (
+        <div key={i} style={row}>
+          <input type="date" value={b.startDate} onChange={(e) => updateAt(setBlackouts, i, { startDate: e.target.value })} style={input} />
+          <span style={{ color: '#9CA3AF', fontSize: '0.8125rem' }}>to</span>
+          <input type="date" value={b.endDate} min={b.startDate} onChange={(e) => updateAt(setBlackouts, i, { endDate: e.target.value })} style={input} />
+          <input type="text" value={b.reason} placeholder="Reason (optional)" onChange={(e) => updateAt(setBlackouts, i, { reason: e.target.value })} style={{ ...input, flex: 1, minWidth: 0 }} />
+          <button type="button" onClick={() => removeAt(setBlackouts, i)} title="Remove" style={removeBtn}>
+            <span className="material-symbols-outlined" style={{ fontSize: '18px' }}>close</span>
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => {
+          const today = new Date().toISOString().split('T')[0];
+          setBlackouts((list) => [...list, { startDate: today, endDate: today, reason: '' }]);
+        }}
+        style={secondaryBtn}
+      >
+        Add dates away
+      </button>
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '16px' }}>
+        <button onClick={save} disabled={isSaving} style={{ ...primaryBtn, opacity: isSaving ? 0.7 : 1 }}>
+          {isSaving ? 'Saving...' : 'Save Availability'}
+        </button>
+      </div>
+    </div>
+  );
+}
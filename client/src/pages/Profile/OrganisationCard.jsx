@@ -0,0 +1,212 @@
+import { useState, useEffect } from 'react';
+import { organisationAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import Alert from '../../components/ui/Alert';
+
+const RED = '#b91d20';
+const card = { background: 'white', borderRadius: '16px', border: '1px solid #EBEBEB', boxShadow: '0 4px 16px rgba(0,0,0,0.06)', padding: '24px' };
+const label = { fontSize: '0.75rem', fontWeight: 700, color: '#9CA3AF', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: '6px' };
+const input = { flex: 1, background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#111827', fontSize: '0.9rem', borderRadius: '8px', padding: '10px 14px', outline: 'none', fontFamily: 'inherit', boxSizing: 'border-box' };
+const secondaryBtn = { background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151', borderRadius: '8px', padding: '8px 14px', fontWeight: 600, fontSize: '0.8125rem', cursor: 'pointer' };
+const primaryBtn = { background: RED, color: 'white', border: 'none', borderRadius: '8px', padding: '8px 16px', fontWeight: 700, fontSize: '0.8125rem', cursor: 'pointer' };
+
+// Link the invited admin opens to create their account
+const inviteLink = (token) => `${window.location.origin}/login?invite=${token}`;
+
+const apiError = (err, fallback) => err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback;
+
+/**
+ * Organisation settings for admins: rename it, see its admins and invite more.
+ */
+export default function OrganisationCard() {
+  const { updateUser } = useAuth();
+
+  const [organisation, setOrganisation] = useState(null);
+  const [admins, setAdmins] = useState([]);
+  const [volunteerCount, setVolunteerCount] = useState(0);
+  const [invites, setInvites] = useState([]);
+
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [editName, setEditName] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [lastLink, setLastLink] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [orgRes, inviteRes] = await Promise.all([organisationAPI.get(), organisationAPI.getInvites()]);
+        if (orgRes.success) {
+          setOrganisation(orgRes.organisation);
+          setEditName(orgRes.organisation.name);
+          setAdmins(orgRes.admins);
+          setVolunteerCount(orgRes.volunteerCount);
+        }
+        if (inviteRes.success) setInvites(inviteRes.invites);
+      } catch (err) {
+        console.error('[ORGANISATION] Load error:', err);
+        setError(apiError(err, 'Failed to load organisation'));
+      }
+    };
+    load();
+  }, []);
+
+  const saveName = async () => {
+    setIsSubmitting(true);
+    setError('');
+    try {
+      const res = await organisationAPI.update({ name: editName });
+      if (res.success) {
+        setOrganisation(res.organisation);
+        updateUser({ organisation: { id: res.organisation._id, name: res.organisation.name } });
+        setIsRenaming(false);
+      }
+    } catch (err) {
+      setError(apiError(err, 'Failed to rename organisation'));
+    }
+    setIsSubmitting(false);
+  };
+
+  const toggleRequireTwoFactor = async () => {
+    const requireAdminTwoFactor = !organisation.requireAdminTwoFactor;
+    if (requireAdminTwoFactor && !window.confirm('Every admin will have to set up two-factor sign-in before they can continue. Require it?')) return;
+    setError('');
+    setSuccess('');
+    try {
+      const res = await organisationAPI.update({ requireAdminTwoFactor });
+      if (res.success) setOrganisation(res.organisation);
+    } catch (err) {
+      setError(apiError(err, 'Failed to update security settings'));
+    }
+  };
+
+  const sendInvite = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+    setSuccess('');
+    try {
+      const res = await organisationAPI.createInvite(inviteEmail);
+      if (res.success) {
+        setInvites((prev) => [res.invite, ...prev.filter((i) => i.acceptedAt || i.email !== res.invite.email)]);
+        setLastLink(inviteLink(res.token));
+        setSuccess(`${res.message}. You can also share the link below; it is only shown once.`);
+        setInviteEmail('');
+      }
+    } catch (err) {
+      setError(apiError(err, 'Failed to create invite'));
+    }
+    setIsSubmitting(false);
+  };
+
+  const revoke = async (invite) => {
+    if (!window.confirm(`Revoke the invite for ${invite.email}?`)) return;
+    setError('');
+    try {
+      await organisationAPI.revokeInvite(invite._id);
+      setInvites((prev) => prev.filter((i) => i._id !== invite._id));
+    } catch (err) {
+      setError(apiError(err, 'Failed to revoke invite'));
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(lastLink);
+      setSuccess('Invite link copied to clipboard.');
+    } catch {
+      setError('Could not copy; select the link and copy it manually.');
+    }
+  };
+
+  if (!organisation) {
+    return error ? <div style={card}><Alert type="error" message={error} /></div> : null;
+  }
+
+  const pending = invites.filter((i) => !i.acceptedAt && new Date(i.expiresAt) > new Date());
+
+  return (
+    <div style={card}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '20px' }}>
+        <h3 style={{ margin: 0, fontWeight: 800, color: '#111827', fontSize: '1.1rem' }}>Organisation</h3>
+        {!isRenaming && (
+          <button onClick={() => setIsRenaming(true)} style={secondaryBtn}>Rename</button>
+        )}
+      </div>
+
+      {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+      {success && <Alert type="success" message={success} onClose={() => setSuccess('')} />}
+
+      <div style={{ marginBottom: '18px' }}>
+        <div style={label}>Name</div>
+        {isRenaming ? (
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <input value={editName} onChange={(e) => setEditName(e.target.value)} style={input} />
+            <button onClick={() => { setIsRenaming(false); setEditName(organisation.name); }} style={secondaryBtn}>Cancel</button>
+            <button onClick={saveName} disabled={isSubmitting || editName.trim().length < 2} style={{ ...primaryBtn, opacity: isSubmitting ? 0.7 : 1 }}>Save</button>
+          </div>
+        ) : (
+          <div style={{ fontSize: '0.9375rem', color: '#111827', fontWeight: 600 }}>
+            {organisation.name}
+            <span style={{ color: '#9CA3AF', fontWeight: 500, marginLeft: '8px', fontSize: '0.8125rem' }}>
+              {admins.length} admin{admins.length === 1 ? '' : 's'} · {volunteerCount} volunteer{volunteerCount === 1 ? '' : 's'}
+            </span>
+          </div>
+        )}
+      </div>
+
+      <div style={{ marginBottom: '18px' }}>
+        <div style={label}>Admins</div>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+          {admins.map((a) => (
+            <div key={a._id} style={{ fontSize: '0.875rem', color: '#374151' }}>
+              <strong>{a.name}</strong> <span style={{ color: '#9CA3AF' }}>{a.email}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ marginBottom: '18px' }}>
+        <div style={label}>Security</div>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '0.875rem', color: '#374151', cursor: 'pointer' }}>
+          <input type="checkbox" checked={!!organisation.requireAdminTwoFactor} onChange={toggleRequireTwoFactor} style={{ accentColor: RED }} />
+          Require two-factor sign-in for all admins
+        </label>
+      </div>
+
+      <form onSubmit={sendInvite} style={{ marginBottom: lastLink || pending.length ? '16px' : 0 }}>
+        <div style={label}>Invite an admin</div>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <input type="email" required placeholder="colleague@renovatio.org" value={inviteEmail} onChange={(e) => setInviteEmail(e.target.value)} style={input} />
+          <button type="submit" disabled={isSubmitting} style={{ ...primaryBtn, opacity: isSubmitting ? 0.7 : 1 }}>
+            {isSubmitting ? 'Sending...' : 'Invite'}
+          </button>
+        </div>
+      </form>
+
+      {lastLink && (
+        <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+          <input readOnly value={lastLink} onFocus={(e) => e.target.select()} style={{ ...input, fontSize: '0.75rem', color: '#6B7280' }} />
+          <button onClick={copyLink} style={secondaryBtn}>Copy</button>
+        </div>
+      )}
+
+      {pending.length > 0 && (
+        <div>
+          <div style={label}>Pending invites</div>
+          {pending.map((i) => (
+            <div key={i._id} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '6px 0', borderTop: '1px solid #F3F4F6', fontSize: '0.875rem' }}>
+              <span style={{ color: '#374151' }}>
+                {i.email}
+                <span style={{ color: '#9CA3AF', marginLeft: '8px', fontSize: '0.75rem' }}>expires {new Date(i.expiresAt).toLocaleDateString('en-IN')}</span>
+              </span>
+              <button onClick={() => revoke(i)} style={{ ...secondaryBtn, color: RED, padding: '4px 10px' }}>Revoke</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,14 @@
 import { useState, useEffect, useRef } from 'react';
-import { photosAPI } from '../../services/api';
+import { usersAPI } from '../../services/api';
 import { useAuth } from '../../context/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { ListPageSkeleton } from '../../components/ui/Skeleton';
+import OrganisationCard from './OrganisationCard';
+import SessionsCard from './SessionsCard';
+import TwoFactorCard from './TwoFactorCard';
+import AccountSecurityCard from './AccountSecurityCard';
+import AvailabilityCard from './AvailabilityCard';
+import HoursLedger from '../Volunteers/HoursLedger';
 
 const RED = '#b91d20';
 const card = { background: 'white', borderRadius: '16px', border: '1px solid #EBEBEB', boxShadow: '0 4px 16px rgba(0,0,0,0.06)', padding: '24px' };
@@ -11,6 +17,8 @@ export default function ProfilePage() {
   const { user, teacher, logout, updateUser } = useAuth();
   const currentUser = user || teacher;
   const navigate = useNavigate();
+  // Set when an admin was sent here to set up 2FA their organisation requires
+  const [searchParams] = useSearchParams();
 
   const [profile, setProfile] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
@@ -33,7 +41,7 @@ export default function ProfilePage() {
     const load = async () => {
       try {
         console.log('[PROFILE PAGE] Loading profile...');
-        const res = await photosAPI.getProfile();
+        const res = await usersAPI.getMe();
         if (res.success) {
           setProfile(res.user);
           setEditName(res.user.name);
@@ -89,7 +97,7 @@ export default function ProfilePage() {
     setPicMsg('');
     try {
       console.log('[PROFILE PIC] Uploading...');
-      const res = await photosAPI.uploadProfilePic(picCaptured);
+      const res = await usersAPI.uploadProfilePic(picCaptured);
       if (res.success) {
         setProfile(prev => ({ ...prev, profilePicUrl: res.profilePicUrl }));
         updateUser({ profilePicUrl: res.profilePicUrl }); // sync with context and navbar/dashboard
@@ -119,7 +127,7 @@ export default function ProfilePage() {
     setIsSaving(true);
     setSaveMsg('');
     try {
-      const res = await photosAPI.updateProfile({ name: editName, phone: editPhone });
+      const res = await usersAPI.updateMe({ name: editName, phone: editPhone });
       if (res.success) {
         setProfile(prev => ({ ...prev, name: res.user.name, phone: res.user.phone }));
         updateUser({ name: res.user.name, phone: res.user.phone }); // sync with context
@@ -281,19 +289,25 @@ export default function ProfilePage() {
             )}
           </div>
 
-          {/* Security card */}
-          <div style={card}>
-            <h3 style={{ margin: '0 0 16px', fontWeight: 800, color: '#111827', fontSize: '1.1rem' }}>Security</h3>
-            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-              <div>
-                <div style={{ fontWeight: 600, color: '#374151', fontSize: '0.9rem' }}>Password</div>
-                <div style={{ fontSize: '0.8125rem', color: '#9CA3AF' }}>Last changed: unknown</div>
-              </div>
-              <button style={{ background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151', borderRadius: '8px', padding: '8px 14px', fontWeight: 600, fontSize: '0.8125rem', cursor: 'pointer' }}>
-                Change
-              </button>
+          {(profile?.role || currentUser?.role) === 'admin' && <TwoFactorCard setupRequired={searchParams.has('setup2fa')} />}
+
+          {(profile?.role || currentUser?.role) === 'admin' && <OrganisationCard />}
+
+          {(profile?.role || currentUser?.role) === 'volunteer' && <AvailabilityCard />}
+
+          {['volunteer', 'coordinator'].includes(profile?.role || currentUser?.role) && (
+            <div style={card}>
+              <HoursLedger />
             </div>
-          </div>
+          )}
+
+          <AccountSecurityCard
+            email={profile?.email || currentUser?.email}
+            passwordChangedAt={profile?.passwordChangedAt}
+            onDeleted={handleLogout}
+          />
+
+          <SessionsCard />
         </div>
       </div>
     </div>
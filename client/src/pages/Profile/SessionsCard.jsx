@@ -0,0 +1,94 @@
+import { useState, useEffect } from 'react';
+import { authAPI } from '../../services/api';
+import Alert from '../../components/ui/Alert';
+
+const RED = '#b91d20';
+const card = { background: 'white', borderRadius: '16px', border: '1px solid #EBEBEB', boxShadow: '0 4px 16px rgba(0,0,0,0.06)', padding: '24px' };
+const secondaryBtn = { background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151', borderRadius: '8px', padding: '6px 12px', fontWeight: 600, fontSize: '0.8125rem', cursor: 'pointer' };
+
+// Rough "Chrome on Android" style label from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser = ['Edg', 'OPR', 'Firefox', 'Chrome', 'Safari'].find((b) => userAgent.includes(b));
+  const os = ['Android', 'iPhone', 'iPad', 'Windows', 'Mac OS', 'Linux'].find((o) => userAgent.includes(o));
+  const names = { Edg: 'Edge', OPR: 'Opera', 'Mac OS': 'macOS' };
+  if (!browser && !os) return 'Unknown device';
+  return [names[browser] || browser || 'Browser', os && `on ${names[os] || os}`].filter(Boolean).join(' ');
+};
+
+/**
+ * Devices signed in to this account, with per-device sign out.
+ */
+export default function SessionsCard() {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await authAPI.getSessions();
+        if (res.success) setSessions(res.sessions);
+      } catch (err) {
+        console.error('[SESSIONS] Load error:', err);
+        setError(err.response?.data?.message || 'Failed to load sessions');
+      }
+    };
+    load();
+  }, []);
+
+  const revoke = async (session) => {
+    setError('');
+    try {
+      await authAPI.revokeSession(session._id);
+      setSessions((prev) => prev.filter((s) => s._id !== session._id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to sign out device');
+    }
+  };
+
+  const revokeOthers = async () => {
+    if (!window.confirm('Sign out every other device?')) return;
+    setError('');
+    try {
+      await authAPI.revokeOtherSessions();
+      setSessions((prev) => prev.filter((s) => s.current));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to sign out devices');
+    }
+  };
+
+  const hasOthers = sessions.some((s) => !s.current);
+
+  return (
+    <div style={card}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '16px' }}>
+        <h3 style={{ margin: 0, fontWeight: 800, color: '#111827', fontSize: '1.1rem' }}>Signed-in Devices</h3>
+        {hasOthers && (
+          <button onClick={revokeOthers} style={{ ...secondaryBtn, color: RED }}>Sign out others</button>
+        )}
+      </div>
+
+      {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+
+      {sessions.map((s) => (
+        <div key={s._id} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '10px 0', borderTop: '1px solid #F3F4F6' }}>
+          <div>
+            <div style={{ fontWeight: 600, color: '#374151', fontSize: '0.9rem' }}>
+              {describeDevice(s.userAgent)}
+              {s.current && <span style={{ marginLeft: '8px', fontSize: '0.7rem', fontWeight: 700, color: '#059669', background: '#ECFDF5', borderRadius: '999px', padding: '2px 8px' }}>This device</span>}
+            </div>
+            <div style={{ fontSize: '0.75rem', color: '#9CA3AF' }}>
+              {s.ip && `${s.ip} · `}last active {new Date(s.lastUsedAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}
+            </div>
+          </div>
+          {!s.current && (
+            <button onClick={() => revoke(s)} style={secondaryBtn}>Sign out</button>
+          )}
+        </div>
+      ))}
+
+      {sessions.length === 0 && !error && (
+        <div style={{ fontSize: '0.8125rem', color: '#9CA3AF' }}>No active sessions.</div>
+      )}
+    </div>
+  );
+}
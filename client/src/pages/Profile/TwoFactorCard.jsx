@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react';
+import { twoFactorAPI } from '../../services/api';
+import Alert from '../../components/ui/Alert';
+
+const RED = '#b91d20';
+const card = { background: 'white', borderRadius: '16px', border: '1px solid #EBEBEB', boxShadow: '0 4px 16px rgba(0,0,0,0.06)', padding: '24px' };
+const label = { fontSize: '0.75rem', fontWeight: 700, color: '#9CA3AF', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: '6px' };
+const input = { flex: 1, background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#111827', fontSize: '0.9rem', borderRadius: '8px', padding: '10px 14px', outline: 'none', fontFamily: 'inherit', boxSizing: 'border-box' };
+const secondaryBtn = { background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151', borderRadius: '8px', padding: '8px 14px', fontWeight: 600, fontSize: '0.8125rem', cursor: 'pointer' };
+const primaryBtn = { background: RED, color: 'white', border: 'none', borderRadius: '8px', padding: '8px 16px', fontWeight: 700, fontSize: '0.8125rem', cursor: 'pointer' };
+
+const apiError = (err, fallback) => err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback;
+
+/**
+ * Two-factor sign-in for admins: enrol with a QR code, keep recovery codes,
+ * or turn it off. `setupRequired` is set when the organisation made 2FA mandatory.
+ */
+export default function TwoFactorCard({ setupRequired }) {
+  const [status, setStatus] = useState(null);
+  const [enrolment, setEnrolment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [action, setAction] = useState(null); // 'disable' | 'regenerate'
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await twoFactorAPI.getStatus();
+        if (res.success) setStatus(res.twoFactor);
+      } catch (err) {
+        console.error('[2FA] Load error:', err);
+        setError(apiError(err, 'Failed to load two-factor settings'));
+      }
+    };
+    load();
+  }, []);
+
+  const run = async (fn, fallback) => {
+    setIsSubmitting(true);
+    setError('');
+    setSuccess('');
+    try {
+      await fn();
+    } catch (err) {
+      setError(apiError(err, fallback));
+    }
+    setIsSubmitting(false);
+  };
+
+  const startSetup = () => run(async () => {
+    const res = await twoFactorAPI.setup();
+    setEnrolment(res);
+    setCode('');
+  }, 'Failed to start setup');
+
+  const confirmSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const res = await twoFactorAPI.enable(code);
+      setRecoveryCodes(res.recoveryCodes);
+      setEnrolment(null);
+      setCode('');
+      setStatus((s) => ({ ...s, enabled: true, enabledAt: new Date().toISOString(), recoveryCodesRemaining: res.recoveryCodes.length }));
+      setSuccess(res.message);
+    }, 'Failed to turn on two-factor sign-in');
+  };
+
+  const submitAction = (e) => {
+    e.preventDefault();
+    if (action === 'disable') {
+      run(async () => {
+        const res = await twoFactorAPI.disable(password, code);
+        setStatus((s) => ({ ...s, enabled: false, recoveryCodesRemaining: 0 }));
+        setRecoveryCodes([]);
+        setSuccess(res.message);
+        setAction(null);
+      }, 'Failed to turn off two-factor sign-in');
+    } else {
+      run(async () => {
+        const res = await twoFactorAPI.regenerateRecoveryCodes(code);
+        setRecoveryCodes(res.recoveryCodes);
+        setStatus((s) => ({ ...s, recoveryCodesRemaining: res.recoveryCodes.length }));
+        setAction(null);
+      }, 'Failed to create new recovery codes');
+    }
+    setCode('');
+    setPassword('');
+  };
+
+  if (!status) {
+    return error ? <div style={card}><Alert type="error" message={error} /></div> : null;
+  }
+
+  return (
+    <div style={card}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '16px' }}>
+        <h3 style={{ margin: 0, fontWeight: 800, color: '#111827', fontSize: '1.1rem' }}>Two-Factor Sign-In</h3>
+        <span style={{ fontSize: '0.75rem', fontWeight: 700, borderRadius: '999px', padding: '3px 10px', background: status.enabled ? '#ECFDF5' : '#F3F4F6', color: status.enabled ? '#059669' : '#6B7280' }}>
+          {status.enabled ? 'On' : 'Off'}
+        </span>
+      </div>
+
+      {setupRequired && !status.enabled && (
+        <Alert type="warning" message="Your organisation requires two-factor sign-in for admins. Set it up to keep using Stuma." />
+      )}
+      {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+      {success && <Alert type="success" message={success} onClose={() => setSuccess('')} />}
+
+      {!status.enabled && !enrolment && (
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px' }}>
+          <div style={{ fontSize: '0.8125rem', color: '#6B7280' }}>
+            Ask for a code from an authenticator app (Google Authenticator, Authy, 1Password…) each time you sign in.
+          </div>
+          <button onClick={startSetup} disabled={isSubmitting} style={primaryBtn}>Set up</button>
+        </div>
+      )}
+
+      {enrolment && (
+        <form onSubmit={confirmSetup}>
+          <div style={{ display: 'flex', gap: '16px', alignItems: 'center', marginBottom: '16px' }}>
+            <img src={enrolment.qrCode} alt="Authenticator QR code" style={{ width: '148px', height: '148px', border: '1px solid #F3F4F6', borderRadius: '8px' }} />
+            <div style={{ fontSize: '0.8125rem', color: '#374151' }}>
+              <p style={{ margin: '0 0 8px' }}>Scan this code with your authenticator app, then enter the 6-digit code it shows.</p>
+              <div style={label}>Or enter this key</div>
+              <code style={{ fontSize: '0.8125rem', wordBreak: 'break-all' }}>{enrolment.secret}</code>
+            </div>
+          </div>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <input value={code} onChange={(e) => setCode(e.target.value)} inputMode="numeric" autoComplete="one-time-code" placeholder="123456" required style={input} />
+            <button type="button" onClick={() => setEnrolment(null)} style={secondaryBtn}>Cancel</button>
+            <button type="submit" disabled={isSubmitting} style={{ ...primaryBtn, opacity: isSubmitting ? 0.7 : 1 }}>Turn on</button>
+          </div>
+        </form>
+      )}
+
+      {recoveryCodes.length > 0 && (
+        <div style={{ marginTop: '16px', background: '#FFFBEB', border: '1px solid #FDE68A', borderRadius: '10px', padding: '14px' }}>
+          <div style={{ ...label, color: '#B45309' }}>Recovery codes</div>
+          <p style={{ margin: '0 0 10px', fontSize: '0.8125rem', color: '#92400E' }}>
+            Each code signs you in once if you lose your device. Store them somewhere safe; they won't be shown again.
+          </p>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '6px', fontFamily: 'monospace', fontSize: '0.875rem', color: '#111827' }}>
+            {recoveryCodes.map((c) => <span key={c}>{c}</span>)}
+          </div>
+          <button onClick={() => setRecoveryCodes([])} style={{ ...secondaryBtn, marginTop: '12px' }}>I've saved them</button>
+        </div>
+      )}
+
+      {status.enabled && recoveryCodes.length === 0 && (
+        <>
+          <div style={{ fontSize: '0.8125rem', color: '#6B7280', marginBottom: action ? '12px' : 0 }}>
+            {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left
+            {status.required && ' · required by your organisation'}
+          </div>
+          {action ? (
+            <form onSubmit={submitAction} style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+              {action === 'disable' && (
+                <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="current-password" placeholder="Password" required style={input} />
+              )}
+              <input value={code} onChange={(e) => setCode(e.target.value)} autoComplete="one-time-code" placeholder={action === 'disable' ? 'Code or recovery code' : 'Authenticator code'} required style={input} />
+              <button type="button" onClick={() => setAction(null)} style={secondaryBtn}>Cancel</button>
+              <button type="submit" disabled={isSubmitting} style={{ ...primaryBtn, opacity: isSubmitting ? 0.7 : 1 }}>
+                {action === 'disable' ? 'Turn off' : 'Create codes'}
+              </button>
+            </form>
+          ) : (
+            <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+              <button onClick={() => setAction('regenerate')} style={secondaryBtn}>New recovery codes</button>
+              {!status.required && (
+                <button onClick={() => setAction('disable')} style={{ ...secondaryBtn, color: RED }}>Turn off</button>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import { useState, useEffect } from 'react';
+import { notificationsAPI } from '../../services/api';
+
+const th = { textAlign: 'left', padding: '8px 10px', fontSize: '0.6875rem', fontWeight: 700, color: '#9CA3AF', textTransform: 'uppercase', letterSpacing: '0.05em', borderBottom: '1px solid #F3F4F6' };
+const td = { padding: '8px 10px', fontSize: '0.8125rem', color: '#374151', borderBottom: '1px solid #F9FAFB', verticalAlign: 'top' };
+
+const STATUS_STYLES = {
+  sent: { background: '#F0FDF4', color: '#15803D' },
+  queued: { background: '#EFF6FF', color: '#1D4ED8' },
+  sending: { background: '#EFF6FF', color: '#1D4ED8' },
+  held: { background: '#FFFBEB', color: '#B45309' },
+  digested: { background: '#F3F4F6', color: '#6B7280' },
+  skipped: { background: '#F3F4F6', color: '#6B7280' },
+  failed: { background: '#FEF2F2', color: '#b91d20' },
+};
+
+const FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'sent', label: 'Sent' },
+  { value: 'queued', label: 'Queued' },
+  { value: 'held', label: 'Waiting for digest' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'skipped', label: 'Skipped' },
+];
+
+const PAGE_SIZE = 20;
+
+/** Every message sent (or not) to parents, newest first, with retry for failures. */
+export default function NotificationLog() {
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [log, setLog] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLog(await notificationsAPI.getLog({ status: status || undefined, page, limit: PAGE_SIZE }));
+        setError('');
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load the delivery log');
+      }
+    };
+    load();
+  }, [status, page, refreshKey]);
+
+  const retry = async (id) => {
+    try {
+      await notificationsAPI.retry(id);
+      setRefreshKey(k => k + 1);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to retry the message');
+    }
+  };
+
+  return (
+    <div style={{ marginTop: '24px', paddingTop: '20px', borderTop: '1px solid #F3F4F6' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+        <h4 style={{ margin: 0, fontWeight: 800, color: '#111827', fontSize: '0.95rem' }}>Delivery Log</h4>
+        <button type="button" onClick={() => setRefreshKey(k => k + 1)} title="Refresh" style={{ background: 'none', border: 'none', color: '#6B7280', cursor: 'pointer', display: 'flex' }}>
+          <span className="material-symbols-outlined" style={{ fontSize: '18px' }}>refresh</span>
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginBottom: '10px' }}>
+        {FILTERS.map(f => (
+          <button key={f.value} type="button" onClick={() => { setStatus(f.value); setPage(1); }} style={{
+            background: status === f.value ? '#111827' : 'white', color: status === f.value ? 'white' : '#374151',
+            border: '1px solid #E5E7EB', borderRadius: '20px', padding: '4px 12px', fontSize: '0.75rem', fontWeight: 700, cursor: 'pointer',
+          }}>
+            {f.label}{f.value && log?.counts?.[f.value] ? ` (${log.counts[f.value]})` : ''}
+          </button>
+        ))}
+      </div>
+
+      {error && <p style={{ color: '#b91d20', fontSize: '0.8125rem' }}>{error}</p>}
+      {!log && !error && <p style={{ color: '#9CA3AF', fontSize: '0.8125rem' }}>Loading...</p>}
+
+      {log && (
+        <>
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  <th style={th}>When</th>
+                  <th style={th}>Student</th>
+                  <th style={th}>Message</th>
+                  <th style={th}>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {log.notifications.map(n => (
+                  <tr key={n._id}>
+                    <td style={{ ...td, whiteSpace: 'nowrap' }}>
+                      {new Date(n.sentAt || n.createdAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                      <div style={{ fontSize: '0.7rem', color: '#9CA3AF' }}>{n.kind === 'digest' ? 'Digest' : 'Absence'} · {n.channel === 'whatsapp' ? 'WhatsApp' : 'SMS'}</div>
+                    </td>
+                    <td style={td}>
+                      <div style={{ fontWeight: 600, color: '#111827' }}>{n.student?.name || 'Deleted student'}</div>
+                      <div style={{ fontSize: '0.7rem', color: '#9CA3AF' }}>{n.to || 'No number'}</div>
+                    </td>
+                    <td style={{ ...td, maxWidth: '260px' }}>
+                      {n.text || <span style={{ color: '#9CA3AF' }}>{n.subject ? `${n.subject} on ${n.day}` : '—'}</span>}
+                      {n.error && <div style={{ fontSize: '0.75rem', color: n.status === 'failed' ? '#b91d20' : '#9CA3AF', marginTop: '2px' }}>{n.error}</div>}
+                    </td>
+                    <td style={td}>
+                      <span style={{ ...STATUS_STYLES[n.status], fontSize: '0.6875rem', fontWeight: 700, padding: '2px 8px', borderRadius: '10px', textTransform: 'uppercase' }}>{n.status}</span>
+                      {n.status === 'failed' && (
+                        <button type="button" onClick={() => retry(n._id)} style={{ display: 'block', marginTop: '6px', background: 'none', border: 'none', padding: 0, color: '#b91d20', fontWeight: 700, fontSize: '0.75rem', cursor: 'pointer' }}>
+                          Retry
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+                {log.notifications.length === 0 && (
+                  <tr><td colSpan={4} style={{ ...td, textAlign: 'center', color: '#9CA3AF' }}>No messages yet.</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {log.pages > 1 && (
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '10px', fontSize: '0.8125rem', color: '#6B7280' }}>
+              <button type="button" disabled={page <= 1} onClick={() => setPage(p => p - 1)} style={{ background: 'none', border: 'none', color: '#374151', fontWeight: 700, cursor: 'pointer', opacity: page <= 1 ? 0.4 : 1 }}>← Newer</button>
+              Page {log.page} of {log.pages}
+              <button type="button" disabled={page >= log.pages} onClick={() => setPage(p => p + 1)} style={{ background: 'none', border: 'none', color: '#374151', fontWeight: 700, cursor: 'pointer', opacity: page >= log.pages ? 0.4 : 1 }}>Older →</button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
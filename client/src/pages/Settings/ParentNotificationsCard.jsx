@@ -0,0 +1,171 @@
+import { useState, useEffect } from 'react';
+import { notificationsAPI } from '../../services/api';
+import Alert from '../../components/ui/Alert';
+import NotificationLog from './NotificationLog';
+
+const RED = '#b91d20';
+const card = { background: 'white', borderRadius: '16px', border: '1px solid #EBEBEB', boxShadow: '0 4px 16px rgba(0,0,0,0.06)', padding: '24px' };
+const label = { fontSize: '0.75rem', fontWeight: 700, color: '#9CA3AF', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: '6px' };
+const input = { width: '100%', background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#111827', fontSize: '0.9rem', borderRadius: '8px', padding: '10px 14px', outline: 'none', fontFamily: 'inherit', boxSizing: 'border-box' };
+const primaryBtn = { background: RED, color: 'white', border: 'none', borderRadius: '8px', padding: '10px 18px', fontWeight: 700, fontSize: '0.8125rem', cursor: 'pointer' };
+
+const apiError = (err, fallback) => err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback;
+
+const LANGUAGES = [{ value: 'en', label: 'English' }, { value: 'hi', label: 'हिन्दी' }];
+
+// What the preview fills the placeholders with
+const SAMPLE = {
+  en: { student: 'Asha Kumari', class: 'Maths', date: '12 Mar 2026', time: '10:00', count: 2, classes: 'Maths (10:00), English (11:30)', organisation: 'Your centre' },
+  hi: { student: 'आशा कुमारी', class: 'गणित', date: '12 मार्च 2026', time: '10:00', count: 2, classes: 'गणित (10:00), अंग्रेज़ी (11:30)', organisation: 'आपका केंद्र' },
+};
+
+const fill = (template, values) => template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+
+/**
+ * Admin settings for messaging parents when their child is absent: channel,
+ * per-session or daily digest delivery, English and Hindi wording, and the
+ * delivery log.
+ */
+export default function ParentNotificationsCard() {
+  const [form, setForm] = useState(null);
+  const [defaults, setDefaults] = useState(null);
+  const [fields, setFields] = useState({});
+  const [language, setLanguage] = useState('en');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await notificationsAPI.getSettings();
+        setForm(res.settings);
+        setDefaults(res.defaults);
+        setFields(res.fields);
+      } catch (err) {
+        setError(apiError(err, 'Failed to load notification settings'));
+      }
+    };
+    load();
+  }, []);
+
+  const set = (field, value) => setForm(f => ({ ...f, [field]: value }));
+  const setTemplate = (kind, value) => setForm(f => ({
+    ...f,
+    templates: { ...f.templates, [kind]: { ...f.templates[kind], [language]: value } },
+  }));
+
+  const save = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError('');
+    setSuccess('');
+    try {
+      const { enabled, channel, mode, digestTime, timezone, templates } = form;
+      const res = await notificationsAPI.updateSettings({ enabled, channel, mode, digestTime, timezone, templates });
+      setForm(res.settings);
+      setSuccess(res.message);
+    } catch (err) {
+      setError(apiError(err, 'Failed to save notification settings'));
+    }
+    setIsSaving(false);
+  };
+
+  const templateField = (kind, title) => {
+    const text = form.templates[kind][language];
+    return (
+      <div>
+        <div style={label}>{title}</div>
+        <textarea
+          rows={3}
+          value={text}
+          onChange={(e) => setTemplate(kind, e.target.value)}
+          placeholder={defaults[kind][language]}
+          maxLength={480}
+          style={{ ...input, resize: 'vertical' }}
+        />
+        <div style={{ fontSize: '0.75rem', color: '#9CA3AF', marginTop: '4px' }}>
+          Placeholders: {(fields[kind] || []).map(f => `{${f}}`).join(' ')}. Leave blank to use the default.
+        </div>
+        <div style={{ fontSize: '0.8125rem', color: '#374151', background: '#F9FAFB', border: '1px dashed #E5E7EB', borderRadius: '8px', padding: '8px 12px', marginTop: '6px' }}>
+          {fill(text || defaults[kind][language], SAMPLE[language])}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ ...card, maxWidth: '720px' }}>
+      <h3 style={{ margin: '0 0 4px', fontWeight: 800, color: '#111827', fontSize: '1.1rem' }}>Parent Notifications</h3>
+      <p style={{ margin: '0 0 16px', fontSize: '0.8125rem', color: '#6B7280' }}>
+        Message parents when their child is marked absent. Parents without a phone number, or who have opted out, are skipped.
+      </p>
+
+      {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+      {success && <Alert type="success" message={success} onClose={() => setSuccess('')} />}
+
+      {form && defaults && (
+        <form onSubmit={save} style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '10px', fontWeight: 700, color: '#111827', fontSize: '0.9rem', cursor: 'pointer' }}>
+            <input type="checkbox" checked={form.enabled} onChange={(e) => set('enabled', e.target.checked)} style={{ accentColor: RED, width: '16px', height: '16px' }} />
+            Send absence messages to parents
+          </label>
+
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
+            <div>
+              <div style={label}>Send by</div>
+              <select value={form.channel} onChange={(e) => set('channel', e.target.value)} style={input}>
+                <option value="sms">SMS</option>
+                <option value="whatsapp">WhatsApp</option>
+              </select>
+            </div>
+            <div>
+              <div style={label}>When</div>
+              <select value={form.mode} onChange={(e) => set('mode', e.target.value)} style={input}>
+                <option value="immediate">As soon as attendance is taken</option>
+                <option value="digest">Once a day (digest)</option>
+              </select>
+            </div>
+          </div>
+
+          {form.mode === 'digest' && (
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
+              <div>
+                <div style={label}>Digest time</div>
+                <input type="time" value={form.digestTime} onChange={(e) => set('digestTime', e.target.value)} required style={input} />
+              </div>
+              <div>
+                <div style={label}>Timezone</div>
+                <input type="text" value={form.timezone} onChange={(e) => set('timezone', e.target.value)} placeholder="Asia/Kolkata" required style={input} />
+              </div>
+            </div>
+          )}
+
+          <div>
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '12px' }}>
+              {LANGUAGES.map(l => (
+                <button key={l.value} type="button" onClick={() => setLanguage(l.value)} style={{
+                  background: language === l.value ? '#111827' : 'white', color: language === l.value ? 'white' : '#374151',
+                  border: '1px solid #E5E7EB', borderRadius: '20px', padding: '4px 14px', fontSize: '0.8125rem', fontWeight: 700, cursor: 'pointer',
+                }}>
+                  {l.label}
+                </button>
+              ))}
+            </div>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+              {form.mode === 'digest' ? templateField('digest', 'Daily digest message') : templateField('absence', 'Absence message')}
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
+            <button type="submit" disabled={isSaving} style={{ ...primaryBtn, opacity: isSaving ? 0.7 : 1 }}>
+              {isSaving ? 'Saving...' : 'Save Notifications'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <NotificationLog />
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react';
+import { settingsAPI } from '../../services/api';
+import Alert from '../../components/ui/Alert';
+import { ListPageSkeleton } from '../../components/ui/Skeleton';
+import ParentNotificationsCard from './ParentNotificationsCard';
+
+const RED = '#b91d20';
+const card = { background: 'white', borderRadius: '16px', border: '1px solid #EBEBEB', boxShadow: '0 4px 16px rgba(0,0,0,0.06)', padding: '24px' };
+const label = { fontSize: '0.75rem', fontWeight: 700, color: '#9CA3AF', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: '6px' };
+const input = { width: '100%', background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#111827', fontSize: '0.9rem', borderRadius: '8px', padding: '10px 14px', outline: 'none', fontFamily: 'inherit', boxSizing: 'border-box' };
+const primaryBtn = { background: RED, color: 'white', border: 'none', borderRadius: '8px', padding: '10px 18px', fontWeight: 700, fontSize: '0.8125rem', cursor: 'pointer' };
+
+const apiError = (err, fallback) => err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback;
+
+const MODES = [
+  { value: 'invite', title: 'Invite only', description: 'Nobody can sign up. Admins invite everyone from the Volunteers page or their organisation card.' },
+  { value: 'domain', title: 'Approved email domains', description: 'Anyone with an email at one of the domains below can sign up and joins your organisation.' },
+];
+
+// One domain per line or comma; a leading @ is fine
+const parseDomains = (text) => text.split(/[\s,]+/).map((d) => d.trim().replace(/^@/, '').toLowerCase()).filter(Boolean);
+
+/**
+ * Settings for admins: who may sign up (only the organisation that manages the
+ * installation can change that) and the organisation's messages to parents.
+ */
+export default function SettingsPage() {
+  const [policy, setPolicy] = useState(null);
+  const [mode, setMode] = useState('invite');
+  const [domains, setDomains] = useState('');
+  const [role, setRole] = useState('volunteer');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await settingsAPI.getRegistration();
+        if (res.success) {
+          setPolicy(res.registration);
+          setMode(res.registration.mode);
+          setDomains(res.registration.allowedDomains.join('\n'));
+          setRole(res.registration.role);
+        }
+      } catch (err) {
+        console.error('[SETTINGS] Load error:', err);
+        setError(apiError(err, 'Failed to load settings'));
+      }
+      setIsLoading(false);
+    };
+    load();
+  }, []);
+
+  const save = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError('');
+    setSuccess('');
+    try {
+      const res = await settingsAPI.updateRegistration({ mode, allowedDomains: parseDomains(domains), role });
+      if (res.success) {
+        setPolicy(res.registration);
+        setDomains(res.registration.allowedDomains.join('\n'));
+        setSuccess(res.message);
+      }
+    } catch (err) {
+      setError(apiError(err, 'Failed to save settings'));
+    }
+    setIsSaving(false);
+  };
+
+  if (isLoading) return <ListPageSkeleton />;
+
+  return (
+    <div>
+      {/* Header */}
+      <div style={{ marginBottom: '28px', paddingBottom: '20px', borderBottom: '1px solid #E5E7EB' }}>
+        <h1 style={{ fontSize: '2.25rem', fontWeight: 800, color: '#111827', marginBottom: '8px', letterSpacing: '-0.02em' }}>Settings</h1>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <div style={{ width: '32px', height: '2px', background: RED }} />
+          <p style={{ color: '#6B7280', fontWeight: 500, margin: 0 }}>Control who can create an account and what parents hear from you</p>
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '24px' }}>
+        <div style={{ ...card, maxWidth: '720px' }}>
+          <h3 style={{ margin: '0 0 4px', fontWeight: 800, color: '#111827', fontSize: '1.1rem' }}>Registration</h3>
+          <p style={{ margin: '0 0 16px', fontSize: '0.8125rem', color: '#6B7280' }}>
+            Applies to the sign-up form on the login page. Invites always work.
+            {policy?.organisation && ` Managed by ${policy.organisation.name}.`}
+          </p>
+
+          {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+          {success && <Alert type="success" message={success} onClose={() => setSuccess('')} />}
+
+          {policy && (
+            <form onSubmit={save} style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+              {MODES.map((m) => (
+                <label key={m.value} style={{ display: 'flex', gap: '12px', alignItems: 'flex-start', padding: '14px', borderRadius: '10px', cursor: 'pointer', border: `1px solid ${mode === m.value ? RED : '#E5E7EB'}`, background: mode === m.value ? '#FEF2F2' : 'white' }}>
+                  <input type="radio" name="mode" value={m.value} checked={mode === m.value} onChange={() => setMode(m.value)} style={{ marginTop: '3px', accentColor: RED }} />
+                  <div>
+                    <div style={{ fontWeight: 700, color: '#111827', fontSize: '0.9rem' }}>{m.title}</div>
+                    <div style={{ fontSize: '0.8125rem', color: '#6B7280' }}>{m.description}</div>
+                  </div>
+                </label>
+              ))}
+
+              {mode === 'domain' && (
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 200px', gap: '16px', marginTop: '4px' }}>
+                  <div>
+                    <div style={label}>Allowed domains</div>
+                    <textarea value={domains} onChange={(e) => setDomains(e.target.value)} rows={4} placeholder={'renovatio.org\nschool.edu'} required style={{ ...input, resize: 'vertical' }} />
+                  </div>
+                  <div>
+                    <div style={label}>Join as</div>
+                    <select value={role} onChange={(e) => setRole(e.target.value)} style={input}>
+                      <option value="volunteer">Volunteer</option>
+                      <option value="coordinator">Coordinator</option>
+                      <option value="admin">Admin</option>
+                    </select>
+                  </div>
+                </div>
+              )}
+
+              <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
+                <button type="submit" disabled={isSaving} style={{ ...primaryBtn, opacity: isSaving ? 0.7 : 1 }}>
+                  {isSaving ? 'Saving...' : 'Save Settings'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+
+        <ParentNotificationsCard />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { studentsAPI } from '../../services/api';
+import Modal from '../../components/ui/Modal';
+import Alert from '../../components/ui/Alert';
+
+const ROW_STATUS = {
+  ok: { label: 'Ready', color: '#16A34A', bg: '#F0FDF4' },
+  duplicate: { label: 'Duplicate', color: '#D97706', bg: '#FFFBEB' },
+  error: { label: 'Error', color: '#b91d20', bg: '#FEF2F2' },
+};
+
+const btn = { flex: 1, borderRadius: '8px', padding: '10px', fontWeight: 700, cursor: 'pointer' };
+const secondaryBtn = { ...btn, background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151' };
+const primaryBtn = { ...btn, background: '#b91d20', color: 'white', border: 'none' };
+
+// Three-step import: pick a file, preview (dry run) with per-row errors, then commit
+export default function ImportStudentsModal({ isOpen, onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  const reset = () => {
+    setFile(null);
+    setPreview(null);
+    setResult(null);
+    setError('');
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const run = async (dryRun) => {
+    setError('');
+    setIsWorking(true);
+    try {
+      const res = await studentsAPI.import(file, dryRun);
+      if (dryRun) {
+        setPreview(res);
+      } else {
+        setResult(res);
+        onImported(res);
+      }
+    } catch (e) {
+      setError(e.response?.data?.message || 'Import failed.');
+    }
+    setIsWorking(false);
+  };
+
+  const shown = result || preview;
+  const step = result ? 'done' : preview ? 'preview' : 'upload';
+
+  let footer;
+  if (step === 'upload') {
+    footer = (
+      <>
+        <button onClick={handleClose} style={secondaryBtn}>Cancel</button>
+        <button onClick={() => run(true)} disabled={!file || isWorking} style={{ ...primaryBtn, opacity: !file || isWorking ? 0.7 : 1 }}>
+          {isWorking ? 'Checking...' : 'Preview'}
+        </button>
+      </>
+    );
+  } else if (step === 'preview') {
+    footer = (
+      <>
+        <button onClick={reset} disabled={isWorking} style={secondaryBtn}>Choose Another File</button>
+        <button onClick={() => run(false)} disabled={isWorking || preview.summary.valid === 0} style={{ ...primaryBtn, opacity: isWorking || preview.summary.valid === 0 ? 0.7 : 1 }}>
+          {isWorking ? 'Importing...' : `Import ${preview.summary.valid} Students`}
+        </button>
+      </>
+    );
+  } else {
+    footer = <button onClick={handleClose} style={primaryBtn}>Done</button>;
+  }
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      size="lg"
+      title={<span style={{ fontWeight: 800, fontSize: '1.25rem', color: '#111827' }}>Import Students</span>}
+      footer={<div style={{ display: 'flex', gap: '12px', width: '100%' }}>{footer}</div>}
+    >
+      {error && <Alert type="error" message={error} />}
+
+      {step === 'upload' && (
+        <div>
+          <p style={{ fontSize: '0.875rem', color: '#6B7280', marginTop: 0, lineHeight: 1.6 }}>
+            Upload a <strong>.csv</strong> or <strong>.xlsx</strong> file with a header row. Recognised columns: <code>name</code>, <code>rollNo</code>, <code>section</code>, <code>phone</code>, <code>parentPhone</code>, <code>notes</code>. Nothing is saved until you confirm the preview.
+          </p>
+          <input type="file" accept=".csv,.xlsx" onChange={e => { setFile(e.target.files[0] || null); setError(''); }} style={{ fontSize: '0.875rem' }} />
+        </div>
+      )}
+
+      {shown && (
+        <div>
+          {step === 'done' && <Alert type="success" message={result.message} />}
+          <div style={{ display: 'flex', gap: '10px', marginBottom: '16px' }}>
+            {[
+              { label: 'Rows', value: shown.summary.total, color: '#111827', bg: '#F3F4F6' },
+              { label: step === 'done' ? 'Imported' : 'Ready', value: step === 'done' ? shown.summary.created : shown.summary.valid, color: ROW_STATUS.ok.color, bg: ROW_STATUS.ok.bg },
+              { label: 'Duplicates', value: shown.summary.duplicates, color: ROW_STATUS.duplicate.color, bg: ROW_STATUS.duplicate.bg },
+              { label: 'Errors', value: shown.summary.errors, color: ROW_STATUS.error.color, bg: ROW_STATUS.error.bg },
+            ].map(s => (
+              <div key={s.label} style={{ flex: 1, background: s.bg, borderRadius: '10px', padding: '10px 8px', textAlign: 'center' }}>
+                <div style={{ fontSize: '1.25rem', fontWeight: 800, color: s.color, lineHeight: 1 }}>{s.value}</div>
+                <div style={{ fontSize: '0.6875rem', color: '#9CA3AF', fontWeight: 600, marginTop: '2px' }}>{s.label}</div>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ maxHeight: '340px', overflowY: 'auto', border: '1px solid #F3F4F6', borderRadius: '10px' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem' }}>
+              <thead>
+                <tr style={{ background: '#FAFAFA', textAlign: 'left', color: '#6B7280' }}>
+                  {['Row', 'Name', 'Roll', 'Section', 'Status'].map(h => (
+                    <th key={h} style={{ padding: '8px 10px', fontWeight: 700, position: 'sticky', top: 0, background: '#FAFAFA' }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {shown.rows.map(r => {
+                  const meta = ROW_STATUS[r.status];
+                  return (
+                    <tr key={r.row} style={{ borderTop: '1px solid #F3F4F6', background: r.status === 'ok' ? 'white' : meta.bg }}>
+                      <td style={{ padding: '6px 10px', color: '#9CA3AF' }}>{r.row}</td>
+                      <td style={{ padding: '6px 10px', fontWeight: 600, color: '#111827' }}>{r.data.name || '—'}</td>
+                      <td style={{ padding: '6px 10px' }}>{r.data.rollNo || '—'}</td>
+                      <td style={{ padding: '6px 10px' }}>{r.data.section}</td>
+                      <td style={{ padding: '6px 10px' }}>
+                        <span style={{ fontWeight: 700, color: meta.color }}>{meta.label}</span>
+                        {r.errors.length > 0 && <div style={{ color: '#6B7280', marginTop: '2px' }}>{r.errors.join('; ')}</div>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
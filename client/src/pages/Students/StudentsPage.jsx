@@ -2,8 +2,11 @@ import { useState, useEffect } from 'react';
 import { studentsAPI } from '../../services/api';
 import Modal from '../../components/ui/Modal';
 import Alert from '../../components/ui/Alert';
+import ImportStudentsModal from './ImportStudentsModal';
+import ExportButtons from '../../components/ui/ExportButtons';
 import { GridPageSkeleton } from '../../components/ui/Skeleton';
 import { useAuth } from '../../context/AuthContext';
+import { getStatusMeta } from '../../utils/attendanceStatus';
 
 const card = { background: 'white', borderRadius: '16px', border: '1px solid #EBEBEB', boxShadow: '0 4px 16px rgba(0,0,0,0.06), 0 1px 4px rgba(0,0,0,0.04)' };
 const inputStyle = { width: '100%', background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#111827', fontSize: '0.875rem', borderRadius: '8px', padding: '10px 14px', outline: 'none', fontFamily: 'inherit', boxSizing: 'border-box' };
@@ -26,7 +29,7 @@ function AttendanceBar({ label, value, max, color }) {
 }
 
 // Student detail panel
-function StudentDetail({ student, onClose }) {
+function StudentDetail({ student, onClose, canManage, onEdit, onArchiveToggle, onDelete }) {
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
 
@@ -42,6 +45,7 @@ function StudentDetail({ student, onClose }) {
     load();
   }, [student._id]);
 
+  // Server weights late / left-early and leaves excused sessions out of totalClasses
   const attendancePct = stats && stats.totalClasses > 0 ? Math.round((stats.attended / stats.totalClasses) * 100) : 0;
   const statusColor = attendancePct >= 75 ? '#16A34A' : attendancePct >= 50 ? '#D97706' : '#b91d20';
 
@@ -54,7 +58,7 @@ function StudentDetail({ student, onClose }) {
         </div>
         <div style={{ flex: 1, minWidth: 0 }}>
           <div style={{ fontWeight: 800, fontSize: '1.1rem', color: 'white', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{student.name}</div>
-          <div style={{ fontSize: '0.8rem', color: 'rgba(255,255,255,0.8)' }}>Roll #{student.rollNo} · {student.section}</div>
+          <div style={{ fontSize: '0.8rem', color: 'rgba(255,255,255,0.8)' }}>Roll #{student.rollNo} · {student.section}{student.archived ? ' · Archived' : ''}</div>
         </div>
         <button onClick={onClose} style={{ background: 'rgba(255,255,255,0.15)', border: 'none', color: 'white', width: '32px', height: '32px', borderRadius: '8px', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', flexShrink: 0 }}>
           <span className="material-symbols-outlined" style={{ fontSize: '18px' }}>close</span>
@@ -90,6 +94,7 @@ function StudentDetail({ student, onClose }) {
                 <div style={{ fontSize: '0.6875rem', fontWeight: 700, color: '#9CA3AF', textTransform: 'uppercase', letterSpacing: '0.08em', marginBottom: '10px' }}>Contact</div>
                 {student.phone && <div style={{ fontSize: '0.8125rem', color: '#374151', marginBottom: '4px' }}>📱 {student.phone}</div>}
                 {student.parentPhone && <div style={{ fontSize: '0.8125rem', color: '#374151' }}>👨‍👩‍👦 Parent: {student.parentPhone}</div>}
+                {student.parentOptOut && <div style={{ fontSize: '0.75rem', color: '#9CA3AF', marginTop: '4px' }}>Parent opted out of absence messages</div>}
               </div>
             )}
 
@@ -107,20 +112,40 @@ function StudentDetail({ student, onClose }) {
                 <div style={{ fontSize: '0.6875rem', fontWeight: 700, color: '#9CA3AF', textTransform: 'uppercase', letterSpacing: '0.08em', marginBottom: '10px' }}>Recent Classes</div>
                 <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', maxHeight: '200px', overflowY: 'auto' }}>
                   {stats.records.slice(0, 10).map((r, i) => (
-                    <div key={i} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', padding: '8px 10px', background: r.status === 'present' ? '#F0FDF4' : '#FEF2F2', borderRadius: '8px', gap: '8px' }}>
+                    <div key={i} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', padding: '8px 10px', background: getStatusMeta(r.status).bg, borderRadius: '8px', gap: '8px' }}>
                       <div style={{ minWidth: 0, flex: 1 }}>
                         <div style={{ fontSize: '0.75rem', fontWeight: 700, color: '#374151', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{r.subject}</div>
                         <div style={{ fontSize: '0.625rem', color: '#9CA3AF' }}>{new Date(r.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} · by {r.takenBy}</div>
+                        {r.reason && <div style={{ fontSize: '0.625rem', color: '#1D4ED8', marginTop: '2px' }}>Excused: {r.reason}</div>}
                         {r.note && <div style={{ fontSize: '0.625rem', color: '#6B7280', marginTop: '2px', fontStyle: 'italic' }}>📝 {r.note}</div>}
                       </div>
-                      <span style={{ flexShrink: 0, fontSize: '0.625rem', fontWeight: 700, padding: '2px 8px', borderRadius: '6px', background: r.status === 'present' ? '#BBF7D0' : '#FEE2E2', color: r.status === 'present' ? '#15803D' : '#b91d20' }}>
-                        {r.status}
+                      <span style={{ flexShrink: 0, fontSize: '0.625rem', fontWeight: 700, padding: '2px 8px', borderRadius: '6px', background: 'white', border: `1px solid ${getStatusMeta(r.status).border}`, color: getStatusMeta(r.status).color }}>
+                        {getStatusMeta(r.status).label}
                       </span>
                     </div>
                   ))}
                 </div>
               </div>
             )}
+
+            {/* Export */}
+            {canManage && stats.records.length > 0 && (
+              <div style={{ marginTop: '20px', paddingTop: '16px', borderTop: '1px solid #F3F4F6' }}>
+                <div style={{ fontSize: '0.6875rem', fontWeight: 700, color: '#9CA3AF', textTransform: 'uppercase', letterSpacing: '0.08em', marginBottom: '10px' }}>Export Register</div>
+                <ExportButtons params={{ studentId: student._id }} />
+              </div>
+            )}
+
+            {/* Manage */}
+            {canManage && (
+              <div style={{ display: 'flex', gap: '8px', marginTop: '20px', paddingTop: '16px', borderTop: '1px solid #F3F4F6' }}>
+                <button onClick={() => onEdit(student)} style={{ flex: 1, background: 'white', color: '#374151', border: '1px solid #E5E7EB', borderRadius: '8px', padding: '8px', fontSize: '0.8rem', fontWeight: 700, cursor: 'pointer' }}>Edit</button>
+                <button onClick={() => onArchiveToggle(student)} style={{ flex: 1, background: student.archived ? '#F0FDF4' : 'white', color: student.archived ? '#16A34A' : '#6B7280', border: `1px solid ${student.archived ? '#BBF7D0' : '#E5E7EB'}`, borderRadius: '8px', padding: '8px', fontSize: '0.8rem', fontWeight: 700, cursor: 'pointer' }}>
+                  {student.archived ? 'Restore' : 'Archive'}
+                </button>
+                {onDelete && <button onClick={() => onDelete(student)} disabled={stats.records.length > 0} title={stats.records.length > 0 ? 'Students with attendance can only be archived' : undefined} style={{ flex: 1, background: 'white', color: '#b91d20', border: '1px solid #FEE2E2', borderRadius: '8px', padding: '8px', fontSize: '0.8rem', fontWeight: 700, cursor: stats.records.length > 0 ? 'not-allowed' : 'pointer', opacity: stats.records.length > 0 ? 0.5 : 1 }}>Delete</button>}
+              </div>
+            )}
           </>
         )}
       </div>
@@ -128,10 +153,13 @@ function StudentDetail({ student, onClose }) {
   );
 }
 
+const emptyForm = { name: '', rollNo: '', section: '', phone: '', parentPhone: '', parentLanguage: 'en', parentOptOut: false, notes: '' };
+
 export default function StudentsPage() {
   const { user, teacher } = useAuth();
   const currentUser = user || teacher;
   const isVolunteer = currentUser?.role === 'volunteer';
+  const isAdmin = currentUser?.role === 'admin';
 
   const [students, setStudents] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -143,34 +171,96 @@ export default function StudentsPage() {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [formError, setFormError] = useState('');
-  const [formData, setFormData] = useState({ name: '', rollNo: '', section: '', phone: '', parentPhone: '', notes: '' });
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingStudentId, setEditingStudentId] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
 
   useEffect(() => { loadStudents(); }, []);
 
-  const loadStudents = async () => {
+  const loadStudents = async (includeArchived = false) => {
     setIsLoading(true);
     try {
-      const res = await studentsAPI.getAll();
+      const res = await studentsAPI.getAll(includeArchived);
       setStudents(res.students || []);
     } catch (e) { setError('Failed to load students.'); }
     setIsLoading(false);
   };
 
+  const flashSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  const openAddModal = () => {
+    setFormData(emptyForm);
+    setEditingStudentId(null);
+    setFormError('');
+    setIsModalOpen(true);
+  };
+
+  const openEditModal = (student) => {
+    setFormData({
+      name: student.name,
+      rollNo: student.rollNo,
+      section: student.section,
+      phone: student.phone || '',
+      parentPhone: student.parentPhone || '',
+      parentLanguage: student.parentLanguage || 'en',
+      parentOptOut: Boolean(student.parentOptOut),
+      notes: student.notes || '',
+    });
+    setEditingStudentId(student._id);
+    setFormError('');
+    setIsModalOpen(true);
+  };
+
+  const handleArchiveToggle = async (student) => {
+    if (!student.archived && !window.confirm(`Archive ${student.name}? Their attendance history is kept.`)) return;
+    try {
+      const res = await studentsAPI.setArchived(student._id, !student.archived);
+      if (res.success) {
+        flashSuccess(res.message);
+        setSelected(showArchived ? res.student : null);
+        loadStudents(showArchived);
+      }
+    } catch (e) {
+      setError(e.response?.data?.message || 'Failed to update student.');
+    }
+  };
+
+  const handleDelete = async (student) => {
+    if (!window.confirm(`Delete ${student.name} permanently?`)) return;
+    try {
+      const res = await studentsAPI.remove(student._id);
+      if (res.success) {
+        flashSuccess('Student deleted.');
+        setSelected(null);
+        loadStudents(showArchived);
+      }
+    } catch (e) {
+      setError(e.response?.data?.message || 'Failed to delete student.');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setFormError('');
     setIsSubmitting(true);
     try {
-      const res = await studentsAPI.create(formData);
+      const res = editingStudentId
+        ? await studentsAPI.update(editingStudentId, formData)
+        : await studentsAPI.create(formData);
       if (res.success) {
-        setSuccess('Student added successfully!');
+        flashSuccess(editingStudentId ? 'Student updated successfully!' : 'Student added successfully!');
         setIsModalOpen(false);
-        setFormData({ name: '', rollNo: '', section: '', phone: '', parentPhone: '', notes: '' });
-        loadStudents();
-        setTimeout(() => setSuccess(''), 3000);
+        setFormData(emptyForm);
+        if (editingStudentId) setSelected(res.student);
+        setEditingStudentId(null);
+        loadStudents(showArchived);
       }
     } catch (e) {
-      setFormError(e.response?.data?.message || 'Failed to add student.');
+      setFormError(e.response?.data?.message || `Failed to ${editingStudentId ? 'update' : 'add'} student.`);
     }
     setIsSubmitting(false);
   };
@@ -198,7 +288,7 @@ export default function StudentsPage() {
           <h1 style={{ fontSize: '2.25rem', fontWeight: 800, color: '#111827', marginBottom: '8px', letterSpacing: '-0.02em' }}>Students</h1>
           <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
             <div style={{ width: '32px', height: '2px', background: '#b91d20' }}></div>
-            <p style={{ color: '#6B7280', fontWeight: 500, margin: 0 }}>{students.length} students enrolled</p>
+            <p style={{ color: '#6B7280', fontWeight: 500, margin: 0 }}>{students.filter(s => !s.archived).length} students enrolled</p>
           </div>
         </div>
         <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap' }}>
@@ -214,7 +304,18 @@ export default function StudentsPage() {
           </select>
           <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Search name, roll, section..." style={{ ...inputStyle, width: '220px', boxSizing: 'border-box', padding: '8px 14px' }} />
           {!isVolunteer && (
-            <button onClick={() => setIsModalOpen(true)} style={{ display: 'flex', alignItems: 'center', gap: '8px', background: '#b91d20', color: 'white', border: 'none', borderRadius: '8px', padding: '10px 20px', fontWeight: 700, fontSize: '0.875rem', cursor: 'pointer', boxShadow: '0 2px 8px rgba(185,29,32,0.25)', whiteSpace: 'nowrap' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.8rem', fontWeight: 600, color: '#6B7280', cursor: 'pointer', whiteSpace: 'nowrap' }}>
+              <input type="checkbox" checked={showArchived} onChange={e => { setShowArchived(e.target.checked); loadStudents(e.target.checked); }} />
+              Show archived
+            </label>
+          )}
+          {!isVolunteer && (
+            <button onClick={() => setIsImportOpen(true)} style={{ display: 'flex', alignItems: 'center', gap: '8px', background: 'white', color: '#374151', border: '1px solid #E5E7EB', borderRadius: '8px', padding: '10px 16px', fontWeight: 700, fontSize: '0.875rem', cursor: 'pointer', whiteSpace: 'nowrap' }}>
+              <span className="material-symbols-outlined" style={{ fontSize: '18px' }}>upload_file</span> Import
+            </button>
+          )}
+          {!isVolunteer && (
+            <button onClick={openAddModal} style={{ display: 'flex', alignItems: 'center', gap: '8px', background: '#b91d20', color: 'white', border: 'none', borderRadius: '8px', padding: '10px 20px', fontWeight: 700, fontSize: '0.875rem', cursor: 'pointer', boxShadow: '0 2px 8px rgba(185,29,32,0.25)', whiteSpace: 'nowrap' }}>
               <span className="material-symbols-outlined" style={{ fontSize: '18px' }}>person_add</span> Add Student
             </button>
           )}
@@ -235,7 +336,7 @@ export default function StudentsPage() {
               <h2 style={{ fontWeight: 800, fontSize: '1.5rem', color: '#111827', marginBottom: '12px' }}>No students yet</h2>
               <p style={{ color: '#6B7280', marginBottom: '24px' }}>{isVolunteer ? 'Admin has not added any students yet.' : 'Start by adding your first student.'}</p>
               {!isVolunteer && (
-                <button onClick={() => setIsModalOpen(true)} style={{ background: '#b91d20', color: 'white', border: 'none', borderRadius: '8px', padding: '12px 28px', fontWeight: 700, cursor: 'pointer' }}>Add First Student</button>
+                <button onClick={openAddModal} style={{ background: '#b91d20', color: 'white', border: 'none', borderRadius: '8px', padding: '12px 28px', fontWeight: 700, cursor: 'pointer' }}>Add First Student</button>
               )}
             </div>
           ) : (
@@ -250,14 +351,14 @@ export default function StudentsPage() {
                   {filtered.filter(s => s.section === section).map(student => {
                     const isSelected = selected?._id === student._id;
                     return (
-                      <div key={student._id} onClick={() => setSelected(isSelected ? null : student)} style={{ ...card, padding: '16px', cursor: 'pointer', border: isSelected ? '2px solid #b91d20' : '1px solid #EBEBEB', boxShadow: isSelected ? '0 4px 20px rgba(185,29,32,0.12)' : '0 4px 16px rgba(0,0,0,0.06)', transition: 'all 150ms' }}>
+                      <div key={student._id} onClick={() => setSelected(isSelected ? null : student)} style={{ ...card, padding: '16px', cursor: 'pointer', border: isSelected ? '2px solid #b91d20' : '1px solid #EBEBEB', boxShadow: isSelected ? '0 4px 20px rgba(185,29,32,0.12)' : '0 4px 16px rgba(0,0,0,0.06)', transition: 'all 150ms', opacity: student.archived ? 0.6 : 1 }}>
                         <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
                           <div style={{ width: '40px', height: '40px', borderRadius: '50%', background: isSelected ? '#FEE2E2' : '#F3F4F6', display: 'flex', alignItems: 'center', justifyContent: 'center', fontWeight: 800, fontSize: '1rem', color: isSelected ? '#b91d20' : '#6B7280', flexShrink: 0 }}>
                             {student.name[0].toUpperCase()}
                           </div>
                           <div style={{ minWidth: 0 }}>
                             <div style={{ fontWeight: 700, fontSize: '0.9rem', color: '#111827', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{student.name}</div>
-                            <div style={{ fontSize: '0.75rem', color: '#9CA3AF', marginTop: '2px' }}>Roll #{student.rollNo}</div>
+                            <div style={{ fontSize: '0.75rem', color: '#9CA3AF', marginTop: '2px' }}>Roll #{student.rollNo}{student.archived ? ' · Archived' : ''}</div>
                           </div>
                           <span className="material-symbols-outlined" style={{ fontSize: '18px', color: isSelected ? '#b91d20' : '#D1D5DB', marginLeft: 'auto', flexShrink: 0 }}>
                             {isSelected ? 'expand_less' : 'chevron_right'}
@@ -273,19 +374,34 @@ export default function StudentsPage() {
         </div>
 
         {/* Detail panel */}
-        {selected && <StudentDetail student={selected} onClose={() => setSelected(null)} />}
+        {selected && (
+          <StudentDetail
+            student={selected}
+            onClose={() => setSelected(null)}
+            canManage={!isVolunteer}
+            onEdit={openEditModal}
+            onArchiveToggle={handleArchiveToggle}
+            onDelete={isAdmin ? handleDelete : undefined}
+          />
+        )}
       </div>
 
-      {/* Add Student Modal */}
+      <ImportStudentsModal
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        onImported={() => loadStudents(showArchived)}
+      />
+
+      {/* Add / Edit Student Modal */}
       <Modal
         isOpen={isModalOpen}
         onClose={() => setIsModalOpen(false)}
-        title={<span style={{ fontWeight: 800, fontSize: '1.25rem', color: '#111827' }}>Add New Student</span>}
+        title={<span style={{ fontWeight: 800, fontSize: '1.25rem', color: '#111827' }}>{editingStudentId ? 'Edit Student' : 'Add New Student'}</span>}
         footer={
           <div style={{ display: 'flex', gap: '12px', width: '100%' }}>
             <button onClick={() => setIsModalOpen(false)} style={{ flex: 1, background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151', borderRadius: '8px', padding: '10px', fontWeight: 700, cursor: 'pointer' }}>Cancel</button>
             <button onClick={handleSubmit} disabled={isSubmitting} style={{ flex: 1, background: '#b91d20', color: 'white', border: 'none', borderRadius: '8px', padding: '10px', fontWeight: 700, cursor: 'pointer', opacity: isSubmitting ? 0.7 : 1 }}>
-              {isSubmitting ? 'Adding...' : 'Add Student'}
+              {isSubmitting ? 'Saving...' : editingStudentId ? 'Save Changes' : 'Add Student'}
             </button>
           </div>
         }
@@ -331,6 +447,19 @@ export default function StudentsPage() {
               <input type="tel" style={inputStyle} value={formData.parentPhone} onChange={e => setFormData(p => ({ ...p, parentPhone: e.target.value }))} placeholder="+91 9999999999" />
             </div>
           </div>
+          <div style={{ display: 'flex', gap: '14px', alignItems: 'flex-end', marginBottom: '16px' }}>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>Parent Message Language</label>
+              <select style={inputStyle} value={formData.parentLanguage} onChange={e => setFormData(p => ({ ...p, parentLanguage: e.target.value }))}>
+                <option value="en">English</option>
+                <option value="hi">हिन्दी (Hindi)</option>
+              </select>
+            </div>
+            <label style={{ flex: 1, display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.8125rem', fontWeight: 600, color: '#374151', cursor: 'pointer', paddingBottom: '10px' }}>
+              <input type="checkbox" checked={formData.parentOptOut} onChange={e => setFormData(p => ({ ...p, parentOptOut: e.target.checked }))} style={{ accentColor: '#b91d20' }} />
+              Don't message the parent
+            </label>
+          </div>
           <div style={{ marginBottom: '4px' }}>
             <label style={labelStyle}>Admin Notes</label>
             <textarea rows={2} style={{ ...inputStyle, resize: 'vertical' }} value={formData.notes} onChange={e => setFormData(p => ({ ...p, notes: e.target.value }))} placeholder="Optional notes about this student..." />
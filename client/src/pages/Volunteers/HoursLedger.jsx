@@ -0,0 +1,163 @@
+import { useState, useEffect } from 'react';
+import { hoursAPI } from '../../services/api';
+import { downloadBlob, formatTime } from '../../utils/helpers';
+import Alert from '../../components/ui/Alert';
+
+const RED = '#b91d20';
+const label = { fontSize: '0.6875rem', fontWeight: 700, color: '#9CA3AF', textTransform: 'uppercase', letterSpacing: '0.08em' };
+const input = { background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#111827', fontSize: '0.8125rem', borderRadius: '8px', padding: '7px 10px', outline: 'none', fontFamily: 'inherit', boxSizing: 'border-box' };
+const secondaryBtn = { background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151', borderRadius: '8px', padding: '7px 12px', fontWeight: 700, fontSize: '0.8125rem', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '6px' };
+const primaryBtn = { background: RED, color: 'white', border: 'none', borderRadius: '8px', padding: '7px 14px', fontWeight: 700, fontSize: '0.8125rem', cursor: 'pointer' };
+
+const apiError = (err, fallback) => err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback;
+const today = () => new Date().toISOString().split('T')[0];
+const SHOWN = 6;
+
+/**
+ * Service-hours ledger with totals and a PDF certificate download. Pass
+ * `volunteerId` for a staff view of someone else; without it, shows your own.
+ * `canAdjust` adds the admin form for manual entries; `onChange` runs after one.
+ */
+export default function HoursLedger({ volunteerId, canAdjust = false, onChange }) {
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [ledger, setLedger] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+  const [adjustment, setAdjustment] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const params = Object.fromEntries(Object.entries(range).filter(([, v]) => v));
+  const paramsKey = JSON.stringify(params);
+
+  useEffect(() => {
+    const load = async () => {
+      setError('');
+      try {
+        const query = JSON.parse(paramsKey);
+        const res = volunteerId ? await hoursAPI.getLedger(volunteerId, query) : await hoursAPI.getMyLedger(query);
+        setLedger(res);
+      } catch (err) {
+        setError(apiError(err, 'Failed to load hours'));
+      }
+    };
+    load();
+  }, [volunteerId, paramsKey]);
+
+  const downloadCertificate = async () => {
+    setIsBusy(true);
+    setError('');
+    try {
+      const { blob, filename } = volunteerId
+        ? await hoursAPI.getCertificate(volunteerId, params)
+        : await hoursAPI.getMyCertificate(params);
+      downloadBlob(blob, filename);
+    } catch (err) {
+      setError(apiError(err, 'Failed to generate the certificate'));
+    }
+    setIsBusy(false);
+  };
+
+  const saveAdjustment = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    setError('');
+    setSuccess('');
+    try {
+      const res = await hoursAPI.addAdjustment(volunteerId, { ...adjustment, hours: Number(adjustment.hours) });
+      setSuccess(res.message);
+      setAdjustment(null);
+      setLedger(await hoursAPI.getLedger(volunteerId, params));
+      onChange?.();
+    } catch (err) {
+      setError(apiError(err, 'Failed to adjust hours'));
+    }
+    setIsBusy(false);
+  };
+
+  const summary = ledger?.summary;
+  const entries = ledger ? [...ledger.entries].reverse() : [];
+
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px', flexWrap: 'wrap', marginBottom: '14px' }}>
+        <h3 style={{ ...label, margin: 0 }}>Service Hours</h3>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <input type="date" value={range.from} max={range.to || undefined} onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))} style={input} title="From" />
+          <span style={{ color: '#9CA3AF', fontSize: '0.8125rem' }}>to</span>
+          <input type="date" value={range.to} min={range.from || undefined} onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))} style={input} title="To" />
+        </div>
+      </div>
+
+      {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+      {success && <Alert type="success" message={success} onClose={() => setSuccess('')} />}
+
+      {summary && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '12px', marginBottom: '14px' }}>
+          {[
+            { label: 'Total hours', value: summary.totalHours, color: RED },
+            { label: `From ${summary.classes} class${summary.classes === 1 ? '' : 'es'}`, value: summary.classHours, color: '#374151' },
+            { label: 'Adjustments', value: summary.adjustmentHours > 0 ? `+${summary.adjustmentHours}` : summary.adjustmentHours, color: '#6B7280' },
+          ].map((s) => (
+            <div key={s.label} style={{ background: '#F9FAFB', borderRadius: '12px', padding: '12px', border: '1px solid #F3F4F6', textAlign: 'center' }}>
+              <div style={{ fontSize: '1.5rem', fontWeight: 800, color: s.color, lineHeight: 1, marginBottom: '6px' }}>{s.value}</div>
+              <div style={{ fontSize: '0.6875rem', fontWeight: 600, color: '#9CA3AF', textTransform: 'uppercase', letterSpacing: '0.05em' }}>{s.label}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {entries.length === 0 && ledger && (
+        <p style={{ color: '#9CA3AF', fontSize: '0.875rem', margin: '0 0 14px' }}>
+          No delivered classes yet. A class counts once its attendance is submitted or a class photo is captured.
+        </p>
+      )}
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginBottom: '14px' }}>
+        {(showAll ? entries : entries.slice(0, SHOWN)).map((entry) => (
+          <div key={entry.type === 'class' ? entry.class._id : entry._id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', padding: '8px 12px', background: entry.type === 'class' ? '#F9FAFB' : '#FFFBEB', borderRadius: '8px', fontSize: '0.8125rem' }}>
+            <div style={{ minWidth: 0 }}>
+              <div style={{ fontWeight: 600, color: '#111827' }}>
+                {entry.type === 'class' ? entry.class.subject : entry.reason}
+              </div>
+              <div style={{ color: '#9CA3AF', fontSize: '0.75rem' }}>
+                {entry.date}
+                {entry.type === 'class'
+                  ? ` · ${formatTime(entry.class.startTime)} – ${formatTime(entry.class.endTime)} · ${entry.evidence.join(' + ')}`
+                  : ` · adjusted by ${entry.createdByName}`}
+              </div>
+            </div>
+            <div style={{ fontWeight: 700, color: entry.hours < 0 ? RED : '#374151', whiteSpace: 'nowrap' }}>
+              {entry.hours > 0 && entry.type === 'adjustment' ? '+' : ''}{entry.hours} h
+            </div>
+          </div>
+        ))}
+        {entries.length > SHOWN && (
+          <button type="button" onClick={() => setShowAll((v) => !v)} style={{ background: 'none', border: 'none', color: RED, fontWeight: 700, fontSize: '0.8125rem', cursor: 'pointer', alignSelf: 'flex-start', padding: 0 }}>
+            {showAll ? 'Show fewer' : `Show all ${entries.length} entries`}
+          </button>
+        )}
+      </div>
+
+      {adjustment && (
+        <form onSubmit={saveAdjustment} style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '14px' }}>
+          <input type="date" value={adjustment.date} onChange={(e) => setAdjustment((a) => ({ ...a, date: e.target.value }))} required style={input} />
+          <input type="number" step="0.25" value={adjustment.hours} onChange={(e) => setAdjustment((a) => ({ ...a, hours: e.target.value }))} placeholder="Hours (−2 to remove)" required style={{ ...input, width: '150px' }} />
+          <input type="text" value={adjustment.reason} onChange={(e) => setAdjustment((a) => ({ ...a, reason: e.target.value }))} placeholder="Reason, e.g. Book drive" maxLength={300} required style={{ ...input, flex: 1, minWidth: '160px' }} />
+          <button type="button" onClick={() => setAdjustment(null)} style={secondaryBtn}>Cancel</button>
+          <button type="submit" disabled={isBusy} style={{ ...primaryBtn, opacity: isBusy ? 0.7 : 1 }}>Save</button>
+        </form>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+        <button type="button" onClick={downloadCertificate} disabled={isBusy || !summary || summary.totalHours <= 0} style={{ ...secondaryBtn, opacity: isBusy || !summary || summary.totalHours <= 0 ? 0.6 : 1 }}>
+          <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>workspace_premium</span> Download Certificate
+        </button>
+        {canAdjust && !adjustment && (
+          <button type="button" onClick={() => { setSuccess(''); setAdjustment({ date: today(), hours: '', reason: '' }); }} style={secondaryBtn}>
+            <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>edit_calendar</span> Adjust Hours
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
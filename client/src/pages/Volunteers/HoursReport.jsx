@@ -0,0 +1,80 @@
+import { useState, useEffect } from 'react';
+import { hoursAPI } from '../../services/api';
+import Alert from '../../components/ui/Alert';
+
+const RED = '#b91d20';
+const input = { background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#111827', fontSize: '0.8125rem', borderRadius: '8px', padding: '7px 10px', outline: 'none', fontFamily: 'inherit', boxSizing: 'border-box' };
+const th = { textAlign: 'right', padding: '10px 12px', fontSize: '0.6875rem', fontWeight: 700, color: '#9CA3AF', textTransform: 'uppercase', letterSpacing: '0.05em', borderBottom: '1px solid #F3F4F6' };
+const td = { textAlign: 'right', padding: '10px 12px', fontSize: '0.875rem', color: '#374151', borderBottom: '1px solid #F9FAFB' };
+
+/**
+ * Service hours per volunteer over an optional date range, most hours first.
+ * Clicking a row calls `onSelect` with the volunteer's id; `refreshKey` reloads.
+ */
+export default function HoursReport({ onSelect, refreshKey }) {
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const params = Object.fromEntries(Object.entries(range).filter(([, v]) => v));
+        const res = await hoursAPI.getReport(params);
+        setReport(res.report);
+        setError('');
+      } catch (err) {
+        setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to load hours report');
+      }
+    };
+    load();
+  }, [range, refreshKey]);
+
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px', flexWrap: 'wrap', marginBottom: '16px' }}>
+        <h3 style={{ margin: 0, fontWeight: 800, color: '#111827', fontSize: '1.1rem', display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <span className="material-symbols-outlined" style={{ fontSize: '20px', color: RED }}>schedule</span>
+          Service Hours
+        </h3>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <input type="date" value={range.from} max={range.to || undefined} onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))} style={input} title="From" />
+          <span style={{ color: '#9CA3AF', fontSize: '0.8125rem' }}>to</span>
+          <input type="date" value={range.to} min={range.from || undefined} onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))} style={input} title="To" />
+        </div>
+      </div>
+
+      {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+
+      {report && report.length === 0 && <p style={{ color: '#9CA3AF', margin: 0 }}>No volunteers yet.</p>}
+      {report && report.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={{ ...th, textAlign: 'left' }}>Volunteer</th>
+                <th style={th}>Classes</th>
+                <th style={th}>Class hours</th>
+                <th style={th}>Adjustments</th>
+                <th style={th}>Total hours</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.map((row) => (
+                <tr key={row.volunteer._id} onClick={() => onSelect?.(row.volunteer._id)} style={{ cursor: onSelect ? 'pointer' : 'default' }}>
+                  <td style={{ ...td, textAlign: 'left', fontWeight: 600, color: '#111827' }}>{row.volunteer.name}</td>
+                  <td style={td}>{row.classes}</td>
+                  <td style={td}>{row.classHours}</td>
+                  <td style={{ ...td, color: row.adjustmentHours < 0 ? RED : td.color }}>
+                    {row.adjustmentHours > 0 ? `+${row.adjustmentHours}` : row.adjustmentHours}
+                  </td>
+                  <td style={{ ...td, fontWeight: 800, color: '#111827' }}>{row.totalHours}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -4,11 +4,17 @@ import { ListPageSkeleton } from '../../components/ui/Skeleton';
 import Modal from '../../components/ui/Modal';
 import Alert from '../../components/ui/Alert';
 import { AdminMessageInbox } from '../../components/chat/ChatComponents';
+import { useAuth } from '../../context/AuthContext';
+import HoursLedger from './HoursLedger';
+import HoursReport from './HoursReport';
 
 const inputStyle = { width: '100%', background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#111827', fontSize: '0.875rem', borderRadius: '8px', padding: '10px 14px', outline: 'none', fontFamily: 'inherit', boxSizing: 'border-box' };
 const labelStyle = { display: 'block', fontSize: '0.8rem', fontWeight: 700, color: '#374151', marginBottom: '6px' };
 
 export default function VolunteersPage() {
+  const { user, teacher } = useAuth();
+  // Coordinators manage volunteers too, but only admins handle coordinators and deletions
+  const isAdmin = (user || teacher)?.role === 'admin';
   const [volunteers, setVolunteers] = useState([]);
   const [classes, setClasses] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -19,8 +25,10 @@ export default function VolunteersPage() {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [formError, setFormError] = useState('');
   const [success, setSuccess] = useState('');
-  const [formData, setFormData] = useState({ name: '', email: '', password: '' });
-  const [editFormData, setEditFormData] = useState({ _id: '', name: '', email: '', phone: '', password: '' });
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState({ name: '', email: '', role: 'volunteer' });
+  const [editFormData, setEditFormData] = useState({ _id: '', name: '', email: '', phone: '', password: '', role: 'volunteer' });
+  const [hoursRefresh, setHoursRefresh] = useState(0);
 
   useEffect(() => {
     const fetchData = async () => {
@@ -74,9 +82,9 @@ export default function VolunteersPage() {
     try {
       const res = await authAPI.createVolunteer(formData);
       if (res.success) {
-        setSuccess('Volunteer added successfully!');
+        setSuccess(res.message || 'Volunteer invited!');
         setIsModalOpen(false);
-        setFormData({ name: '', email: '', password: '' });
+        setFormData({ name: '', email: '', role: 'volunteer' });
         const volRes = await authAPI.getVolunteers();
         if (volRes.volunteers) setVolunteers(volRes.volunteers);
         setTimeout(() => setSuccess(''), 3000);
@@ -89,7 +97,7 @@ export default function VolunteersPage() {
 
   const handleEditClick = () => {
     if (!selectedVolunteer) return;
-    setEditFormData({ _id: selectedVolunteer._id, name: selectedVolunteer.name, email: selectedVolunteer.email, phone: selectedVolunteer.phone || '', password: '' });
+    setEditFormData({ _id: selectedVolunteer._id, name: selectedVolunteer.name, email: selectedVolunteer.email, phone: selectedVolunteer.phone || '', password: '', role: selectedVolunteer.role || 'volunteer' });
     setFormError('');
     setIsEditModalOpen(true);
   };
@@ -117,6 +125,34 @@ export default function VolunteersPage() {
     setIsSubmitting(false);
   };
 
+  const handleResendInvite = async () => {
+    setError('');
+    setIsSubmitting(true);
+    try {
+      const res = await authAPI.resendVolunteerInvite(selectedVolunteer._id);
+      setSuccess(res.message || 'Invite resent');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to resend invite.');
+    }
+    setIsSubmitting(false);
+  };
+
+  const handleUnlock = async () => {
+    setError('');
+    setIsSubmitting(true);
+    try {
+      const res = await authAPI.unlockVolunteer(selectedVolunteer._id);
+      setSuccess(res.message || 'Account unlocked');
+      setVolunteers(prev => prev.map(v => v._id === selectedVolunteer._id ? { ...v, lockout: null } : v));
+      setSelectedVolunteer(prev => ({ ...prev, lockout: null }));
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to unlock account.');
+    }
+    setIsSubmitting(false);
+  };
+
   const handleDeleteVolunteer = async () => {
     setIsSubmitting(true);
     try {
@@ -128,7 +164,7 @@ export default function VolunteersPage() {
       if (volRes.volunteers) setVolunteers(volRes.volunteers);
       setTimeout(() => setSuccess(''), 3000);
     } catch(err) {
-      setFormError('Failed to delete volunteer.');
+      setFormError(err.response?.data?.message || 'Failed to delete volunteer.');
     }
     setIsSubmitting(false);
   };
@@ -154,6 +190,7 @@ export default function VolunteersPage() {
         </button>
       </div>
       {success && <Alert type="success" message={success} />}
+      {error && <Alert type="error" message={error} onClose={() => setError('')} />}
 
       {/* Two-column layout */}
       <div style={{ display: 'grid', gridTemplateColumns: selected ? '340px 1fr' : '1fr', gap: '24px', alignItems: 'start' }}>
@@ -200,6 +237,15 @@ export default function VolunteersPage() {
                   <div style={{ flex: 1, minWidth: 0 }}>
                     <div style={{ fontWeight: 700, color: '#111827', fontSize: '1rem', marginBottom: '2px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
                       {volunteer.name}
+                      {volunteer.role === 'coordinator' && (
+                        <span style={{ marginLeft: '8px', background: '#EFF6FF', color: '#1D4ED8', fontSize: '0.6875rem', fontWeight: 700, borderRadius: '10px', padding: '2px 8px', verticalAlign: 'middle' }}>Coordinator</span>
+                      )}
+                      {volunteer.lockout && (
+                        <span style={{ marginLeft: '8px', background: '#FEF2F2', color: '#b91d20', fontSize: '0.6875rem', fontWeight: 700, borderRadius: '10px', padding: '2px 8px', verticalAlign: 'middle' }}>Locked out</span>
+                      )}
+                      {volunteer.invitePending && (
+                        <span style={{ marginLeft: '8px', background: '#FFFBEB', color: '#B45309', fontSize: '0.6875rem', fontWeight: 700, borderRadius: '10px', padding: '2px 8px', verticalAlign: 'middle' }}>Invite pending</span>
+                      )}
                     </div>
                     <div style={{ color: '#6B7280', fontSize: '0.8125rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
                       {volunteer.email}
@@ -233,8 +279,18 @@ export default function VolunteersPage() {
             {/* Profile Header */}
             <div style={{ background: 'linear-gradient(135deg, #b91d20 0%, #da2b2e 100%)', padding: '32px', display: 'flex', alignItems: 'center', gap: '20px', position: 'relative' }}>
               <div style={{position: 'absolute', top: '16px', right: '16px', display: 'flex', gap: '8px'}}>
-                <button onClick={handleEditClick} style={{background: 'rgba(255,255,255,0.2)', border: 'none', color: 'white', borderRadius: '8px', padding: '6px 12px', fontSize: '0.8125rem', fontWeight: 700, cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '4px'}}><span className="material-symbols-outlined" style={{fontSize: '14px'}}>edit</span> Edit</button>
-                <button onClick={() => {setFormError(''); setIsDeleteModalOpen(true);}} style={{background: 'rgba(255,255,255,0.2)', border: 'none', color: 'white', borderRadius: '8px', padding: '6px 12px', fontSize: '0.8125rem', fontWeight: 700, cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '4px'}}><span className="material-symbols-outlined" style={{fontSize: '14px'}}>delete</span> Delete</button>
+                {selected.lockout && (isAdmin || selected.role !== 'coordinator') && (
+                  <button onClick={handleUnlock} disabled={isSubmitting} title={`Locked after ${selected.lockout.failures} failed sign-ins until ${new Date(selected.lockout.lockedUntil).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}`} style={{background: 'rgba(255,255,255,0.2)', border: 'none', color: 'white', borderRadius: '8px', padding: '6px 12px', fontSize: '0.8125rem', fontWeight: 700, cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '4px'}}><span className="material-symbols-outlined" style={{fontSize: '14px'}}>lock_open</span> Unlock</button>
+                )}
+                {selected.invitePending && (isAdmin || selected.role !== 'coordinator') && (
+                  <button onClick={handleResendInvite} disabled={isSubmitting} style={{background: 'rgba(255,255,255,0.2)', border: 'none', color: 'white', borderRadius: '8px', padding: '6px 12px', fontSize: '0.8125rem', fontWeight: 700, cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '4px'}}><span className="material-symbols-outlined" style={{fontSize: '14px'}}>forward_to_inbox</span> Resend Invite</button>
+                )}
+                {(isAdmin || selected.role !== 'coordinator') && (
+                  <button onClick={handleEditClick} style={{background: 'rgba(255,255,255,0.2)', border: 'none', color: 'white', borderRadius: '8px', padding: '6px 12px', fontSize: '0.8125rem', fontWeight: 700, cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '4px'}}><span className="material-symbols-outlined" style={{fontSize: '14px'}}>edit</span> Edit</button>
+                )}
+                {isAdmin && (
+                  <button onClick={() => {setFormError(''); setIsDeleteModalOpen(true);}} style={{background: 'rgba(255,255,255,0.2)', border: 'none', color: 'white', borderRadius: '8px', padding: '6px 12px', fontSize: '0.8125rem', fontWeight: 700, cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '4px'}}><span className="material-symbols-outlined" style={{fontSize: '14px'}}>delete</span> Delete</button>
+                )}
               </div>
               <div style={{ width: '64px', height: '64px', borderRadius: '50%', background: 'rgba(255,255,255,0.2)', display: 'flex', alignItems: 'center', justifyContent: 'center', fontWeight: 800, fontSize: '1.75rem', color: 'white', flexShrink: 0, overflow: 'hidden' }}>
                 {selected.profilePicUrl ? (
@@ -264,6 +320,11 @@ export default function VolunteersPage() {
                 ))}
               </div>
 
+              {/* Service hours */}
+              <div style={{ paddingTop: '20px', borderTop: '1px solid #F3F4F6' }}>
+                <HoursLedger key={selected._id} volunteerId={selected._id} canAdjust={isAdmin} onChange={() => setHoursRefresh(n => n + 1)} />
+              </div>
+
               {/* Contact */}
               <div style={{ paddingTop: '4px', borderTop: '1px solid #F3F4F6' }}>
                 <h3 style={{ fontSize: '0.6875rem', fontWeight: 700, color: '#9CA3AF', textTransform: 'uppercase', letterSpacing: '0.08em', margin: '0 0 16px 0' }}>Contact Details</h3>
@@ -333,9 +394,23 @@ export default function VolunteersPage() {
         )}
       </div>
 
+      {/* Hours report */}
+      <div style={{ marginTop: '32px', background: 'white', borderRadius: '16px', border: '1px solid #EBEBEB', boxShadow: '0 4px 16px rgba(0,0,0,0.06)', padding: '24px' }}>
+        <HoursReport
+          refreshKey={hoursRefresh}
+          onSelect={id => {
+            const volunteer = volunteers.find(v => v._id === id);
+            if (volunteer) {
+              setSelectedVolunteer(volunteer);
+              window.scrollTo({ top: 0, behavior: 'smooth' });
+            }
+          }}
+        />
+      </div>
+
       {/* Message Inbox */}
       <div style={{ marginTop: '32px', background: 'white', borderRadius: '16px', border: '1px solid #EBEBEB', boxShadow: '0 4px 16px rgba(0,0,0,0.06)', padding: '24px' }}>
-        <AdminMessageInbox />
+        <AdminMessageInbox volunteers={volunteers} />
       </div>
 
       {/* Add Volunteer Modal */}
@@ -347,7 +422,7 @@ export default function VolunteersPage() {
           <div style={{ display: 'flex', gap: '12px', width: '100%' }}>
             <button onClick={() => setIsModalOpen(false)} style={{ flex: 1, background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151', borderRadius: '8px', padding: '10px', fontWeight: 700, cursor: 'pointer' }}>Cancel</button>
             <button onClick={handleAddVolunteer} disabled={isSubmitting} style={{ flex: 1, background: '#b91d20', color: 'white', border: 'none', borderRadius: '8px', padding: '10px', fontWeight: 700, cursor: 'pointer', opacity: isSubmitting ? 0.7 : 1 }}>
-              {isSubmitting ? 'Adding...' : 'Create Volunteer'}
+              {isSubmitting ? 'Inviting...' : 'Send Invite'}
             </button>
           </div>
         }
@@ -362,10 +437,18 @@ export default function VolunteersPage() {
             <label style={labelStyle}>Email Address *</label>
             <input type="email" style={inputStyle} value={formData.email} onChange={e => setFormData(p => ({ ...p, email: e.target.value }))} required placeholder="volunteer@example.com" />
           </div>
-          <div style={{ marginBottom: '4px' }}>
-            <label style={labelStyle}>Initial Password *</label>
-            <input type="password" autoComplete="new-password" style={inputStyle} value={formData.password} onChange={e => setFormData(p => ({ ...p, password: e.target.value }))} required placeholder="Min 6 characters" minLength={6} />
-          </div>
+          <p style={{ margin: '0 0 4px', fontSize: '0.8125rem', color: '#6B7280' }}>
+            They'll get an email with a link to choose their own password.
+          </p>
+          {isAdmin && (
+            <div style={{ marginTop: '16px' }}>
+              <label style={labelStyle}>Role</label>
+              <select style={inputStyle} value={formData.role} onChange={e => setFormData(p => ({ ...p, role: e.target.value }))}>
+                <option value="volunteer">Volunteer: takes attendance for assigned classes</option>
+                <option value="coordinator">Coordinator: manages classes, students and volunteers</option>
+              </select>
+            </div>
+          )}
         </form>
       </Modal>
 
@@ -401,6 +484,15 @@ export default function VolunteersPage() {
             <label style={labelStyle}>New Password (Optional)</label>
             <input type="password" autoComplete="new-password" style={inputStyle} value={editFormData.password} onChange={e => setEditFormData(p => ({ ...p, password: e.target.value }))} placeholder="Leave blank to keep unchanged" minLength={6} />
           </div>
+          {isAdmin && (
+            <div style={{ marginTop: '16px' }}>
+              <label style={labelStyle}>Role</label>
+              <select style={inputStyle} value={editFormData.role} onChange={e => setEditFormData(p => ({ ...p, role: e.target.value }))}>
+                <option value="volunteer">Volunteer</option>
+                <option value="coordinator">Coordinator</option>
+              </select>
+            </div>
+          )}
         </form>
       </Modal>
 
@@ -0,0 +1,301 @@
+import { useState, useEffect } from 'react';
+import { watchlistAPI, organisationAPI, authAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import Alert from '../../components/ui/Alert';
+import EmptyState from '../../components/ui/EmptyState';
+import { ListPageSkeleton } from '../../components/ui/Skeleton';
+import WatchlistRulesModal from './WatchlistRulesModal';
+
+const RED = '#b91d20';
+const card = { background: 'white', borderRadius: '16px', border: '1px solid #EBEBEB', boxShadow: '0 4px 16px rgba(0,0,0,0.06)', padding: '20px' };
+const input = { width: '100%', background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#111827', fontSize: '0.8125rem', borderRadius: '8px', padding: '8px 12px', outline: 'none', fontFamily: 'inherit', boxSizing: 'border-box' };
+const secondaryBtn = { background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151', borderRadius: '8px', padding: '8px 14px', fontWeight: 600, fontSize: '0.8125rem', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '6px' };
+const linkBtn = { background: 'none', border: 'none', padding: 0, fontSize: '0.8125rem', fontWeight: 700, cursor: 'pointer' };
+
+const RULE_STYLES = {
+  consecutive: { icon: 'event_busy', color: RED, background: '#FEF2F2' },
+  rolling: { icon: 'trending_down', color: '#B45309', background: '#FFFBEB' },
+  drop: { icon: 'south', color: '#7C3AED', background: '#F5F3FF' },
+};
+
+const TABS = [
+  { value: 'open', label: 'Open', count: 'open' },
+  { value: 'mine', label: 'Assigned to me', count: 'mine' },
+  { value: 'resolved', label: 'Resolved', count: 'resolved' },
+];
+
+const apiError = (err, fallback) => err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback;
+const when = (date) => new Date(date).toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+/** One flagged student: what set them off, who follows up, and the notes so far. */
+function WatchlistEntryCard({ entry, isAdmin, staff, onChange, onError }) {
+  const [showNotes, setShowNotes] = useState(false);
+  const [note, setNote] = useState('');
+  const [isResolving, setIsResolving] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const run = async (action, fallback) => {
+    setIsBusy(true);
+    try {
+      const res = await action();
+      onChange(res.entry);
+      return true;
+    } catch (err) {
+      onError(apiError(err, fallback));
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const addNote = async () => {
+    if (!note.trim()) return;
+    if (await run(() => watchlistAPI.addNote(entry._id, note.trim()), 'Failed to add the note')) setNote('');
+  };
+
+  const resolve = async () => {
+    if (await run(() => watchlistAPI.resolve(entry._id, note.trim() || undefined), 'Failed to resolve')) {
+      setNote('');
+      setIsResolving(false);
+    }
+  };
+
+  const student = entry.student || {};
+  const isOpen = entry.status === 'open';
+
+  return (
+    <div style={{ ...card, borderLeft: `4px solid ${isOpen && !entry.clearedAt ? RED : '#E5E7EB'}` }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', flexWrap: 'wrap', marginBottom: '12px' }}>
+        <div>
+          <div style={{ fontWeight: 800, color: '#111827', fontSize: '1rem' }}>
+            {student.name || 'Deleted student'}
+            {student.archived && <span style={{ marginLeft: '8px', fontSize: '0.6875rem', fontWeight: 700, color: '#6B7280', background: '#F3F4F6', padding: '2px 8px', borderRadius: '10px' }}>ARCHIVED</span>}
+          </div>
+          <div style={{ fontSize: '0.8125rem', color: '#6B7280' }}>
+            {student.rollNo && `Roll ${student.rollNo} · ${student.section} · `}Flagged {when(entry.createdAt)}
+          </div>
+        </div>
+        <div style={{ minWidth: '200px' }}>
+          {isAdmin && isOpen ? (
+            <select
+              value={entry.assignedTo?._id || ''}
+              disabled={isBusy}
+              onChange={(e) => run(() => watchlistAPI.assign(entry._id, e.target.value || null), 'Failed to assign')}
+              style={input}
+            >
+              <option value="">Unassigned</option>
+              {staff.map(s => <option key={s._id} value={s._id}>{s.name}{s.role === 'coordinator' ? ' (coordinator)' : ''}</option>)}
+            </select>
+          ) : (
+            <div style={{ fontSize: '0.8125rem', color: '#374151', textAlign: 'right' }}>
+              {entry.assignedTo ? `Follow-up: ${entry.assignedTo.name}` : 'Unassigned'}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '10px' }}>
+        {entry.triggers.map(t => {
+          const style = RULE_STYLES[t.rule];
+          return (
+            <span key={t.rule} style={{ display: 'inline-flex', alignItems: 'center', gap: '6px', background: style.background, color: style.color, borderRadius: '8px', padding: '5px 10px', fontSize: '0.8125rem', fontWeight: 600 }}>
+              <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>{style.icon}</span>
+              {t.detail}
+            </span>
+          );
+        })}
+      </div>
+
+      <div style={{ fontSize: '0.75rem', color: '#9CA3AF', marginBottom: '12px' }}>
+        {isOpen && entry.clearedAt
+          ? `No rule has fired since ${when(entry.clearedAt)}`
+          : `Last triggered ${when(entry.lastTriggeredAt)}`}
+        {!isOpen && entry.resolvedAt && ` · Resolved ${when(entry.resolvedAt)}${entry.resolvedBy ? ` by ${entry.resolvedBy.name}` : ''}`}
+      </div>
+
+      <div style={{ display: 'flex', gap: '16px', alignItems: 'center' }}>
+        <button type="button" onClick={() => setShowNotes(v => !v)} style={{ ...linkBtn, color: '#374151' }}>
+          {showNotes ? 'Hide notes' : `Notes (${entry.notes.length})`}
+        </button>
+        {isAdmin && isOpen && !isResolving && (
+          <button type="button" onClick={() => { setIsResolving(true); setShowNotes(true); }} style={{ ...linkBtn, color: '#15803D' }}>Resolve</button>
+        )}
+        {isAdmin && !isOpen && (
+          <button type="button" disabled={isBusy} onClick={() => run(() => watchlistAPI.reopen(entry._id), 'Failed to reopen')} style={{ ...linkBtn, color: RED }}>Reopen</button>
+        )}
+      </div>
+
+      {showNotes && (
+        <div style={{ marginTop: '12px', paddingTop: '12px', borderTop: '1px solid #F3F4F6' }}>
+          {entry.notes.length === 0 && <div style={{ fontSize: '0.8125rem', color: '#9CA3AF', marginBottom: '8px' }}>No follow-up recorded yet.</div>}
+          {entry.notes.map(n => (
+            <div key={n._id} style={{ marginBottom: '10px' }}>
+              <div style={{ fontSize: '0.75rem', color: '#9CA3AF' }}><strong style={{ color: '#374151' }}>{n.authorName}</strong> · {when(n.createdAt)}</div>
+              <div style={{ fontSize: '0.875rem', color: '#111827', whiteSpace: 'pre-wrap' }}>{n.text}</div>
+            </div>
+          ))}
+          {(isOpen || isResolving) && (
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-start' }}>
+              <textarea
+                rows={2}
+                value={note}
+                maxLength={2000}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder={isResolving ? 'Closing note (optional), e.g. family called, back in class' : 'Add a follow-up note...'}
+                style={{ ...input, resize: 'vertical' }}
+              />
+              {isResolving ? (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                  <button type="button" disabled={isBusy} onClick={resolve} style={{ ...secondaryBtn, background: '#15803D', color: 'white', border: 'none', justifyContent: 'center' }}>Resolve</button>
+                  <button type="button" onClick={() => setIsResolving(false)} style={{ ...secondaryBtn, justifyContent: 'center' }}>Cancel</button>
+                </div>
+              ) : (
+                <button type="button" disabled={isBusy || !note.trim()} onClick={addNote} style={{ ...secondaryBtn, opacity: note.trim() ? 1 : 0.6 }}>Add</button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Students whose recent attendance needs a follow-up, as flagged by the
+ * early-warning rules. Staff add notes; admins assign, resolve and tune the rules.
+ */
+export default function WatchlistPage() {
+  const { user, teacher } = useAuth();
+  const currentUser = user || teacher;
+  const isAdmin = currentUser?.role === 'admin';
+  const myId = currentUser?._id || currentUser?.id;
+
+  const [tab, setTab] = useState('open');
+  const [entries, setEntries] = useState(null);
+  const [counts, setCounts] = useState({});
+  const [staff, setStaff] = useState([]);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [isEvaluating, setIsEvaluating] = useState(false);
+  const [showRules, setShowRules] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const filters = tab === 'mine' ? { status: 'open', assignedTo: 'me' } : { status: tab };
+        const res = await watchlistAPI.getAll(filters);
+        setEntries(res.entries);
+        setCounts(res.counts);
+      } catch (err) {
+        setError(apiError(err, 'Failed to load the watchlist'));
+        setEntries([]);
+      }
+    };
+    load();
+  }, [tab, refreshKey]);
+
+  // Admins and coordinators who can take a follow-up
+  useEffect(() => {
+    if (!isAdmin) return;
+    const load = async () => {
+      try {
+        const [org, team] = await Promise.all([organisationAPI.get(), authAPI.getVolunteers()]);
+        setStaff([
+          ...(org.admins || []).map(a => ({ ...a, role: 'admin' })),
+          ...(team.volunteers || []).filter(v => v.role === 'coordinator'),
+        ]);
+      } catch (err) {
+        console.error('[WATCHLIST] Failed to load staff:', err);
+      }
+    };
+    load();
+  }, [isAdmin]);
+
+  const evaluate = async () => {
+    setIsEvaluating(true);
+    setError('');
+    try {
+      const res = await watchlistAPI.evaluate();
+      setSuccess(res.message);
+      setRefreshKey(k => k + 1);
+    } catch (err) {
+      setError(apiError(err, 'Failed to check attendance'));
+    }
+    setIsEvaluating(false);
+  };
+
+  // An entry that changed status or assignee may no longer belong in this tab
+  const replaceEntry = (updated) => {
+    const stays = tab === 'mine'
+      ? updated.status === 'open' && updated.assignedTo?._id === myId
+      : updated.status === tab;
+    if (stays) setEntries(prev => prev.map(e => (e._id === updated._id ? updated : e)));
+    else setRefreshKey(k => k + 1);
+  };
+
+  if (!entries) return <ListPageSkeleton />;
+
+  return (
+    <div>
+      {/* Header */}
+      <div style={{ marginBottom: '28px', paddingBottom: '20px', borderBottom: '1px solid #E5E7EB', display: 'flex', justifyContent: 'space-between', alignItems: 'flex-end', gap: '16px', flexWrap: 'wrap' }}>
+        <div>
+          <h1 style={{ fontSize: '2.25rem', fontWeight: 800, color: '#111827', marginBottom: '8px', letterSpacing: '-0.02em' }}>Watchlist</h1>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+            <div style={{ width: '32px', height: '2px', background: RED }} />
+            <p style={{ color: '#6B7280', fontWeight: 500, margin: 0 }}>Students whose recent attendance needs a follow-up</p>
+          </div>
+        </div>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button type="button" onClick={() => setShowRules(true)} style={secondaryBtn}>
+            <span className="material-symbols-outlined" style={{ fontSize: '18px' }}>tune</span>
+            Rules
+          </button>
+          {isAdmin && (
+            <button type="button" onClick={evaluate} disabled={isEvaluating} style={{ ...secondaryBtn, background: RED, color: 'white', border: 'none', opacity: isEvaluating ? 0.7 : 1 }}>
+              <span className="material-symbols-outlined" style={{ fontSize: '18px' }}>refresh</span>
+              {isEvaluating ? 'Checking...' : 'Re-run Checks'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+      {success && <Alert type="success" message={success} onClose={() => setSuccess('')} />}
+
+      <div style={{ display: 'flex', gap: '6px', marginBottom: '20px', flexWrap: 'wrap' }}>
+        {TABS.map(t => (
+          <button key={t.value} type="button" onClick={() => setTab(t.value)} style={{
+            background: tab === t.value ? '#111827' : 'white', color: tab === t.value ? 'white' : '#374151',
+            border: '1px solid #E5E7EB', borderRadius: '20px', padding: '6px 14px', fontSize: '0.8125rem', fontWeight: 700, cursor: 'pointer',
+          }}>
+            {t.label} ({counts[t.count] || 0})
+          </button>
+        ))}
+      </div>
+
+      {entries.length === 0 ? (
+        <EmptyState
+          icon="✓"
+          title={tab === 'resolved' ? 'Nothing resolved yet' : 'No students flagged'}
+          message={tab === 'resolved' ? '' : 'Students appear here when a run of absences or a falling attendance rate sets off an early-warning rule.'}
+        />
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+          {entries.map(entry => (
+            <WatchlistEntryCard key={entry._id} entry={entry} isAdmin={isAdmin} staff={staff} onChange={replaceEntry} onError={setError} />
+          ))}
+        </div>
+      )}
+
+      {showRules && (
+        <WatchlistRulesModal
+          canEdit={isAdmin}
+          onClose={() => setShowRules(false)}
+          onSaved={() => setSuccess('Rules saved. They apply from the next check; use Re-run Checks to apply them now.')}
+        />
+      )}
+    </div>
+  );
+}
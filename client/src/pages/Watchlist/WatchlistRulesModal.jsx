@@ -0,0 +1,108 @@
+import { useState, useEffect } from 'react';
+import { watchlistAPI } from '../../services/api';
+import Modal from '../../components/ui/Modal';
+import Alert from '../../components/ui/Alert';
+
+const RED = '#b91d20';
+const input = { width: '72px', background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#111827', fontSize: '0.875rem', borderRadius: '8px', padding: '6px 8px', outline: 'none', fontFamily: 'inherit', boxSizing: 'border-box', textAlign: 'center' };
+
+const apiError = (err, fallback) => err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || fallback;
+
+/**
+ * The early-warning thresholds. Admins edit them; coordinators see what
+ * puts a student on the watchlist.
+ */
+export default function WatchlistRulesModal({ canEdit, onClose, onSaved }) {
+  const [rules, setRules] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await watchlistAPI.getSettings();
+        setRules(res.settings.rules);
+      } catch (err) {
+        setError(apiError(err, 'Failed to load the rules'));
+      }
+    };
+    load();
+  }, []);
+
+  const set = (rule, field, value) => setRules(r => ({ ...r, [rule]: { ...r[rule], [field]: value } }));
+
+  const number = (rule, field, min, max) => (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      value={rules[rule][field]}
+      disabled={!canEdit || !rules[rule].enabled}
+      onChange={(e) => set(rule, field, e.target.value === '' ? '' : Number(e.target.value))}
+      style={input}
+    />
+  );
+
+  const save = async () => {
+    setIsSaving(true);
+    setError('');
+    try {
+      await watchlistAPI.updateSettings({ rules });
+      onSaved?.();
+      onClose();
+    } catch (err) {
+      setError(apiError(err, 'Failed to save the rules'));
+    }
+    setIsSaving(false);
+  };
+
+  const ruleBlock = (rule, title, children) => (
+    <div style={{ border: `1px solid ${rules[rule].enabled ? '#E5E7EB' : '#F3F4F6'}`, borderRadius: '12px', padding: '14px 16px', opacity: rules[rule].enabled ? 1 : 0.6 }}>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontWeight: 700, color: '#111827', fontSize: '0.9rem', marginBottom: '10px', cursor: canEdit ? 'pointer' : 'default' }}>
+        <input type="checkbox" checked={rules[rule].enabled} disabled={!canEdit} onChange={(e) => set(rule, 'enabled', e.target.checked)} style={{ accentColor: RED }} />
+        {title}
+      </label>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', fontSize: '0.875rem', color: '#374151', lineHeight: 2 }}>
+        {children}
+      </div>
+    </div>
+  );
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={<span style={{ fontWeight: 800, fontSize: '1.25rem', color: '#111827' }}>Early-Warning Rules</span>}
+      footer={canEdit && (
+        <div style={{ display: 'flex', gap: '12px', width: '100%' }}>
+          <button onClick={onClose} disabled={isSaving} type="button" style={{ flex: 1, background: '#F9FAFB', border: '1px solid #E5E7EB', color: '#374151', borderRadius: '8px', padding: '10px 20px', fontWeight: 700, fontSize: '0.9rem', cursor: 'pointer' }}>
+            Cancel
+          </button>
+          <button onClick={save} disabled={isSaving || !rules} type="button" style={{ flex: 1, background: RED, color: 'white', border: 'none', borderRadius: '8px', padding: '10px 20px', fontWeight: 700, fontSize: '0.9rem', cursor: 'pointer', opacity: isSaving ? 0.6 : 1 }}>
+            {isSaving ? 'Saving...' : 'Save Rules'}
+          </button>
+        </div>
+      )}
+    >
+      {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+      {!rules && !error && <p style={{ color: '#9CA3AF' }}>Loading...</p>}
+
+      {rules && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+          <p style={{ margin: 0, fontSize: '0.8125rem', color: '#6B7280' }}>
+            A student is flagged when any switched-on rule fires. Excused sessions never count against them.
+          </p>
+          {ruleBlock('consecutive', 'Absences in a row', (
+            <>Flag after {number('consecutive', 'absences', 2, 30)} consecutive absences</>
+          ))}
+          {ruleBlock('rolling', 'Recent attendance rate', (
+            <>Flag below {number('rolling', 'rate', 1, 100)}% over the last {number('rolling', 'days', 3, 120)} days, once there are {number('rolling', 'minSessions', 1, 50)} sessions in that window</>
+          ))}
+          {ruleBlock('drop', 'Sudden drop', (
+            <>Flag when the recent rate is {number('drop', 'points', 1, 100)} points below the student&apos;s rate before it, measured over at least {number('drop', 'minBaselineSessions', 1, 100)} earlier sessions</>
+          ))}
+        </div>
+      )}
+    </Modal>
+  );
+}
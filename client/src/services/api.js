@@ -44,8 +44,45 @@ api.interceptors.request.use(
     }
 );
 
+const clearAuthAndRedirect = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('teacher');
+    localStorage.removeItem('user');
+    window.location.href = '/login';
+};
+
+// Shared by every request that hits a 401 while a refresh is already in flight
+let refreshPromise = null;
+
 /**
- * Response interceptor - handles 401 and logs responses
+ * Swap the stored refresh token for a new token pair. Uses bare axios so the
+ * call skips these interceptors.
+ */
+const refreshAccessToken = () => {
+    if (!refreshPromise) {
+        const refreshToken = localStorage.getItem('refreshToken');
+        refreshPromise = (refreshToken
+            ? axios.post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken })
+            : Promise.reject(new Error('No refresh token'))
+        )
+            .then(({ data }) => {
+                localStorage.setItem('token', data.token);
+                localStorage.setItem('refreshToken', data.refreshToken);
+                return data.token;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+};
+
+const isAuthRequest = (url = '') => /\/api\/auth\/(login|login\/2fa|register|refresh|logout)$/.test(url);
+
+/**
+ * Response interceptor - refreshes an expired access token and retries once,
+ * otherwise clears auth on 401; logs responses
  */
 api.interceptors.response.use(
     (response) => {
@@ -58,34 +95,75 @@ api.interceptors.response.use(
         }
         return response;
     },
-    (error) => {
-        const { response } = error;
+    async (error) => {
+        const { response, config } = error;
 
         // Log error details
         console.error(
-            `[API] ✗ ${error.config?.method?.toUpperCase()} ${error.config?.url}`,
+            `[API] ✗ ${config?.method?.toUpperCase()} ${config?.url}`,
             response?.data || error.message
         );
 
-        // Handle 401 Unauthorized
-        if (response?.status === 401) {
-            console.warn('[API] Unauthorized - clearing auth and redirecting to login');
-            localStorage.removeItem('token');
-            localStorage.removeItem('teacher');
-            window.location.href = '/login';
+        // The organisation requires 2FA and this admin hasn't set it up yet
+        if (response?.status === 403 && response.data?.code === 'TWO_FACTOR_SETUP_REQUIRED') {
+            if (window.location.pathname !== '/profile') window.location.href = '/profile?setup2fa=1';
+            return Promise.reject(error);
+        }
+
+        if (response?.status !== 401 || !config || isAuthRequest(config.url)) {
+            return Promise.reject(error);
         }
 
+        // Access token expired - refresh and replay the original request once
+        if (!config._retried) {
+            config._retried = true;
+            try {
+                const token = await refreshAccessToken();
+                config.headers.Authorization = `Bearer ${token}`;
+                return api(config);
+            } catch (refreshError) {
+                console.warn('[API] Refresh failed:', refreshError.response?.data?.message || refreshError.message);
+            }
+        }
+
+        console.warn('[API] Unauthorized - clearing auth and redirecting to login');
+        clearAuthAndRedirect();
         return Promise.reject(error);
     }
 );
 
+/**
+ * GET a file download; resolves to { blob, filename } using the server's
+ * Content-Disposition name when it sends one
+ */
+const getFile = async (url, params, fallbackName) => {
+    try {
+        const response = await api.get(url, { params, responseType: 'blob' });
+        const match = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '');
+        return { blob: response.data, filename: match ? match[1] : fallbackName };
+    } catch (err) {
+        // Error bodies arrive as a Blob too; unwrap the JSON message
+        if (err.response?.data instanceof Blob) {
+            try { err.response.data = JSON.parse(await err.response.data.text()); } catch { /* not JSON */ }
+        }
+        throw err;
+    }
+};
+
 // ═══════════════════════════════════════════════════════════════════════════
 // AUTH API
 // ═══════════════════════════════════════════════════════════════════════════
 
+const storeLogin = (data) => {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    localStorage.setItem('teacher', JSON.stringify(data.teacher));
+};
+
 export const authAPI = {
     /**
-     * Login teacher
+     * Login teacher. Admins with 2FA get `twoFactorRequired` and a `challengeToken`
+     * instead of tokens, and finish with loginTwoFactor.
      * @param {string} email 
      * @param {string} password 
      */
@@ -93,10 +171,25 @@ export const authAPI = {
         console.log('[AUTH] Attempting login for:', email);
         const response = await api.post('/api/auth/login', { email, password, role });
 
-        if (response.data.success) {
+        if (response.data.success && response.data.token) {
             console.log('[AUTH] Login successful');
-            localStorage.setItem('token', response.data.token);
-            localStorage.setItem('teacher', JSON.stringify(response.data.teacher));
+            storeLogin(response.data);
+        }
+
+        return response.data;
+    },
+
+    /**
+     * Second login step for admins with 2FA
+     * @param {string} challengeToken - from the password step
+     * @param {string} code - authenticator code or a recovery code
+     */
+    loginTwoFactor: async (challengeToken, code) => {
+        const response = await api.post('/api/auth/login/2fa', { challengeToken, code });
+
+        if (response.data.success) {
+            console.log('[AUTH] Two-factor login successful');
+            storeLogin(response.data);
         }
 
         return response.data;
@@ -107,10 +200,11 @@ export const authAPI = {
      * @param {string} name 
      * @param {string} email 
      * @param {string} password 
+     * @param {{ organisationName?: string, inviteToken?: string }} [options] - start a new organisation or join one by invite
      */
-    register: async (name, email, password) => {
+    register: async (name, email, password, options = {}) => {
         console.log('[AUTH] Attempting registration for:', email);
-        const response = await api.post('/api/auth/register', { name, email, password });
+        const response = await api.post('/api/auth/register', { name, email, password, ...options });
 
         if (response.data.success) {
             console.log('[AUTH] Registration successful');
@@ -120,15 +214,40 @@ export const authAPI = {
     },
 
     /**
-     * Logout - clears local storage
+     * Logout - signs this device's session out on the server, then clears local storage
      */
-    logout: () => {
+    logout: async () => {
         console.log('[AUTH] Logging out');
+        const token = localStorage.getItem('token');
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('teacher');
-        window.location.href = '/login';
+        if (!token) return;
+        try {
+            await api.post('/api/auth/logout', null, { headers: { Authorization: `Bearer ${token}` } });
+        } catch (error) {
+            console.warn('[AUTH] Server logout failed:', error.message);
+        }
     },
 
+    /** Email a password reset link (the reply is the same whether or not the account exists) */
+    forgotPassword: async (email) => { const r = await api.post('/api/auth/forgot-password', { email }); return r.data; },
+    /** Set a new password with the token from a reset email */
+    resetPassword: async (token, password) => { const r = await api.post('/api/auth/reset-password', { token, password }); return r.data; },
+    /** Whether sign-up is open (`open`), its `mode`, and the allowed domains in domain mode */
+    getRegistration: async () => { const r = await api.get('/api/auth/registration'); return r.data; },
+    /** Who a team invite is for */
+    getInvite: async (token) => { const r = await api.get(`/api/auth/invites/${token}`); return r.data; },
+    /** Accept a team invite by choosing a password */
+    acceptInvite: async (token, password) => { const r = await api.post('/api/auth/invites/accept', { token, password }); return r.data; },
+
+    /** Devices currently signed in to this account; the caller's own is flagged `current` */
+    getSessions: async () => { const r = await api.get('/api/auth/sessions'); return r.data; },
+    /** Sign one device out */
+    revokeSession: async (sessionId) => { const r = await api.delete(`/api/auth/sessions/${sessionId}`); return r.data; },
+    /** Sign out every device except this one */
+    revokeOtherSessions: async () => { const r = await api.delete('/api/auth/sessions'); return r.data; },
+
     /**
      * Check if user is authenticated
      */
@@ -156,6 +275,16 @@ export const authAPI = {
         const response = await api.post('/api/auth/volunteers', data);
         return response.data;
     },
+    /** Email a fresh set-password link to a member who hasn't accepted their invite */
+    resendVolunteerInvite: async (id) => {
+        const response = await api.post(`/api/auth/volunteers/${id}/invite`);
+        return response.data;
+    },
+    /** Lift a login lockout after too many failed attempts */
+    unlockVolunteer: async (id) => {
+        const response = await api.post(`/api/auth/volunteers/${id}/unlock`);
+        return response.data;
+    },
     updateVolunteer: async (id, data) => {
         const response = await api.put(`/api/auth/volunteers/${id}`, data);
         return response.data;
@@ -175,6 +304,22 @@ export const classesAPI = {
     getToday: async () => { const r = await api.get('/api/classes/today'); return r.data; },
     getCurrent: async () => { const r = await api.get('/api/classes/current'); return r.data; },
     create: async (classData) => { const r = await api.post('/api/classes', classData); return r.data; },
+    update: async (classId, classData) => { const r = await api.put(`/api/classes/${classId}`, classData); return r.data; },
+    patch: async (classId, changes) => { const r = await api.patch(`/api/classes/${classId}`, changes); return r.data; },
+    cancel: async (classId, cancellationReason) => { const r = await api.patch(`/api/classes/${classId}`, { status: 'cancelled', cancellationReason }); return r.data; },
+    reinstate: async (classId) => { const r = await api.patch(`/api/classes/${classId}`, { status: 'scheduled' }); return r.data; },
+    remove: async (classId) => { const r = await api.delete(`/api/classes/${classId}`); return r.data; },
+    createSeries: async (seriesData) => { const r = await api.post('/api/classes/series', seriesData); return r.data; },
+    getSeries: async () => { const r = await api.get('/api/classes/series'); return r.data; },
+    /** Who the class was assigned to over time, newest first */
+    getAssignmentHistory: async (classId) => { const r = await api.get(`/api/classes/${classId}/assignment-history`); return r.data; },
+    /** Free volunteers for `{ date, startTime, endTime, classId? }`, least loaded first, plus who is unavailable and why */
+    suggestVolunteers: async (slot) => { const r = await api.get('/api/classes/volunteer-suggestions', { params: slot }); return r.data; },
+    addException: async (seriesId, date, reason) => { const r = await api.post(`/api/classes/series/${seriesId}/exceptions`, { date, reason }); return r.data; },
+    removeSeries: async (seriesId) => { const r = await api.delete(`/api/classes/series/${seriesId}`); return r.data; },
+    getRoster: async (classId) => { const r = await api.get(`/api/classes/${classId}/roster`); return r.data; },
+    // roster: { studentIds: [], sections: [], applyToSeries?: boolean }; empty lists mean every student
+    setRoster: async (classId, roster) => { const r = await api.put(`/api/classes/${classId}/roster`, roster); return r.data; },
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -182,8 +327,18 @@ export const classesAPI = {
 // ═══════════════════════════════════════════════════════════════════════════
 
 export const studentsAPI = {
-    getAll: async () => { const r = await api.get('/api/students'); return r.data; },
+    getAll: async (includeArchived = false) => { const r = await api.get('/api/students', { params: includeArchived ? { includeArchived: true } : {} }); return r.data; },
     create: async (studentData) => { const r = await api.post('/api/students', studentData); return r.data; },
+    update: async (studentId, studentData) => { const r = await api.put(`/api/students/${studentId}`, studentData); return r.data; },
+    setArchived: async (studentId, archived) => { const r = await api.patch(`/api/students/${studentId}/archive`, { archived }); return r.data; },
+    remove: async (studentId) => { const r = await api.delete(`/api/students/${studentId}`); return r.data; },
+    // Upload a .csv/.xlsx roster; dryRun previews without creating anything
+    import: async (file, dryRun = true) => {
+        const form = new FormData();
+        form.append('file', file);
+        const r = await api.post('/api/students/import', form, { params: { dryRun }, headers: { 'Content-Type': 'multipart/form-data' } });
+        return r.data;
+    },
     getStats: async (studentId) => { const r = await api.get(`/api/students/${studentId}/stats`); return r.data; },
 };
 
@@ -192,9 +347,45 @@ export const studentsAPI = {
 // ═══════════════════════════════════════════════════════════════════════════
 
 export const messagesAPI = {
-    send: async (text) => { const r = await api.post('/api/messages', { text }); return r.data; },
-    getAll: async () => { const r = await api.get('/api/messages'); return r.data; },
-    markRead: async (id) => { const r = await api.patch(`/api/messages/${id}/read`); return r.data; },
+    /** Your conversations with unread counts; `filters` is { status?, unread?, volunteerId?, classId? } */
+    getConversations: async (filters) => { const r = await api.get('/api/messages', { params: filters }); return r.data; },
+    getUnreadCount: async () => { const r = await api.get('/api/messages/unread'); return r.data; },
+    /** Start a conversation: `{ text, subject?, classId?, attendanceId? }`, plus `volunteerId` from staff */
+    start: async (data) => { const r = await api.post('/api/messages', data); return r.data; },
+    /** A conversation and its messages with read receipts */
+    getConversation: async (id) => { const r = await api.get(`/api/messages/${id}`); return r.data; },
+    reply: async (id, text) => { const r = await api.post(`/api/messages/${id}/messages`, { text }); return r.data; },
+    markRead: async (id) => { const r = await api.post(`/api/messages/${id}/read`); return r.data; },
+    /** Staff: 'closed' once dealt with, 'open' to reopen */
+    setStatus: async (id, status) => { const r = await api.patch(`/api/messages/${id}`, { status }); return r.data; },
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ALERTS API
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const alertsAPI = {
+    /** Your live alerts, pinned first, with `unread` and `awaitingAcknowledgement` counts; staff can include scheduled and expired ones */
+    getAll: async (includeInactive = false) => { const r = await api.get('/api/alerts', { params: includeInactive ? { includeInactive: true } : {} }); return r.data; },
+    /** `{ message, type, audience, userIds?, classId?, publishAt?, expiresAt?, pinned? }` */
+    create: async (data) => { const r = await api.post('/api/alerts', data); return r.data; },
+    markRead: async (alertIds) => { const r = await api.post('/api/alerts/read', { alertIds }); return r.data; },
+    acknowledge: async (id) => { const r = await api.post(`/api/alerts/${id}/acknowledge`); return r.data; },
+    /** Staff: `{ pinned?, expiresAt? }` */
+    update: async (id, data) => { const r = await api.patch(`/api/alerts/${id}`, data); return r.data; },
+    /** Admins: each recipient with when they read and acknowledged it */
+    getReport: async (id) => { const r = await api.get(`/api/alerts/${id}/report`); return r.data; },
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LIVE EVENTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const eventsAPI = {
+    /** Open the Server-Sent Events stream; EventSource can't send headers, so the token rides in the URL */
+    open: () => new EventSource(`${API_BASE_URL}/api/events?token=${encodeURIComponent(localStorage.getItem('token') || '')}`),
+    /** Renew the access token before reconnecting a stream closed by its expiry */
+    refreshToken: () => refreshAccessToken(),
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -212,13 +403,46 @@ export const attendanceAPI = {
         return response.data;
     },
 
+    /**
+     * Replace the records of a submitted session
+     * @param {string} attendanceId
+     * @param {Object} payload - { records: [{ student, status }], note, reason }
+     */
+    update: async (attendanceId, payload) => {
+        console.log('[ATTENDANCE] Updating attendance:', attendanceId, payload);
+        const response = await api.put(`/api/attendance/${attendanceId}`, payload);
+        return response.data;
+    },
+
+    /**
+     * Change individual statuses, add latecomers or edit the note of a session
+     * @param {string} attendanceId
+     * @param {Object} payload - { records?: [{ student, status }], note?, reason }
+     */
+    patch: async (attendanceId, payload) => {
+        console.log('[ATTENDANCE] Patching attendance:', attendanceId, payload);
+        const response = await api.patch(`/api/attendance/${attendanceId}`, payload);
+        return response.data;
+    },
+
+    /**
+     * Get the change history (audit trail) of a session
+     * @param {string} attendanceId
+     */
+    getHistory: async (attendanceId) => {
+        console.log('[ATTENDANCE] Fetching history for attendance:', attendanceId);
+        const response = await api.get(`/api/attendance/${attendanceId}/history`);
+        return response.data;
+    },
+
     /**
      * Get attendance records for a class
      * @param {string} classId 
+     * @param {string} [date] - YYYY-MM-DD, limits the result to that session
      */
-    getByClass: async (classId) => {
-        console.log('[ATTENDANCE] Fetching attendance for class:', classId);
-        const response = await api.get(`/api/attendance/class/${classId}`);
+    getByClass: async (classId, date) => {
+        console.log('[ATTENDANCE] Fetching attendance for class:', classId, date || '');
+        const response = await api.get(`/api/attendance/class/${classId}`, { params: date ? { date } : {} });
         return response.data;
     },
 
@@ -263,6 +487,121 @@ export const attendanceAPI = {
         const response = await api.get('/api/attendance/overall-ai');
         return response.data;
     },
+
+    /**
+     * Download an attendance register
+     * @param {Object} params - { format: 'csv'|'xlsx'|'pdf', classId | section | studentId, from?, to? }
+     * @returns {Promise<{ blob: Blob, filename: string }>}
+     */
+    exportRegister: async (params) => {
+        console.log('[ATTENDANCE] Exporting register:', params);
+        return getFile('/api/attendance/export', params, `attendance.${params.format}`);
+    },
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ORGANISATION API
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const organisationAPI = {
+    /** The current organisation, its admins and volunteer count */
+    get: async () => { const r = await api.get('/api/organisation'); return r.data; },
+    /** Rename the organisation or toggle `requireAdminTwoFactor` (admin only) */
+    update: async (changes) => { const r = await api.patch('/api/organisation', changes); return r.data; },
+    /** Invite another admin; the response carries the one-time invite token */
+    createInvite: async (email) => { const r = await api.post('/api/organisation/invites', { email }); return r.data; },
+    getInvites: async () => { const r = await api.get('/api/organisation/invites'); return r.data; },
+    revokeInvite: async (id) => { const r = await api.delete(`/api/organisation/invites/${id}`); return r.data; },
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SUBSTITUTIONS API (cover requests)
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const substitutionsAPI = {
+    /** Active cover requests the caller can act on; pass 'all' to include closed ones */
+    getAll: async (status) => { const r = await api.get('/api/substitutions', { params: status ? { status } : {} }); return r.data; },
+    /** Ask for cover; free, available volunteers are notified */
+    request: async (classId, reason) => { const r = await api.post('/api/substitutions', { classId, reason }); return r.data; },
+    claim: async (id) => { const r = await api.post(`/api/substitutions/${id}/claim`); return r.data; },
+    /** Staff: hand the class to the volunteer who claimed it */
+    approve: async (id) => { const r = await api.post(`/api/substitutions/${id}/approve`); return r.data; },
+    /** Staff: turn down the claim and reopen the request */
+    decline: async (id) => { const r = await api.post(`/api/substitutions/${id}/decline`); return r.data; },
+    cancel: async (id) => { const r = await api.delete(`/api/substitutions/${id}`); return r.data; },
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VOLUNTEER HOURS API
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const hoursAPI = {
+    /** Staff: hours totals per volunteer; `range` is { from?, to? } */
+    getReport: async (range) => { const r = await api.get('/api/hours', { params: range }); return r.data; },
+    /** Staff: one volunteer's ledger of delivered classes and adjustments */
+    getLedger: async (volunteerId, range) => { const r = await api.get(`/api/hours/volunteers/${volunteerId}`, { params: range }); return r.data; },
+    getMyLedger: async (range) => { const r = await api.get('/api/hours/me', { params: range }); return r.data; },
+    /** Admin: add `{ date, hours, reason }`; negative hours remove time */
+    addAdjustment: async (volunteerId, adjustment) => { const r = await api.post(`/api/hours/volunteers/${volunteerId}/adjustments`, adjustment); return r.data; },
+    /** PDF certificate as { blob, filename } */
+    getCertificate: (volunteerId, range) => getFile(`/api/hours/volunteers/${volunteerId}/certificate`, range, 'hours-certificate.pdf'),
+    getMyCertificate: (range) => getFile('/api/hours/me/certificate', range, 'hours-certificate.pdf'),
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SETTINGS API (admins of the organisation that manages the installation)
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const settingsAPI = {
+    getRegistration: async () => { const r = await api.get('/api/settings/registration'); return r.data; },
+    /** Save `{ mode, allowedDomains, role }`; mode is invite or domain */
+    updateRegistration: async (policy) => { const r = await api.put('/api/settings/registration', policy); return r.data; },
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WATCHLIST API (early warnings for absenteeism; staff read and note, admins manage)
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const watchlistAPI = {
+    /** Flagged students; `filters` is { status?, assignedTo? ('me' or a user id), studentId? } */
+    getAll: async (filters = {}) => { const r = await api.get('/api/watchlist', { params: filters }); return r.data; },
+    evaluate: async () => { const r = await api.post('/api/watchlist/evaluate'); return r.data; },
+    getSettings: async () => { const r = await api.get('/api/watchlist/settings'); return r.data; },
+    /** Save `{ rules: { consecutive?, rolling?, drop? } }` */
+    updateSettings: async (settings) => { const r = await api.put('/api/watchlist/settings', settings); return r.data; },
+    assign: async (id, assignedTo) => { const r = await api.patch(`/api/watchlist/${id}/assign`, { assignedTo }); return r.data; },
+    addNote: async (id, text) => { const r = await api.post(`/api/watchlist/${id}/notes`, { text }); return r.data; },
+    resolve: async (id, note) => { const r = await api.post(`/api/watchlist/${id}/resolve`, { note }); return r.data; },
+    reopen: async (id) => { const r = await api.post(`/api/watchlist/${id}/reopen`); return r.data; },
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PARENT NOTIFICATIONS API (settings: admins; delivery log: staff)
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const notificationsAPI = {
+    /** Settings plus the default templates and the placeholders each template can use */
+    getSettings: async () => { const r = await api.get('/api/notifications/settings'); return r.data; },
+    /** Save `{ enabled, channel, mode, digestTime, timezone, templates: { absence: { en, hi }, digest: { en, hi } } }` */
+    updateSettings: async (settings) => { const r = await api.put('/api/notifications/settings', settings); return r.data; },
+    /** Delivery log; `filters` is { status?, kind?, studentId?, page?, limit? } */
+    getLog: async (filters = {}) => { const r = await api.get('/api/notifications', { params: filters }); return r.data; },
+    retry: async (id) => { const r = await api.post(`/api/notifications/${id}/retry`); return r.data; },
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TWO-FACTOR API (admins)
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const twoFactorAPI = {
+    /** Whether 2FA is on, recovery codes left, and whether the organisation requires it */
+    getStatus: async () => { const r = await api.get('/api/auth/2fa'); return r.data; },
+    /** Start enrolment; returns a QR code (data URL) and the secret for manual entry */
+    setup: async () => { const r = await api.post('/api/auth/2fa/setup'); return r.data; },
+    /** Confirm enrolment with a first code; returns the recovery codes once */
+    enable: async (code) => { const r = await api.post('/api/auth/2fa/enable', { code }); return r.data; },
+    disable: async (password, code) => { const r = await api.post('/api/auth/2fa/disable', { password, code }); return r.data; },
+    regenerateRecoveryCodes: async (code) => { const r = await api.post('/api/auth/2fa/recovery-codes', { code }); return r.data; },
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -294,23 +633,41 @@ export const photosAPI = {
         const response = await api.get(`/api/photos/class/${classId}`);
         return response.data;
     },
-    /** Upload a profile picture (base64) */
-    uploadProfilePic: async (imageBase64) => {
-        console.log('[PHOTOS] Uploading profile picture');
-        const response = await api.post('/api/photos/profile-pic', { imageBase64 });
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// USERS API (own account)
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const usersAPI = {
+    /** Get own profile */
+    getMe: async () => {
+        const response = await api.get('/api/users/me');
         return response.data;
     },
     /** Update profile info (name, phone) */
-    updateProfile: async (data) => {
-        console.log('[PHOTOS] Updating profile:', data);
-        const response = await api.patch('/api/photos/profile', data);
+    updateMe: async (data) => {
+        console.log('[USERS] Updating profile:', data);
+        const response = await api.patch('/api/users/me', data);
         return response.data;
     },
-    /** Get own profile */
-    getProfile: async () => {
-        const response = await api.get('/api/photos/profile');
+    /** Upload a profile picture (base64) */
+    uploadProfilePic: async (imageBase64) => {
+        console.log('[USERS] Uploading profile picture');
+        const response = await api.post('/api/users/me/profile-pic', { imageBase64 });
         return response.data;
     },
+    /** Change password; other devices are signed out */
+    changePassword: async (currentPassword, newPassword) => { const r = await api.put('/api/users/me/password', { currentPassword, newPassword }); return r.data; },
+    /** Ask to switch email; the new address gets a confirmation link */
+    requestEmailChange: async (newEmail, password) => { const r = await api.post('/api/users/me/email', { newEmail, password }); return r.data; },
+    /** Confirm an email change with the token from the link */
+    confirmEmailChange: async (token) => { const r = await api.post('/api/users/email/confirm', { token }); return r.data; },
+    /** Weekly availability slots and blackout dates (volunteers) */
+    getAvailability: async () => { const r = await api.get('/api/users/me/availability'); return r.data; },
+    updateAvailability: async (availability) => { const r = await api.put('/api/users/me/availability', availability); return r.data; },
+    /** Permanently delete own account */
+    deleteMe: async (password) => { const r = await api.delete('/api/users/me', { data: { password } }); return r.data; },
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
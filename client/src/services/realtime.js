@@ -0,0 +1,95 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * Realtime Service
+ * One shared event stream per tab; components subscribe with onRealtime()
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { eventsAPI } from './api';
+
+// Events the server publishes
+const EVENTS = ['alert', 'message', 'read', 'attendance', 'photo'];
+const MAX_RETRY_MS = 60 * 1000;
+
+const listeners = new Map();
+let source = null;
+let retryTimer = null;
+let retryMs = 2000;
+let active = false;
+
+// Seconds until the stored access token expires (0 when missing or unreadable)
+const tokenLifetime = () => {
+    try {
+        const payload = localStorage.getItem('token').split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(payload)).exp - Date.now() / 1000;
+    } catch {
+        return 0;
+    }
+};
+
+const dispatch = (event, data) => {
+    (listeners.get(event) || []).forEach((handler) => {
+        try {
+            handler(data);
+        } catch (err) {
+            console.error(`[REALTIME] ${event} handler failed:`, err);
+        }
+    });
+};
+
+const open = () => {
+    source = eventsAPI.open();
+    source.addEventListener('ready', () => { retryMs = 2000; });
+    EVENTS.forEach((event) => {
+        source.addEventListener(event, (e) => dispatch(event, JSON.parse(e.data)));
+    });
+    // The server ends the stream when the access token expires, and the browser
+    // would retry with that same token, so reconnect ourselves instead
+    source.onerror = () => {
+        source.close();
+        source = null;
+        if (active) scheduleReconnect();
+    };
+};
+
+const scheduleReconnect = () => {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(async () => {
+        retryTimer = null;
+        if (!active) return;
+        try {
+            if (tokenLifetime() < 30) await eventsAPI.refreshToken();
+            open();
+        } catch {
+            scheduleReconnect();
+        }
+    }, retryMs);
+    // Back off while the server stays unreachable; 'ready' resets this
+    retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+};
+
+/** Open the stream for the signed-in user; safe to call more than once. */
+export function connectRealtime() {
+    active = true;
+    if (!source && !retryTimer) open();
+}
+
+/** Close the stream, e.g. when leaving the signed-in area. */
+export function disconnectRealtime() {
+    active = false;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    source?.close();
+    source = null;
+}
+
+/**
+ * Call `handler(data)` for every `event`: 'alert', 'message', 'read' (you read
+ * a conversation, maybe in another tab), 'attendance' or 'photo'. Returns an
+ * unsubscribe function, handy as a useEffect cleanup.
+ */
+export function onRealtime(event, handler) {
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(handler);
+    return () => listeners.get(event).delete(handler);
+}
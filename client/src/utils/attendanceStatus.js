@@ -0,0 +1,20 @@
+/**
+ * Attendance statuses shared by the marking screen, history and student stats.
+ * Keep in sync with server/config/attendanceStatuses.js
+ */
+
+export const ATTENDANCE_STATUSES = [
+  { value: 'present', label: 'Present', short: 'P', color: '#16A34A', solid: '#22C55E', bg: '#F0FDF4', border: 'rgba(34,197,94,0.25)' },
+  { value: 'late', label: 'Late', short: 'L', color: '#B45309', solid: '#F59E0B', bg: '#FFFBEB', border: 'rgba(245,158,11,0.3)' },
+  { value: 'left-early', label: 'Left Early', short: 'LE', color: '#C2410C', solid: '#F97316', bg: '#FFF7ED', border: 'rgba(249,115,22,0.3)' },
+  { value: 'excused', label: 'Excused', short: 'E', color: '#1D4ED8', solid: '#3B82F6', bg: '#EFF6FF', border: 'rgba(59,130,246,0.3)' },
+  { value: 'absent', label: 'Absent', short: 'A', color: '#b91d20', solid: '#b91d20', bg: '#FEF2F2', border: 'rgba(239,68,68,0.2)' },
+];
+
+/**
+ * Returns the display config for a status value (falls back to a neutral style).
+ */
+export function getStatusMeta(status) {
+  return ATTENDANCE_STATUSES.find(s => s.value === status)
+    || { value: status, label: status || '—', short: '?', color: '#6B7280', solid: '#9CA3AF', bg: '#F9FAFB', border: '#E5E7EB' };
+}
@@ -234,6 +234,22 @@ export function formatRelativeTime(date) {
     return formatDate(date, { month: 'short', day: 'numeric' });
 }
 
+/**
+ * Save a Blob (e.g. an exported file) through the browser's download prompt
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
 export default {
     formatTime,
     formatDate,
@@ -252,4 +268,5 @@ export default {
     groupBy,
     isCurrentTimeInRange,
     formatRelativeTime,
+    downloadBlob,
 };
@@ -11,10 +11,23 @@ const attendanceRoutes = require("./routes/attendance.routes");
 const messageRoutes = require("./routes/message.routes");
 const photoRoutes = require("./routes/photo.routes");
 const alertRoutes = require("./routes/alert.routes");
+const organisationRoutes = require("./routes/organisation.routes");
+const userRoutes = require("./routes/user.routes");
+const settingsRoutes = require("./routes/settings.routes");
+const substitutionRoutes = require("./routes/substitution.routes");
+const hoursRoutes = require("./routes/hours.routes");
+const eventRoutes = require("./routes/event.routes");
+const notificationRoutes = require("./routes/notification.routes");
+const watchlistRoutes = require("./routes/watchlist.routes");
 
 // Initialize Cloudinary config
 require('./config/cloudinary');
 
+// Behind a reverse proxy (e.g. on Render) set TRUST_PROXY so rate limits see the client IP
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors({
   origin: [
@@ -24,7 +37,8 @@ app.use(cors({
   ],
   credentials: true,
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"]
+  allowedHeaders: ["Content-Type", "Authorization"],
+  exposedHeaders: ["Content-Disposition"] // lets the client read export filenames
 }));
 app.use(express.json({ limit: '15mb' }));
 app.use(express.urlencoded({ extended: true, limit: '15mb' }));
@@ -37,6 +51,14 @@ app.use("/api/attendance", attendanceRoutes);
 app.use("/api/messages", messageRoutes);
 app.use("/api/photos", photoRoutes);
 app.use("/api/alerts", alertRoutes);
+app.use("/api/organisation", organisationRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/settings", settingsRoutes);
+app.use("/api/substitutions", substitutionRoutes);
+app.use("/api/hours", hoursRoutes);
+app.use("/api/events", eventRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/watchlist", watchlistRoutes);
 
 // Health check
 app.get("/health", (req, res) => {
@@ -0,0 +1,11 @@
+// Alert severities; urgent alerts must be acknowledged by each recipient
+const ALERT_TYPES = ["info", "warning", "urgent"];
+
+// Who an alert is for:
+//   "everyone"   — the whole organisation
+//   "volunteers" — every volunteer
+//   "users"      — hand-picked recipients
+//   "class"      — the volunteers of a class (and of its series' upcoming occurrences)
+const ALERT_AUDIENCES = ["everyone", "volunteers", "users", "class"];
+
+module.exports = { ALERT_TYPES, ALERT_AUDIENCES };
@@ -0,0 +1,39 @@
+// Attendance statuses and how much each one counts towards a student's attendance rate.
+// A weight of null leaves the session out of the denominator entirely (e.g. excused).
+const ATTENDANCE_STATUSES = ["present", "absent", "late", "excused", "left-early"];
+
+const DEFAULT_WEIGHTS = {
+  present: 1,
+  absent: 0,
+  late: 1,
+  excused: null,
+  "left-early": 0.5,
+};
+
+// Override with e.g. ATTENDANCE_STATUS_WEIGHTS='{"late":0.75,"left-early":0.5}'
+let overrides = {};
+if (process.env.ATTENDANCE_STATUS_WEIGHTS) {
+  try {
+    overrides = JSON.parse(process.env.ATTENDANCE_STATUS_WEIGHTS);
+  } catch (err) {
+    console.warn("[ATTENDANCE] Ignoring invalid ATTENDANCE_STATUS_WEIGHTS:", err.message);
+  }
+}
+
+const STATUS_WEIGHTS = { ...DEFAULT_WEIGHTS };
+ATTENDANCE_STATUSES.forEach((status) => {
+  if (overrides[status] === null || typeof overrides[status] === "number") {
+    STATUS_WEIGHTS[status] = overrides[status];
+  }
+});
+
+// Short codes used in printed / exported registers
+const STATUS_CODES = {
+  present: "P",
+  absent: "A",
+  late: "L",
+  excused: "E",
+  "left-early": "LE",
+};
+
+module.exports = { ATTENDANCE_STATUSES, STATUS_WEIGHTS, STATUS_CODES };
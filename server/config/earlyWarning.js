@@ -0,0 +1,16 @@
+// Early-warning rules that put a student on the absenteeism watchlist, and the
+// thresholds organisations start from:
+//   consecutive — at least `absences` absences in a row (excused sessions neither count nor break the run)
+//   rolling     — attendance rate below `rate`% over the last `days` days, once there are `minSessions` sessions in them
+//   drop        — the rolling rate is at least `points` below the student's own rate before the window,
+//                 measured over at least `minBaselineSessions` earlier sessions
+const WATCHLIST_RULES = ["consecutive", "rolling", "drop"];
+const WATCHLIST_STATUSES = ["open", "resolved"];
+
+const DEFAULT_RULES = {
+  consecutive: { enabled: true, absences: 3 },
+  rolling: { enabled: true, days: 14, minSessions: 3, rate: 60 },
+  drop: { enabled: true, points: 25, minBaselineSessions: 5 },
+};
+
+module.exports = { WATCHLIST_RULES, WATCHLIST_STATUSES, DEFAULT_RULES };
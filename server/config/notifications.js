@@ -0,0 +1,43 @@
+// Parent notifications: how they're sent, in which languages, and the wording
+// organisations start from. Templates fill in {placeholders}; see TEMPLATE_FIELDS.
+const NOTIFICATION_CHANNELS = ["sms", "whatsapp"];
+const NOTIFICATION_LANGUAGES = ["en", "hi"];
+// "immediate" sends each absence as soon as attendance is taken; "digest" sends
+// one message per student at the organisation's digest time
+const DELIVERY_MODES = ["immediate", "digest"];
+const NOTIFICATION_KINDS = ["absence", "digest"];
+
+const TEMPLATE_FIELDS = {
+  absence: ["student", "class", "date", "time", "organisation"],
+  digest: ["student", "date", "count", "classes", "organisation"],
+};
+
+const DEFAULT_TEMPLATES = {
+  absence: {
+    en: "Dear parent, {student} was absent from {class} on {date} at {time}. - {organisation}",
+    hi: "प्रिय अभिभावक, {student} {date} को {time} बजे {class} कक्षा में अनुपस्थित थे। - {organisation}",
+  },
+  digest: {
+    en: "Dear parent, {student} missed {count} class(es) on {date}: {classes}. - {organisation}",
+    hi: "प्रिय अभिभावक, {student} {date} को {count} कक्षा(ओं) में अनुपस्थित थे: {classes}। - {organisation}",
+  },
+};
+
+// Replies that opt a parent out of (or back into) messages
+const OPT_OUT_KEYWORDS = ["STOP", "UNSUBSCRIBE", "CANCEL", "बंद"];
+const OPT_IN_KEYWORDS = ["START", "SUBSCRIBE", "शुरू"];
+
+// A failed message is retried this many times in total, backing off between attempts
+const MAX_ATTEMPTS = 3;
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_LANGUAGES,
+  DELIVERY_MODES,
+  NOTIFICATION_KINDS,
+  TEMPLATE_FIELDS,
+  DEFAULT_TEMPLATES,
+  OPT_OUT_KEYWORDS,
+  OPT_IN_KEYWORDS,
+  MAX_ATTEMPTS,
+};
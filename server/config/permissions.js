@@ -0,0 +1,75 @@
+// Who may do what. Each permission maps a role to its grant:
+//   "all"      — anything in the user's organisation
+//   "assigned" — only classes (and their attendance and photos) the user is assigned to
+//   "own"      — only records that belong to the user, such as their own conversations
+// Roles missing from a permission do not hold it.
+const ROLES = ["admin", "coordinator", "volunteer"];
+
+const STAFF = { admin: "all", coordinator: "all" };
+const EVERYONE = { ...STAFF, volunteer: "all" };
+const ASSIGNED = { ...STAFF, volunteer: "assigned" };
+const ADMIN_ONLY = { admin: "all" };
+
+const PERMISSIONS = {
+  "class:create": STAFF,
+  "class:read": ASSIGNED,
+  "class:update": STAFF,
+  "class:delete": ADMIN_ONLY,
+  "roster:update": STAFF,
+
+  "student:read": EVERYONE,
+  "student:create": STAFF,
+  "student:update": STAFF,
+  "student:delete": ADMIN_ONLY,
+
+  "attendance:take": ASSIGNED,
+  "attendance:read": ASSIGNED,
+  "attendance:update": ASSIGNED,
+  "attendance:export": EVERYONE,
+  "analytics:read": EVERYONE,
+  "watchlist:read": STAFF,
+  "watchlist:note": STAFF,
+  "watchlist:manage": ADMIN_ONLY,
+
+  "volunteer:read": STAFF,
+  "volunteer:manage": STAFF,
+  "volunteer:delete": ADMIN_ONLY,
+  "hours:read": STAFF,
+  "hours:adjust": ADMIN_ONLY,
+  "hours:own": { coordinator: "all", volunteer: "all" },
+
+  "alert:create": STAFF,
+  "alert:read": EVERYONE,
+  "alert:manage": STAFF,
+  "alert:report": ADMIN_ONLY,
+  "message:send": { ...STAFF, volunteer: "own" },
+  "message:read": { ...STAFF, volunteer: "own" },
+  "message:manage": STAFF,
+  "notification:read": STAFF,
+  "notification:manage": ADMIN_ONLY,
+
+  "substitution:request": ASSIGNED,
+  "substitution:read": EVERYONE,
+  "substitution:claim": { volunteer: "all" },
+  "substitution:approve": STAFF,
+
+  "photo:upload": ASSIGNED,
+  "photo:read": ASSIGNED,
+  "photo:delete": ADMIN_ONLY,
+  "profile:manage": EVERYONE,
+  "profile:twoFactor": ADMIN_ONLY,
+  "profile:availability": { volunteer: "all" },
+
+  "organisation:read": EVERYONE,
+  "organisation:manage": ADMIN_ONLY,
+  "settings:manage": ADMIN_ONLY,
+};
+
+/** The grant ("all" / "assigned") a role holds for a permission, or undefined. */
+const grantFor = (role, permission) => PERMISSIONS[permission]?.[role];
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  grantFor,
+};
@@ -1,35 +1,126 @@
 const Alert = require('../models/Alert');
+const {
+  visibleTo,
+  isRecipient,
+  resolveAudience,
+  forViewer,
+  scheduleAlert,
+  markRead,
+  acknowledge,
+  recipientReport,
+} = require('../services/alert.service');
 
-// POST /api/alerts — Admin sends a global alert
+const populateAlert = (query) => query.populate('class', 'subject date startTime');
+
+// POST /api/alerts — Admin or coordinator sends an alert to everyone, all volunteers,
+// chosen people (`userIds`) or a class's volunteers (`classId`), now or at `publishAt`
 exports.createAlert = async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Only admins can send alerts' });
-    }
-    const { message, type } = req.body;
-    if (!message?.trim()) {
-      return res.status(400).json({ success: false, message: 'Message is required' });
-    }
+    const { message, type = 'info', audience = 'everyone', userIds, classId, publishAt, expiresAt, pinned } = req.body;
+
+    const resolved = await resolveAudience(req.organisationId, { audience, userIds, classId });
+    if (resolved.error) return res.status(resolved.status).json({ success: false, message: resolved.error });
 
     const alert = await Alert.create({
       sender: req.user._id,
       senderName: req.user.name,
       message: message.trim(),
-      type: type || 'info',
+      type,
+      organisation: req.organisationId,
+      audience,
+      recipients: resolved.recipients,
+      class: resolved.class || null,
+      publishAt: publishAt ? new Date(publishAt) : new Date(),
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      pinned: Boolean(pinned),
+      requiresAck: type === 'urgent',
     });
+    scheduleAlert(alert);
 
-    res.status(201).json({ success: true, alert });
+    res.status(201).json({ success: true, alert: forViewer(await populateAlert(Alert.findById(alert._id)), req.user) });
   } catch (err) {
+    console.error('Create alert error:', err);
     res.status(500).json({ success: false, message: err.message });
   }
 };
 
-// GET /api/alerts — Fetch all active alerts (latest 50)
+// GET /api/alerts — The caller's live alerts, pinned first then newest (latest 50), with
+// their read and acknowledgement times. Staff can add includeInactive=true for
+// scheduled and expired alerts
 exports.getAlerts = async (req, res) => {
   try {
-    const alerts = await Alert.find().sort({ createdAt: -1 }).limit(50);
-    res.json({ success: true, alerts });
+    const query = visibleTo(req.user, req.organisationId, { includeInactive: req.query.includeInactive === 'true' });
+    const alerts = await populateAlert(Alert.find(query).sort({ pinned: -1, publishAt: -1, createdAt: -1 }).limit(50));
+    const shown = alerts.map((a) => forViewer(a, req.user));
+
+    res.json({
+      success: true,
+      alerts: shown,
+      unread: shown.filter((a) => a.isRecipient && !a.readAt).length,
+      awaitingAcknowledgement: shown.filter((a) => a.isRecipient && a.requiresAck && !a.acknowledgedAt).length,
+    });
+  } catch (err) {
+    console.error('Get alerts error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/alerts/read — The caller has seen these alerts (`alertIds`)
+exports.markAlertsRead = async (req, res) => {
+  try {
+    const alerts = await Alert.find({ _id: { $in: req.body.alertIds }, ...visibleTo(req.user, req.organisationId) });
+    const marked = await markRead(alerts, req.user);
+    res.json({ success: true, marked });
+  } catch (err) {
+    console.error('Mark alerts read error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/alerts/:id/acknowledge — A recipient confirms an urgent alert
+exports.acknowledgeAlert = async (req, res) => {
+  try {
+    const alert = req.resource;
+    const visible = await Alert.exists({ _id: alert._id, ...visibleTo(req.user, req.organisationId) });
+    if (!visible || !isRecipient(req.user, alert)) {
+      return res.status(403).json({ success: false, message: 'This alert was not sent to you' });
+    }
+    if (!alert.requiresAck) {
+      return res.status(400).json({ success: false, message: 'Only urgent alerts need acknowledging' });
+    }
+
+    await acknowledge(alert, req.user);
+    res.json({ success: true, alert: forViewer(await populateAlert(Alert.findById(alert._id)), req.user) });
+  } catch (err) {
+    console.error('Acknowledge alert error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// PATCH /api/alerts/:id — Staff pin or unpin an alert, or change when it expires
+// (`expiresAt: null` keeps it up indefinitely)
+exports.updateAlert = async (req, res) => {
+  try {
+    const update = {};
+    if (req.body.pinned !== undefined) update.pinned = req.body.pinned;
+    if (req.body.expiresAt !== undefined) update.expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+
+    const alert = await populateAlert(Alert.findByIdAndUpdate(req.resource._id, { $set: update }, { new: true }));
+    res.json({ success: true, alert: forViewer(alert, req.user) });
+  } catch (err) {
+    console.error('Update alert error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// GET /api/alerts/:id/report — Admins see who the alert reached, read it and acknowledged it
+exports.getAlertReport = async (req, res) => {
+  try {
+    const alert = await populateAlert(Alert.findById(req.resource._id));
+    const report = await recipientReport(alert);
+    res.json({ success: true, alert: forViewer(alert, req.user), ...report });
   } catch (err) {
+    console.error('Alert report error:', err);
     res.status(500).json({ success: false, message: err.message });
   }
 };
@@ -2,7 +2,43 @@ const axios = require("axios");
 const Attendance = require("../models/Attendance");
 const Student = require("../models/Student");
 const Class = require("../models/Class");
-const User = require("../models/User");
+const AttendanceChange = require("../models/AttendanceChange");
+const { snapshotRecords, recordChange } = require("../services/attendanceHistory.service");
+const { summariseStatuses, summariseSessions } = require("../services/attendanceStats.service");
+const { buildRegister, renderRegister } = require("../services/attendanceExport.service");
+const { getReportingRoster, findUnenrolled } = require("../services/enrollment.service");
+const { can } = require("../services/permission.service");
+const { publishToStaff } = require("../services/realtime.service");
+const { queueAbsenceNotices, withdrawCorrectedNotices } = require("../services/parentNotification.service");
+const { evaluateSession } = require("../services/earlyWarning.service");
+const WatchlistEntry = require("../models/WatchlistEntry");
+
+// Keep only the fields a record may carry; the reason is only kept for excused students
+const toRecord = ({ student, status, reason }) => ({
+  student,
+  status,
+  reason: status === "excused" ? (reason || "").trim() : "",
+});
+
+// Lets staff dashboards know a session was submitted or edited
+const announceAttendance = (attendance, actor, action) =>
+  publishToStaff(attendance.organisation, "attendance", {
+    action,
+    attendanceId: attendance._id,
+    classId: attendance.class._id,
+    subject: attendance.class.subject,
+    date: attendance.date,
+    takenBy: actor._id,
+    takenByName: actor.name,
+  });
+
+// A corrected session may no longer justify messages still waiting to go to parents
+const withdrawNotices = (attendance) =>
+  withdrawCorrectedNotices(attendance).catch((err) => console.error("Withdraw absence notices error:", err));
+
+// Re-runs the early-warning rules for the session's students without holding up the response
+const checkWatchlist = (attendance) =>
+  evaluateSession(attendance).catch((err) => console.error("Watchlist evaluation error:", err));
 
 // Simple in-memory cache for AI insights (5 minute TTL)
 const aiInsightsCache = new Map();
@@ -12,43 +48,59 @@ exports.markAttendance = async (req, res) => {
   try {
     const { class: classId, date, records, note } = req.body;
 
-    // Verify class ownership
-    const classDoc = await Class.findById(classId);
-    if (!classDoc) {
-      return res.status(404).json({ success: false, message: "Class not found" });
-    }
+    // The class is loaded and access-checked by the authorize middleware
+    const classDoc = req.resource;
 
-    const user = await User.findById(req.userId);
-    const isVolunteer = user && user.role === "volunteer";
+    if (classDoc.status === "cancelled") {
+      return res.status(400).json({ success: false, message: "This class has been cancelled" });
+    }
 
-    if (classDoc.admin.toString() !== req.userId && !(isVolunteer && classDoc.assignedVolunteer?.toString() === req.userId)) {
-      return res.status(403).json({ success: false, message: "Unauthorized - You are not authorized for this class" });
+    // A series occurrence is one specific date; attendance for another day belongs to another occurrence
+    if (classDoc.series && classDoc.date !== String(date).slice(0, 10)) {
+      return res.status(400).json({
+        success: false,
+        message: `This class is scheduled for ${classDoc.date}. Take attendance on that occurrence instead.`,
+      });
     }
 
     const existingAttendance = await Attendance.findOne({ class: classId, date: new Date(date) });
     if (existingAttendance) {
-      return res.status(400).json({ success: false, message: "Attendance already marked for this class on this date" });
+      return res.status(400).json({
+        success: false,
+        message: "Attendance already marked for this class on this date",
+        attendanceId: existingAttendance._id,
+      });
     }
 
     const studentIds = records.map((r) => r.student);
-    const students = await Student.find({ _id: { $in: studentIds } });
+    const students = await Student.find({ _id: { $in: studentIds }, organisation: classDoc.organisation });
     if (students.length !== studentIds.length) {
       return res.status(400).json({ success: false, message: "One or more students do not belong to you" });
     }
+    if ((await findUnenrolled(classDoc, studentIds)).length > 0) {
+      return res.status(400).json({ success: false, message: "One or more students are not enrolled in this class" });
+    }
 
     // Create attendance record
     const attendance = await Attendance.create({
       class: classId,
-      admin: isVolunteer ? classDoc.admin : req.userId,
+      admin: classDoc.admin,
+      organisation: classDoc.organisation,
       takenBy: req.userId,
       date: new Date(date),
       note: note || '',
-      records,
+      records: records.map(toRecord),
     });
 
+    await recordChange({ attendance, actor: req.user, action: "created", noteBefore: "" });
+
     const populatedAttendance = await Attendance.findById(attendance._id)
       .populate("class")
       .populate("records.student");
+    announceAttendance(populatedAttendance, req.user, "created");
+    // Parents hear about absences in the background; a delivery problem never fails the submission
+    queueAbsenceNotices(populatedAttendance).catch((err) => console.error("Queue absence notices error:", err));
+    checkWatchlist(attendance);
 
     res.status(201).json({
       success: true,
@@ -74,31 +126,152 @@ exports.markAttendance = async (req, res) => {
   }
 };
 
-exports.getAttendanceByClass = async (req, res) => {
+// PUT /api/attendance/:attendanceId — replace the records (and note) of a submitted session
+exports.updateAttendance = async (req, res) => {
   try {
-    const { classId } = req.params;
+    const { records, note, reason } = req.body;
 
-    // Verify class ownership
-    const classDoc = await Class.findById(classId);
-    if (!classDoc) {
-      return res.status(404).json({
-        success: false,
-        message: "Class not found",
-      });
+    const attendance = req.resource;
+    const classDoc = await Class.findById(attendance.class);
+
+    const studentIds = records.map((r) => r.student);
+    const students = await Student.find({ _id: { $in: studentIds }, organisation: classDoc.organisation });
+    if (students.length !== new Set(studentIds).size) {
+      return res.status(400).json({ success: false, message: "One or more students do not belong to you" });
+    }
+    // Students already in the session may since have left the roster; only additions must be enrolled
+    const addedIds = studentIds.filter((id) => !attendance.records.some((rec) => rec.student.toString() === id));
+    if ((await findUnenrolled(classDoc, addedIds)).length > 0) {
+      return res.status(400).json({ success: false, message: "One or more students are not enrolled in this class" });
     }
 
-    const user = await User.findById(req.userId);
-    const isVolunteer = user && user.role === "volunteer";
-    if (classDoc.admin.toString() !== req.userId && !(isVolunteer && classDoc.assignedVolunteer?.toString() === req.userId)) {
-      return res.status(403).json({
-        success: false,
-        message: "Unauthorized - You are not authorized for this class",
-      });
+    const before = snapshotRecords(attendance.records);
+    const noteBefore = attendance.note;
+
+    attendance.records = records.map(toRecord);
+    if (note !== undefined) attendance.note = note;
+    await attendance.save();
+
+    await recordChange({ attendance, actor: req.user, action: "updated", before, noteBefore, reason });
+
+    const populatedAttendance = await Attendance.findById(attendance._id)
+      .populate("class")
+      .populate("records.student");
+    announceAttendance(populatedAttendance, req.user, "updated");
+    checkWatchlist(attendance);
+    withdrawNotices(attendance);
+
+    res.json({
+      success: true,
+      message: "Attendance updated successfully",
+      attendance: populatedAttendance,
+    });
+  } catch (err) {
+    console.error("Update attendance error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating attendance",
+      error: err.message,
+    });
+  }
+};
+
+// PATCH /api/attendance/:attendanceId — change individual statuses, add latecomers or edit the note
+exports.patchAttendance = async (req, res) => {
+  try {
+    const { records = [], note, reason } = req.body;
+
+    const attendance = req.resource;
+    const classDoc = await Class.findById(attendance.class);
+
+    const newStudentIds = records
+      .map((r) => r.student)
+      .filter((id) => !attendance.records.some((rec) => rec.student.toString() === id));
+    if (newStudentIds.length > 0) {
+      const students = await Student.find({ _id: { $in: newStudentIds }, organisation: classDoc.organisation });
+      if (students.length !== new Set(newStudentIds).size) {
+        return res.status(400).json({ success: false, message: "One or more students do not belong to you" });
+      }
+      if ((await findUnenrolled(classDoc, newStudentIds)).length > 0) {
+        return res.status(400).json({ success: false, message: "One or more students are not enrolled in this class" });
+      }
     }
 
-    const records = await Attendance.find({
-      class: classId,
-    })
+    const before = snapshotRecords(attendance.records);
+    const noteBefore = attendance.note;
+
+    records.forEach((record) => {
+      const { status: newStatus, reason: newReason } = toRecord(record);
+      const existing = attendance.records.find((rec) => rec.student.toString() === record.student);
+      if (existing) {
+        existing.status = newStatus;
+        existing.reason = newReason;
+      } else {
+        attendance.records.push(toRecord(record));
+      }
+    });
+    if (note !== undefined) attendance.note = note;
+    await attendance.save();
+
+    await recordChange({ attendance, actor: req.user, action: "updated", before, noteBefore, reason });
+
+    const populatedAttendance = await Attendance.findById(attendance._id)
+      .populate("class")
+      .populate("records.student");
+    announceAttendance(populatedAttendance, req.user, "updated");
+    checkWatchlist(attendance);
+    withdrawNotices(attendance);
+
+    res.json({
+      success: true,
+      message: "Attendance updated successfully",
+      attendance: populatedAttendance,
+    });
+  } catch (err) {
+    console.error("Patch attendance error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating attendance",
+      error: err.message,
+    });
+  }
+};
+
+// GET /api/attendance/:attendanceId/history — change log of a session, newest first
+exports.getAttendanceHistory = async (req, res) => {
+  try {
+    const attendance = req.resource;
+
+    const history = await AttendanceChange.find({ attendance: attendance._id })
+      .populate("changes.student", "name rollNo section")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: history.length,
+      history,
+    });
+  } catch (err) {
+    console.error("Attendance history error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching attendance history",
+      error: err.message,
+    });
+  }
+};
+
+exports.getAttendanceByClass = async (req, res) => {
+  try {
+    const { classId } = req.params;
+
+    // Optional ?date=YYYY-MM-DD narrows the result to a single session
+    const query = { class: classId };
+    if (req.query.date) {
+      query.date = new Date(req.query.date);
+    }
+
+    const records = await Attendance.find(query)
       .populate("records.student")
       .sort({ date: -1 });
 
@@ -121,59 +294,50 @@ exports.attendanceAnalytics = async (req, res) => {
   try {
     const { classId } = req.params;
 
-    // Verify class ownership
-    const classDoc = await Class.findById(classId);
-    if (!classDoc) {
-      return res.status(404).json({
-        success: false,
-        message: "Class not found",
-      });
-    }
+    const classDoc = req.resource;
 
-    const user = await User.findById(req.userId);
-    const isVolunteer = user && user.role === "volunteer";
-    if (classDoc.admin.toString() !== req.userId && !(isVolunteer && classDoc.assignedVolunteer?.toString() === req.userId)) {
-      return res.status(403).json({
-        success: false,
-        message: "Unauthorized - You are not authorized for this class",
-      });
-    }
-
-    // fetch all students if volunteer, or admin's students 
-    const studentQuery = isVolunteer ? {} : { admin: req.userId };
-    const students = await Student.find(studentQuery);
+    // Enrolled students, plus anyone recorded in a past session of this class
     const attendance = await Attendance.find({ class: classId });
+    const students = await getReportingRoster(classDoc, attendance);
+
+    // Lifetime averages miss recent trouble; the early-warning rules catch that
+    const flagged = await WatchlistEntry.find({
+      organisation: classDoc.organisation,
+      status: "open",
+      student: { $in: students.map((s) => s._id) },
+    }).select("student triggers");
+    const triggersOf = new Map(flagged.map((entry) => [entry.student.toString(), entry.triggers]));
 
     const stats = students.map((student) => {
-      let present = 0;
-      let total = 0;
+      const statuses = [];
 
       attendance.forEach((day) => {
         const record = day.records.find(
           (r) => r.student.toString() === student._id.toString()
         );
 
-        if (record) {
-          total++;
-          if (record.status === "present") present++;
-        }
+        if (record) statuses.push(record.status);
       });
 
-      const percent = total === 0 ? 0 : Math.round((present / total) * 100);
+      // Weighted by status; excused sessions are left out of `total`
+      const { attended, total, percent, counts } = summariseStatuses(statuses);
 
       return {
         studentId: student._id,
         name: student.name,
         rollNo: student.rollNo,
-        present,
+        present: attended,
         total,
         percent,
+        counts,
+        watchlist: triggersOf.get(student._id.toString()) || null,
       };
     });
 
     const perfect = stats.filter((s) => s.percent === 100);
     const over75 = stats.filter((s) => s.percent >= 75 && s.percent < 100);
     const critical = stats.filter((s) => s.percent < 75);
+    const watchlisted = stats.filter((s) => s.watchlist);
 
     res.json({
       success: true,
@@ -193,6 +357,10 @@ exports.attendanceAnalytics = async (req, res) => {
           count: critical.length,
           students: critical,
         },
+        watchlist: {
+          count: watchlisted.length,
+          students: watchlisted,
+        },
       },
     });
   } catch (err) {
@@ -207,42 +375,18 @@ exports.attendanceAnalytics = async (req, res) => {
 
 exports.attendanceChartData = async (req, res) => {
   try {
-    const { attendanceId } = req.params;
-
-    const attendance = await Attendance.findById(attendanceId);
-
-    if (!attendance) {
-      return res.status(404).json({
-        success: false,
-        message: "Attendance record not found",
-      });
-    }
-
-    const user = await User.findById(req.userId);
-    const isVolunteer = user && user.role === "volunteer";
-    if (attendance.admin.toString() !== req.userId && !(isVolunteer && true)) { // Allow volunteer to see attendance for their assigned classes if we find the class doc
-      // For now simplify to: only check attendance admin if not volunteer
-      if (user && user.role === "admin" && attendance.admin.toString() !== req.userId) {
-        return res.status(403).json({
-          success: false,
-          message: "Unauthorized - This attendance record does not belong to you",
-        });
-      }
-    }
+    // Volunteers only reach this for sessions of their assigned classes (see authorize)
+    const attendance = req.resource;
 
-    const present = attendance.records.filter(
-      (r) => r.status === "present"
-    ).length;
-
-    const absent = attendance.records.length - present;
+    const { counts } = summariseStatuses(attendance.records.map((r) => r.status));
 
     res.json({
       success: true,
-      labels: ["Present", "Absent"],
+      labels: ["Present", "Late", "Left Early", "Excused", "Absent"],
       datasets: [
         {
-          data: [present, absent],
-          backgroundColor: ["#4CAF50", "#F44336"],
+          data: [counts.present, counts.late, counts["left-early"], counts.excused, counts.absent],
+          backgroundColor: ["#4CAF50", "#FFC107", "#FF9800", "#2196F3", "#F44336"],
         },
       ],
     });
@@ -261,51 +405,30 @@ exports.getAIInsightsPrompt = async (req, res) => {
     const { classId } = req.params;
 
     // Check cache first
-    const cacheKey = `ai_insights_${classId}`;
+    const cacheKey = `ai_insights_${req.organisationId}_${classId}`;
     const cachedData = aiInsightsCache.get(cacheKey);
     if (cachedData && (Date.now() - cachedData.timestamp) < AI_CACHE_TTL) {
       console.log("[AI] Returning cached insights for class:", classId);
       return res.json(cachedData.response);
     }
 
-    // Verify class ownership
-    const classDoc = await Class.findById(classId);
-    if (!classDoc) {
-      return res.status(404).json({
-        success: false,
-        message: "Class not found",
-      });
-    }
-
-    const user = await User.findById(req.userId);
-    const isVolunteer = user && user.role === "volunteer";
-    if (classDoc.admin.toString() !== req.userId && !(isVolunteer && classDoc.assignedVolunteer?.toString() === req.userId)) {
-      return res.status(403).json({
-        success: false,
-        message: "Unauthorized",
-      });
-    }
+    const classDoc = req.resource;
 
-    const studentQuery = isVolunteer ? {} : { admin: req.userId };
-    const students = await Student.find(studentQuery);
     const attendance = await Attendance.find({ class: classId });
+    const students = await getReportingRoster(classDoc, attendance);
 
     const stats = students.map((student) => {
-      let present = 0;
-      let total = 0;
+      const statuses = [];
 
       attendance.forEach((day) => {
         const record = day.records.find(
           (r) => r.student.toString() === student._id.toString()
         );
 
-        if (record) {
-          total++;
-          if (record.status === "present") present++;
-        }
+        if (record) statuses.push(record.status);
       });
 
-      const percent = total === 0 ? 0 : Math.round((present / total) * 100);
+      const { percent } = summariseStatuses(statuses);
       return { name: student.name, percent };
     });
 
@@ -462,9 +585,12 @@ exports.getOverallAnalytics = async (req, res) => {
     if (!user) return res.status(401).json({ success: false, message: 'Unauthorized' });
 
     const isVolunteer = user.role === 'volunteer';
-    const classFilter = isVolunteer ? { assignedVolunteer: req.userId } : { admin: req.userId };
+    const classFilter = isVolunteer
+      ? { organisation: req.organisationId, assignedVolunteer: req.userId }
+      : { organisation: req.organisationId };
 
-    const classes = await Class.find(classFilter).populate('assignedVolunteer', 'name').lean();
+    // Cancelled classes are left out of every program-level figure
+    const classes = await Class.find({ ...classFilter, status: { $ne: 'cancelled' } }).populate('assignedVolunteer', 'name').lean();
     console.log('[OVERALL ANALYTICS] Found classes:', classes.length);
 
     // Volunteer class distribution
@@ -497,12 +623,13 @@ exports.getOverallAnalytics = async (req, res) => {
     console.log('[OVERALL ANALYTICS] Weekly data:', JSON.stringify(weeklyData));
 
     // Overall attendance
-    const attendanceFilter = isVolunteer ? { takenBy: req.userId } : { admin: req.userId };
-    const allAttendance = await Attendance.find(attendanceFilter).lean();
+    const attendanceFilter = isVolunteer
+      ? { organisation: req.organisationId, takenBy: req.userId }
+      : { organisation: req.organisationId };
+    const cancelledIds = await Class.find({ ...classFilter, status: 'cancelled' }).distinct('_id');
+    const allAttendance = await Attendance.find({ ...attendanceFilter, class: { $nin: cancelledIds } }).lean();
     const totalSessions = allAttendance.length;
-    const totalPresent = allAttendance.reduce((sum, a) => sum + a.records.filter(r => r.status === 'present').length, 0);
-    const totalStudents = allAttendance.reduce((sum, a) => sum + a.records.length, 0);
-    const overallRate = totalStudents > 0 ? Math.round((totalPresent / totalStudents) * 100) : 0;
+    const { percent: overallRate, counts: statusCounts } = summariseSessions(allAttendance);
     console.log('[OVERALL ANALYTICS] Rate:', overallRate + '%', 'sessions:', totalSessions);
 
     res.json({
@@ -510,6 +637,7 @@ exports.getOverallAnalytics = async (req, res) => {
       totalClasses: classes.length,
       totalSessions,
       overallRate,
+      statusCounts,
       volunteerDistribution,
       weeklyData,
     });
@@ -526,15 +654,18 @@ exports.getOverallAIInsights = async (req, res) => {
     const User = require('../models/User');
     const user = await User.findById(req.userId);
     const isVolunteer = user?.role === 'volunteer';
-    const classFilter = isVolunteer ? { assignedVolunteer: req.userId } : { admin: req.userId };
+    const classFilter = isVolunteer
+      ? { organisation: req.organisationId, assignedVolunteer: req.userId }
+      : { organisation: req.organisationId };
 
-    const classes = await Class.find(classFilter).lean();
-    const attendanceFilter = isVolunteer ? { takenBy: req.userId } : { admin: req.userId };
-    const allAttendance = await Attendance.find(attendanceFilter).lean();
+    const classes = await Class.find({ ...classFilter, status: { $ne: 'cancelled' } }).lean();
+    const attendanceFilter = isVolunteer
+      ? { organisation: req.organisationId, takenBy: req.userId }
+      : { organisation: req.organisationId };
+    const cancelledIds = await Class.find({ ...classFilter, status: 'cancelled' }).distinct('_id');
+    const allAttendance = await Attendance.find({ ...attendanceFilter, class: { $nin: cancelledIds } }).lean();
 
-    const totalPresent = allAttendance.reduce((sum, a) => sum + a.records.filter(r => r.status === 'present').length, 0);
-    const totalStudents = allAttendance.reduce((sum, a) => sum + a.records.length, 0);
-    const overallRate = totalStudents > 0 ? Math.round((totalPresent / totalStudents) * 100) : 0;
+    const { attended: totalPresent, total: totalStudents, percent: overallRate } = summariseSessions(allAttendance);
 
     const prompt = `You are an education analytics assistant for a foundation tutoring program.
 Summarize the data below and provide 2-3 short insights:
@@ -579,3 +710,80 @@ Keep it brief and encouraging. Use plain text, no markdown.`.trim();
     res.json({ success: false, message: msg });
   }
 };
+
+// GET /api/attendance/export — student × session register for a class, section or
+// single student over an optional date range, as CSV, XLSX or PDF
+exports.exportAttendance = async (req, res) => {
+  try {
+    const { format = "csv", classId, section, studentId, from, to } = req.query;
+    const isVolunteer = req.user.role === "volunteer";
+
+    const dateFilter = {};
+    if (from) dateFilter.$gte = new Date(from);
+    if (to) dateFilter.$lte = new Date(to);
+    const sessionQuery = Object.keys(dateFilter).length ? { date: dateFilter } : {};
+
+    let title;
+    let sessions;
+    let students;
+
+    if (classId) {
+      const classDoc = await Class.findById(classId);
+      if (!classDoc) {
+        return res.status(404).json({ success: false, message: "Class not found" });
+      }
+      if (!(await can(req.user, "attendance:read", classDoc))) {
+        return res.status(403).json({ success: false, message: "Unauthorized - You are not authorized for this class" });
+      }
+
+      sessions = await Attendance.find({ ...sessionQuery, class: classId }).populate("class", "subject");
+      // Same roster as attendanceAnalytics, limited to records within the range
+      students = await getReportingRoster(classDoc, sessions);
+      title = `Attendance Register: ${classDoc.subject}`;
+    } else {
+      if (isVolunteer) {
+        return res.status(403).json({ success: false, message: "Volunteers can only export registers for their assigned classes" });
+      }
+
+      const studentQuery = { organisation: req.organisationId };
+      if (studentId) studentQuery._id = studentId;
+      else studentQuery.section = section.trim().toUpperCase();
+      students = await Student.find(studentQuery).sort({ rollNo: 1 });
+      if (students.length === 0) {
+        return res.status(404).json({ success: false, message: studentId ? "Student not found" : "No students in this section" });
+      }
+
+      // Sessions of cancelled classes do not count, matching the analytics views
+      const cancelledIds = await Class.find({ organisation: req.organisationId, status: "cancelled" }).distinct("_id");
+      sessions = await Attendance.find({
+        ...sessionQuery,
+        organisation: req.organisationId,
+        class: { $nin: cancelledIds },
+        "records.student": { $in: students.map((st) => st._id) },
+      }).populate("class", "subject");
+
+      if (!studentId) {
+        const recorded = new Set(sessions.flatMap((day) => day.records.map((r) => r.student.toString())));
+        students = students.filter((st) => !st.archived || recorded.has(st._id.toString()));
+      }
+      title = studentId
+        ? `Attendance Register: ${students[0].name} (Roll #${students[0].rollNo}, ${students[0].section})`
+        : `Attendance Register: Section ${studentQuery.section}`;
+    }
+
+    const register = buildRegister({ sessions, students });
+    const { buffer, contentType, extension } = await renderRegister(register, format, { title, from, to });
+
+    const slug = title.replace(/^Attendance Register: /, "").replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase();
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="attendance-${slug || "register"}.${extension}"`);
+    res.send(buffer);
+  } catch (err) {
+    console.error("Export attendance error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while exporting attendance",
+      error: err.message,
+    });
+  }
+};
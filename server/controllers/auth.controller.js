@@ -1,10 +1,62 @@
-const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const User = require("../models/User");
+const Organisation = require("../models/Organisation");
+const Invite = require("../models/Invite");
+const Session = require("../models/Session");
+const { ensureOrganisation } = require("../services/organisation.service");
+const { hashToken } = require("../services/token.service");
+const { startSession, rotateSession } = require("../services/session.service");
+const {
+  checkLogin,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getLockout,
+  unlock,
+} = require("../services/rateLimit.service");
+const {
+  supportsTwoFactor,
+  consumeCode,
+  signChallenge,
+  verifyChallenge,
+  needsTwoFactorSetup,
+} = require("../services/twoFactor.service");
+const {
+  sendTeamInvite,
+  findPendingInvite,
+  sendPasswordReset,
+  findUsableReset,
+  removeAccount,
+} = require("../services/account.service");
+const { resolveSignup, publicPolicy } = require("../services/registration.service");
 
 exports.register = async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, organisationName, inviteToken } = req.body;
+
+    // An invite joins an existing organisation; otherwise the registration policy
+    // decides whether the sign-up starts a new organisation, joins one, or is refused
+    let invite = null;
+    let signup = null;
+    if (inviteToken) {
+      invite = await Invite.findOne({ tokenHash: hashToken(inviteToken), role: "admin", acceptedAt: { $exists: false } });
+      if (!invite || invite.expiresAt < new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: "This invite is invalid or has expired",
+        });
+      }
+      if (invite.email !== email) {
+        return res.status(400).json({
+          success: false,
+          message: "This invite was sent to a different email address",
+        });
+      }
+    } else {
+      signup = await resolveSignup(email);
+      if (!signup.allowed) {
+        return res.status(403).json({ success: false, message: signup.message });
+      }
+    }
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -18,14 +70,32 @@ exports.register = async (req, res) => {
     // Hash password
     const hashed = await bcrypt.hash(password, 10);
 
-    // Create user (defaults to admin)
+    // Invited and organisation-starting sign-ups are admins; domain sign-ups get the policy's role
     const user = await User.create({
       name,
       email,
       password: hashed,
-      role: "admin",
+      role: signup?.role || "admin",
+      organisation: invite?.organisation || signup?.organisation,
     });
 
+    let organisation;
+    if (invite) {
+      organisation = await Organisation.findById(invite.organisation);
+      invite.acceptedAt = new Date();
+      invite.acceptedBy = user._id;
+      await invite.save();
+    } else if (signup.organisation) {
+      organisation = await Organisation.findById(signup.organisation);
+    } else {
+      organisation = await Organisation.create({
+        name: organisationName?.trim() || `${name}'s organisation`,
+        createdBy: user._id,
+      });
+      user.organisation = organisation._id;
+      await user.save();
+    }
+
     res.status(201).json({
       success: true,
       message: "User created successfully",
@@ -35,7 +105,8 @@ exports.register = async (req, res) => {
         email: user.email,
         role: user.role,
         profilePicUrl: user.profilePicUrl,
-        phone: user.phone
+        phone: user.phone,
+        organisation: organisation && { id: organisation._id, name: organisation.name },
       },
       teacher: { // legacy support
         id: user._id,
@@ -55,61 +126,117 @@ exports.register = async (req, res) => {
   }
 };
 
+// GET /api/auth/registration — whether the login page should offer sign-up
+exports.getRegistration = async (req, res) => {
+  try {
+    res.json({ success: true, registration: await publicPolicy() });
+  } catch (err) {
+    console.error("Registration policy error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching registration policy",
+      error: err.message,
+    });
+  }
+};
+
+// Starts a session and builds the login response once every factor has passed
+const completeLogin = async (user, req) => {
+  const organisationId = await ensureOrganisation(user);
+  const organisation = await Organisation.findById(organisationId);
+
+  // Short-lived access token plus a refresh token for this device
+  const { token, refreshToken } = await startSession(user, req);
+  const profile = {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    profilePicUrl: user.profilePicUrl,
+    phone: user.phone,
+    organisation: organisation && { id: organisation._id, name: organisation.name },
+  };
+
+  return {
+    success: true,
+    token,
+    refreshToken,
+    twoFactorSetupRequired: await needsTwoFactorSetup(user, organisationId),
+    teacher: profile,
+    user: profile,
+  };
+};
+
 exports.login = async (req, res) => {
   try {
     const { email, password, role } = req.body;
 
+    // Repeated failures slow down, then lock, further attempts for this email and IP
+    const throttle = await checkLogin(email, req.ip);
+    if (!throttle.allowed) {
+      const retryAfter = Math.ceil(throttle.retryAfterMs / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: throttle.locked
+          ? `Too many failed attempts. Sign-in is locked for ${Math.ceil(retryAfter / 60)} minute(s)`
+          : `Too many attempts. Try again in ${retryAfter} second(s)`,
+        locked: throttle.locked,
+        retryAfter,
+      });
+    }
+
     // Find user
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginFailure(email, req.ip);
       return res.status(401).json({
         success: false,
         message: "Invalid credentials",
       });
     }
 
-    // Check if the requested role matches the database role
-    if (role && user.role !== role) {
+    // Check if the requested role matches the database role.
+    // Coordinators sign in through the admin portal.
+    const portalRole = user.role === "coordinator" ? "admin" : user.role;
+    if (role && portalRole !== role) {
       return res.status(403).json({
         success: false,
         message: `Account is not registered as a ${role}`,
       });
     }
 
+    // Invited members have no password until they accept their invite
+    if (!user.password) {
+      return res.status(403).json({
+        success: false,
+        message: "Finish setting up your account from the invite email first",
+      });
+    }
+
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      const failure = await recordLoginFailure(email, req.ip);
       return res.status(401).json({
         success: false,
-        message: "Invalid credentials",
+        message: failure.locked
+          ? "Invalid credentials. Too many failed attempts; sign-in is now locked for a while"
+          : "Invalid credentials",
       });
     }
 
-    // Generate token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "1d",
-    });
+    // Admins with 2FA finish signing in with a code from their authenticator app
+    if (supportsTwoFactor(user) && user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: signChallenge(user),
+      });
+    }
 
-    res.json({
-      success: true,
-      token,
-      teacher: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        profilePicUrl: user.profilePicUrl,
-        phone: user.phone
-      },
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        profilePicUrl: user.profilePicUrl,
-        phone: user.phone
-      }
-    });
+    await recordLoginSuccess(email);
+    res.json(await completeLogin(user, req));
   } catch (err) {
     console.error("Login error:", err);
     res.status(500).json({
@@ -120,48 +247,253 @@ exports.login = async (req, res) => {
   }
 };
 
+// POST /api/auth/login/2fa — second login step: the challenge from the password step plus a TOTP or recovery code
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const userId = verifyChallenge(challengeToken);
+    const user = userId && await User.findById(userId)
+      .select("+twoFactor.secret +twoFactor.recoveryCodes");
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Your sign-in took too long, please log in again",
+        expired: true,
+      });
+    }
+
+    const throttle = await checkLogin(user.email, req.ip);
+    if (!throttle.allowed) {
+      const retryAfter = Math.ceil(throttle.retryAfterMs / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many attempts. Try again in ${retryAfter} second(s)`,
+        locked: throttle.locked,
+        retryAfter,
+      });
+    }
+
+    if (!(await consumeCode(user, code))) {
+      await recordLoginFailure(user.email, req.ip);
+      return res.status(401).json({ success: false, message: "Invalid authentication code" });
+    }
+
+    await recordLoginSuccess(user.email);
+    res.json(await completeLogin(user, req));
+  } catch (err) {
+    console.error("Two-factor login error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error during login",
+      error: err.message,
+    });
+  }
+};
+
+exports.refresh = async (req, res) => {
+  try {
+    const rotated = await rotateSession(req.body.refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: "Session expired, please log in again",
+      });
+    }
+
+    res.json({ success: true, token: rotated.token, refreshToken: rotated.refreshToken });
+  } catch (err) {
+    console.error("Refresh error:", err);
+    res.status(500).json({ success: false, message: "Server error during refresh", error: err.message });
+  }
+};
+
+exports.logout = async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await Session.updateOne({ _id: req.sessionId, revokedAt: null }, { revokedAt: new Date() });
+    }
+    res.json({ success: true, message: "Logged out" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ip lastUsedAt createdAt")
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map((s) => ({
+        _id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        lastUsedAt: s.lastUsedAt,
+        createdAt: s.createdAt,
+        current: s._id.toString() === req.sessionId,
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+exports.revokeSession = async (req, res) => {
+  try {
+    const result = await Session.updateOne(
+      { _id: req.params.sessionId, user: req.userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    if (!result.matchedCount) {
+      return res.status(404).json({ success: false, message: "Session not found" });
+    }
+
+    res.json({ success: true, message: "Device signed out" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Signs out every device except the one making the request
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await Session.updateMany(
+      { user: req.userId, _id: { $ne: req.sessionId }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.json({ success: true, message: `${result.modifiedCount} other device(s) signed out` });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// Volunteers and coordinators are managed together as the organisation's team
+const TEAM_ROLES = ['volunteer', 'coordinator'];
+
 exports.getVolunteers = async (req, res) => {
   try {
-    const volunteers = await User.find({ role: 'volunteer' }).select('name email profilePicUrl phone createdAt');
+    const members = await User.find({ role: { $in: TEAM_ROLES }, organisation: req.organisationId })
+      .select('name email role profilePicUrl phone createdAt');
+    const pendingIds = await Invite.distinct('user', {
+      user: { $in: members.map((m) => m._id) },
+      acceptedAt: { $exists: false },
+    });
+    const pending = new Set(pendingIds.map(String));
+
+    const volunteers = await Promise.all(members.map(async (m) => ({
+      ...m.toObject(),
+      invitePending: pending.has(String(m._id)),
+      lockout: await getLockout(m.email),
+    })));
     res.json({ success: true, volunteers });
   } catch (err) {
     res.status(500).json({ success: false, message: "Server error during fetching volunteers" });
   }
 };
 
+// New team members get an email invite and choose their own password
 exports.createVolunteer = async (req, res) => {
   try {
-    const { name, email, password } = req.body;
-    if (!name || !email || !password) {
-      return res.status(400).json({ success: false, message: 'Name, email and password are required' });
+    const { name, email, role = 'volunteer' } = req.body;
+    if (!name || !email) {
+      return res.status(400).json({ success: false, message: 'Name and email are required' });
+    }
+    if (!TEAM_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: 'Role must be volunteer or coordinator' });
+    }
+    if (role === 'coordinator' && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Only admins can add coordinators' });
     }
     const existing = await User.findOne({ email });
     if (existing) return res.status(400).json({ success: false, message: 'Email already registered' });
 
-    const bcrypt = require('bcryptjs');
-    const hashed = await bcrypt.hash(password, 10);
-    const volunteer = await User.create({ name, email, password: hashed, role: 'volunteer' });
+    const volunteer = await User.create({
+      name,
+      email,
+      role,
+      organisation: req.organisationId,
+    });
+
+    let emailSent = true;
+    try {
+      await sendTeamInvite(volunteer, req.user, req.organisationId);
+    } catch (mailErr) {
+      console.error('Team invite email error:', mailErr);
+      emailSent = false;
+    }
 
     res.status(201).json({
       success: true,
-      volunteer: { id: volunteer._id, name: volunteer.name, email: volunteer.email, role: volunteer.role },
+      message: emailSent ? `Invite emailed to ${email}` : 'Account created, but the invite email could not be sent. Try resending it.',
+      emailSent,
+      volunteer: { id: volunteer._id, name: volunteer.name, email: volunteer.email, role: volunteer.role, invitePending: true },
     });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
 };
 
+// Sends a fresh invite link to a member who has not set their password yet
+exports.resendVolunteerInvite = async (req, res) => {
+  try {
+    const member = req.resource;
+    const pending = await Invite.exists({ user: member._id, acceptedAt: { $exists: false } });
+    if (!pending) {
+      return res.status(400).json({ success: false, message: 'This member has already set up their account' });
+    }
+    if (member.role === 'coordinator' && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Only admins can manage coordinators' });
+    }
+
+    await sendTeamInvite(member, req.user, req.organisationId);
+    res.json({ success: true, message: `Invite resent to ${member.email}` });
+  } catch (err) {
+    console.error('Resend invite error:', err);
+    res.status(500).json({ success: false, message: 'Failed to resend invite', error: err.message });
+  }
+};
+
+// Lifts a login lockout before it expires
+exports.unlockVolunteer = async (req, res) => {
+  try {
+    const member = req.resource;
+    if (member.role === 'coordinator' && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Only admins can manage coordinators' });
+    }
+
+    await unlock(member.email);
+    res.json({ success: true, message: `${member.name} can sign in again` });
+  } catch (err) {
+    console.error('Unlock error:', err);
+    res.status(500).json({ success: false, message: 'Failed to unlock account', error: err.message });
+  }
+};
+
 exports.updateVolunteer = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, email, phone, password } = req.body;
+    const { name, email, phone, password, role } = req.body;
+    const user = req.resource;
 
-    const user = await User.findOne({ _id: id, role: 'volunteer' });
-    if (!user) return res.status(404).json({ success: false, message: 'Volunteer not found' });
+    // Coordinators can manage volunteers, but only admins can promote, demote or edit coordinators
+    if (role !== undefined && !TEAM_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: 'Role must be volunteer or coordinator' });
+    }
+    if ((user.role === 'coordinator' || role === 'coordinator') && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Only admins can manage coordinators' });
+    }
 
     if (name) user.name = name;
     if (email) user.email = email;
     if (phone !== undefined) user.phone = phone;
+    if (role) user.role = role;
     
     if (password) {
       const bcrypt = require('bcryptjs');
@@ -170,7 +502,7 @@ exports.updateVolunteer = async (req, res) => {
     
     await user.save();
     
-    res.json({ success: true, volunteer: { _id: user._id, name: user.name, email: user.email, profilePicUrl: user.profilePicUrl, phone: user.phone } });
+    res.json({ success: true, volunteer: { _id: user._id, name: user.name, email: user.email, role: user.role, profilePicUrl: user.profilePicUrl, phone: user.phone } });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
@@ -178,13 +510,106 @@ exports.updateVolunteer = async (req, res) => {
 
 exports.deleteVolunteer = async (req, res) => {
   try {
-    const { id } = req.params;
-    const user = await User.findOneAndDelete({ _id: id, role: 'volunteer' });
-    if (!user) return res.status(404).json({ success: false, message: 'Volunteer not found' });
-    
+    await removeAccount(req.resource);
+
     res.json({ success: true, message: 'Volunteer deleted successfully' });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
 };
 
+
+// GET /api/auth/invites/:token — who a team invite is for, so the set-password page can greet them
+exports.getInvite = async (req, res) => {
+  try {
+    const invite = await findPendingInvite(req.params.token);
+    if (!invite) {
+      return res.status(404).json({ success: false, message: 'This invite is invalid or has expired' });
+    }
+    const organisation = await Organisation.findById(invite.organisation).select('name');
+
+    res.json({
+      success: true,
+      invite: {
+        email: invite.email,
+        name: invite.name,
+        role: invite.role,
+        organisation: organisation && { id: organisation._id, name: organisation.name },
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/auth/invites/accept — an invited volunteer or coordinator chooses their password
+exports.acceptInvite = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const invite = await findPendingInvite(token);
+    if (!invite) {
+      return res.status(400).json({ success: false, message: 'This invite is invalid or has expired' });
+    }
+    if (!invite.user) {
+      return res.status(400).json({ success: false, message: 'Admin invites are accepted by signing up with the invite link' });
+    }
+
+    const user = await User.findById(invite.user);
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'This invite is invalid or has expired' });
+    }
+    user.password = await bcrypt.hash(password, 10);
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    invite.acceptedAt = new Date();
+    invite.acceptedBy = user._id;
+    await invite.save();
+
+    res.json({ success: true, message: 'Your account is ready. You can now log in.', email: user.email, role: user.role });
+  } catch (err) {
+    console.error('Accept invite error:', err);
+    res.status(500).json({ success: false, message: 'Server error while accepting invite', error: err.message });
+  }
+};
+
+// POST /api/auth/forgot-password — always answers the same way so emails can't be probed
+exports.forgotPassword = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user?.password) {
+      // A failed send must look the same as an unknown email
+      await sendPasswordReset(user).catch((err) => console.error('Password reset email error:', err));
+    }
+
+    res.json({ success: true, message: 'If that email has an account, a reset link is on its way' });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({ success: false, message: 'Server error while requesting reset', error: err.message });
+  }
+};
+
+// POST /api/auth/reset-password — sets the new password and signs out every device
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const reset = await findUsableReset(token);
+    const user = reset && await User.findById(reset.user);
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'This reset link is invalid or has expired' });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    reset.usedAt = new Date();
+    await reset.save();
+    await Session.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+    res.json({ success: true, message: 'Password updated. You can now log in.', role: user.role });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ success: false, message: 'Server error while resetting password', error: err.message });
+  }
+};
@@ -1,21 +1,58 @@
 const Class = require("../models/Class");
+const ClassSeries = require("../models/ClassSeries");
 const User = require("../models/User");
+const Attendance = require("../models/Attendance");
+const Enrollment = require("../models/Enrollment");
+const Student = require("../models/Student");
+const { findEnrollments, getClassRoster } = require("../services/enrollment.service");
+const AssignmentChange = require("../models/AssignmentChange");
+const { suggestVolunteers } = require("../services/availability.service");
+const { recordAssignmentChange, closeCoverRequests } = require("../services/substitution.service");
+const { MAX_SERIES_DAYS, occurrenceDates, seriesLength, localToday } = require("../services/classSeries.service");
+
+const VOLUNTEER_NOT_FOUND = "Assigned volunteer is not part of your organisation";
+
+// Classes can only be assigned to volunteers of the same organisation
+const isOrganisationVolunteer = async (volunteerId, organisationId) =>
+  Boolean(await User.exists({ _id: volunteerId, role: "volunteer", organisation: organisationId }));
+
+// Finds another (non-cancelled) class the volunteer already has in this time slot
+const findVolunteerConflict = ({ assignedVolunteer, date, startTime, endTime, excludeId }) => {
+  const query = {
+    assignedVolunteer,
+    date,
+    status: { $ne: "cancelled" },
+    $and: [
+      { startTime: { $lt: endTime } },
+      { endTime: { $gt: startTime } }
+    ]
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  return Class.findOne(query);
+};
 
 exports.createClass = async (req, res) => {
   try {
-    const { subject, date, day, startTime, endTime, assignedVolunteer, youtubeLink } = req.body;
+    const { subject, date, startTime, endTime, youtubeLink, autoAssign } = req.body;
+    let { assignedVolunteer } = req.body;
 
-    const classDate = date || new Date().toISOString().split('T')[0];
+    const classDate = date || localToday();
+
+    // Pick the least-loaded volunteer who is free and available; the class stays
+    // unassigned when nobody is
+    let autoAssigned = null;
+    if (autoAssign && !assignedVolunteer) {
+      const { suggestions } = await suggestVolunteers(req.organisationId, { date: classDate, startTime, endTime });
+      autoAssigned = suggestions[0]?.volunteer || null;
+      assignedVolunteer = autoAssigned?._id;
+    }
 
     if (assignedVolunteer) {
-      const overlappingClass = await Class.findOne({
-        assignedVolunteer,
-        date: classDate,
-        $and: [
-          { startTime: { $lt: endTime } },
-          { endTime: { $gt: startTime } }
-        ]
-      });
+      if (!(await isOrganisationVolunteer(assignedVolunteer, req.organisationId))) {
+        return res.status(400).json({ success: false, message: VOLUNTEER_NOT_FOUND });
+      }
+
+      const overlappingClass = await findVolunteerConflict({ assignedVolunteer, date: classDate, startTime, endTime });
 
       if (overlappingClass) {
         return res.status(400).json({
@@ -28,18 +65,26 @@ exports.createClass = async (req, res) => {
     const newClass = await Class.create({
       subject,
       date: classDate,
-      day,
       startTime,
       endTime,
       admin: req.userId,
+      organisation: req.organisationId,
       assignedVolunteer,
       youtubeLink,
     });
 
+    let message = "Class created successfully";
+    if (autoAssign && !req.body.assignedVolunteer) {
+      message = autoAssigned
+        ? `Class created and assigned to ${autoAssigned.name}`
+        : "Class created. No volunteer is available for this slot, so it is unassigned";
+    }
+
     res.status(201).json({
       success: true,
-      message: "Class created successfully",
+      message,
       class: newClass,
+      autoAssigned,
     });
   } catch (err) {
     console.error("Create class error:", err);
@@ -51,15 +96,33 @@ exports.createClass = async (req, res) => {
   }
 };
 
+// GET /api/classes/volunteer-suggestions — who could take a class in a slot, least loaded first
+exports.getVolunteerSuggestions = async (req, res) => {
+  try {
+    const { date, startTime, endTime, classId } = req.query;
+    const result = await suggestVolunteers(req.organisationId, { date, startTime, endTime, excludeClassId: classId });
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Volunteer suggestions error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while suggesting volunteers",
+      error: err.message,
+    });
+  }
+};
+
 exports.getTodayClasses = async (req, res) => {
   try {
-    const today = new Date().toLocaleString("en-US", { weekday: "long" });
+    const now = new Date();
+    const today = now.toLocaleString("en-US", { weekday: "long" });
     const user = await User.findById(req.userId);
 
-    const query = { day: today };
-    if (user && user.role === "admin") {
-      query.admin = req.userId;
-    } else if (user && user.role === "volunteer") {
+    // Match on the calendar date so one-off classes and series occurrences agree
+    const query = { date: localToday(now), organisation: req.organisationId };
+    // Admins see every class in the organisation, volunteers only their own
+    if (user && user.role === "volunteer") {
       query.assignedVolunteer = req.userId;
     }
 
@@ -88,14 +151,12 @@ exports.getCurrentClass = async (req, res) => {
     
     const user = await User.findById(req.userId);
 
-    const query = { day: day };
-    if (user && user.role === "admin") {
-      query.admin = req.userId;
-    } else if (user && user.role === "volunteer") {
+    const query = { date: localToday(now), organisation: req.organisationId };
+    if (user && user.role === "volunteer") {
       query.assignedVolunteer = req.userId;
     }
 
-    const classes = await Class.find(query);
+    const classes = await Class.find({ ...query, status: { $ne: "cancelled" } });
 
     // Find the class that is currently running
     const currentClass = classes.find((c) => {
@@ -122,14 +183,12 @@ exports.getAllClasses = async (req, res) => {
   try {
     const user = await User.findById(req.userId);
     
-    const query = {};
-    if (user && user.role === "admin") {
-      query.admin = req.userId;
-    } else if (user && user.role === "volunteer") {
+    const query = { organisation: req.organisationId };
+    if (user && user.role === "volunteer") {
       query.assignedVolunteer = req.userId;
     }
 
-    const classes = await Class.find(query).populate('assignedVolunteer', 'name email').sort({ day: 1, startTime: 1 });
+    const classes = await Class.find(query).populate('assignedVolunteer', 'name email').sort({ date: 1, startTime: 1 });
 
     res.json({
       success: true,
@@ -144,3 +203,452 @@ exports.getAllClasses = async (req, res) => {
     });
   }
 };
+
+// Applies schedule fields to a class and re-runs the volunteer overlap check.
+// Returns an error message when the new slot clashes, otherwise null.
+const applySchedule = async (classDoc, fields) => {
+  // Attendance sessions carry the class date, so a class that has them stays on its day
+  if (
+    fields.date !== undefined &&
+    fields.date.trim() !== classDoc.date &&
+    (await Attendance.exists({ class: classDoc._id }))
+  ) {
+    return "Attendance has already been taken for this class, so its date can't change. Cancel it and create a new class instead.";
+  }
+
+  ["subject", "date", "startTime", "endTime", "youtubeLink"].forEach((key) => {
+    if (fields[key] !== undefined) classDoc[key] = typeof fields[key] === "string" ? fields[key].trim() : fields[key];
+  });
+  if (fields.assignedVolunteer !== undefined) {
+    if (fields.assignedVolunteer && !(await isOrganisationVolunteer(fields.assignedVolunteer, classDoc.organisation))) {
+      return VOLUNTEER_NOT_FOUND;
+    }
+    classDoc.assignedVolunteer = fields.assignedVolunteer || undefined;
+  }
+
+  if (classDoc.startTime >= classDoc.endTime) {
+    return "End time must be after start time";
+  }
+
+  if (classDoc.assignedVolunteer && classDoc.status !== "cancelled") {
+    const overlappingClass = await findVolunteerConflict({
+      assignedVolunteer: classDoc.assignedVolunteer,
+      date: classDoc.date,
+      startTime: classDoc.startTime,
+      endTime: classDoc.endTime,
+      excludeId: classDoc._id,
+    });
+    if (overlappingClass) {
+      return "Volunteer is busy during this time slot on this date.";
+    }
+  }
+
+  return null;
+};
+
+// PUT /api/classes/:classId — edit or reschedule a class
+exports.updateClass = async (req, res) => {
+  try {
+    // Loaded and access-checked by the authorize middleware
+    const classDoc = req.resource;
+
+    const { subject, date, startTime, endTime, assignedVolunteer, youtubeLink } = req.body;
+    const previousVolunteer = classDoc.assignedVolunteer;
+    const conflict = await applySchedule(classDoc, {
+      subject,
+      date,
+      startTime,
+      endTime,
+      assignedVolunteer: assignedVolunteer || null,
+      youtubeLink: youtubeLink || "",
+    });
+    if (conflict) {
+      return res.status(400).json({ success: false, message: conflict });
+    }
+
+    await classDoc.save();
+    await recordAssignmentChange({ classDoc, from: previousVolunteer, actor: req.user });
+    await classDoc.populate("assignedVolunteer", "name email");
+
+    res.json({
+      success: true,
+      message: "Class updated successfully",
+      class: classDoc,
+    });
+  } catch (err) {
+    console.error("Update class error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating class",
+      error: err.message,
+    });
+  }
+};
+
+// PATCH /api/classes/:classId — partial edit, reschedule, cancel or reinstate
+exports.patchClass = async (req, res) => {
+  try {
+    const classDoc = req.resource;
+
+    const { status, cancellationReason, ...fields } = req.body;
+    const previousVolunteer = classDoc.assignedVolunteer;
+
+    if (status === "cancelled") {
+      classDoc.status = "cancelled";
+      classDoc.cancellationReason = cancellationReason.trim();
+      classDoc.cancelledAt = new Date();
+    } else if (status === "scheduled") {
+      classDoc.status = "scheduled";
+      classDoc.cancellationReason = "";
+      classDoc.cancelledAt = undefined;
+    }
+
+    const conflict = await applySchedule(classDoc, fields);
+    if (conflict) {
+      return res.status(400).json({ success: false, message: conflict });
+    }
+
+    await classDoc.save();
+    await recordAssignmentChange({ classDoc, from: previousVolunteer, actor: req.user });
+    if (status === "cancelled") await closeCoverRequests([classDoc._id], req.user);
+    await classDoc.populate("assignedVolunteer", "name email");
+
+    res.json({
+      success: true,
+      message: status === "cancelled" ? "Class cancelled" : "Class updated successfully",
+      class: classDoc,
+    });
+  } catch (err) {
+    console.error("Patch class error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating class",
+      error: err.message,
+    });
+  }
+};
+
+// GET /api/classes/:classId/assignment-history — who the class was assigned to over time, newest first
+exports.getAssignmentHistory = async (req, res) => {
+  try {
+    const history = await AssignmentChange.find({ class: req.resource._id })
+      .populate("from", "name email")
+      .populate("to", "name email")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, history });
+  } catch (err) {
+    console.error("Assignment history error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching assignment history",
+      error: err.message,
+    });
+  }
+};
+
+// DELETE /api/classes/:classId — only allowed while no attendance has been taken
+exports.deleteClass = async (req, res) => {
+  try {
+    const classDoc = req.resource;
+
+    const attendanceCount = await Attendance.countDocuments({ class: classDoc._id });
+    if (attendanceCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Attendance has already been taken for this class. Cancel it instead of deleting.",
+      });
+    }
+
+    await classDoc.deleteOne();
+    await Enrollment.deleteMany({ class: classDoc._id });
+
+    res.json({ success: true, message: "Class deleted successfully" });
+  } catch (err) {
+    console.error("Delete class error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting class",
+      error: err.message,
+    });
+  }
+};
+
+// POST /api/classes/series — create a weekly series and materialise one class per occurrence
+exports.createSeries = async (req, res) => {
+  try {
+    const { subject, days, startTime, endTime, startDate, endDate, exceptions = [], youtubeLink } = req.body;
+    const assignedVolunteer = req.body.assignedVolunteer || undefined;
+
+    if (seriesLength(startDate, endDate) > MAX_SERIES_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `A series can cover at most ${MAX_SERIES_DAYS} days`,
+      });
+    }
+
+    const dates = occurrenceDates({ days, startDate, endDate, exceptions });
+    if (dates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No class falls on the chosen weekdays between the start and end dates",
+      });
+    }
+
+    // Check every occurrence up front so the series is created whole or not at all
+    if (assignedVolunteer) {
+      if (!(await isOrganisationVolunteer(assignedVolunteer, req.organisationId))) {
+        return res.status(400).json({ success: false, message: VOLUNTEER_NOT_FOUND });
+      }
+
+      const clashes = await Class.find({
+        assignedVolunteer,
+        date: { $in: dates },
+        status: { $ne: "cancelled" },
+        startTime: { $lt: endTime },
+        endTime: { $gt: startTime },
+      }).select("date");
+
+      if (clashes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Volunteer is busy during this time slot on some dates.",
+          conflicts: [...new Set(clashes.map((c) => c.date))].sort(),
+        });
+      }
+    }
+
+    const series = await ClassSeries.create({
+      subject,
+      days,
+      startTime,
+      endTime,
+      startDate,
+      endDate,
+      exceptions,
+      admin: req.userId,
+      organisation: req.organisationId,
+      assignedVolunteer,
+      youtubeLink,
+    });
+
+    const classes = await Class.create(
+      dates.map((date) => ({
+        subject,
+        date,
+        startTime,
+        endTime,
+        admin: req.userId,
+        organisation: req.organisationId,
+        assignedVolunteer,
+        youtubeLink,
+        series: series._id,
+      }))
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Series created with ${classes.length} classes`,
+      series,
+      classes,
+    });
+  } catch (err) {
+    console.error("Create series error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating class series",
+      error: err.message,
+    });
+  }
+};
+
+// GET /api/classes/series — every series in the organisation
+exports.getAllSeries = async (req, res) => {
+  try {
+    const query = { organisation: req.organisationId };
+    if (req.user.role === "volunteer") {
+      query.assignedVolunteer = req.userId;
+    }
+
+    const series = await ClassSeries.find(query)
+      .populate("assignedVolunteer", "name email")
+      .sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      series,
+    });
+  } catch (err) {
+    console.error("Get series error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching class series",
+      error: err.message,
+    });
+  }
+};
+
+// POST /api/classes/series/:seriesId/exceptions — skip one date (holiday, exam day)
+exports.addSeriesException = async (req, res) => {
+  try {
+    const series = req.resource;
+
+    const { date, reason } = req.body;
+    if (!series.exceptions.includes(date)) {
+      series.exceptions.push(date);
+      series.exceptions.sort();
+      await series.save();
+    }
+
+    // The occurrence is cancelled rather than deleted so any attendance stays attached
+    const occurrence = await Class.findOne({ series: series._id, date });
+    if (occurrence && occurrence.status !== "cancelled") {
+      occurrence.status = "cancelled";
+      occurrence.cancellationReason = (reason || "").trim() || "No class on this date";
+      occurrence.cancelledAt = new Date();
+      await occurrence.save();
+      await closeCoverRequests([occurrence._id], req.user);
+    }
+
+    res.json({
+      success: true,
+      message: "Exception added",
+      series,
+      class: occurrence,
+    });
+  } catch (err) {
+    console.error("Add series exception error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while adding series exception",
+      error: err.message,
+    });
+  }
+};
+
+// DELETE /api/classes/series/:seriesId — remove the series and its untouched occurrences.
+// Occurrences that already have attendance are kept as standalone classes.
+exports.deleteSeries = async (req, res) => {
+  try {
+    const series = req.resource;
+
+    const occurrences = await Class.find({ series: series._id }).select("_id");
+    const occurrenceIds = occurrences.map((c) => c._id);
+    const withAttendance = await Attendance.distinct("class", { class: { $in: occurrenceIds } });
+
+    const { deletedCount } = await Class.deleteMany({
+      series: series._id,
+      _id: { $nin: withAttendance },
+    });
+    await Class.updateMany({ _id: { $in: withAttendance } }, { $unset: { series: 1 } });
+    // Kept occurrences lose the series roster, so those without their own get a copy of it
+    const seriesEnrollments = await Enrollment.find({ series: series._id });
+    const withOwnRoster = await Enrollment.distinct("class", { class: { $in: withAttendance } });
+    const needCopy = withAttendance.filter((id) => !withOwnRoster.some((own) => own.equals(id)));
+    await Enrollment.create(
+      needCopy.flatMap((classId) =>
+        seriesEnrollments.map((e) => ({
+          admin: e.admin,
+          organisation: e.organisation,
+          class: classId,
+          student: e.student,
+          section: e.section,
+        }))
+      )
+    );
+    await Enrollment.deleteMany({
+      $or: [{ series: series._id }, { class: { $in: occurrenceIds, $nin: withAttendance } }],
+    });
+    await series.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Series deleted successfully",
+      deleted: deletedCount,
+      kept: withAttendance.length,
+    });
+  } catch (err) {
+    console.error("Delete series error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting class series",
+      error: err.message,
+    });
+  }
+};
+
+// GET /api/classes/:classId/roster — enrollment entries and the students they resolve to
+exports.getRoster = async (req, res) => {
+  try {
+    const classDoc = req.resource;
+
+    const { entries, scope } = await findEnrollments(classDoc);
+    const { students, restricted } = await getClassRoster(classDoc);
+
+    res.json({
+      success: true,
+      scope,
+      restricted,
+      studentIds: entries.filter((e) => e.student).map((e) => e.student),
+      sections: entries.filter((e) => e.section).map((e) => e.section),
+      students,
+    });
+  } catch (err) {
+    console.error("Get roster error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching roster",
+      error: err.message,
+    });
+  }
+};
+
+// PUT /api/classes/:classId/roster — replace the roster of a class, or of its whole
+// series when applyToSeries is set. An empty roster means "all students" again.
+exports.setRoster = async (req, res) => {
+  try {
+    const classDoc = req.resource;
+
+    const { studentIds = [], sections = [], applyToSeries = false } = req.body;
+    if (applyToSeries && !classDoc.series) {
+      return res.status(400).json({ success: false, message: "This class is not part of a series" });
+    }
+
+    const uniqueIds = [...new Set(studentIds)];
+    const ownedCount = await Student.countDocuments({ _id: { $in: uniqueIds }, organisation: req.organisationId });
+    if (ownedCount !== uniqueIds.length) {
+      return res.status(400).json({ success: false, message: "One or more students are not part of your organisation" });
+    }
+
+    const target = applyToSeries ? { series: classDoc.series } : { class: classDoc._id };
+    await Enrollment.deleteMany(target);
+    if (applyToSeries) {
+      // Per-occurrence rosters would otherwise override the series roster
+      const occurrenceIds = await Class.find({ series: classDoc.series }).distinct("_id");
+      await Enrollment.deleteMany({ class: { $in: occurrenceIds } });
+    }
+
+    const normalizedSections = [...new Set(sections.map((s) => s.trim().toUpperCase()).filter(Boolean))];
+    await Enrollment.create([
+      ...uniqueIds.map((student) => ({ ...target, admin: req.userId, organisation: req.organisationId, student })),
+      ...normalizedSections.map((section) => ({ ...target, admin: req.userId, organisation: req.organisationId, section })),
+    ]);
+
+    const { students, restricted } = await getClassRoster(classDoc);
+
+    res.json({
+      success: true,
+      message: "Roster updated",
+      scope: applyToSeries ? "series" : "class",
+      restricted,
+      students,
+    });
+  } catch (err) {
+    console.error("Set roster error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating roster",
+      error: err.message,
+    });
+  }
+};
@@ -0,0 +1,12 @@
+const jwt = require("jsonwebtoken");
+const { subscribe } = require("../services/realtime.service");
+
+// GET /api/events — live stream of alerts, messages, attendance and class photos
+exports.stream = (req, res) => {
+  const { exp } = jwt.decode(req.headers.authorization.split(" ")[1]) || {};
+  subscribe(req, res, {
+    user: req.user,
+    organisationId: req.organisationId,
+    expiresAt: exp ? exp * 1000 : null,
+  });
+};
@@ -0,0 +1,110 @@
+const HoursAdjustment = require("../models/HoursAdjustment");
+const Organisation = require("../models/Organisation");
+const { localToday } = require("../services/classSeries.service");
+const { volunteerLedger, hoursReport, renderCertificate } = require("../services/volunteerHours.service");
+
+const rangeOf = (query) => ({ from: query.from, to: query.to });
+
+// GET /api/hours — hours totals for every volunteer in the organisation
+exports.getHoursReport = async (req, res) => {
+  try {
+    const report = await hoursReport(req.organisationId, rangeOf(req.query));
+    res.json({ success: true, report });
+  } catch (err) {
+    console.error("Hours report error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while building the hours report",
+      error: err.message,
+    });
+  }
+};
+
+// GET /api/hours/me and /api/hours/volunteers/:id — a volunteer's ledger and totals
+exports.getLedger = async (req, res) => {
+  try {
+    const volunteer = req.resource || req.user;
+    const { entries, summary } = await volunteerLedger(volunteer, rangeOf(req.query));
+    res.json({
+      success: true,
+      volunteer: { _id: volunteer._id, name: volunteer.name, email: volunteer.email },
+      entries,
+      summary,
+    });
+  } catch (err) {
+    console.error("Hours ledger error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching volunteer hours",
+      error: err.message,
+    });
+  }
+};
+
+// GET /api/hours/me/certificate and /api/hours/volunteers/:id/certificate — PDF certificate
+exports.getCertificate = async (req, res) => {
+  try {
+    const volunteer = req.resource || req.user;
+    const range = rangeOf(req.query);
+    const [ledger, organisation] = await Promise.all([
+      volunteerLedger(volunteer, range),
+      Organisation.findById(volunteer.organisation).select("name"),
+    ]);
+    if (ledger.summary.totalHours <= 0) {
+      return res.status(400).json({ success: false, message: "There are no volunteer hours to certify for this period" });
+    }
+
+    const buffer = await renderCertificate({
+      volunteer,
+      organisationName: organisation?.name || "Stuma",
+      ledger,
+      ...range,
+      // Signed by the staff member who issues it; self-service copies carry no signature
+      issuedBy: req.resource ? req.user.name : "",
+      issuedOn: localToday(),
+    });
+
+    const slug = volunteer.name.replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase();
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="hours-certificate-${slug || "volunteer"}.pdf"`);
+    res.send(buffer);
+  } catch (err) {
+    console.error("Hours certificate error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while generating the certificate",
+      error: err.message,
+    });
+  }
+};
+
+// POST /api/hours/volunteers/:id/adjustments — add (or, with negative hours, remove) hours by hand
+exports.addAdjustment = async (req, res) => {
+  try {
+    const volunteer = req.resource;
+    const adjustment = await HoursAdjustment.create({
+      volunteer: volunteer._id,
+      organisation: volunteer.organisation,
+      date: req.body.date,
+      hours: req.body.hours,
+      reason: req.body.reason,
+      createdBy: req.userId,
+      createdByName: req.user.name,
+    });
+
+    const { summary } = await volunteerLedger(volunteer);
+    res.status(201).json({
+      success: true,
+      message: `${adjustment.hours > 0 ? "Added" : "Removed"} ${Math.abs(adjustment.hours)} hour${Math.abs(adjustment.hours) === 1 ? "" : "s"} for ${volunteer.name}`,
+      adjustment,
+      summary,
+    });
+  } catch (err) {
+    console.error("Hours adjustment error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while adjusting hours",
+      error: err.message,
+    });
+  }
+};
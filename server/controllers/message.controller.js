@@ -1,42 +1,176 @@
+const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
+const Class = require('../models/Class');
+const Attendance = require('../models/Attendance');
+const User = require('../models/User');
+const { can } = require('../services/permission.service');
+const { publish } = require('../services/realtime.service');
+const {
+  isStaff,
+  visibleTo,
+  unreadBy,
+  unreadCounts,
+  postMessage,
+  markConversationRead,
+  adoptLegacyMessages,
+} = require('../services/conversation.service');
 
-// POST /api/messages — volunteer sends a message
-exports.sendMessage = async (req, res) => {
+const populateConversation = (query) =>
+  query
+    .populate('volunteer', 'name email profilePicUrl')
+    .populate('class', 'subject date startTime endTime')
+    .populate('attendance', 'date');
+
+// Resolves the class or attendance session a new conversation is about, checking
+// the caller may see it. Returns { class, attendance } or { error, status }.
+const resolveAttachment = async (user, { classId, attendanceId }) => {
+  if (attendanceId) {
+    const attendance = await Attendance.findById(attendanceId);
+    if (!attendance) return { status: 404, error: 'Attendance session not found' };
+    if (!(await can(user, 'attendance:read', attendance))) {
+      return { status: 403, error: 'You can only start a conversation about your own sessions' };
+    }
+    return { class: attendance.class, attendance: attendance._id };
+  }
+  if (classId) {
+    const classDoc = await Class.findById(classId);
+    if (!classDoc) return { status: 404, error: 'Class not found' };
+    if (!(await can(user, 'class:read', classDoc))) {
+      return { status: 403, error: 'You can only start a conversation about your own classes' };
+    }
+    return { class: classDoc._id };
+  }
+  return {};
+};
+
+// GET /api/messages — conversations the caller takes part in, latest activity first, each
+// with the caller's unread count. Filters: status, unread=true, volunteerId, classId
+exports.getConversations = async (req, res) => {
   try {
-    const { text } = req.body;
-    if (!text?.trim()) return res.status(400).json({ success: false, message: 'Message text is required' });
+    await adoptLegacyMessages(req.organisationId);
+
+    const { status, unread, volunteerId, classId } = req.query;
+    const query = visibleTo(req.user, req.organisationId);
+    if (status) query.status = status;
+    if (volunteerId && isStaff(req.user)) query.volunteer = volunteerId;
+    if (classId) query.class = classId;
 
-    const msg = await Message.create({
-      sender: req.user._id,
-      senderName: req.user.name,
-      text: text.trim(),
+    const conversations = await populateConversation(Conversation.find(query).sort({ lastMessageAt: -1 }).limit(200));
+    const counts = await unreadCounts(conversations.map((c) => c._id), req.user._id);
+    let withCounts = conversations.map((c) => ({ ...c.toObject(), unread: counts.get(c._id.toString()) || 0 }));
+    if (unread === 'true') withCounts = withCounts.filter((c) => c.unread > 0);
+
+    res.json({
+      success: true,
+      conversations: withCounts,
+      unreadTotal: withCounts.reduce((sum, c) => sum + c.unread, 0),
     });
+  } catch (err) {
+    console.error('Get conversations error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
 
-    res.status(201).json({ success: true, message: msg });
+// GET /api/messages/unread — how many messages the caller hasn't read, for badges
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const conversationIds = await Conversation.find(visibleTo(req.user, req.organisationId)).distinct('_id');
+    const unread = await Message.countDocuments({ conversation: { $in: conversationIds }, ...unreadBy(req.user._id) });
+    res.json({ success: true, unread });
   } catch (err) {
+    console.error('Unread count error:', err);
     res.status(500).json({ success: false, message: err.message });
   }
 };
 
-// GET /api/messages — admin reads all messages
-exports.getMessages = async (req, res) => {
+// POST /api/messages — start a conversation. Volunteers write to the staff; staff write to
+// a volunteer (`volunteerId`). Optionally about a class or attendance session.
+exports.startConversation = async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Admins only' });
+    const { text, subject, classId, attendanceId, volunteerId } = req.body;
+
+    let volunteer = req.user;
+    if (isStaff(req.user)) {
+      if (!volunteerId) return res.status(400).json({ success: false, message: 'Choose a volunteer to message' });
+      volunteer = await User.findOne({ _id: volunteerId, organisation: req.organisationId, role: 'volunteer' });
+      if (!volunteer) return res.status(404).json({ success: false, message: 'Volunteer not found' });
     }
-    const messages = await Message.find().sort({ createdAt: -1 }).populate('sender', 'name email');
-    res.json({ success: true, messages });
+
+    const attachment = await resolveAttachment(req.user, { classId, attendanceId });
+    if (attachment.error) return res.status(attachment.status).json({ success: false, message: attachment.error });
+
+    const conversation = await Conversation.create({
+      organisation: req.organisationId,
+      volunteer: volunteer._id,
+      startedBy: req.user._id,
+      subject: subject || '',
+      class: attachment.class,
+      attendance: attachment.attendance,
+    });
+    const message = await postMessage(conversation, req.user, text);
+
+    res.status(201).json({
+      success: true,
+      conversation: await populateConversation(Conversation.findById(conversation._id)),
+      message,
+    });
   } catch (err) {
+    console.error('Start conversation error:', err);
     res.status(500).json({ success: false, message: err.message });
   }
 };
 
-// PATCH /api/messages/:id/read — mark as read
+// GET /api/messages/:id — a conversation and its messages, oldest first, with read receipts
+exports.getConversation = async (req, res) => {
+  try {
+    const conversation = await populateConversation(Conversation.findById(req.resource._id));
+    const messages = await Message.find({ conversation: conversation._id })
+      .sort({ createdAt: 1 })
+      .populate('readBy.user', 'name role');
+
+    res.json({ success: true, conversation, messages });
+  } catch (err) {
+    console.error('Get conversation error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/messages/:id/messages — reply in a conversation; a reply reopens a closed one
+exports.reply = async (req, res) => {
+  try {
+    const conversation = req.resource;
+    if (conversation.status === 'closed') conversation.status = 'open';
+    const message = await postMessage(conversation, req.user, req.body.text);
+    await message.populate('readBy.user', 'name role');
+
+    res.status(201).json({ success: true, message });
+  } catch (err) {
+    console.error('Reply error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/messages/:id/read — the caller has read everything in the conversation
 exports.markRead = async (req, res) => {
   try {
-    await Message.findByIdAndUpdate(req.params.id, { isRead: true });
-    res.json({ success: true });
+    const marked = await markConversationRead(req.resource._id, req.user._id);
+    // The reader's other tabs update their unread badges
+    if (marked > 0) publish(req.organisationId, 'read', { conversationId: req.resource._id }, { roles: [], userIds: [req.user._id] });
+    res.json({ success: true, marked });
+  } catch (err) {
+    console.error('Mark read error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// PATCH /api/messages/:id — staff close a conversation once it's dealt with, or reopen it
+exports.updateConversation = async (req, res) => {
+  try {
+    req.resource.status = req.body.status;
+    await req.resource.save();
+    res.json({ success: true, conversation: await populateConversation(Conversation.findById(req.resource._id)) });
   } catch (err) {
+    console.error('Update conversation error:', err);
     res.status(500).json({ success: false, message: err.message });
   }
 };
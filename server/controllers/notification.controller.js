@@ -0,0 +1,166 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const ParentNotification = require("../models/ParentNotification");
+const { DEFAULT_TEMPLATES, TEMPLATE_FIELDS } = require("../config/notifications");
+const { getSettings, applySettings, handleReply, retry, processQueue } = require("../services/parentNotification.service");
+
+// Constant-time comparison so the secret can't be guessed from response timings
+const secretMatches = (given, secret) => {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(secret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const toSettingsResponse = (settings) => ({
+  enabled: settings.enabled,
+  channel: settings.channel,
+  mode: settings.mode,
+  digestTime: settings.digestTime,
+  timezone: settings.timezone,
+  templates: {
+    absence: { en: settings.templates?.absence?.en || "", hi: settings.templates?.absence?.hi || "" },
+    digest: { en: settings.templates?.digest?.en || "", hi: settings.templates?.digest?.hi || "" },
+  },
+  updatedAt: settings.updatedAt,
+});
+
+// GET /api/notifications/settings — the organisation's parent notification settings,
+// with the default templates and the placeholders each kind of message can use
+exports.getSettings = async (req, res) => {
+  try {
+    const settings = await getSettings(req.organisationId);
+    res.json({
+      success: true,
+      settings: toSettingsResponse(settings),
+      defaults: DEFAULT_TEMPLATES,
+      fields: TEMPLATE_FIELDS,
+    });
+  } catch (err) {
+    console.error("Get notification settings error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching notification settings",
+      error: err.message,
+    });
+  }
+};
+
+// PUT /api/notifications/settings — turn notifications on or off and set the channel,
+// delivery mode, digest time and templates (blank templates use the defaults)
+exports.updateSettings = async (req, res) => {
+  try {
+    const { enabled, channel, mode, digestTime, timezone, templates } = req.body;
+    const settings = await getSettings(req.organisationId);
+
+    settings.enabled = enabled;
+    if (channel !== undefined) settings.channel = channel;
+    if (mode !== undefined) settings.mode = mode;
+    if (digestTime !== undefined) settings.digestTime = digestTime;
+    if (timezone !== undefined) settings.timezone = timezone;
+    ["absence", "digest"].forEach((kind) => {
+      ["en", "hi"].forEach((language) => {
+        const text = templates?.[kind]?.[language];
+        if (text !== undefined) settings.set(`templates.${kind}.${language}`, text);
+      });
+    });
+    settings.updatedBy = req.userId;
+    await settings.save();
+    await applySettings(settings);
+
+    res.json({ success: true, message: "Notification settings saved", settings: toSettingsResponse(settings) });
+  } catch (err) {
+    console.error("Update notification settings error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while saving notification settings",
+      error: err.message,
+    });
+  }
+};
+
+// GET /api/notifications — delivery log, newest first. Filters: status, kind, studentId;
+// paged with page & limit. Also returns how many messages are in each status
+exports.getLog = async (req, res) => {
+  try {
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 50;
+    const query = { organisation: req.organisationId };
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.kind) query.kind = req.query.kind;
+    if (req.query.studentId) query.student = req.query.studentId;
+
+    const [notifications, total, counts] = await Promise.all([
+      ParentNotification.find(query)
+        .populate("student", "name rollNo section parentOptOut")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ParentNotification.countDocuments(query),
+      ParentNotification.aggregate([
+        { $match: { organisation: new mongoose.Types.ObjectId(String(req.organisationId)) } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    res.json({
+      success: true,
+      notifications,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      counts: Object.fromEntries(counts.map((c) => [c._id, c.count])),
+    });
+  } catch (err) {
+    console.error("Get notification log error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching the notification log",
+      error: err.message,
+    });
+  }
+};
+
+// POST /api/notifications/:id/retry — send a failed message again
+exports.retryNotification = async (req, res) => {
+  try {
+    if (req.resource.status !== "failed") {
+      return res.status(400).json({ success: false, message: "Only failed messages can be retried" });
+    }
+
+    const notification = await retry(req.resource);
+    setImmediate(() => processQueue().catch((err) => console.error("[SMS] Queue error:", err)));
+    res.json({ success: true, message: "Message queued again", notification });
+  } catch (err) {
+    console.error("Retry notification error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while retrying the message",
+      error: err.message,
+    });
+  }
+};
+
+// POST /api/notifications/inbound — the SMS gateway forwards parents' replies here
+// ({ from, text }); STOP opts out, START opts back in. Requires the x-webhook-secret
+// header to match SMS_WEBHOOK_SECRET
+exports.inboundReply = async (req, res) => {
+  try {
+    const secret = process.env.SMS_WEBHOOK_SECRET;
+    if (!secret) {
+      return res.status(503).json({ success: false, message: "Inbound messages are not configured" });
+    }
+    if (!secretMatches(req.get("x-webhook-secret"), secret)) {
+      return res.status(401).json({ success: false, message: "Invalid webhook secret" });
+    }
+
+    const result = await handleReply(req.body);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Inbound reply error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while handling the reply",
+      error: err.message,
+    });
+  }
+};
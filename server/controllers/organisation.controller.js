@@ -0,0 +1,165 @@
+const Organisation = require("../models/Organisation");
+const Invite = require("../models/Invite");
+const User = require("../models/User");
+const { INVITE_TTL_DAYS } = require("../services/organisation.service");
+const { generateToken } = require("../services/token.service");
+const { sendAdminInvite } = require("../services/account.service");
+
+// Invites are listed without their token hash
+const toInviteResponse = (invite) => ({
+  _id: invite._id,
+  email: invite.email,
+  role: invite.role,
+  invitedBy: invite.invitedBy,
+  expiresAt: invite.expiresAt,
+  acceptedAt: invite.acceptedAt,
+  createdAt: invite.createdAt,
+});
+
+// GET /api/organisation — the caller's organisation and its admins
+exports.getOrganisation = async (req, res) => {
+  try {
+    const organisation = await Organisation.findById(req.organisationId);
+    if (!organisation) {
+      return res.status(404).json({ success: false, message: "Organisation not found" });
+    }
+
+    const admins = await User.find({ organisation: organisation._id, role: "admin" })
+      .select("name email profilePicUrl createdAt")
+      .sort({ createdAt: 1 });
+    const volunteerCount = await User.countDocuments({ organisation: organisation._id, role: "volunteer" });
+
+    res.json({ success: true, organisation, admins, volunteerCount });
+  } catch (err) {
+    console.error("Get organisation error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching organisation",
+      error: err.message,
+    });
+  }
+};
+
+// PATCH /api/organisation — rename the organisation or require 2FA for its admins
+exports.updateOrganisation = async (req, res) => {
+  try {
+    const { name, requireAdminTwoFactor } = req.body;
+    const update = {};
+    if (name !== undefined) update.name = name;
+    if (requireAdminTwoFactor !== undefined) {
+      // Turning it on without 2FA yourself would lock you out on your next request
+      if (requireAdminTwoFactor && !req.user.twoFactor?.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Turn on two-factor sign-in for your own account first",
+        });
+      }
+      update.requireAdminTwoFactor = requireAdminTwoFactor;
+    }
+
+    const organisation = await Organisation.findByIdAndUpdate(
+      req.organisationId,
+      update,
+      { new: true, runValidators: true }
+    );
+    if (!organisation) {
+      return res.status(404).json({ success: false, message: "Organisation not found" });
+    }
+
+    res.json({ success: true, message: "Organisation updated", organisation });
+  } catch (err) {
+    console.error("Update organisation error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating organisation",
+      error: err.message,
+    });
+  }
+};
+
+// POST /api/organisation/invites — invite another admin by email.
+// The link is emailed, and the raw token is also returned here once; it is stored hashed.
+exports.createInvite = async (req, res) => {
+  try {
+    const { email } = req.body;
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ success: false, message: "This email already has an account" });
+    }
+
+    // A fresh invite replaces any pending one for the same address
+    await Invite.deleteMany({ organisation: req.organisationId, email, role: "admin", acceptedAt: { $exists: false } });
+
+    const { token, tokenHash } = generateToken();
+    const invite = await Invite.create({
+      organisation: req.organisationId,
+      email,
+      role: "admin",
+      tokenHash,
+      invitedBy: req.userId,
+      expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    // The invite stands even if the email fails; the link can still be shared by hand
+    let emailSent = true;
+    try {
+      await sendAdminInvite(invite, token, req.user);
+    } catch (mailErr) {
+      console.error("Invite email error:", mailErr);
+      emailSent = false;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: emailSent ? `Invite emailed to ${email}` : `Invite created for ${email}, but the email could not be sent`,
+      emailSent,
+      invite: toInviteResponse(invite),
+      token,
+    });
+  } catch (err) {
+    console.error("Create invite error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating invite",
+      error: err.message,
+    });
+  }
+};
+
+// GET /api/organisation/invites — pending and accepted admin invites, newest first
+exports.getInvites = async (req, res) => {
+  try {
+    const invites = await Invite.find({ organisation: req.organisationId, role: "admin" })
+      .populate("invitedBy", "name email")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, invites: invites.map(toInviteResponse) });
+  } catch (err) {
+    console.error("Get invites error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching invites",
+      error: err.message,
+    });
+  }
+};
+
+// DELETE /api/organisation/invites/:inviteId — revoke a pending invite
+exports.revokeInvite = async (req, res) => {
+  try {
+    const invite = req.resource;
+    if (invite.acceptedAt) {
+      return res.status(400).json({ success: false, message: "This invite has already been accepted" });
+    }
+    await invite.deleteOne();
+
+    res.json({ success: true, message: "Invite revoked" });
+  } catch (err) {
+    console.error("Revoke invite error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while revoking invite",
+      error: err.message,
+    });
+  }
+};
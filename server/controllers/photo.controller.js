@@ -1,6 +1,7 @@
 const cloudinary = require('../config/cloudinary');
 const ClassPhoto = require('../models/ClassPhoto');
 const User = require('../models/User');
+const { publishToStaff } = require('../services/realtime.service');
 
 /**
  * Upload a class capture photo (volunteer webcam only)
@@ -32,6 +33,7 @@ exports.uploadClassPhoto = async (req, res) => {
     const photo = await ClassPhoto.create({
       volunteer: req.userId,
       class: classId,
+      organisation: req.organisationId,
       imageUrl: uploadResult.secure_url,
       publicId: uploadResult.public_id,
       location: location || {},
@@ -45,6 +47,7 @@ exports.uploadClassPhoto = async (req, res) => {
     ]);
 
     console.log('[PHOTO] ClassPhoto record created:', photo._id);
+    publishToStaff(req.organisationId, 'photo', { photo });
     res.status(201).json({ success: true, photo });
   } catch (err) {
     console.error('[PHOTO] Upload error:', err);
@@ -61,7 +64,7 @@ exports.getGallery = async (req, res) => {
     const user = await User.findById(req.userId);
     if (!user) return res.status(401).json({ success: false, message: 'Unauthorized' });
 
-    let query = {};
+    let query = { organisation: req.organisationId };
     if (user.role === 'volunteer') {
       // Volunteers only see their own photos
       query.volunteer = req.userId;
@@ -88,7 +91,7 @@ exports.getPhotosByClass = async (req, res) => {
   try {
     const { classId } = req.params;
     console.log('[PHOTO] Photos for class:', classId);
-    const photos = await ClassPhoto.find({ class: classId })
+    const photos = await ClassPhoto.find({ class: classId, organisation: req.organisationId })
       .populate('volunteer', 'name profilePicUrl')
       .sort({ takenAt: -1 });
     res.json({ success: true, photos });
@@ -106,15 +109,7 @@ exports.deletePhoto = async (req, res) => {
     const { photoId } = req.params;
     console.log('[PHOTO] Delete request for photo:', photoId, 'by user:', req.userId);
 
-    const user = await User.findById(req.userId);
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ success: false, message: 'Only admins can delete photos.' });
-    }
-
-    const photo = await ClassPhoto.findById(photoId);
-    if (!photo) {
-      return res.status(404).json({ success: false, message: 'Photo not found.' });
-    }
+    const photo = req.resource;
 
     if (photo.publicId) {
       console.log('[PHOTO] Deleting from Cloudinary:', photo.publicId);
@@ -132,97 +127,3 @@ exports.deletePhoto = async (req, res) => {
     res.status(500).json({ success: false, message: err.message });
   }
 };
-
-/**
- * Upload profile picture for any user (admin or volunteer)
- */
-exports.uploadProfilePic = async (req, res) => {
-  try {
-    console.log('[PROFILE PIC] Upload for user:', req.userId);
-    const { imageBase64 } = req.body;
-
-    if (!imageBase64 || !imageBase64.startsWith('data:image/')) {
-      return res.status(400).json({ success: false, message: 'Invalid image.' });
-    }
-
-    const user = await User.findById(req.userId);
-    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
-
-    // Delete old profile pic from Cloudinary if it exists
-    if (user.profilePicPublicId) {
-      console.log('[PROFILE PIC] Deleting old pic:', user.profilePicPublicId);
-      await cloudinary.uploader.destroy(user.profilePicPublicId).catch(e =>
-        console.warn('[PROFILE PIC] Failed to delete old pic:', e.message)
-      );
-    }
-
-    console.log('[PROFILE PIC] Uploading to Cloudinary...');
-    const uploadResult = await cloudinary.uploader.upload(imageBase64, {
-      folder: 'stuma/profile-pics',
-      resource_type: 'image',
-      transformation: [
-        { width: 400, height: 400, crop: 'fill', gravity: 'face' },
-        { quality: 'auto:good' },
-      ],
-    });
-    console.log('[PROFILE PIC] Upload success. URL:', uploadResult.secure_url);
-
-    user.profilePicUrl = uploadResult.secure_url;
-    user.profilePicPublicId = uploadResult.public_id;
-    await user.save();
-
-    res.json({
-      success: true,
-      profilePicUrl: uploadResult.secure_url,
-      message: 'Profile picture updated.',
-    });
-  } catch (err) {
-    console.error('[PROFILE PIC] Error:', err);
-    res.status(500).json({ success: false, message: err.message });
-  }
-};
-
-/**
- * Update user profile info (name, phone)
- */
-exports.updateProfile = async (req, res) => {
-  try {
-    console.log('[PROFILE] Update for user:', req.userId);
-    const { name, phone } = req.body;
-
-    const user = await User.findById(req.userId);
-    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
-
-    if (name) user.name = name.trim();
-    if (phone !== undefined) user.phone = phone.trim();
-    await user.save();
-
-    res.json({
-      success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        phone: user.phone,
-        profilePicUrl: user.profilePicUrl,
-      },
-    });
-  } catch (err) {
-    console.error('[PROFILE] Update error:', err);
-    res.status(500).json({ success: false, message: err.message });
-  }
-};
-
-/**
- * Get current user profile
- */
-exports.getProfile = async (req, res) => {
-  try {
-    const user = await User.findById(req.userId).select('-password -profilePicPublicId');
-    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
-    res.json({ success: true, user });
-  } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
-  }
-};
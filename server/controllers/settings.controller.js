@@ -0,0 +1,69 @@
+const Organisation = require("../models/Organisation");
+const { getPolicy, managesPolicy } = require("../services/registration.service");
+
+const toPolicyResponse = (policy, organisation) => ({
+  mode: policy.mode,
+  allowedDomains: policy.allowedDomains,
+  role: policy.role,
+  organisation: organisation && { id: organisation._id, name: organisation.name },
+  updatedAt: policy.updatedAt,
+});
+
+// Only the owning organisation's admins see or change the policy
+const ownerOnly = (res, organisation) =>
+  res.status(403).json({
+    success: false,
+    message: `Registration is managed by the admins of ${organisation?.name || "another organisation"}`,
+  });
+
+// GET /api/settings/registration — the installation's sign-up policy
+exports.getRegistration = async (req, res) => {
+  try {
+    const policy = await getPolicy();
+    const organisation = policy.organisation && await Organisation.findById(policy.organisation).select("name");
+    if (!managesPolicy(policy, req.organisationId)) return ownerOnly(res, organisation);
+
+    res.json({ success: true, registration: toPolicyResponse(policy, organisation) });
+  } catch (err) {
+    console.error("Get registration policy error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching registration settings",
+      error: err.message,
+    });
+  }
+};
+
+// PUT /api/settings/registration — set the mode, allowed domains and the role domain sign-ups get
+exports.updateRegistration = async (req, res) => {
+  try {
+    const { mode, allowedDomains, role } = req.body;
+    const policy = await getPolicy();
+    const organisation = policy.organisation && await Organisation.findById(policy.organisation).select("name");
+    if (!managesPolicy(policy, req.organisationId)) return ownerOnly(res, organisation);
+
+    const domains = allowedDomains !== undefined ? allowedDomains : policy.allowedDomains;
+    if (mode === "domain" && domains.length === 0) {
+      return res.status(400).json({ success: false, message: "Add at least one email domain" });
+    }
+
+    policy.mode = mode;
+    policy.allowedDomains = [...new Set(domains)];
+    if (role !== undefined) policy.role = role;
+    policy.updatedBy = req.userId;
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: "Registration settings saved",
+      registration: toPolicyResponse(policy, organisation),
+    });
+  } catch (err) {
+    console.error("Update registration policy error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while saving registration settings",
+      error: err.message,
+    });
+  }
+};
@@ -1,14 +1,17 @@
 const Student = require("../models/Student");
 const Attendance = require("../models/Attendance");
-const User = require("../models/User");
+const Enrollment = require("../models/Enrollment");
+const { summariseStatuses } = require("../services/attendanceStats.service");
+const { MAX_IMPORT_ROWS, parseSpreadsheet, checkRows } = require("../services/studentImport.service");
+const { NOTIFICATION_LANGUAGES } = require("../config/notifications");
 
 exports.addStudent = async (req, res) => {
   try {
-    const { name, rollNo, section, phone, parentPhone, notes } = req.body;
+    const { name, rollNo, section, phone, parentPhone, parentLanguage, parentOptOut, notes } = req.body;
 
     const normalizedSection = (section || 'General').trim().toUpperCase();
 
-    const existingStudent = await Student.findOne({ admin: req.userId, section: normalizedSection, rollNo });
+    const existingStudent = await Student.findOne({ organisation: req.organisationId, section: normalizedSection, rollNo });
     if (existingStudent) {
       return res.status(400).json({ success: false, message: `Roll number ${rollNo} already exists in ${normalizedSection}` });
     }
@@ -19,8 +22,12 @@ exports.addStudent = async (req, res) => {
       section: normalizedSection,
       phone: phone || '',
       parentPhone: parentPhone || '',
+      parentLanguage: NOTIFICATION_LANGUAGES.includes(parentLanguage) ? parentLanguage : 'en',
+      parentOptOut: parentOptOut === true,
+      parentOptOutAt: parentOptOut === true ? new Date() : null,
       notes: notes || '',
       admin: req.userId,
+      organisation: req.organisationId,
     });
 
     res.status(201).json({ success: true, message: "Student added successfully", student: newStudent });
@@ -34,10 +41,10 @@ exports.addStudent = async (req, res) => {
 
 exports.getAllStudents = async (req, res) => {
   try {
-    const query = {};
-    const user = await User.findById(req.userId);
-    if (user && user.role === "admin") {
-      query.admin = req.userId;
+    const query = { organisation: req.organisationId };
+    // Archived students are hidden unless explicitly requested
+    if (req.query.includeArchived !== "true") {
+      query.archived = { $ne: true };
     }
     const students = await Student.find(query).sort({ section: 1, rollNo: 1 });
     res.json({ success: true, count: students.length, students });
@@ -46,32 +53,183 @@ exports.getAllStudents = async (req, res) => {
   }
 };
 
+// POST /api/students/import — bulk add from a .csv/.xlsx upload.
+// Runs as a dry-run preview unless ?dryRun=false, in which case valid rows are created.
+exports.importStudents = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun !== "false";
+
+    let rawRows;
+    try {
+      rawRows = await parseSpreadsheet(req.file);
+    } catch (parseErr) {
+      console.error("Student import parse error:", parseErr);
+      return res.status(400).json({ success: false, message: "Could not read the file. Check that it is a valid CSV or Excel sheet." });
+    }
+    if (rawRows.length === 0) {
+      return res.status(400).json({ success: false, message: "The file has no rows to import" });
+    }
+    if (rawRows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ success: false, message: `A single import can have at most ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    const existing = await Student.find({ organisation: req.organisationId }).select("section rollNo");
+    const rows = checkRows(rawRows, existing);
+    const valid = rows.filter((r) => r.status === "ok");
+
+    let created = 0;
+    if (!dryRun && valid.length > 0) {
+      try {
+        const inserted = await Student.insertMany(
+          valid.map((r) => ({ ...r.data, admin: req.userId, organisation: req.organisationId })),
+          { ordered: false }
+        );
+        created = inserted.length;
+      } catch (err) {
+        // Rows added by someone else since the preview hit the unique index; the rest are still inserted
+        if (err.code !== 11000 && !err.writeErrors) throw err;
+        created = err.insertedDocs?.length ?? valid.length - (err.writeErrors?.length || 0);
+        (err.writeErrors || []).forEach((writeErr) => {
+          const r = valid[writeErr.index];
+          if (r) {
+            r.status = "duplicate";
+            r.errors.push(`Roll number ${r.data.rollNo} already exists in ${r.data.section}`);
+          }
+        });
+      }
+    }
+
+    const summary = {
+      total: rows.length,
+      valid: rows.filter((r) => r.status === "ok").length,
+      duplicates: rows.filter((r) => r.status === "duplicate").length,
+      errors: rows.filter((r) => r.status === "error").length,
+      created,
+    };
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      dryRun,
+      message: dryRun
+        ? `${summary.valid} of ${summary.total} rows are ready to import`
+        : `${created} students imported`,
+      summary,
+      rows,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Server error while importing students", error: err.message });
+  }
+};
+
+// PUT /api/students/:studentId — correct name, roll number, section or contact details
+exports.updateStudent = async (req, res) => {
+  try {
+    const student = req.resource; // loaded and access-checked by the authorize middleware
+
+    const { name, rollNo, section, phone, parentPhone, parentLanguage, parentOptOut, notes } = req.body;
+    const normalizedSection = (section || 'General').trim().toUpperCase();
+
+    const duplicate = await Student.findOne({
+      organisation: req.organisationId,
+      section: normalizedSection,
+      rollNo: rollNo.trim(),
+      _id: { $ne: student._id },
+    });
+    if (duplicate) {
+      return res.status(400).json({ success: false, message: `Roll number ${rollNo} already exists in ${normalizedSection}` });
+    }
+
+    student.name = name.trim();
+    student.rollNo = rollNo.trim();
+    student.section = normalizedSection;
+    student.phone = phone || '';
+    student.parentPhone = parentPhone || '';
+    if (parentLanguage !== undefined) student.parentLanguage = parentLanguage;
+    if (parentOptOut !== undefined && parentOptOut !== student.parentOptOut) {
+      student.parentOptOut = parentOptOut;
+      student.parentOptOutAt = parentOptOut ? new Date() : null;
+    }
+    student.notes = notes || '';
+    await student.save();
+
+    res.json({ success: true, message: "Student updated successfully", student });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ success: false, message: "Roll number already exists in this section" });
+    }
+    res.status(500).json({ success: false, message: "Server error while updating student", error: err.message });
+  }
+};
+
+// PATCH /api/students/:studentId/archive — { archived: true } archives, { archived: false } restores
+exports.setStudentArchived = async (req, res) => {
+  try {
+    const student = req.resource;
+
+    student.archived = req.body.archived;
+    student.archivedAt = req.body.archived ? new Date() : undefined;
+    await student.save();
+
+    res.json({
+      success: true,
+      message: student.archived ? "Student archived" : "Student restored",
+      student,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Server error while archiving student", error: err.message });
+  }
+};
+
+// DELETE /api/students/:studentId — only for students with no attendance (e.g. added by mistake)
+exports.deleteStudent = async (req, res) => {
+  try {
+    const student = req.resource;
+
+    const hasAttendance = await Attendance.exists({ 'records.student': student._id });
+    if (hasAttendance) {
+      return res.status(400).json({
+        success: false,
+        message: "This student has attendance records. Archive them instead of deleting.",
+      });
+    }
+
+    await student.deleteOne();
+    await Enrollment.deleteMany({ student: student._id });
+
+    res.json({ success: true, message: "Student deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Server error while deleting student", error: err.message });
+  }
+};
+
 // GET attendance stats per student
 exports.getStudentStats = async (req, res) => {
   try {
     const { studentId } = req.params;
     // Find all attendance records where this student appears
-    const records = await Attendance.find({ 'records.student': studentId })
-      .populate('class', 'subject date startTime endTime')
+    const records = await Attendance.find({ 'records.student': studentId, organisation: req.organisationId })
+      .populate('class', 'subject date startTime endTime status')
       .populate('takenBy', 'name')
       .sort({ date: -1 });
 
-    const stats = records.map(r => {
+    // Sessions of cancelled classes do not count towards the student's figures
+    const stats = records.filter(r => r.class?.status !== 'cancelled').map(r => {
       const rec = r.records.find(x => x.student.toString() === studentId);
       return {
         date: r.date,
         subject: r.class?.subject,
         classId: r.class?._id,
         status: rec?.status || 'absent',
+        reason: rec?.reason || '',
         note: r.note || '',
         takenBy: r.takenBy?.name || 'Admin',
       };
     });
 
-    const totalClasses = stats.length;
-    const attended = stats.filter(s => s.status === 'present').length;
+    // Weighted by status; excused sessions do not count towards totalClasses
+    const { attended, total: totalClasses, percent, counts } = summariseStatuses(stats.map(s => s.status));
 
-    res.json({ success: true, totalClasses, attended, absent: totalClasses - attended, records: stats });
+    res.json({ success: true, totalClasses, attended, absent: counts.absent, percent, counts, records: stats });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
@@ -0,0 +1,242 @@
+const Substitution = require("../models/Substitution");
+const Class = require("../models/Class");
+const User = require("../models/User");
+const { localToday } = require("../services/classSeries.service");
+const {
+  recordAssignmentChange,
+  eligibleSubstitutes,
+  notifyCoverNeeded,
+  notifyClaimed,
+  notifyDecision,
+  notifyCovered,
+} = require("../services/substitution.service");
+
+const ACTIVE = ["open", "claimed"];
+
+const populateSubstitution = (query) =>
+  query
+    .populate("class", "subject date startTime endTime status assignedVolunteer")
+    .populate("originalVolunteer", "name email")
+    .populate("claimedBy", "name email");
+
+// POST /api/substitutions — the assigned volunteer (or staff) asks for cover for a class
+exports.requestCover = async (req, res) => {
+  try {
+    const classDoc = req.resource;
+    if (classDoc.status === "cancelled" || classDoc.date < localToday()) {
+      return res.status(400).json({ success: false, message: "Cover can only be requested for upcoming classes" });
+    }
+    if (!classDoc.assignedVolunteer) {
+      return res.status(400).json({ success: false, message: "This class has no volunteer to cover for" });
+    }
+    if (await Substitution.exists({ class: classDoc._id, status: { $in: ACTIVE } })) {
+      return res.status(400).json({ success: false, message: "Cover has already been requested for this class" });
+    }
+
+    const eligible = await eligibleSubstitutes(classDoc);
+    const substitution = await Substitution.create({
+      class: classDoc._id,
+      organisation: classDoc.organisation,
+      requestedBy: req.userId,
+      originalVolunteer: classDoc.assignedVolunteer,
+      reason: req.body.reason || "",
+      notified: eligible.map((v) => v._id),
+    });
+    await notifyCoverNeeded(classDoc, req.user, eligible, substitution.reason);
+
+    res.status(201).json({
+      success: true,
+      message: eligible.length
+        ? `Cover requested. ${eligible.length} available volunteer${eligible.length === 1 ? " was" : "s were"} notified`
+        : "Cover requested, but no other volunteer is free at this time",
+      substitution: await populateSubstitution(Substitution.findById(substitution._id)),
+    });
+  } catch (err) {
+    console.error("Request cover error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while requesting cover",
+      error: err.message,
+    });
+  }
+};
+
+// GET /api/substitutions — staff see every open or claimed request (`?status=all` for
+// history); volunteers see their own requests, open ones they were notified of, and their claims
+exports.getSubstitutions = async (req, res) => {
+  try {
+    const query = { organisation: req.organisationId };
+    if (req.query.status !== "all") query.status = { $in: ACTIVE };
+    if (req.user.role === "volunteer") {
+      query.$or = [
+        { originalVolunteer: req.userId },
+        { claimedBy: req.userId },
+        { notified: req.userId, status: "open" },
+      ];
+    }
+
+    const substitutions = await populateSubstitution(Substitution.find(query).sort({ createdAt: -1 }).limit(100));
+    res.json({ success: true, substitutions });
+  } catch (err) {
+    console.error("Get substitutions error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching cover requests",
+      error: err.message,
+    });
+  }
+};
+
+// POST /api/substitutions/:id/claim — a free, available volunteer offers to cover
+exports.claim = async (req, res) => {
+  try {
+    const substitution = req.resource;
+    if (substitution.status !== "open") {
+      return res.status(400).json({ success: false, message: "This class has already been claimed" });
+    }
+
+    const classDoc = await Class.findById(substitution.class);
+    const eligible = await eligibleSubstitutes(classDoc);
+    if (!eligible.some((v) => v._id.equals(req.userId))) {
+      return res.status(400).json({ success: false, message: "You aren't free or available at this time" });
+    }
+
+    // Only one volunteer can win a race for the same request
+    const claimed = await Substitution.findOneAndUpdate(
+      { _id: substitution._id, status: "open" },
+      { status: "claimed", claimedBy: req.userId, claimedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({ success: false, message: "This class has already been claimed" });
+    }
+    await notifyClaimed(classDoc, req.user);
+
+    res.json({
+      success: true,
+      message: "Thanks! An admin will confirm the swap",
+      substitution: await populateSubstitution(Substitution.findById(claimed._id)),
+    });
+  } catch (err) {
+    console.error("Claim cover error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while claiming cover",
+      error: err.message,
+    });
+  }
+};
+
+// POST /api/substitutions/:id/approve — staff hand the class to the volunteer who claimed it
+exports.approve = async (req, res) => {
+  try {
+    const substitution = req.resource;
+    if (substitution.status !== "claimed") {
+      return res.status(400).json({ success: false, message: "Only claimed requests can be approved" });
+    }
+
+    const classDoc = await Class.findById(substitution.class);
+    if (!classDoc || classDoc.status === "cancelled") {
+      return res.status(400).json({ success: false, message: "This class has been cancelled" });
+    }
+    if (!classDoc.assignedVolunteer?.equals(substitution.originalVolunteer)) {
+      return res.status(400).json({ success: false, message: "This class has been reassigned since cover was requested" });
+    }
+    const eligible = await eligibleSubstitutes(classDoc);
+    if (!eligible.some((v) => v._id.equals(substitution.claimedBy))) {
+      return res.status(400).json({ success: false, message: "The volunteer who claimed it is no longer free at this time" });
+    }
+
+    const previous = classDoc.assignedVolunteer;
+    classDoc.assignedVolunteer = substitution.claimedBy;
+    await classDoc.save();
+    await recordAssignmentChange({
+      classDoc,
+      from: previous,
+      actor: req.user,
+      reason: substitution.reason ? `Cover: ${substitution.reason}` : "Cover",
+      substitution,
+    });
+
+    substitution.status = "approved";
+    substitution.decidedBy = req.userId;
+    substitution.decidedAt = new Date();
+    await substitution.save();
+
+    const [original, substitute] = await Promise.all([
+      User.findById(previous).select("name email"),
+      User.findById(substitution.claimedBy).select("name email"),
+    ]);
+    if (substitute) await notifyDecision(classDoc, substitute, true);
+    if (original && substitute) await notifyCovered(classDoc, original, substitute);
+
+    res.json({
+      success: true,
+      message: `${substitute?.name || "The volunteer"} now teaches ${classDoc.subject}`,
+      substitution: await populateSubstitution(Substitution.findById(substitution._id)),
+    });
+  } catch (err) {
+    console.error("Approve cover error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while approving cover",
+      error: err.message,
+    });
+  }
+};
+
+// POST /api/substitutions/:id/decline — staff turn down a claim; the request reopens
+exports.decline = async (req, res) => {
+  try {
+    const substitution = req.resource;
+    if (substitution.status !== "claimed") {
+      return res.status(400).json({ success: false, message: "Only claimed requests can be declined" });
+    }
+
+    const claimer = await User.findById(substitution.claimedBy).select("name email");
+    substitution.status = "open";
+    substitution.claimedBy = undefined;
+    substitution.claimedAt = undefined;
+    await substitution.save();
+
+    const classDoc = await Class.findById(substitution.class);
+    if (claimer && classDoc) await notifyDecision(classDoc, claimer, false);
+
+    res.json({
+      success: true,
+      message: "Claim declined. The request is open again",
+      substitution: await populateSubstitution(Substitution.findById(substitution._id)),
+    });
+  } catch (err) {
+    console.error("Decline cover error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while declining cover",
+      error: err.message,
+    });
+  }
+};
+
+// DELETE /api/substitutions/:id — withdraw a request that hasn't been approved
+exports.cancel = async (req, res) => {
+  try {
+    const substitution = req.resource;
+    if (!ACTIVE.includes(substitution.status)) {
+      return res.status(400).json({ success: false, message: "This request is already closed" });
+    }
+
+    substitution.status = "cancelled";
+    substitution.decidedBy = req.userId;
+    substitution.decidedAt = new Date();
+    await substitution.save();
+
+    res.json({ success: true, message: "Cover request withdrawn" });
+  } catch (err) {
+    console.error("Cancel cover error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while withdrawing cover request",
+      error: err.message,
+    });
+  }
+};
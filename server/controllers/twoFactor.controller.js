@@ -0,0 +1,128 @@
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const Organisation = require("../models/Organisation");
+const {
+  createSecret,
+  verifyCode,
+  generateRecoveryCodes,
+  consumeCode,
+} = require("../services/twoFactor.service");
+
+const SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes";
+
+// GET /api/auth/2fa — whether 2FA is on, and whether the organisation requires it
+exports.getStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(SECRET_FIELDS);
+    const organisation = await Organisation.findById(req.organisationId).select("requireAdminTwoFactor");
+
+    res.json({
+      success: true,
+      twoFactor: {
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt,
+        recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+        required: !!organisation?.requireAdminTwoFactor,
+      },
+    });
+  } catch (err) {
+    console.error("2FA status error:", err);
+    res.status(500).json({ success: false, message: "Server error while fetching 2FA status", error: err.message });
+  }
+};
+
+// POST /api/auth/2fa/setup — start enrolment: a new secret to scan, confirmed by /enable
+exports.setup = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(SECRET_FIELDS);
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: "Two-factor sign-in is already on" });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await createSecret(user);
+    user.set("twoFactor.pendingSecret", secret);
+    await user.save();
+
+    res.json({ success: true, secret, otpauthUrl, qrCode });
+  } catch (err) {
+    console.error("2FA setup error:", err);
+    res.status(500).json({ success: false, message: "Server error while starting 2FA setup", error: err.message });
+  }
+};
+
+// POST /api/auth/2fa/enable — confirm enrolment with a first code; returns the recovery codes once
+exports.enable = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(SECRET_FIELDS);
+    const pendingSecret = user.twoFactor?.pendingSecret;
+    if (!pendingSecret) {
+      return res.status(400).json({ success: false, message: "Start two-factor setup first" });
+    }
+    if (!verifyCode(pendingSecret, req.body.code)) {
+      return res.status(400).json({ success: false, message: "That code didn't match. Check your device's clock and try again" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.set("twoFactor", {
+      enabled: true,
+      enabledAt: new Date(),
+      secret: pendingSecret,
+      pendingSecret: undefined,
+      recoveryCodes: hashes,
+    });
+    await user.save();
+
+    res.json({ success: true, message: "Two-factor sign-in is on", recoveryCodes: codes });
+  } catch (err) {
+    console.error("2FA enable error:", err);
+    res.status(500).json({ success: false, message: "Server error while enabling 2FA", error: err.message });
+  }
+};
+
+// POST /api/auth/2fa/disable — needs the password and a current or recovery code
+exports.disable = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(SECRET_FIELDS);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: "Two-factor sign-in is not on" });
+    }
+    if (await Organisation.exists({ _id: req.organisationId, requireAdminTwoFactor: true })) {
+      return res.status(400).json({ success: false, message: "Your organisation requires two-factor sign-in for admins" });
+    }
+
+    const passwordOk = await bcrypt.compare(req.body.password, user.password);
+    if (!passwordOk || !(await consumeCode(user, req.body.code))) {
+      return res.status(400).json({ success: false, message: "Password or code is incorrect" });
+    }
+
+    user.set("twoFactor", { enabled: false });
+    await user.save();
+
+    res.json({ success: true, message: "Two-factor sign-in is off" });
+  } catch (err) {
+    console.error("2FA disable error:", err);
+    res.status(500).json({ success: false, message: "Server error while disabling 2FA", error: err.message });
+  }
+};
+
+// POST /api/auth/2fa/recovery-codes — replace every recovery code; needs a current code
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(SECRET_FIELDS);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ success: false, message: "Two-factor sign-in is not on" });
+    }
+    if (!verifyCode(user.twoFactor.secret, req.body.code)) {
+      return res.status(400).json({ success: false, message: "Invalid authentication code" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.set("twoFactor.recoveryCodes", hashes);
+    await user.save();
+
+    res.json({ success: true, recoveryCodes: codes });
+  } catch (err) {
+    console.error("2FA recovery codes error:", err);
+    res.status(500).json({ success: false, message: "Server error while creating recovery codes", error: err.message });
+  }
+};
@@ -0,0 +1,246 @@
+const bcrypt = require('bcryptjs');
+const cloudinary = require('../config/cloudinary');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const {
+  sendEmailChange,
+  findUsableEmailChange,
+  removeAccount,
+} = require('../services/account.service');
+
+const toProfile = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  phone: user.phone,
+  profilePicUrl: user.profilePicUrl,
+});
+
+/**
+ * Get current user profile
+ */
+exports.getMe = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('-password -profilePicPublicId');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+    res.json({ success: true, user });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * Update profile info (name, phone)
+ */
+exports.updateMe = async (req, res) => {
+  try {
+    console.log('[PROFILE] Update for user:', req.userId);
+    const { name, phone } = req.body;
+
+    const user = await User.findById(req.userId);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+    if (name) user.name = name.trim();
+    if (phone !== undefined) user.phone = phone.trim();
+    await user.save();
+
+    res.json({ success: true, user: toProfile(user) });
+  } catch (err) {
+    console.error('[PROFILE] Update error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * Upload profile picture for any user (admin or volunteer)
+ */
+exports.uploadProfilePic = async (req, res) => {
+  try {
+    console.log('[PROFILE PIC] Upload for user:', req.userId);
+    const { imageBase64 } = req.body;
+
+    if (!imageBase64 || !imageBase64.startsWith('data:image/')) {
+      return res.status(400).json({ success: false, message: 'Invalid image.' });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+    // Delete old profile pic from Cloudinary if it exists
+    if (user.profilePicPublicId) {
+      console.log('[PROFILE PIC] Deleting old pic:', user.profilePicPublicId);
+      await cloudinary.uploader.destroy(user.profilePicPublicId).catch(e =>
+        console.warn('[PROFILE PIC] Failed to delete old pic:', e.message)
+      );
+    }
+
+    console.log('[PROFILE PIC] Uploading to Cloudinary...');
+    const uploadResult = await cloudinary.uploader.upload(imageBase64, {
+      folder: 'stuma/profile-pics',
+      resource_type: 'image',
+      transformation: [
+        { width: 400, height: 400, crop: 'fill', gravity: 'face' },
+        { quality: 'auto:good' },
+      ],
+    });
+    console.log('[PROFILE PIC] Upload success. URL:', uploadResult.secure_url);
+
+    user.profilePicUrl = uploadResult.secure_url;
+    user.profilePicPublicId = uploadResult.public_id;
+    await user.save();
+
+    res.json({
+      success: true,
+      profilePicUrl: uploadResult.secure_url,
+      message: 'Profile picture updated.',
+    });
+  } catch (err) {
+    console.error('[PROFILE PIC] Error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * Change password. Every other device is signed out.
+ */
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.userId);
+
+    if (!user.password || !(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(400).json({ success: false, message: 'Current password is incorrect.' });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    user.passwordChangedAt = new Date();
+    await user.save();
+    await Session.updateMany(
+      { user: user._id, _id: { $ne: req.sessionId }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.json({ success: true, message: 'Password changed. Other devices have been signed out.' });
+  } catch (err) {
+    console.error('[PROFILE] Password change error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * Start an email change; the new address has to confirm it from an emailed link
+ */
+exports.requestEmailChange = async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+    const user = await User.findById(req.userId);
+
+    if (!user.password || !(await bcrypt.compare(password, user.password))) {
+      return res.status(400).json({ success: false, message: 'Password is incorrect.' });
+    }
+    if (newEmail === user.email) {
+      return res.status(400).json({ success: false, message: 'That is already your email.' });
+    }
+    if (await User.exists({ email: newEmail })) {
+      return res.status(400).json({ success: false, message: 'Email already registered' });
+    }
+
+    await sendEmailChange(user, newEmail);
+    res.json({ success: true, message: `We sent a confirmation link to ${newEmail}.` });
+  } catch (err) {
+    console.error('[PROFILE] Email change error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * Finish an email change from the confirmation link (no sign-in needed)
+ */
+exports.confirmEmailChange = async (req, res) => {
+  try {
+    const change = await findUsableEmailChange(req.body.token);
+    const user = change && await User.findById(change.user);
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'This confirmation link is invalid or has expired.' });
+    }
+    if (await User.exists({ email: change.newEmail })) {
+      return res.status(400).json({ success: false, message: 'Email already registered' });
+    }
+
+    user.email = change.newEmail;
+    await user.save();
+    change.usedAt = new Date();
+    await change.save();
+
+    res.json({ success: true, message: `Your email is now ${user.email}.`, email: user.email });
+  } catch (err) {
+    console.error('[PROFILE] Email confirm error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * Delete own account. The last admin of an organisation can't leave it without an admin.
+ */
+exports.deleteMe = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user.password || !(await bcrypt.compare(req.body.password, user.password))) {
+      return res.status(400).json({ success: false, message: 'Password is incorrect.' });
+    }
+
+    let successor = null;
+    if (user.role === 'admin') {
+      successor = await User.findOne({ organisation: req.organisationId, role: 'admin', _id: { $ne: user._id } })
+        .sort({ createdAt: 1 });
+      if (!successor) {
+        return res.status(400).json({
+          success: false,
+          message: 'You are the only admin. Invite another admin before deleting your account.',
+        });
+      }
+    }
+
+    await removeAccount(user, successor?._id);
+    console.log('[PROFILE] Account deleted:', req.userId);
+    res.json({ success: true, message: 'Your account has been deleted.' });
+  } catch (err) {
+    console.error('[PROFILE] Delete error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * Weekly availability and blackout dates (volunteers)
+ */
+exports.getAvailability = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('availability');
+    res.json({ success: true, availability: user.availability });
+  } catch (err) {
+    console.error('[PROFILE] Availability error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * Replace weekly availability and blackout dates
+ */
+exports.updateAvailability = async (req, res) => {
+  try {
+    const { weekly = [], blackouts = [] } = req.body;
+    const user = await User.findById(req.userId);
+
+    user.availability = {
+      weekly: weekly.map(({ day, startTime, endTime }) => ({ day, startTime, endTime })),
+      blackouts: blackouts.map(({ startDate, endDate, reason }) => ({ startDate, endDate, reason })),
+    };
+    await user.save();
+
+    res.json({ success: true, message: 'Availability saved.', availability: user.availability });
+  } catch (err) {
+    console.error('[PROFILE] Availability update error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -0,0 +1,205 @@
+const User = require("../models/User");
+const WatchlistEntry = require("../models/WatchlistEntry");
+const { DEFAULT_RULES } = require("../config/earlyWarning");
+const { getSettings, evaluateOrganisation } = require("../services/earlyWarning.service");
+
+const populateEntry = (query) =>
+  query
+    .populate("student", "name rollNo section archived")
+    .populate("assignedTo", "name role")
+    .populate("resolvedBy", "name");
+
+const toSettingsResponse = (settings) => ({
+  rules: settings.toObject().rules,
+  updatedAt: settings.updatedAt,
+});
+
+// GET /api/watchlist — flagged students, most recently triggered first. Filters:
+// status (open by default, or resolved), assignedTo ("me" or a user id), studentId.
+// Also returns how many entries are open, resolved and assigned to the caller
+exports.getWatchlist = async (req, res) => {
+  try {
+    const query = { organisation: req.organisationId, status: req.query.status || "open" };
+    if (req.query.assignedTo) query.assignedTo = req.query.assignedTo === "me" ? req.userId : req.query.assignedTo;
+    if (req.query.studentId) query.student = req.query.studentId;
+
+    const [entries, open, resolved, mine] = await Promise.all([
+      populateEntry(WatchlistEntry.find(query).sort({ lastTriggeredAt: -1 }).limit(200)),
+      WatchlistEntry.countDocuments({ organisation: req.organisationId, status: "open" }),
+      WatchlistEntry.countDocuments({ organisation: req.organisationId, status: "resolved" }),
+      WatchlistEntry.countDocuments({ organisation: req.organisationId, status: "open", assignedTo: req.userId }),
+    ]);
+
+    res.json({ success: true, entries, counts: { open, resolved, mine } });
+  } catch (err) {
+    console.error("Get watchlist error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching the watchlist",
+      error: err.message,
+    });
+  }
+};
+
+// POST /api/watchlist/evaluate — run the rules for every current student now
+exports.evaluateWatchlist = async (req, res) => {
+  try {
+    const summary = await evaluateOrganisation(req.organisationId);
+    res.json({
+      success: true,
+      message: `Checked ${summary.evaluated} students: ${summary.flagged} newly flagged, ${summary.cleared} no longer triggering`,
+      summary,
+    });
+  } catch (err) {
+    console.error("Evaluate watchlist error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while checking attendance",
+      error: err.message,
+    });
+  }
+};
+
+// GET /api/watchlist/settings — the organisation's early-warning thresholds
+exports.getSettings = async (req, res) => {
+  try {
+    const settings = await getSettings(req.organisationId);
+    res.json({ success: true, settings: toSettingsResponse(settings) });
+  } catch (err) {
+    console.error("Get early-warning settings error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching early-warning settings",
+      error: err.message,
+    });
+  }
+};
+
+// PUT /api/watchlist/settings — change thresholds or turn rules on and off
+// (`rules.consecutive`, `rules.rolling`, `rules.drop`); omitted fields keep their value
+exports.updateSettings = async (req, res) => {
+  try {
+    const settings = await getSettings(req.organisationId);
+    Object.entries(DEFAULT_RULES).forEach(([rule, fields]) => {
+      Object.keys(fields).forEach((field) => {
+        const value = req.body.rules[rule]?.[field];
+        if (value !== undefined) settings.set(`rules.${rule}.${field}`, value);
+      });
+    });
+    settings.updatedBy = req.userId;
+    await settings.save();
+
+    res.json({ success: true, message: "Early-warning rules saved", settings: toSettingsResponse(settings) });
+  } catch (err) {
+    console.error("Update early-warning settings error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while saving early-warning settings",
+      error: err.message,
+    });
+  }
+};
+
+// PATCH /api/watchlist/:id/assign — give the follow-up to an admin or coordinator
+// (`assignedTo`), or `null` to unassign
+exports.assignEntry = async (req, res) => {
+  try {
+    const { assignedTo } = req.body;
+    if (assignedTo) {
+      const assignee = await User.findOne({
+        _id: assignedTo,
+        organisation: req.organisationId,
+        role: { $in: ["admin", "coordinator"] },
+      });
+      if (!assignee) {
+        return res.status(400).json({ success: false, message: "Follow-ups can only go to admins and coordinators in your organisation" });
+      }
+    }
+
+    const entry = await populateEntry(
+      WatchlistEntry.findByIdAndUpdate(
+        req.resource._id,
+        { $set: { assignedTo: assignedTo || null, assignedAt: assignedTo ? new Date() : null } },
+        { new: true }
+      )
+    );
+    res.json({ success: true, message: assignedTo ? "Follow-up assigned" : "Follow-up unassigned", entry });
+  } catch (err) {
+    console.error("Assign watchlist entry error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while assigning the follow-up",
+      error: err.message,
+    });
+  }
+};
+
+// POST /api/watchlist/:id/notes — record a follow-up (`text`), e.g. a call to the family
+exports.addNote = async (req, res) => {
+  try {
+    const entry = await populateEntry(
+      WatchlistEntry.findByIdAndUpdate(
+        req.resource._id,
+        { $push: { notes: { author: req.userId, authorName: req.user.name, text: req.body.text } } },
+        { new: true }
+      )
+    );
+    res.status(201).json({ success: true, entry });
+  } catch (err) {
+    console.error("Add watchlist note error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while adding the note",
+      error: err.message,
+    });
+  }
+};
+
+// POST /api/watchlist/:id/resolve — close the entry, optionally with a closing `note`
+exports.resolveEntry = async (req, res) => {
+  try {
+    if (req.resource.status === "resolved") {
+      return res.status(400).json({ success: false, message: "This entry is already resolved" });
+    }
+
+    const update = { $set: { status: "resolved", resolvedAt: new Date(), resolvedBy: req.userId } };
+    if (req.body.note) update.$push = { notes: { author: req.userId, authorName: req.user.name, text: req.body.note } };
+    const entry = await populateEntry(WatchlistEntry.findByIdAndUpdate(req.resource._id, update, { new: true }));
+    res.json({ success: true, message: "Entry resolved", entry });
+  } catch (err) {
+    console.error("Resolve watchlist entry error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while resolving the entry",
+      error: err.message,
+    });
+  }
+};
+
+// POST /api/watchlist/:id/reopen — reopen a resolved entry, unless the student has a newer open one
+exports.reopenEntry = async (req, res) => {
+  try {
+    if (req.resource.status === "open") {
+      return res.status(400).json({ success: false, message: "This entry is already open" });
+    }
+
+    const entry = await populateEntry(
+      WatchlistEntry.findByIdAndUpdate(
+        req.resource._id,
+        { $set: { status: "open" }, $unset: { resolvedAt: 1, resolvedBy: 1 } },
+        { new: true }
+      )
+    );
+    res.json({ success: true, message: "Entry reopened", entry });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ success: false, message: "This student is already on the watchlist" });
+    }
+    console.error("Reopen watchlist entry error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Server error while reopening the entry",
+      error: err.message,
+    });
+  }
+};
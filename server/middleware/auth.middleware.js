@@ -1,5 +1,11 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { ensureOrganisation } = require("../services/organisation.service");
+const { isSessionActive } = require("../services/session.service");
+const { needsTwoFactorSetup } = require("../services/twoFactor.service");
+
+// What an admin can still reach while their organisation makes them set up 2FA
+const TWO_FACTOR_SETUP_PATHS = ["/api/auth/2fa", "/api/auth/logout", "/api/auth/sessions", "/api/users/me"];
 
 const protect = async (req, res, next) => {
   const token = req.headers.authorization?.split(" ")[1];
@@ -10,16 +16,57 @@ const protect = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Purpose-bound tokens (e.g. the 2FA login challenge) are not access tokens
+    if (decoded.purpose || decoded.aud) {
+      return res.status(401).json({ message: "Invalid token" });
+    }
+    // Tokens issued before sessions existed carry no `sid`
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ message: "Session has been signed out" });
+    }
     req.userId = decoded.id;
+    req.sessionId = decoded.sid;
     // Fetch user from DB so controllers can access req.user.name, role etc.
     req.user = await User.findById(decoded.id).select("-password");
     if (!req.user) return res.status(401).json({ message: "User not found" });
-    next();
   } catch (err) {
     return res.status(401).json({ message: "Invalid token" });
   }
+
+  try {
+    // Every query downstream is scoped to the caller's organisation
+    req.organisationId = await ensureOrganisation(req.user);
+    if (!req.organisationId) {
+      return res.status(403).json({
+        message: "Your account is not part of an organisation yet. Ask an admin to add you.",
+      });
+    }
+
+    if (
+      !TWO_FACTOR_SETUP_PATHS.some((p) => req.originalUrl.startsWith(p)) &&
+      (await needsTwoFactorSetup(req.user, req.organisationId))
+    ) {
+      return res.status(403).json({
+        code: "TWO_FACTOR_SETUP_REQUIRED",
+        message: "Your organisation requires two-factor sign-in. Set it up on your profile to continue.",
+      });
+    }
+    next();
+  } catch (err) {
+    console.error("Organisation lookup error:", err);
+    return res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// EventSource can't send headers, so the event stream takes the access token as `?token=`
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === "string") {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
 };
 
 // Alias for existing code that uses `require('../middleware/auth.middleware')`
 module.exports = protect;
 module.exports.protect = protect;
+module.exports.tokenFromQuery = tokenFromQuery;
@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+const Alert = require("../models/Alert");
+const Class = require("../models/Class");
+const ClassSeries = require("../models/ClassSeries");
+const Student = require("../models/Student");
+const Attendance = require("../models/Attendance");
+const ClassPhoto = require("../models/ClassPhoto");
+const Conversation = require("../models/Conversation");
+const Invite = require("../models/Invite");
+const ParentNotification = require("../models/ParentNotification");
+const Substitution = require("../models/Substitution");
+const WatchlistEntry = require("../models/WatchlistEntry");
+const User = require("../models/User");
+const { grantFor } = require("../config/permissions");
+const { can } = require("../services/permission.service");
+
+/**
+ * Route guard: `authorize(permission)` checks the caller's role holds the
+ * permission; with a resourceLoader it also loads the target document, checks
+ * the caller may act on it and exposes it to the controller as `req.resource`.
+ * Must run after `protect`.
+ */
+const authorize = (permission, resourceLoader) => async (req, res, next) => {
+  try {
+    if (!grantFor(req.user.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: "Unauthorized - You do not have permission to do this",
+      });
+    }
+    if (!resourceLoader) return next();
+
+    const resource = await resourceLoader(req);
+    if (!resource) {
+      return res.status(404).json({ success: false, message: `${resourceLoader.label} not found` });
+    }
+    if (!(await can(req.user, permission, resource))) {
+      return res.status(403).json({
+        success: false,
+        message: `Unauthorized - You are not authorized for this ${resourceLoader.label.toLowerCase()}`,
+      });
+    }
+
+    req.resource = resource;
+    next();
+  } catch (err) {
+    console.error("Authorize error:", err);
+    res.status(500).json({ success: false, message: "Server error", error: err.message });
+  }
+};
+
+// Builds a loader that finds a document by an id taken from the request.
+// Malformed ids resolve to null so they surface as 404s rather than cast errors.
+const loader = (label, find, getId) => {
+  const load = (req) => {
+    const id = getId(req);
+    return mongoose.isValidObjectId(id) ? find(id) : null;
+  };
+  load.label = label;
+  return load;
+};
+
+const loadClass = loader("Class", (id) => Class.findById(id), (req) => req.params.classId);
+// Attendance submissions send `class`, photo captures send `classId`
+const loadBodyClass = loader("Class", (id) => Class.findById(id), (req) => req.body?.class ?? req.body?.classId);
+const loadSeries = loader("Series", (id) => ClassSeries.findById(id), (req) => req.params.seriesId);
+const loadStudent = loader("Student", (id) => Student.findById(id), (req) => req.params.studentId);
+const loadAttendance = loader("Attendance record", (id) => Attendance.findById(id), (req) => req.params.attendanceId);
+const loadPhoto = loader("Photo", (id) => ClassPhoto.findById(id), (req) => req.params.photoId);
+const loadConversation = loader("Conversation", (id) => Conversation.findById(id), (req) => req.params.id);
+const loadAlert = loader("Alert", (id) => Alert.findById(id), (req) => req.params.id);
+const loadInvite = loader("Invite", (id) => Invite.findById(id), (req) => req.params.inviteId);
+const loadNotification = loader("Notification", (id) => ParentNotification.findById(id), (req) => req.params.id);
+const loadWatchlistEntry = loader("Watchlist entry", (id) => WatchlistEntry.findById(id), (req) => req.params.id);
+const loadSubstitution = loader("Cover request", (id) => Substitution.findById(id), (req) => req.params.id);
+const loadVolunteer = loader(
+  "Volunteer",
+  (id) => User.findOne({ _id: id, role: { $in: ["volunteer", "coordinator"] } }),
+  (req) => req.params.id
+);
+
+module.exports = {
+  authorize,
+  loadClass,
+  loadBodyClass,
+  loadSeries,
+  loadStudent,
+  loadAttendance,
+  loadPhoto,
+  loadConversation,
+  loadAlert,
+  loadInvite,
+  loadNotification,
+  loadSubstitution,
+  loadWatchlistEntry,
+  loadVolunteer,
+};
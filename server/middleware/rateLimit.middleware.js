@@ -0,0 +1,28 @@
+const { hit } = require("../services/rateLimit.service");
+
+/**
+ * Caps how often one IP may call a route: at most `max` requests per
+ * `windowMs`. `name` keeps the counters of different routes apart.
+ * Over the limit the request gets a 429 with a Retry-After header.
+ */
+const rateLimit = ({ name, windowMs, max, message }) => async (req, res, next) => {
+  try {
+    const { count, resetAt } = await hit(`rate:${name}:${req.ip}`, windowMs);
+    if (count > max) {
+      const retryAfter = Math.ceil((resetAt - Date.now()) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: message || "Too many requests, please try again later",
+        retryAfter,
+      });
+    }
+    next();
+  } catch (err) {
+    // A broken limiter store should not take sign-in down with it
+    console.error("Rate limit error:", err);
+    next();
+  }
+};
+
+module.exports = { rateLimit };
@@ -0,0 +1,33 @@
+const multer = require("multer");
+const path = require("path");
+
+const SPREADSHEET_EXTENSIONS = [".csv", ".xlsx"];
+
+// Spreadsheets are parsed straight from memory; nothing is written to disk
+const spreadsheet = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname || "").toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(ext)) {
+      return cb(new Error("Only .csv and .xlsx files are supported"));
+    }
+    cb(null, true);
+  },
+}).single("file");
+
+// Single "file" field upload; multer errors become 400 JSON responses
+const spreadsheetUpload = (req, res, next) => {
+  spreadsheet(req, res, (err) => {
+    if (err) {
+      const message = err.code === "LIMIT_FILE_SIZE" ? "File is too large (max 2 MB)" : err.message;
+      return res.status(400).json({ success: false, message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: "Please upload a .csv or .xlsx file in the 'file' field" });
+    }
+    next();
+  });
+};
+
+module.exports = { spreadsheetUpload };
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const { ALERT_TYPES, ALERT_AUDIENCES } = require('../config/alerts');
+
+const receiptSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  readAt: { type: Date, default: Date.now },
+  acknowledgedAt: { type: Date, default: null },
+}, { _id: false });
 
 const alertSchema = new mongoose.Schema({
   sender: {
@@ -8,7 +15,21 @@ const alertSchema = new mongoose.Schema({
   },
   senderName: { type: String, required: true },
   message: { type: String, required: true, trim: true },
-  type: { type: String, default: 'info' }, // e.g., info, warning, urgent
+  type: { type: String, enum: ALERT_TYPES, default: 'info' },
+  organisation: { type: mongoose.Schema.Types.ObjectId, ref: 'Organisation' },
+  audience: { type: String, enum: ALERT_AUDIENCES, default: 'everyone' },
+  // Resolved when the alert is created for the `users` and `class` audiences
+  recipients: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  class: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', default: null },
+  publishAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, default: null },
+  pinned: { type: Boolean, default: false },
+  // Urgent alerts must be acknowledged by each recipient
+  requiresAck: { type: Boolean, default: false },
+  receipts: [receiptSchema],
 }, { timestamps: true });
 
+alertSchema.index({ organisation: 1, createdAt: -1 });
+alertSchema.index({ organisation: 1, publishAt: -1 });
+
 module.exports = mongoose.model('Alert', alertSchema);
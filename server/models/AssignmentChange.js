@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// Append-only log of who a class was assigned to. One document per change of
+// `assignedVolunteer`, whether edited by staff or through an approved substitution.
+const assignmentChangeSchema = new mongoose.Schema(
+  {
+    class: { type: mongoose.Schema.Types.ObjectId, ref: "Class", required: true },
+    organisation: { type: mongoose.Schema.Types.ObjectId, ref: "Organisation" },
+    from: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    to: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    actorName: { type: String, required: true },
+    reason: { type: String, trim: true, default: "" },
+    substitution: { type: mongoose.Schema.Types.ObjectId, ref: "Substitution" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+assignmentChangeSchema.index({ class: 1, createdAt: -1 });
+
+// History entries are never rewritten or removed
+const rejectMutation = function () {
+  throw new Error("Assignment history is append-only");
+};
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteOne", "deleteMany", "findOneAndDelete"].forEach((op) => {
+  assignmentChangeSchema.pre(op, rejectMutation);
+});
+assignmentChangeSchema.pre("save", function () {
+  if (!this.isNew) throw new Error("Assignment history is append-only");
+});
+
+module.exports = mongoose.model("AssignmentChange", assignmentChangeSchema);
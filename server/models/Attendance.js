@@ -1,16 +1,19 @@
 const mongoose = require("mongoose");
+const { ATTENDANCE_STATUSES } = require("../config/attendanceStatuses");
 
 const attendanceSchema = new mongoose.Schema(
   {
     class: { type: mongoose.Schema.Types.ObjectId, ref: "Class", required: true },
     admin: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     takenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // volunteer who took it
+    organisation: { type: mongoose.Schema.Types.ObjectId, ref: "Organisation" },
     date: { type: Date, required: true },
     note: { type: String, trim: true, default: '' }, // optional volunteer note
     records: [
       {
         student: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
-        status: { type: String, enum: ["present", "absent"], required: true },
+        status: { type: String, enum: ATTENDANCE_STATUSES, required: true },
+        reason: { type: String, trim: true, default: '' }, // required for excused absences
       },
     ],
   },
@@ -18,5 +21,6 @@ const attendanceSchema = new mongoose.Schema(
 );
 
 attendanceSchema.index({ class: 1, date: 1 }, { unique: true });
+attendanceSchema.index({ organisation: 1, date: 1 });
 
 module.exports = mongoose.model("Attendance", attendanceSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Append-only audit log for attendance sessions. One document per submission or edit.
+const attendanceChangeSchema = new mongoose.Schema(
+  {
+    attendance: { type: mongoose.Schema.Types.ObjectId, ref: "Attendance", required: true },
+    class: { type: mongoose.Schema.Types.ObjectId, ref: "Class", required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    actorName: { type: String, required: true },
+    action: { type: String, enum: ["created", "updated"], required: true },
+    reason: { type: String, trim: true, default: "" },
+    changes: [
+      {
+        student: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+        from: { type: String, default: null }, // null when the student was added to the session
+        to: { type: String, default: null }, // null when the student was removed from the session
+        // Excuse reasons, recorded so a reason-only correction still shows up
+        fromReason: { type: String, default: "" },
+        toReason: { type: String, default: "" },
+      },
+    ],
+    note: {
+      from: { type: String },
+      to: { type: String },
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+attendanceChangeSchema.index({ attendance: 1, createdAt: -1 });
+
+// History entries are never rewritten or removed
+const rejectMutation = function () {
+  throw new Error("Attendance history is append-only");
+};
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteOne", "deleteMany", "findOneAndDelete"].forEach((op) => {
+  attendanceChangeSchema.pre(op, rejectMutation);
+});
+attendanceChangeSchema.pre("save", function () {
+  if (!this.isNew) throw new Error("Attendance history is append-only");
+});
+
+module.exports = mongoose.model("AttendanceChange", attendanceChangeSchema);
@@ -48,11 +48,45 @@ const classSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    status: {
+      type: String,
+      enum: ["scheduled", "cancelled"],
+      default: "scheduled",
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ClassSeries", // set when this class is one occurrence of a weekly series
+    },
+    organisation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organisation",
+    },
   },
   { timestamps: true }
 );
 
 // Index for efficient querying by teacher and day
 classSchema.index({ admin: 1, day: 1 });
+classSchema.index({ admin: 1, date: 1 });
+classSchema.index({ organisation: 1, date: 1 });
+classSchema.index({ series: 1, date: 1 });
+
+// `day` always follows `date`, so weekday and date based views agree
+classSchema.pre("validate", function () {
+  if (this.date) {
+    this.day = new Date(`${String(this.date).slice(0, 10)}T00:00:00Z`).toLocaleString("en-US", {
+      weekday: "long",
+      timeZone: "UTC",
+    });
+  }
+});
 
 module.exports = mongoose.model("Class", classSchema);
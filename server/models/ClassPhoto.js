@@ -34,6 +34,10 @@ const classPhotoSchema = new mongoose.Schema({
     classTime: String,  // HH:MM-HH:MM
     subject: String,
   },
+  organisation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organisation',
+  },
 }, { timestamps: true });
 
 module.exports = mongoose.model('ClassPhoto', classPhotoSchema);
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+// A weekly repeating class. Each occurrence is materialised as a Class document
+// (with `series` set) so attendance and photos attach to one specific date.
+const classSeriesSchema = new mongoose.Schema(
+  {
+    subject: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    days: {
+      type: [String], // weekly pattern, e.g. ["Monday", "Thursday"]
+      required: true,
+      enum: [
+        "Monday",
+        "Tuesday",
+        "Wednesday",
+        "Thursday",
+        "Friday",
+        "Saturday",
+        "Sunday",
+      ],
+    },
+    startTime: {
+      type: String, // "10:00" format
+      required: true,
+      match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
+    },
+    endTime: {
+      type: String, // "11:00" format
+      required: true,
+      match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/,
+    },
+    startDate: {
+      type: String, // "YYYY-MM-DD", first day of the term
+      required: true,
+    },
+    endDate: {
+      type: String, // "YYYY-MM-DD", last day of the term (inclusive)
+      required: true,
+    },
+    exceptions: {
+      type: [String], // "YYYY-MM-DD" dates with no class (holidays, exams)
+      default: [],
+    },
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    assignedVolunteer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    youtubeLink: {
+      type: String,
+      trim: true,
+    },
+    organisation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organisation",
+    },
+  },
+  { timestamps: true }
+);
+
+classSeriesSchema.index({ admin: 1 });
+classSeriesSchema.index({ organisation: 1 });
+
+module.exports = mongoose.model("ClassSeries", classSeriesSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A thread between one volunteer and the organisation's staff. Staff take part as
+// a team, so any admin or coordinator can read and reply. A thread can be about a
+// specific class or attendance session.
+const conversationSchema = new mongoose.Schema({
+  organisation: { type: mongoose.Schema.Types.ObjectId, ref: 'Organisation' },
+  volunteer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  subject: { type: String, trim: true, default: '' },
+  class: { type: mongoose.Schema.Types.ObjectId, ref: 'Class' },
+  attendance: { type: mongoose.Schema.Types.ObjectId, ref: 'Attendance' },
+  status: { type: String, enum: ['open', 'closed'], default: 'open' },
+  // Latest message, kept here so inbox lists need no extra lookups
+  lastMessageAt: { type: Date, default: Date.now },
+  lastMessageText: { type: String, default: '' },
+  lastSenderName: { type: String, default: '' },
+}, { timestamps: true });
+
+conversationSchema.index({ organisation: 1, lastMessageAt: -1 });
+conversationSchema.index({ volunteer: 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+const { DEFAULT_RULES } = require("../config/earlyWarning");
+
+const { consecutive, rolling, drop } = DEFAULT_RULES;
+
+// An organisation's early-warning thresholds (see config/earlyWarning.js). One
+// document per organisation, created the first time an admin saves it.
+const earlyWarningSettingsSchema = new mongoose.Schema(
+  {
+    organisation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organisation",
+      required: true,
+      unique: true,
+    },
+    rules: {
+      consecutive: {
+        enabled: { type: Boolean, default: consecutive.enabled },
+        absences: { type: Number, min: 2, default: consecutive.absences },
+      },
+      rolling: {
+        enabled: { type: Boolean, default: rolling.enabled },
+        days: { type: Number, min: 1, default: rolling.days },
+        minSessions: { type: Number, min: 1, default: rolling.minSessions },
+        rate: { type: Number, min: 1, max: 100, default: rolling.rate },
+      },
+      drop: {
+        enabled: { type: Boolean, default: drop.enabled },
+        points: { type: Number, min: 1, max: 100, default: drop.points },
+        minBaselineSessions: { type: Number, min: 1, default: drop.minBaselineSessions },
+      },
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("EarlyWarningSettings", earlyWarningSettingsSchema);
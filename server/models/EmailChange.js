@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Pending switch to a new email address, confirmed from a link sent to that
+// address. Only the token hash is stored.
+const emailChangeSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    newEmail: { type: String, required: true, lowercase: true, trim: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+emailChangeSchema.index({ user: 1 });
+// Expired requests are removed by MongoDB
+emailChangeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("EmailChange", emailChangeSchema);
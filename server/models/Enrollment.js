@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Links students to a class (one occurrence) or to a whole weekly series.
+// An entry either names one student or a section, which enrolls everyone in it.
+const enrollmentSchema = new mongoose.Schema(
+  {
+    admin: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    organisation: { type: mongoose.Schema.Types.ObjectId, ref: "Organisation" },
+    class: { type: mongoose.Schema.Types.ObjectId, ref: "Class" },
+    series: { type: mongoose.Schema.Types.ObjectId, ref: "ClassSeries" },
+    student: { type: mongoose.Schema.Types.ObjectId, ref: "Student" },
+    section: { type: String, trim: true, uppercase: true },
+  },
+  { timestamps: true }
+);
+
+enrollmentSchema.index({ class: 1 });
+enrollmentSchema.index({ series: 1 });
+enrollmentSchema.index({ student: 1 });
+
+enrollmentSchema.pre("validate", function () {
+  if (!this.class === !this.series) {
+    throw new Error("An enrollment belongs to exactly one class or series");
+  }
+  if (!this.student === !this.section) {
+    throw new Error("An enrollment names exactly one student or section");
+  }
+});
+
+module.exports = mongoose.model("Enrollment", enrollmentSchema);
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// Manual entry in a volunteer's hours ledger, e.g. an event outside the timetable
+// (positive) or a correction (negative). Entries are never edited; a mistake is
+// reversed with another entry so the ledger keeps its history.
+const hoursAdjustmentSchema = new mongoose.Schema(
+  {
+    volunteer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    organisation: { type: mongoose.Schema.Types.ObjectId, ref: "Organisation" },
+    date: { type: String, required: true }, // "YYYY-MM-DD" the hours count towards
+    hours: { type: Number, required: true },
+    reason: { type: String, required: true, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    createdByName: { type: String, required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+hoursAdjustmentSchema.index({ volunteer: 1, date: 1 });
+
+// deleteMany stays allowed so a deleted account's ledger goes with it
+const rejectMutation = function () {
+  throw new Error("Hours adjustments are append-only");
+};
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteOne", "findOneAndDelete"].forEach((op) => {
+  hoursAdjustmentSchema.pre(op, rejectMutation);
+});
+hoursAdjustmentSchema.pre("save", function () {
+  if (!this.isNew) throw new Error("Hours adjustments are append-only");
+});
+
+module.exports = mongoose.model("HoursAdjustment", hoursAdjustmentSchema);
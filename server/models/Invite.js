@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Invitation for someone to join an organisation. Only a hash of the token is
+// stored; the raw token is handed out once when the invite is created.
+// Admins sign up through the invite; volunteers and coordinators already have
+// an account (`user`) and only choose their password.
+const inviteSchema = new mongoose.Schema(
+  {
+    organisation: { type: mongoose.Schema.Types.ObjectId, ref: "Organisation", required: true },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    name: { type: String, trim: true },
+    role: { type: String, enum: ["admin", "coordinator", "volunteer"], default: "admin" },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    tokenHash: { type: String, required: true, unique: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    expiresAt: { type: Date, required: true },
+    acceptedAt: { type: Date },
+    acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+inviteSchema.index({ organisation: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Invite", inviteSchema);
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 
 const messageSchema = new mongoose.Schema({
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -8,7 +9,16 @@ const messageSchema = new mongoose.Schema({
   },
   senderName: { type: String, required: true },
   text: { type: String, required: true, trim: true },
-  isRead: { type: Boolean, default: false },
+  // Read receipts: one entry per participant who has read it (the sender included)
+  readBy: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    readAt: { type: Date, default: Date.now },
+    _id: false,
+  }],
+  organisation: { type: mongoose.Schema.Types.ObjectId, ref: 'Organisation' },
 }, { timestamps: true });
 
+messageSchema.index({ organisation: 1, createdAt: -1 });
+messageSchema.index({ conversation: 1, createdAt: 1 });
+
 module.exports = mongoose.model('Message', messageSchema);
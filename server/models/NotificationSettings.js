@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const { NOTIFICATION_CHANNELS, DELIVERY_MODES } = require("../config/notifications");
+
+// Blank templates fall back to the defaults in config/notifications.js
+const templatePairSchema = new mongoose.Schema(
+  {
+    en: { type: String, trim: true, default: "" },
+    hi: { type: String, trim: true, default: "" },
+  },
+  { _id: false }
+);
+
+// How an organisation tells parents their child was absent. One document per
+// organisation, created the first time an admin saves it; until then nothing is sent.
+const notificationSettingsSchema = new mongoose.Schema(
+  {
+    organisation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organisation",
+      required: true,
+      unique: true,
+    },
+    enabled: { type: Boolean, default: false },
+    channel: { type: String, enum: NOTIFICATION_CHANNELS, default: "sms" },
+    mode: { type: String, enum: DELIVERY_MODES, default: "immediate" },
+    // "HH:MM" in `timezone`, when digest mode sends the day's absences
+    digestTime: { type: String, default: "18:00" },
+    timezone: { type: String, default: "Asia/Kolkata" },
+    templates: {
+      absence: { type: templatePairSchema, default: () => ({}) },
+      digest: { type: templatePairSchema, default: () => ({}) },
+    },
+    // Local date ("YYYY-MM-DD") of the last digest run, so each day is sent once
+    lastDigestOn: { type: String, default: "" },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("NotificationSettings", notificationSettingsSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// A centre or programme. Owns its users, students, classes, alerts and messages;
+// every admin in it sees and manages the same data.
+const organisationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Admins must set up two-factor sign-in before they can use the app
+    requireAdminTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Organisation", organisationSchema);
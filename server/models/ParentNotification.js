@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+const { NOTIFICATION_CHANNELS, NOTIFICATION_LANGUAGES, NOTIFICATION_KINDS } = require("../config/notifications");
+
+// One message to a parent, and the delivery log for it. Lifecycle:
+//   "held"     — an absence waiting for the day's digest
+//   "digested" — a held absence that went out as part of `digest`
+//   "queued"   — waiting to be sent (again, after a failure, from `nextAttemptAt`)
+//   "sending"  — claimed by the worker
+//   "sent" / "failed" — final; failed after MAX_ATTEMPTS tries
+//   "skipped"  — never sent, see `error` (no phone, parent opted out, ...)
+const parentNotificationSchema = new mongoose.Schema(
+  {
+    organisation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organisation",
+      required: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    kind: { type: String, enum: NOTIFICATION_KINDS, required: true },
+    // The session an absence notice is about
+    attendance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Attendance",
+    },
+    class: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Class",
+    },
+    // Local date the absence or digest is for, "YYYY-MM-DD"
+    day: { type: String, required: true },
+    // Details a digest lists, kept from when the absence was recorded
+    subject: { type: String, default: "" },
+    startTime: { type: String, default: "" },
+    digest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ParentNotification",
+    },
+    channel: { type: String, enum: NOTIFICATION_CHANNELS, required: true },
+    language: { type: String, enum: NOTIFICATION_LANGUAGES, default: "en" },
+    to: { type: String, default: "" },
+    text: { type: String, default: "" },
+    status: {
+      type: String,
+      enum: ["held", "digested", "queued", "sending", "sent", "failed", "skipped"],
+      default: "queued",
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    provider: { type: String, default: "" },
+    providerMessageId: { type: String, default: "" },
+    error: { type: String, default: "" },
+    sentAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+parentNotificationSchema.index({ organisation: 1, createdAt: -1 });
+parentNotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+// A student is told about a session once, and gets at most one digest a day
+parentNotificationSchema.index(
+  { attendance: 1, student: 1 },
+  { unique: true, partialFilterExpression: { kind: "absence" } }
+);
+parentNotificationSchema.index(
+  { organisation: 1, student: 1, day: 1 },
+  { unique: true, partialFilterExpression: { kind: "digest" } }
+);
+
+module.exports = mongoose.model("ParentNotification", parentNotificationSchema);
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// Single-use password reset link. Only the token hash is stored.
+const passwordResetSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+passwordResetSchema.index({ user: 1 });
+// Expired links are removed by MongoDB
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PasswordReset", passwordResetSchema);
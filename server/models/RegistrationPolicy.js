@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// Who may create an account through POST /api/auth/register without an invite.
+// One document for the whole installation, managed by the admins of `organisation`
+// (the first organisation, unless set otherwise). Invites always work, and the
+// first person on an installation with no accounts starts its organisation.
+//   "invite" — nobody; people join through invites only
+//   "domain" — emails at one of `allowedDomains` join `organisation` as `role`
+const registrationPolicySchema = new mongoose.Schema(
+  {
+    mode: {
+      type: String,
+      enum: ["invite", "domain"],
+      default: "invite",
+    },
+    allowedDomains: [{ type: String, lowercase: true, trim: true }],
+    role: {
+      type: String,
+      enum: ["admin", "coordinator", "volunteer"],
+      default: "volunteer",
+    },
+    organisation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organisation",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("RegistrationPolicy", registrationPolicySchema);
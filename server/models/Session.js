@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// One signed-in device. The refresh token rotates on every use; only hashes of
+// the current and previous token are stored so a replayed old token can be
+// spotted and the session shut down.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    previousTokenHash: { type: String },
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, lastUsedAt: -1 });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
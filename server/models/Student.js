@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { NOTIFICATION_LANGUAGES } = require("../config/notifications");
 
 const studentSchema = new mongoose.Schema(
   {
@@ -7,14 +8,30 @@ const studentSchema = new mongoose.Schema(
     section: { type: String, required: true, trim: true },
     phone: { type: String, trim: true, default: '' },
     parentPhone: { type: String, trim: true, default: '' },
+    // Language absence messages to the parent are sent in
+    parentLanguage: { type: String, enum: NOTIFICATION_LANGUAGES, default: 'en' },
+    // Set when the parent replies STOP or staff opt them out; no messages go to them
+    parentOptOut: { type: Boolean, default: false },
+    parentOptOutAt: { type: Date, default: null },
     notes: { type: String, trim: true, default: '' },
+    // Archived students have left the program; they drop out of rosters but keep their attendance history
+    archived: { type: Boolean, default: false },
+    archivedAt: { type: Date },
     admin: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    organisation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organisation",
+    },
   },
   { timestamps: true }
 );
-studentSchema.index({ admin: 1, section: 1, rollNo: 1 }, { unique: true });
+// Roll numbers are unique per section across the whole organisation
+studentSchema.index(
+  { organisation: 1, section: 1, rollNo: 1 },
+  { unique: true, partialFilterExpression: { organisation: { $exists: true } } }
+);
 module.exports = mongoose.model("Student", studentSchema);
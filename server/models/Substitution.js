@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// A request for someone to cover a class. The assigned volunteer opens it,
+// eligible volunteers are notified and one claims it, then staff approve the
+// swap (or decline the claim, which reopens the request).
+const substitutionSchema = new mongoose.Schema(
+  {
+    class: { type: mongoose.Schema.Types.ObjectId, ref: "Class", required: true },
+    organisation: { type: mongoose.Schema.Types.ObjectId, ref: "Organisation", required: true },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    // The volunteer who was assigned when cover was requested
+    originalVolunteer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reason: { type: String, trim: true, default: "" },
+    status: {
+      type: String,
+      enum: ["open", "claimed", "approved", "cancelled"],
+      default: "open",
+    },
+    // Volunteers told about the request when it opened
+    notified: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    claimedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    claimedAt: { type: Date },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    decidedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+substitutionSchema.index({ organisation: 1, status: 1, createdAt: -1 });
+substitutionSchema.index({ class: 1, status: 1 });
+
+module.exports = mongoose.model("Substitution", substitutionSchema);
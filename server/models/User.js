@@ -1,10 +1,12 @@
 const mongoose = require("mongoose");
+const { ROLES } = require("../config/permissions");
+const { WEEKDAYS } = require("../services/classSeries.service");
 
 const userSchema = new mongoose.Schema(
   {
     role: {
       type: String,
-      enum: ["admin", "volunteer"],
+      enum: ROLES,
       default: "admin",
     },
     name: {
@@ -19,9 +21,12 @@ const userSchema = new mongoose.Schema(
       lowercase: true,
       trim: true,
     },
+    // Unset until an invited volunteer or coordinator accepts their invite
     password: {
       type: String,
-      required: true,
+    },
+    passwordChangedAt: {
+      type: Date,
     },
     profilePicUrl: {
       type: String,
@@ -35,8 +40,42 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    organisation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organisation",
+    },
+    // When a volunteer can take classes: recurring weekly slots ("HH:MM" times)
+    // and date ranges they are away. No weekly slots means they haven't said.
+    availability: {
+      weekly: [
+        {
+          _id: false,
+          day: { type: String, enum: WEEKDAYS, required: true },
+          startTime: { type: String, required: true },
+          endTime: { type: String, required: true },
+        },
+      ],
+      blackouts: [
+        {
+          _id: false,
+          startDate: { type: String, required: true }, // "YYYY-MM-DD"
+          endDate: { type: String, required: true },
+          reason: { type: String, trim: true, default: "" },
+        },
+      ],
+    },
+    // TOTP second factor for admins. The secrets are never selected by default.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: { type: [String], select: false },
+    },
   },
   { timestamps: true }
 );
 
+userSchema.index({ organisation: 1, role: 1 });
+
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const { WATCHLIST_RULES, WATCHLIST_STATUSES } = require("../config/earlyWarning");
+
+const triggerSchema = new mongoose.Schema(
+  {
+    rule: { type: String, enum: WATCHLIST_RULES, required: true },
+    // The measured value and the threshold it crossed (absences, % or points)
+    value: { type: Number, required: true },
+    threshold: { type: Number, required: true },
+    detail: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+const noteSchema = new mongoose.Schema(
+  {
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    authorName: { type: String, required: true },
+    text: { type: String, required: true, trim: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// A student flagged by the early-warning rules, and the follow-up on them.
+// A student has at most one open entry; once resolved, a new one opens if the
+// rules fire again on attendance taken after that.
+const watchlistEntrySchema = new mongoose.Schema(
+  {
+    organisation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organisation",
+      required: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    status: { type: String, enum: WATCHLIST_STATUSES, default: "open" },
+    // Rules that fired the last time any did
+    triggers: [triggerSchema],
+    lastTriggeredAt: { type: Date, default: Date.now },
+    // Set while no rule fires any more; cleared if one fires again
+    clearedAt: { type: Date, default: null },
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    assignedAt: { type: Date },
+    notes: [noteSchema],
+    resolvedAt: { type: Date },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+watchlistEntrySchema.index({ organisation: 1, status: 1, lastTriggeredAt: -1 });
+watchlistEntrySchema.index(
+  { organisation: 1, student: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+
+module.exports = mongoose.model("WatchlistEntry", watchlistEntrySchema);
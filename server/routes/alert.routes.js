@@ -2,10 +2,23 @@ const express = require('express');
 const router = express.Router();
 const alertController = require('../controllers/alert.controller');
 const { protect } = require('../middleware/auth.middleware');
+const { authorize, loadAlert } = require('../middleware/authorize.middleware');
+const {
+  listAlertsValidation,
+  createAlertValidation,
+  markAlertsReadValidation,
+  alertIdValidation,
+  updateAlertValidation,
+} = require('../validators/alert.validator');
 
 router.use(protect);
 
-router.post('/', alertController.createAlert);
-router.get('/', alertController.getAlerts);
+router.post('/', createAlertValidation, authorize('alert:create'), alertController.createAlert);
+router.get('/', listAlertsValidation, authorize('alert:read'), alertController.getAlerts);
+router.post('/read', markAlertsReadValidation, authorize('alert:read'), alertController.markAlertsRead);
+
+router.post('/:id/acknowledge', alertIdValidation, authorize('alert:read', loadAlert), alertController.acknowledgeAlert);
+router.patch('/:id', updateAlertValidation, authorize('alert:manage', loadAlert), alertController.updateAlert);
+router.get('/:id/report', alertIdValidation, authorize('alert:report', loadAlert), alertController.getAlertReport);
 
 module.exports = router;
@@ -1,22 +1,40 @@
 const express = require("express");
 const controller = require("../controllers/attendance.controller");
 const auth = require("../middleware/auth.middleware");
+const {
+  authorize,
+  loadClass,
+  loadBodyClass,
+  loadAttendance,
+} = require("../middleware/authorize.middleware");
 const {
   markAttendanceValidation,
   classIdParamValidation,
+  classAttendanceQueryValidation,
   attendanceIdParamValidation,
+  updateAttendanceValidation,
+  patchAttendanceValidation,
+  exportAttendanceValidation,
 } = require("../validators/attendance.validator");
 
 const router = express.Router();
 
 // Mark attendance
-router.post("/", auth, markAttendanceValidation, controller.markAttendance);
+router.post(
+  "/",
+  auth,
+  markAttendanceValidation,
+  authorize("attendance:take", loadBodyClass),
+  controller.markAttendance
+);
 
 // Get attendance records for a specific class
 router.get(
   "/class/:classId",
   auth,
   classIdParamValidation,
+  classAttendanceQueryValidation,
+  authorize("attendance:read", loadClass),
   controller.getAttendanceByClass
 );
 
@@ -25,6 +43,7 @@ router.get(
   "/analytics/:classId",
   auth,
   classIdParamValidation,
+  authorize("attendance:read", loadClass),
   controller.attendanceAnalytics
 );
 
@@ -33,6 +52,7 @@ router.get(
   "/chart/:attendanceId",
   auth,
   attendanceIdParamValidation,
+  authorize("attendance:read", loadAttendance),
   controller.attendanceChartData
 );
 
@@ -41,13 +61,50 @@ router.get(
   "/ai-insights/:classId",
   auth,
   classIdParamValidation,
+  authorize("attendance:read", loadClass),
   controller.getAIInsightsPrompt
 );
 
 // Get overall analytics across all classes (for dashboard)
-router.get("/overall", auth, controller.getOverallAnalytics);
+router.get("/overall", auth, authorize("analytics:read"), controller.getOverallAnalytics);
 
 // Get overall AI insights (no class filter, program-level)
-router.get("/overall-ai", auth, controller.getOverallAIInsights);
+router.get("/overall-ai", auth, authorize("analytics:read"), controller.getOverallAIInsights);
+
+// Download a student × session register (?format=csv|xlsx|pdf with classId, section or studentId)
+router.get(
+  "/export",
+  auth,
+  exportAttendanceValidation,
+  authorize("attendance:export"),
+  controller.exportAttendance
+);
+
+// Change history (audit trail) for an attendance session
+router.get(
+  "/:attendanceId/history",
+  auth,
+  attendanceIdParamValidation,
+  authorize("attendance:read", loadAttendance),
+  controller.getAttendanceHistory
+);
+
+// Replace the records of a submitted attendance session
+router.put(
+  "/:attendanceId",
+  auth,
+  updateAttendanceValidation,
+  authorize("attendance:update", loadAttendance),
+  controller.updateAttendance
+);
+
+// Partially update a session (individual statuses, latecomers, note)
+router.patch(
+  "/:attendanceId",
+  auth,
+  patchAttendanceValidation,
+  authorize("attendance:update", loadAttendance),
+  controller.patchAttendance
+);
 
 module.exports = router;
@@ -1,17 +1,55 @@
 const express = require("express");
 const controller = require("../controllers/auth.controller");
+const twoFactor = require("../controllers/twoFactor.controller");
 const {
     registerValidation,
     loginValidation,
+    refreshValidation,
+    sessionIdValidation,
+    forgotPasswordValidation,
+    setPasswordValidation,
+    inviteTokenValidation,
+    loginTwoFactorValidation,
+    twoFactorCodeValidation,
+    disableTwoFactorValidation,
 } = require("../validators/auth.validator");
+const auth = require("../middleware/auth.middleware");
+const { rateLimit } = require("../middleware/rateLimit.middleware");
+const { authorize, loadVolunteer } = require("../middleware/authorize.middleware");
 
 const router = express.Router();
 
-router.post("/register", registerValidation, controller.register);
-router.post("/login", loginValidation, controller.login);
-router.get("/volunteers", require("../middleware/auth.middleware"), controller.getVolunteers);
-router.post("/volunteers", require("../middleware/auth.middleware"), controller.createVolunteer);
-router.put("/volunteers/:id", require("../middleware/auth.middleware"), controller.updateVolunteer);
-router.delete("/volunteers/:id", require("../middleware/auth.middleware"), controller.deleteVolunteer);
+const HOUR = 60 * 60 * 1000;
+const registerLimit = rateLimit({ name: "register", windowMs: HOUR, max: 5, message: "Too many sign-ups from this network, please try again later" });
+const loginLimit = rateLimit({ name: "login", windowMs: 15 * 60 * 1000, max: 50 });
+const emailLimit = rateLimit({ name: "account-email", windowMs: HOUR, max: 5, message: "Too many reset requests, please try again later" });
+const tokenLimit = rateLimit({ name: "token", windowMs: 15 * 60 * 1000, max: 30 });
+
+router.get("/registration", controller.getRegistration);
+router.post("/register", registerLimit, registerValidation, controller.register);
+router.post("/login", loginLimit, loginValidation, controller.login);
+router.post("/login/2fa", loginLimit, loginTwoFactorValidation, controller.loginTwoFactor);
+router.post("/refresh", tokenLimit, refreshValidation, controller.refresh);
+router.post("/logout", auth, controller.logout);
+router.post("/forgot-password", emailLimit, forgotPasswordValidation, controller.forgotPassword);
+router.post("/reset-password", tokenLimit, setPasswordValidation, controller.resetPassword);
+router.get("/invites/:token", tokenLimit, inviteTokenValidation, controller.getInvite);
+router.post("/invites/accept", tokenLimit, setPasswordValidation, controller.acceptInvite);
+router.get("/sessions", auth, authorize("profile:manage"), controller.getSessions);
+router.delete("/sessions", auth, authorize("profile:manage"), controller.revokeOtherSessions);
+router.delete("/sessions/:sessionId", auth, sessionIdValidation, authorize("profile:manage"), controller.revokeSession);
+// Two-factor sign-in (admins)
+router.get("/2fa", auth, authorize("profile:twoFactor"), twoFactor.getStatus);
+router.post("/2fa/setup", auth, authorize("profile:twoFactor"), twoFactor.setup);
+router.post("/2fa/enable", auth, twoFactorCodeValidation, authorize("profile:twoFactor"), twoFactor.enable);
+router.post("/2fa/disable", auth, disableTwoFactorValidation, authorize("profile:twoFactor"), twoFactor.disable);
+router.post("/2fa/recovery-codes", auth, twoFactorCodeValidation, authorize("profile:twoFactor"), twoFactor.regenerateRecoveryCodes);
+
+router.get("/volunteers", auth, authorize("volunteer:read"), controller.getVolunteers);
+router.post("/volunteers", auth, authorize("volunteer:manage"), controller.createVolunteer);
+router.post("/volunteers/:id/invite", auth, authorize("volunteer:manage", loadVolunteer), controller.resendVolunteerInvite);
+router.post("/volunteers/:id/unlock", auth, authorize("volunteer:manage", loadVolunteer), controller.unlockVolunteer);
+router.put("/volunteers/:id", auth, authorize("volunteer:manage", loadVolunteer), controller.updateVolunteer);
+router.delete("/volunteers/:id", auth, authorize("volunteer:delete", loadVolunteer), controller.deleteVolunteer);
 
 module.exports = router;
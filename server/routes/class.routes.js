@@ -1,20 +1,68 @@
 const express = require("express");
 const controller = require("../controllers/class.controller");
 const auth = require("../middleware/auth.middleware");
-const { createClassValidation } = require("../validators/class.validator");
+const { authorize, loadClass, loadSeries } = require("../middleware/authorize.middleware");
+const {
+  createClassValidation,
+  updateClassValidation,
+  patchClassValidation,
+  classIdValidation,
+  createSeriesValidation,
+  seriesExceptionValidation,
+  seriesIdValidation,
+  setRosterValidation,
+  volunteerSuggestionsValidation,
+} = require("../validators/class.validator");
 
 const router = express.Router();
 
 // Create class
-router.post("/", auth, createClassValidation, controller.createClass);
+router.post("/", auth, createClassValidation, authorize("class:create"), controller.createClass);
 
 // Get all classes for the teacher
-router.get("/", auth, controller.getAllClasses);
+router.get("/", auth, authorize("class:read"), controller.getAllClasses);
 
 // Get today's classes
-router.get("/today", auth, controller.getTodayClasses);
+router.get("/today", auth, authorize("class:read"), controller.getTodayClasses);
 
 // Get currently running class
-router.get("/current", auth, controller.getCurrentClass);
+router.get("/current", auth, authorize("class:read"), controller.getCurrentClass);
+
+// Free volunteers for a slot, least loaded first
+router.get(
+  "/volunteer-suggestions",
+  auth,
+  volunteerSuggestionsValidation,
+  authorize("class:create"),
+  controller.getVolunteerSuggestions
+);
+
+// Weekly series: one submission creates every occurrence for the term
+router.post("/series", auth, createSeriesValidation, authorize("class:create"), controller.createSeries);
+router.get("/series", auth, authorize("class:read"), controller.getAllSeries);
+router.post(
+  "/series/:seriesId/exceptions",
+  auth,
+  seriesExceptionValidation,
+  authorize("class:update", loadSeries),
+  controller.addSeriesException
+);
+router.delete("/series/:seriesId", auth, seriesIdValidation, authorize("class:delete", loadSeries), controller.deleteSeries);
+
+// Class roster (enrolled students and sections)
+router.get("/:classId/roster", auth, classIdValidation, authorize("class:read", loadClass), controller.getRoster);
+router.put("/:classId/roster", auth, setRosterValidation, authorize("roster:update", loadClass), controller.setRoster);
+
+// Who the class was assigned to over time
+router.get("/:classId/assignment-history", auth, classIdValidation, authorize("class:read", loadClass), controller.getAssignmentHistory);
+
+// Edit / reschedule a class
+router.put("/:classId", auth, updateClassValidation, authorize("class:update", loadClass), controller.updateClass);
+
+// Partial update, including cancel ({ status: "cancelled", cancellationReason }) and reinstate
+router.patch("/:classId", auth, patchClassValidation, authorize("class:update", loadClass), controller.patchClass);
+
+// Delete a class that has no attendance yet
+router.delete("/:classId", auth, classIdValidation, authorize("class:delete", loadClass), controller.deleteClass);
 
 module.exports = router;
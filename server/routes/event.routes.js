@@ -0,0 +1,9 @@
+const express = require("express");
+const controller = require("../controllers/event.controller");
+const auth = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+router.get("/", auth.tokenFromQuery, auth, controller.stream);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require("express");
+const controller = require("../controllers/hours.controller");
+const auth = require("../middleware/auth.middleware");
+const { authorize, loadVolunteer } = require("../middleware/authorize.middleware");
+const {
+    hoursRangeValidation,
+    volunteerHoursValidation,
+    hoursAdjustmentValidation,
+} = require("../validators/hours.validator");
+
+const router = express.Router();
+
+// Totals for every volunteer
+router.get("/", auth, hoursRangeValidation, authorize("hours:read"), controller.getHoursReport);
+
+// Your own ledger and certificate
+router.get("/me", auth, hoursRangeValidation, authorize("hours:own"), controller.getLedger);
+router.get("/me/certificate", auth, hoursRangeValidation, authorize("hours:own"), controller.getCertificate);
+
+// One volunteer's ledger and certificate, and manual adjustments
+router.get("/volunteers/:id", auth, volunteerHoursValidation, authorize("hours:read", loadVolunteer), controller.getLedger);
+router.get("/volunteers/:id/certificate", auth, volunteerHoursValidation, authorize("hours:read", loadVolunteer), controller.getCertificate);
+router.post("/volunteers/:id/adjustments", auth, hoursAdjustmentValidation, authorize("hours:adjust", loadVolunteer), controller.addAdjustment);
+
+module.exports = router;
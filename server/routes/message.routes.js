@@ -1,10 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const { sendMessage, getMessages, markRead } = require('../controllers/message.controller');
+const controller = require('../controllers/message.controller');
 const { protect } = require('../middleware/auth.middleware');
+const { authorize, loadConversation } = require('../middleware/authorize.middleware');
+const {
+  listConversationsValidation,
+  startConversationValidation,
+  conversationIdValidation,
+  replyValidation,
+  updateConversationValidation,
+} = require('../validators/message.validator');
 
-router.post('/', protect, sendMessage);
-router.get('/', protect, getMessages);
-router.patch('/:id/read', protect, markRead);
+// Conversations between a volunteer and the staff
+router.get('/', protect, listConversationsValidation, authorize('message:read'), controller.getConversations);
+router.post('/', protect, startConversationValidation, authorize('message:send'), controller.startConversation);
+router.get('/unread', protect, authorize('message:read'), controller.getUnreadCount);
+
+// One conversation: read it, reply, mark it read, close or reopen it
+router.get('/:id', protect, conversationIdValidation, authorize('message:read', loadConversation), controller.getConversation);
+router.post('/:id/messages', protect, replyValidation, authorize('message:send', loadConversation), controller.reply);
+router.post('/:id/read', protect, conversationIdValidation, authorize('message:read', loadConversation), controller.markRead);
+router.patch('/:id', protect, updateConversationValidation, authorize('message:manage', loadConversation), controller.updateConversation);
 
 module.exports = router;
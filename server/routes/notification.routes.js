@@ -0,0 +1,31 @@
+const express = require("express");
+const controller = require("../controllers/notification.controller");
+const auth = require("../middleware/auth.middleware");
+const { authorize, loadNotification } = require("../middleware/authorize.middleware");
+const {
+  updateSettingsValidation,
+  listNotificationsValidation,
+  notificationIdValidation,
+  inboundReplyValidation,
+} = require("../validators/notification.validator");
+
+const router = express.Router();
+
+// Parents' replies forwarded by the SMS gateway (authenticated by a shared secret)
+router.post("/inbound", inboundReplyValidation, controller.inboundReply);
+
+// Templates, channel and delivery mode for absence messages to parents
+router.get("/settings", auth, authorize("notification:manage"), controller.getSettings);
+router.put("/settings", auth, updateSettingsValidation, authorize("notification:manage"), controller.updateSettings);
+
+// Delivery log
+router.get("/", auth, listNotificationsValidation, authorize("notification:read"), controller.getLog);
+router.post(
+  "/:id/retry",
+  auth,
+  notificationIdValidation,
+  authorize("notification:manage", loadNotification),
+  controller.retryNotification
+);
+
+module.exports = router;
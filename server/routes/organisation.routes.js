@@ -0,0 +1,30 @@
+const express = require("express");
+const controller = require("../controllers/organisation.controller");
+const auth = require("../middleware/auth.middleware");
+const { authorize, loadInvite } = require("../middleware/authorize.middleware");
+const {
+  updateOrganisationValidation,
+  createInviteValidation,
+  inviteIdValidation,
+} = require("../validators/organisation.validator");
+
+const router = express.Router();
+
+// The caller's organisation and its admins
+router.get("/", auth, authorize("organisation:read"), controller.getOrganisation);
+
+// Rename the organisation or require 2FA for its admins
+router.patch("/", auth, updateOrganisationValidation, authorize("organisation:manage"), controller.updateOrganisation);
+
+// Admin invites: create (returns the one-time token), list, revoke
+router.post("/invites", auth, createInviteValidation, authorize("organisation:manage"), controller.createInvite);
+router.get("/invites", auth, authorize("organisation:manage"), controller.getInvites);
+router.delete(
+  "/invites/:inviteId",
+  auth,
+  inviteIdValidation,
+  authorize("organisation:manage", loadInvite),
+  controller.revokeInvite
+);
+
+module.exports = router;
@@ -2,26 +2,18 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth.middleware');
 const controller = require('../controllers/photo.controller');
+const { authorize, loadClass, loadBodyClass, loadPhoto } = require('../middleware/authorize.middleware');
 
 // Class capture photo upload (volunteer - webcam only, no manual upload)
-router.post('/capture', auth, controller.uploadClassPhoto);
+router.post('/capture', auth, authorize('photo:upload', loadBodyClass), controller.uploadClassPhoto);
 
 // Get the full gallery (admin sees all, volunteer sees own)
-router.get('/gallery', auth, controller.getGallery);
+router.get('/gallery', auth, authorize('photo:read'), controller.getGallery);
 
 // Get photos for a specific class
-router.get('/class/:classId', auth, controller.getPhotosByClass);
+router.get('/class/:classId', auth, authorize('photo:read', loadClass), controller.getPhotosByClass);
 
 // Delete photo (admin only)
-router.delete('/:photoId', auth, controller.deletePhoto);
-
-// Profile picture upload
-router.post('/profile-pic', auth, controller.uploadProfilePic);
-
-// Update profile info (name, phone)
-router.patch('/profile', auth, controller.updateProfile);
-
-// Get own profile
-router.get('/profile', auth, controller.getProfile);
+router.delete('/:photoId', auth, authorize('photo:delete', loadPhoto), controller.deletePhoto);
 
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require("express");
+const controller = require("../controllers/settings.controller");
+const auth = require("../middleware/auth.middleware");
+const { authorize } = require("../middleware/authorize.middleware");
+const { updateRegistrationValidation } = require("../validators/settings.validator");
+
+const router = express.Router();
+
+// Installation-wide sign-up policy
+router.get("/registration", auth, authorize("settings:manage"), controller.getRegistration);
+router.put("/registration", auth, updateRegistrationValidation, authorize("settings:manage"), controller.updateRegistration);
+
+module.exports = router;
@@ -1,17 +1,42 @@
 const express = require("express");
 const controller = require("../controllers/student.controller");
 const auth = require("../middleware/auth.middleware");
-const { addStudentValidation } = require("../validators/student.validator");
+const { spreadsheetUpload } = require("../middleware/upload.middleware");
+const { authorize, loadStudent } = require("../middleware/authorize.middleware");
+const {
+  addStudentValidation,
+  updateStudentValidation,
+  archiveStudentValidation,
+  studentIdValidation,
+} = require("../validators/student.validator");
 
 const router = express.Router();
 
 // Add student
-router.post("/", auth, controller.addStudent);
+router.post("/", auth, authorize("student:create"), controller.addStudent);
+
+// Bulk import from CSV / XLSX (dry-run preview unless ?dryRun=false)
+router.post("/import", auth, authorize("student:create"), spreadsheetUpload, controller.importStudents);
 
 // Get all students for the teacher
-router.get("/", auth, controller.getAllStudents);
+router.get("/", auth, authorize("student:read"), controller.getAllStudents);
 
 // Get attendance stats for a specific student
-router.get("/:studentId/stats", auth, controller.getStudentStats);
+router.get("/:studentId/stats", auth, authorize("student:read", loadStudent), controller.getStudentStats);
+
+// Edit a student's details
+router.put("/:studentId", auth, updateStudentValidation, authorize("student:update", loadStudent), controller.updateStudent);
+
+// Archive ({ archived: true }) or restore ({ archived: false }) a student
+router.patch(
+  "/:studentId/archive",
+  auth,
+  archiveStudentValidation,
+  authorize("student:update", loadStudent),
+  controller.setStudentArchived
+);
+
+// Delete a student that has no attendance records
+router.delete("/:studentId", auth, studentIdValidation, authorize("student:delete", loadStudent), controller.deleteStudent);
 
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require("express");
+const controller = require("../controllers/substitution.controller");
+const auth = require("../middleware/auth.middleware");
+const { authorize, loadBodyClass, loadSubstitution } = require("../middleware/authorize.middleware");
+const { requestCoverValidation, substitutionIdValidation } = require("../validators/substitution.validator");
+
+const router = express.Router();
+
+// Ask for cover for a class you're assigned to
+router.post("/", auth, requestCoverValidation, authorize("substitution:request", loadBodyClass), controller.requestCover);
+router.get("/", auth, authorize("substitution:read"), controller.getSubstitutions);
+
+// A free volunteer claims it, then staff approve or decline the swap
+router.post("/:id/claim", auth, substitutionIdValidation, authorize("substitution:claim", loadSubstitution), controller.claim);
+router.post("/:id/approve", auth, substitutionIdValidation, authorize("substitution:approve", loadSubstitution), controller.approve);
+router.post("/:id/decline", auth, substitutionIdValidation, authorize("substitution:approve", loadSubstitution), controller.decline);
+
+// Withdraw a request before it's approved
+router.delete("/:id", auth, substitutionIdValidation, authorize("substitution:request", loadSubstitution), controller.cancel);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require("express");
+const controller = require("../controllers/user.controller");
+const auth = require("../middleware/auth.middleware");
+const { authorize } = require("../middleware/authorize.middleware");
+const { rateLimit } = require("../middleware/rateLimit.middleware");
+const {
+    updateMeValidation,
+    changePasswordValidation,
+    emailChangeValidation,
+    confirmEmailValidation,
+    deleteMeValidation,
+    availabilityValidation,
+} = require("../validators/user.validator");
+
+const router = express.Router();
+
+// Password checks on these routes are rate limited like logins
+const passwordLimit = rateLimit({ name: "account-password", windowMs: 15 * 60 * 1000, max: 10 });
+
+// Own profile
+router.get("/me", auth, authorize("profile:manage"), controller.getMe);
+router.patch("/me", auth, updateMeValidation, authorize("profile:manage"), controller.updateMe);
+router.post("/me/profile-pic", auth, authorize("profile:manage"), controller.uploadProfilePic);
+
+// Weekly availability and blackout dates (volunteers)
+router.get("/me/availability", auth, authorize("profile:availability"), controller.getAvailability);
+router.put("/me/availability", auth, availabilityValidation, authorize("profile:availability"), controller.updateAvailability);
+
+// Credentials
+router.put("/me/password", passwordLimit, auth, changePasswordValidation, authorize("profile:manage"), controller.changePassword);
+router.post("/me/email", passwordLimit, auth, emailChangeValidation, authorize("profile:manage"), controller.requestEmailChange);
+// Opened from the emailed link, so it works without signing in
+router.post("/email/confirm", confirmEmailValidation, controller.confirmEmailChange);
+
+// Delete own account
+router.delete("/me", passwordLimit, auth, deleteMeValidation, authorize("profile:manage"), controller.deleteMe);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require("express");
+const controller = require("../controllers/watchlist.controller");
+const auth = require("../middleware/auth.middleware");
+const { authorize, loadWatchlistEntry } = require("../middleware/authorize.middleware");
+const {
+  listWatchlistValidation,
+  updateSettingsValidation,
+  entryIdValidation,
+  assignEntryValidation,
+  addNoteValidation,
+  resolveEntryValidation,
+} = require("../validators/watchlist.validator");
+
+const router = express.Router();
+
+// Students flagged by the early-warning rules
+router.get("/", auth, listWatchlistValidation, authorize("watchlist:read"), controller.getWatchlist);
+router.post("/evaluate", auth, authorize("watchlist:manage"), controller.evaluateWatchlist);
+
+// Thresholds for the rules
+router.get("/settings", auth, authorize("watchlist:read"), controller.getSettings);
+router.put("/settings", auth, updateSettingsValidation, authorize("watchlist:manage"), controller.updateSettings);
+
+// Follow-up on one student
+router.patch("/:id/assign", auth, assignEntryValidation, authorize("watchlist:manage", loadWatchlistEntry), controller.assignEntry);
+router.post("/:id/notes", auth, addNoteValidation, authorize("watchlist:note", loadWatchlistEntry), controller.addNote);
+router.post("/:id/resolve", auth, resolveEntryValidation, authorize("watchlist:manage", loadWatchlistEntry), controller.resolveEntry);
+router.post("/:id/reopen", auth, entryIdValidation, authorize("watchlist:manage", loadWatchlistEntry), controller.reopenEntry);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 require("dotenv").config();
 const mongoose = require("mongoose");
 const app = require("./app");
+const { startNotificationWorker } = require("./services/parentNotification.service");
 
 if (!process.env.MONGO_URI) {
   console.error("CRITICAL ERROR: MONGO_URI is not defined in environment variables.");
@@ -11,6 +12,7 @@ mongoose
   .connect(process.env.MONGO_URI)
   .then(() => {
     console.log("MongoDB connected");
+    startNotificationWorker();
     app.listen(process.env.PORT || 5000, "0.0.0.0", () => {
       console.log("Server running on port 5000");
     });
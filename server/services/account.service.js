@@ -0,0 +1,230 @@
+const cloudinary = require("../config/cloudinary");
+const Invite = require("../models/Invite");
+const PasswordReset = require("../models/PasswordReset");
+const EmailChange = require("../models/EmailChange");
+const Organisation = require("../models/Organisation");
+const Session = require("../models/Session");
+const Student = require("../models/Student");
+const Class = require("../models/Class");
+const ClassSeries = require("../models/ClassSeries");
+const Attendance = require("../models/Attendance");
+const Enrollment = require("../models/Enrollment");
+const Message = require("../models/Message");
+const Conversation = require("../models/Conversation");
+const Substitution = require("../models/Substitution");
+const HoursAdjustment = require("../models/HoursAdjustment");
+const Alert = require("../models/Alert");
+const WatchlistEntry = require("../models/WatchlistEntry");
+const { generateToken, hashToken } = require("./token.service");
+const { sendMail, clientUrl } = require("./mail.service");
+const { INVITE_TTL_DAYS } = require("./organisation.service");
+
+// Reset links are short-lived and single use
+const RESET_TTL_MINUTES = 60;
+const EMAIL_CHANGE_TTL_HOURS = 24;
+
+const inviteExpiry = () => new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const organisationName = async (organisationId) =>
+  (await Organisation.findById(organisationId).select("name"))?.name || "your organisation";
+
+/**
+ * Emails an admin invite created by the organisation settings. Admins create
+ * their own account from the link, so it points at the sign-up form.
+ */
+const sendAdminInvite = async (invite, token, inviter) => {
+  const orgName = await organisationName(invite.organisation);
+  await sendMail({
+    to: invite.email,
+    subject: `You're invited to manage ${orgName} on Stuma`,
+    text:
+      `${inviter.name} has invited you to join ${orgName} as an admin.\n\n` +
+      `Create your account here (the link expires in ${INVITE_TTL_DAYS} days):\n` +
+      `${clientUrl(`/login?invite=${token}`)}\n`,
+  });
+};
+
+/**
+ * Invites a volunteer or coordinator whose account was just created without
+ * a password. Replaces any earlier invite for them and emails a one-time link
+ * to choose their password.
+ */
+const sendTeamInvite = async (member, inviter, organisationId) => {
+  await Invite.deleteMany({ user: member._id, acceptedAt: { $exists: false } });
+
+  const { token, tokenHash } = generateToken();
+  const invite = await Invite.create({
+    organisation: organisationId,
+    email: member.email,
+    name: member.name,
+    role: member.role,
+    user: member._id,
+    tokenHash,
+    invitedBy: inviter._id,
+    expiresAt: inviteExpiry(),
+  });
+
+  const orgName = await organisationName(organisationId);
+  await sendMail({
+    to: member.email,
+    subject: `Set up your Stuma account for ${orgName}`,
+    text:
+      `Hi ${member.name},\n\n` +
+      `${inviter.name} has added you to ${orgName} as a ${member.role}.\n` +
+      `Choose your password here (the link expires in ${INVITE_TTL_DAYS} days):\n` +
+      `${clientUrl(`/login?invite=${token}`)}\n`,
+  });
+
+  return invite;
+};
+
+/** The unaccepted, unexpired invite a raw token belongs to, or null. */
+const findPendingInvite = (token) =>
+  Invite.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  });
+
+/** Emails a reset link, invalidating any earlier unused ones. */
+const sendPasswordReset = async (user) => {
+  await PasswordReset.deleteMany({ user: user._id, usedAt: { $exists: false } });
+
+  const { token, tokenHash } = generateToken();
+  await PasswordReset.create({
+    user: user._id,
+    tokenHash,
+    expiresAt: new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000),
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your Stuma password",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Someone asked to reset the password for this account. If it was you, choose a new one here ` +
+      `(the link expires in ${RESET_TTL_MINUTES} minutes and works once):\n` +
+      `${clientUrl(`/login?reset=${token}`)}\n\n` +
+      `If you didn't ask for this you can ignore this email.\n`,
+  });
+};
+
+/** The unused, unexpired reset a raw token belongs to, or null. */
+const findUsableReset = (token) =>
+  PasswordReset.findOne({
+    tokenHash: hashToken(token),
+    usedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  });
+
+/**
+ * Emails a confirmation link to the new address, and a heads-up to the
+ * current one. The email only changes once the link is opened.
+ */
+const sendEmailChange = async (user, newEmail) => {
+  await EmailChange.deleteMany({ user: user._id, usedAt: { $exists: false } });
+
+  const { token, tokenHash } = generateToken();
+  await EmailChange.create({
+    user: user._id,
+    newEmail,
+    tokenHash,
+    expiresAt: new Date(Date.now() + EMAIL_CHANGE_TTL_HOURS * 60 * 60 * 1000),
+  });
+
+  await sendMail({
+    to: newEmail,
+    subject: "Confirm your new Stuma email",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Confirm that you want to sign in to Stuma with this address ` +
+      `(the link expires in ${EMAIL_CHANGE_TTL_HOURS} hours):\n` +
+      `${clientUrl(`/login?verifyEmail=${token}`)}\n`,
+  });
+  await sendMail({
+    to: user.email,
+    subject: "Your Stuma email is being changed",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Someone asked to change the sign-in email for this account to ${newEmail}. ` +
+      `If it wasn't you, reset your password straight away.\n`,
+  });
+};
+
+/** The unused, unexpired email change a raw token belongs to, or null. */
+const findUsableEmailChange = (token) =>
+  EmailChange.findOne({
+    tokenHash: hashToken(token),
+    usedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  });
+
+/**
+ * Deletes a user and what only they own: sessions, pending tokens, their
+ * conversations and messages, hours adjustments and their profile picture. Classes they were assigned to lose
+ * the assignment, alerts forget them as a recipient and watchlist follow-ups
+ * assigned to them become unassigned. Organisation records an admin created (students, classes,
+ * attendance …) stay and are handed to `successorId`. Attendance history
+ * keeps their id as the person who took or changed it.
+ */
+const removeAccount = async (user, successorId) => {
+  if (user.profilePicPublicId) {
+    await cloudinary.uploader.destroy(user.profilePicPublicId).catch((e) =>
+      console.warn("[ACCOUNT] Failed to delete profile pic:", e.message)
+    );
+  }
+
+  const mine = { user: user._id };
+  const conversationIds = await Conversation.find({ volunteer: user._id }).distinct("_id");
+  await Promise.all([
+    Session.deleteMany(mine),
+    Invite.deleteMany(mine),
+    PasswordReset.deleteMany(mine),
+    EmailChange.deleteMany(mine),
+    Message.deleteMany({ $or: [{ sender: user._id }, { conversation: { $in: conversationIds } }] }),
+    Conversation.deleteMany({ _id: { $in: conversationIds } }),
+    HoursAdjustment.deleteMany({ volunteer: user._id }),
+    Alert.updateMany(
+      { $or: [{ recipients: user._id }, { "receipts.user": user._id }] },
+      { $pull: { recipients: user._id, receipts: { user: user._id } } }
+    ),
+    WatchlistEntry.updateMany({ assignedTo: user._id }, { $set: { assignedTo: null } }),
+    Class.updateMany({ assignedVolunteer: user._id }, { $unset: { assignedVolunteer: 1 } }),
+    ClassSeries.updateMany({ assignedVolunteer: user._id }, { $unset: { assignedVolunteer: 1 } }),
+    // Their classes are unassigned, so cover requests for them lapse; their claims reopen
+    Substitution.updateMany(
+      { originalVolunteer: user._id, status: { $in: ["open", "claimed"] } },
+      { $set: { status: "cancelled", decidedAt: new Date() } }
+    ),
+    Substitution.updateMany(
+      { claimedBy: user._id, status: "claimed" },
+      { $set: { status: "open" }, $unset: { claimedBy: 1, claimedAt: 1 } }
+    ),
+  ]);
+
+  if (successorId) {
+    const handOver = [{ admin: user._id }, { $set: { admin: successorId } }];
+    await Promise.all([
+      Student.updateMany(...handOver),
+      Class.updateMany(...handOver),
+      ClassSeries.updateMany(...handOver),
+      Attendance.updateMany(...handOver),
+      Enrollment.updateMany(...handOver),
+      Organisation.updateMany({ createdBy: user._id }, { $set: { createdBy: successorId } }),
+    ]);
+  }
+
+  await user.deleteOne();
+};
+
+module.exports = {
+  RESET_TTL_MINUTES,
+  sendAdminInvite,
+  sendTeamInvite,
+  findPendingInvite,
+  sendPasswordReset,
+  findUsableReset,
+  sendEmailChange,
+  findUsableEmailChange,
+  removeAccount,
+};
@@ -0,0 +1,195 @@
+const Alert = require("../models/Alert");
+const Class = require("../models/Class");
+const User = require("../models/User");
+const { publish, publishToStaff } = require("./realtime.service");
+
+const STAFF_ROLES = ["admin", "coordinator"];
+// setTimeout can't wait longer than ~24.8 days
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const idOf = (ref) => (ref?._id || ref).toString();
+const isStaff = (user) => STAFF_ROLES.includes(user.role);
+
+// Alerts sent before targeting existed have no audience or publishAt, so these
+// conditions also match missing fields
+const liveAt = (now) => ({
+  publishAt: { $not: { $gt: now } },
+  expiresAt: { $not: { $lte: now } },
+});
+
+/** Whether the alert is addressed to the user (staff can see every alert without being recipients). */
+const isRecipient = (user, alert) => {
+  if (idOf(alert.sender) === idOf(user._id)) return false;
+  const audience = alert.audience || "everyone";
+  if (audience === "everyone") return true;
+  if (audience === "volunteers") return user.role === "volunteer";
+  return (alert.recipients || []).some((r) => idOf(r) === idOf(user._id));
+};
+
+/**
+ * Query for the alerts a user sees: volunteers get live alerts addressed to
+ * them; staff get every live alert, or with `includeInactive` scheduled and
+ * expired ones too.
+ */
+const visibleTo = (user, organisationId, { includeInactive = false, now = new Date() } = {}) => {
+  if (isStaff(user)) {
+    return includeInactive ? { organisation: organisationId } : { organisation: organisationId, ...liveAt(now) };
+  }
+  return {
+    organisation: organisationId,
+    ...liveAt(now),
+    $or: [{ audience: { $in: ["everyone", "volunteers", null] } }, { recipients: user._id }],
+  };
+};
+
+/**
+ * The volunteers an alert for a class goes to: whoever is assigned to it and,
+ * for a series occurrence, to the series' other upcoming occurrences.
+ */
+const classVolunteers = async (classDoc) => {
+  const today = new Date().toISOString().split("T")[0];
+  const classes = classDoc.series
+    ? await Class.find({ series: classDoc.series, $or: [{ _id: classDoc._id }, { date: { $gte: today } }] }).select("assignedVolunteer")
+    : [classDoc];
+  const ids = new Set(classes.map((c) => c.assignedVolunteer).filter(Boolean).map(idOf));
+  return [...ids];
+};
+
+/**
+ * Resolves `{ audience, userIds, classId }` into the alert's `recipients` and
+ * `class`. Returns `{ error, status }` when they don't check out.
+ */
+const resolveAudience = async (organisationId, { audience = "everyone", userIds = [], classId }) => {
+  if (audience === "users") {
+    const users = await User.find({ _id: { $in: userIds }, organisation: organisationId }).select("_id");
+    if (users.length !== new Set(userIds).size) {
+      return { status: 400, error: "One or more recipients are not in your organisation" };
+    }
+    return { recipients: users.map((u) => u._id) };
+  }
+  if (audience === "class") {
+    const classDoc = await Class.findOne({ _id: classId, organisation: organisationId });
+    if (!classDoc) return { status: 404, error: "Class not found" };
+    const recipients = await classVolunteers(classDoc);
+    if (recipients.length === 0) return { status: 400, error: "No volunteer is assigned to this class yet" };
+    return { recipients, class: classDoc._id };
+  }
+  return { recipients: [] };
+};
+
+/**
+ * The alert as the user sees it, with their own read and acknowledgement times.
+ * Staff also get the recipient list and totals; volunteers never see who else got it.
+ */
+const forViewer = (alert, user) => {
+  const { receipts = [], ...rest } = alert.toObject ? alert.toObject() : alert;
+  if (!isStaff(user)) delete rest.recipients;
+  const mine = receipts.find((r) => idOf(r.user) === idOf(user._id));
+  return {
+    ...rest,
+    isRecipient: isRecipient(user, alert),
+    readAt: mine?.readAt || null,
+    acknowledgedAt: mine?.acknowledgedAt || null,
+    ...(isStaff(user) && {
+      readCount: receipts.length,
+      acknowledgedCount: receipts.filter((r) => r.acknowledgedAt).length,
+    }),
+  };
+};
+
+/** Pushes a published alert to the open streams of its audience (staff see every alert). */
+const pushAlert = (alert) => {
+  const data = {
+    alert: { _id: alert._id, type: alert.type, sender: alert.sender, senderName: alert.senderName, message: alert.message },
+  };
+  const audience = alert.audience || "everyone";
+  // Volunteers and staff are the whole organisation
+  if (audience === "everyone" || audience === "volunteers") return publish(alert.organisation, "alert", data);
+  return publishToStaff(alert.organisation, "alert", data, alert.recipients);
+};
+
+/**
+ * Pushes the alert now, or when it's due if it's scheduled. The timer lives in
+ * this process, so after a restart a scheduled alert still shows once it's due
+ * but arrives without a live push.
+ */
+const scheduleAlert = (alert) => {
+  const delay = new Date(alert.publishAt).getTime() - Date.now();
+  if (delay <= 0) return pushAlert(alert);
+  if (delay > MAX_TIMER_MS) return;
+  setTimeout(async () => {
+    try {
+      const current = await Alert.findById(alert._id);
+      // Deleted, rescheduled or already expired in the meantime
+      if (!current || current.publishAt > new Date() || (current.expiresAt && current.expiresAt <= new Date())) return;
+      pushAlert(current);
+    } catch (err) {
+      console.error("Scheduled alert error:", err);
+    }
+  }, delay).unref();
+};
+
+/** Records that the user read these alerts; only alerts addressed to them get a receipt. */
+const markRead = async (alerts, user) => {
+  const ids = alerts.filter((a) => isRecipient(user, a)).map((a) => a._id);
+  if (ids.length === 0) return 0;
+  const result = await Alert.updateMany(
+    { _id: { $in: ids }, "receipts.user": { $ne: user._id } },
+    { $push: { receipts: { user: user._id, readAt: new Date() } } }
+  );
+  return result.modifiedCount;
+};
+
+/** Records the user's acknowledgement, reading the alert first if need be. */
+const acknowledge = async (alert, user) => {
+  await markRead([alert], user);
+  await Alert.updateOne(
+    { _id: alert._id, receipts: { $elemMatch: { user: user._id, acknowledgedAt: null } } },
+    { $set: { "receipts.$.acknowledgedAt": new Date() } }
+  );
+};
+
+/**
+ * Per-recipient report: everyone the alert is addressed to, with when they
+ * read and acknowledged it. Broad audiences are the organisation's current
+ * members, so people who joined later are listed too.
+ */
+const recipientReport = async (alert) => {
+  const audience = alert.audience || "everyone";
+  const query = audience === "everyone"
+    ? { organisation: alert.organisation, _id: { $ne: alert.sender } }
+    : audience === "volunteers"
+      ? { organisation: alert.organisation, role: "volunteer" }
+      : { _id: { $in: alert.recipients } };
+  const users = await User.find(query).select("name email role").sort({ name: 1 });
+
+  const receipts = new Map(alert.receipts.map((r) => [idOf(r.user), r]));
+  const recipients = users.map((u) => {
+    const receipt = receipts.get(idOf(u._id));
+    return {
+      user: { _id: u._id, name: u.name, email: u.email, role: u.role },
+      readAt: receipt?.readAt || null,
+      acknowledgedAt: receipt?.acknowledgedAt || null,
+    };
+  });
+
+  return {
+    recipients,
+    summary: {
+      total: recipients.length,
+      read: recipients.filter((r) => r.readAt).length,
+      acknowledged: recipients.filter((r) => r.acknowledgedAt).length,
+    },
+  };
+};
+
+module.exports = {
+  isRecipient,
+  visibleTo,
+  resolveAudience,
+  forViewer,
+  scheduleAlert,
+  markRead,
+  acknowledge,
+  recipientReport,
+};
@@ -0,0 +1,203 @@
+const ExcelJS = require("exceljs");
+const PDFDocument = require("pdfkit");
+const { ATTENDANCE_STATUSES, STATUS_CODES } = require("../config/attendanceStatuses");
+const { summariseStatuses } = require("./attendanceStats.service");
+
+const EXPORT_FORMATS = ["csv", "xlsx", "pdf"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pdf: "application/pdf",
+};
+
+const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Builds a student × session register. Sessions become columns (oldest first),
+ * each cell holds the status code, and the totals use summariseStatuses so they
+ * match attendanceAnalytics.
+ */
+const buildRegister = ({ sessions, students }) => {
+  const sorted = [...sessions].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const columns = sorted.map((session) => ({
+    id: session._id.toString(),
+    date: toDateString(session.date),
+    subject: session.class?.subject || "",
+  }));
+
+  const rows = students.map((student) => {
+    const id = student._id.toString();
+    const statuses = [];
+    const cells = sorted.map((session) => {
+      const record = session.records.find((r) => (r.student?._id || r.student).toString() === id);
+      if (!record) return "";
+      statuses.push(record.status);
+      return STATUS_CODES[record.status] || record.status;
+    });
+
+    return {
+      name: student.name,
+      rollNo: student.rollNo,
+      section: student.section,
+      cells,
+      summary: summariseStatuses(statuses),
+    };
+  });
+
+  return { columns, rows };
+};
+
+const headerRow = (register) => [
+  "Roll No",
+  "Name",
+  "Section",
+  ...register.columns.map((c) => (c.subject ? `${c.date} ${c.subject}` : c.date)),
+  "Attended",
+  "Counted Sessions",
+  "Percent",
+  ...ATTENDANCE_STATUSES.map((s) => STATUS_CODES[s]),
+];
+
+const dataRow = (row) => [
+  row.rollNo,
+  row.name,
+  row.section,
+  ...row.cells,
+  row.summary.attended,
+  row.summary.total,
+  row.summary.percent,
+  ...ATTENDANCE_STATUSES.map((s) => row.summary.counts[s]),
+];
+
+const legend = () => ATTENDANCE_STATUSES.map((s) => `${STATUS_CODES[s]} = ${s}`).join(", ");
+
+// Text starting with one of these is read as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = String(value ?? "");
+  // Quote-prefix user-entered text such as student names so it can't run as a formula
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (register, meta) => {
+  const lines = [
+    [meta.title],
+    [`Period: ${meta.from || "start"} to ${meta.to || "today"}`],
+    [legend()],
+    [],
+    headerRow(register),
+    ...register.rows.map(dataRow),
+  ];
+  // Leading BOM so Excel opens the file as UTF-8
+  return Buffer.from("\uFEFF" + lines.map((line) => line.map(csvCell).join(",")).join("\r\n"), "utf8");
+};
+
+const toXlsx = async (register, meta) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Register");
+
+  sheet.addRow([meta.title]).font = { bold: true, size: 14 };
+  sheet.addRow([`Period: ${meta.from || "start"} to ${meta.to || "today"}`]);
+  sheet.addRow([legend()]);
+  sheet.addRow([]);
+  const header = sheet.addRow(headerRow(register));
+  header.font = { bold: true };
+  register.rows.forEach((row) => sheet.addRow(dataRow(row)));
+
+  sheet.getColumn(2).width = 24;
+  sheet.views = [{ state: "frozen", xSplit: 3, ySplit: 5 }];
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+// Landscape A4 layout; sessions wider than one page continue on further pages
+const PDF_LAYOUT = { margin: 30, rowHeight: 14, nameWidth: 130, rollWidth: 40, cellWidth: 24, totalWidth: 40 };
+
+const toPdf = (register, meta) =>
+  new Promise((resolve, reject) => {
+    const { margin, rowHeight, nameWidth, rollWidth, cellWidth, totalWidth } = PDF_LAYOUT;
+    const doc = new PDFDocument({ size: "A4", layout: "landscape", margin });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const usable = doc.page.width - margin * 2;
+    const perPage = Math.max(1, Math.floor((usable - nameWidth - rollWidth - totalWidth * 3) / cellWidth));
+    const groups = [];
+    for (let i = 0; i < Math.max(register.columns.length, 1); i += perPage) {
+      groups.push([i, Math.min(i + perPage, register.columns.length)]);
+    }
+
+    const drawHeader = ([start, end], isLast) => {
+      doc.font("Helvetica-Bold").fontSize(13).text(meta.title, margin, margin);
+      doc.font("Helvetica").fontSize(8)
+        .text(`Period: ${meta.from || "start"} to ${meta.to || "today"}    ${legend()}`, margin, margin + 18);
+
+      let x = margin;
+      const y = margin + 40;
+      doc.font("Helvetica-Bold").fontSize(7);
+      doc.text("Roll", x, y, { width: rollWidth }); x += rollWidth;
+      doc.text("Name", x, y, { width: nameWidth }); x += nameWidth;
+      register.columns.slice(start, end).forEach((c) => {
+        doc.text(c.date.slice(5), x, y, { width: cellWidth, align: "center" });
+        x += cellWidth;
+      });
+      if (isLast) {
+        ["Att.", "Total", "%"].forEach((label) => {
+          doc.text(label, x, y, { width: totalWidth, align: "right" });
+          x += totalWidth;
+        });
+      }
+      doc.moveTo(margin, y + 10).lineTo(margin + usable, y + 10).lineWidth(0.5).stroke();
+      return y + rowHeight;
+    };
+
+    groups.forEach((group, groupIndex) => {
+      const isLast = groupIndex === groups.length - 1;
+      if (groupIndex > 0) doc.addPage();
+      let y = drawHeader(group, isLast);
+
+      register.rows.forEach((row) => {
+        if (y > doc.page.height - margin - rowHeight) {
+          doc.addPage();
+          y = drawHeader(group, isLast);
+        }
+        let x = margin;
+        doc.font("Helvetica").fontSize(7);
+        doc.text(row.rollNo, x, y, { width: rollWidth }); x += rollWidth;
+        doc.text(row.name, x, y, { width: nameWidth, lineBreak: false, ellipsis: true }); x += nameWidth;
+        row.cells.slice(group[0], group[1]).forEach((code) => {
+          doc.text(code, x, y, { width: cellWidth, align: "center" });
+          x += cellWidth;
+        });
+        if (isLast) {
+          [row.summary.attended, row.summary.total, `${row.summary.percent}%`].forEach((value) => {
+            doc.text(String(value), x, y, { width: totalWidth, align: "right" });
+            x += totalWidth;
+          });
+        }
+        y += rowHeight;
+      });
+    });
+
+    doc.end();
+  });
+
+/**
+ * Renders a register in the requested format. Returns { buffer, contentType, extension }.
+ */
+const renderRegister = async (register, format, meta) => {
+  let buffer;
+  if (format === "xlsx") buffer = await toXlsx(register, meta);
+  else if (format === "pdf") buffer = await toPdf(register, meta);
+  else buffer = toCsv(register, meta);
+
+  return { buffer, contentType: CONTENT_TYPES[format], extension: format };
+};
+
+module.exports = { EXPORT_FORMATS, buildRegister, renderRegister };
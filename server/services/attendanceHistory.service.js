@@ -0,0 +1,51 @@
+const AttendanceChange = require("../models/AttendanceChange");
+
+/**
+ * Snapshot a session's records as { studentId: { status, reason } } so it can be diffed after an edit.
+ */
+const snapshotRecords = (records) => {
+  const snapshot = {};
+  records.forEach((r) => {
+    snapshot[r.student.toString()] = { status: r.status, reason: r.reason || "" };
+  });
+  return snapshot;
+};
+
+/**
+ * Append a history entry for an attendance session.
+ * `before` is the snapshot taken before the change (empty for a new session) and
+ * `noteBefore` the previous note. Nothing is written when no status, reason or note changed.
+ */
+const recordChange = async ({ attendance, actor, action, before = {}, noteBefore, reason }) => {
+  const after = snapshotRecords(attendance.records);
+
+  const studentIds = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [...studentIds]
+    .filter((studentId) =>
+      before[studentId]?.status !== after[studentId]?.status ||
+      before[studentId]?.reason !== after[studentId]?.reason
+    )
+    .map((studentId) => ({
+      student: studentId,
+      from: before[studentId]?.status || null,
+      to: after[studentId]?.status || null,
+      fromReason: before[studentId]?.reason || "",
+      toReason: after[studentId]?.reason || "",
+    }));
+
+  const noteChanged = noteBefore !== undefined && noteBefore !== attendance.note;
+  if (action === "updated" && changes.length === 0 && !noteChanged) return null;
+
+  return AttendanceChange.create({
+    attendance: attendance._id,
+    class: attendance.class,
+    actor: actor._id,
+    actorName: actor.name,
+    action,
+    reason: reason || "",
+    changes,
+    ...(noteChanged && { note: { from: noteBefore, to: attendance.note } }),
+  });
+};
+
+module.exports = { snapshotRecords, recordChange };
@@ -0,0 +1,36 @@
+const { ATTENDANCE_STATUSES, STATUS_WEIGHTS } = require("../config/attendanceStatuses");
+
+/**
+ * Summarise a list of statuses using the configured weights.
+ * Returns { attended, total, percent, counts } where `attended` is the weighted
+ * number of sessions attended and `total` the sessions that count towards the rate.
+ */
+const summariseStatuses = (statuses) => {
+  const counts = {};
+  ATTENDANCE_STATUSES.forEach((status) => {
+    counts[status] = 0;
+  });
+
+  let attended = 0;
+  let total = 0;
+  statuses.forEach((status) => {
+    counts[status] = (counts[status] || 0) + 1;
+    const weight = STATUS_WEIGHTS[status];
+    if (weight === null || weight === undefined) return;
+    attended += weight;
+    total++;
+  });
+
+  attended = Math.round(attended * 10) / 10;
+  const percent = total === 0 ? 0 : Math.round((attended / total) * 100);
+
+  return { attended, total, percent, counts };
+};
+
+/**
+ * Summarise every record of a set of attendance sessions (program-level totals).
+ */
+const summariseSessions = (sessions) =>
+  summariseStatuses(sessions.flatMap((session) => session.records.map((r) => r.status)));
+
+module.exports = { summariseStatuses, summariseSessions };
@@ -0,0 +1,88 @@
+const Class = require("../models/Class");
+const User = require("../models/User");
+const { WEEKDAYS, localToday } = require("./classSeries.service");
+
+const weekdayOf = (date) => WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+/**
+ * Why a volunteer can't take a class in the given slot, or null if they can.
+ * Blackouts always count; weekly slots only once the volunteer has set some.
+ */
+const unavailableReason = (volunteer, { date, startTime, endTime }) => {
+  const { weekly = [], blackouts = [] } = volunteer.availability || {};
+
+  const away = blackouts.find((b) => b.startDate <= date && date <= b.endDate);
+  if (away) {
+    return `Away ${away.startDate === away.endDate ? `on ${away.startDate}` : `${away.startDate} to ${away.endDate}`}${away.reason ? ` (${away.reason})` : ""}`;
+  }
+
+  if (weekly.length > 0) {
+    const day = weekdayOf(date);
+    const covered = weekly.some((slot) => slot.day === day && slot.startTime <= startTime && endTime <= slot.endTime);
+    if (!covered) return `Not available ${day}s ${startTime}-${endTime}`;
+  }
+
+  return null;
+};
+
+/**
+ * Volunteers of an organisation ranked for a class slot. `suggestions` are free
+ * and available, least loaded first (load = upcoming scheduled classes); the
+ * rest are listed in `unavailable` with the reason.
+ */
+const suggestVolunteers = async (organisationId, { date, startTime, endTime, excludeClassId }) => {
+  const volunteers = await User.find({ organisation: organisationId, role: "volunteer" })
+    .select("name email profilePicUrl availability");
+  const ids = volunteers.map((v) => v._id);
+
+  const busyQuery = {
+    assignedVolunteer: { $in: ids },
+    date,
+    status: { $ne: "cancelled" },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime },
+  };
+  if (excludeClassId) busyQuery._id = { $ne: excludeClassId };
+
+  const [busy, loads] = await Promise.all([
+    Class.find(busyQuery).select("assignedVolunteer subject startTime endTime"),
+    Class.aggregate([
+      { $match: { assignedVolunteer: { $in: ids }, date: { $gte: localToday() }, status: { $ne: "cancelled" } } },
+      { $group: { _id: "$assignedVolunteer", count: { $sum: 1 } } },
+    ]),
+  ]);
+  const busyWith = new Map(busy.map((c) => [c.assignedVolunteer.toString(), c]));
+  const loadOf = new Map(loads.map((l) => [l._id.toString(), l.count]));
+
+  const suggestions = [];
+  const unavailable = [];
+  for (const volunteer of volunteers) {
+    const id = volunteer._id.toString();
+    const entry = {
+      volunteer: { _id: volunteer._id, name: volunteer.name, email: volunteer.email, profilePicUrl: volunteer.profilePicUrl },
+      load: loadOf.get(id) || 0,
+      hasAvailability: (volunteer.availability?.weekly || []).length > 0,
+    };
+    const clash = busyWith.get(id);
+    const reason = clash
+      ? `Teaching ${clash.subject} ${clash.startTime}-${clash.endTime}`
+      : unavailableReason(volunteer, { date, startTime, endTime });
+
+    if (reason) unavailable.push({ ...entry, reason });
+    else suggestions.push(entry);
+  }
+
+  // Volunteers who said they're free rank ahead of those who haven't set availability
+  suggestions.sort((a, b) =>
+    a.load - b.load ||
+    Number(b.hasAvailability) - Number(a.hasAvailability) ||
+    a.volunteer.name.localeCompare(b.volunteer.name)
+  );
+
+  return { suggestions, unavailable };
+};
+
+module.exports = {
+  unavailableReason,
+  suggestVolunteers,
+};
@@ -0,0 +1,37 @@
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Longest term a single series may cover, to keep materialisation bounded
+const MAX_SERIES_DAYS = 366;
+
+/**
+ * Dates ("YYYY-MM-DD") on which a weekly series meets, between startDate and
+ * endDate inclusive, skipping exception dates.
+ */
+const occurrenceDates = ({ days, startDate, endDate, exceptions = [] }) => {
+  const skip = new Set(exceptions);
+  const dates = [];
+  const cursor = new Date(`${startDate}T00:00:00Z`);
+  const last = new Date(`${endDate}T00:00:00Z`);
+
+  while (cursor <= last) {
+    const date = cursor.toISOString().slice(0, 10);
+    if (days.includes(WEEKDAYS[cursor.getUTCDay()]) && !skip.has(date)) {
+      dates.push(date);
+    }
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return dates;
+};
+
+// Today's calendar date in server-local time, "YYYY-MM-DD"
+const localToday = (now = new Date()) =>
+  `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`;
+
+/**
+ * Number of days a series spans (inclusive).
+ */
+const seriesLength = (startDate, endDate) =>
+  Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / 86400000) + 1;
+
+module.exports = { WEEKDAYS, MAX_SERIES_DAYS, occurrenceDates, seriesLength, localToday };
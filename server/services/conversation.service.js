@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const { publishToStaff } = require("./realtime.service");
+
+const STAFF_ROLES = ["admin", "coordinator"];
+const PREVIEW_LENGTH = 140;
+
+const isStaff = (user) => STAFF_ROLES.includes(user.role);
+
+/** Conversations a user takes part in: all of the organisation's for staff, their own for volunteers. */
+const visibleTo = (user, organisationId) =>
+  isStaff(user) ? { organisation: organisationId } : { organisation: organisationId, volunteer: user._id };
+
+/** Messages a user has not read yet; their own messages never count. */
+const unreadBy = (userId) => ({ sender: { $ne: userId }, "readBy.user": { $ne: userId } });
+
+/** Unread message counts per conversation id (as strings) for a user. */
+const unreadCounts = async (conversationIds, userId) => {
+  if (conversationIds.length === 0) return new Map();
+  const rows = await Message.aggregate([
+    { $match: { conversation: { $in: conversationIds }, ...unreadBy(new mongoose.Types.ObjectId(String(userId))) } },
+    { $group: { _id: "$conversation", count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((row) => [row._id.toString(), row.count]));
+};
+
+/**
+ * Adds a message to a conversation, read by its sender, updates the conversation's
+ * preview and pushes it to the staff and the volunteer.
+ */
+const postMessage = async (conversation, sender, text) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    organisation: conversation.organisation,
+    sender: sender._id,
+    senderName: sender.name,
+    text,
+    readBy: [{ user: sender._id }],
+  });
+
+  conversation.lastMessageAt = message.createdAt;
+  conversation.lastMessageText = text.slice(0, PREVIEW_LENGTH);
+  conversation.lastSenderName = sender.name;
+  await conversation.save();
+
+  publishToStaff(conversation.organisation, "message", {
+    conversationId: conversation._id,
+    volunteerId: conversation.volunteer,
+    message: { _id: message._id, sender: sender._id, senderName: sender.name, text: conversation.lastMessageText, createdAt: message.createdAt },
+  }, [conversation.volunteer]);
+  return message;
+};
+
+/** Marks every message in a conversation as read by the user; returns how many were unread. */
+const markConversationRead = async (conversationId, userId) => {
+  const result = await Message.updateMany(
+    { conversation: conversationId, ...unreadBy(userId) },
+    { $push: { readBy: { user: userId, readAt: new Date() } } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Messages sent before conversations existed become one thread per sender.
+ * A legacy message marked read counts as read by the organisation's current staff.
+ */
+const adoptLegacyMessages = async (organisationId) => {
+  const legacy = await Message.find({ organisation: organisationId, conversation: { $exists: false } })
+    .sort({ createdAt: 1 })
+    .lean();
+  if (legacy.length === 0) return;
+
+  const staffIds = await User.find({ organisation: organisationId, role: { $in: STAFF_ROLES } }).distinct("_id");
+  const bySender = new Map();
+  legacy.forEach((msg) => {
+    const key = msg.sender.toString();
+    if (!bySender.has(key)) bySender.set(key, []);
+    bySender.get(key).push(msg);
+  });
+
+  for (const messages of bySender.values()) {
+    const last = messages[messages.length - 1];
+    const conversation = await Conversation.create({
+      organisation: organisationId,
+      volunteer: last.sender,
+      startedBy: last.sender,
+      subject: "Earlier messages",
+      lastMessageAt: last.createdAt,
+      lastMessageText: last.text.slice(0, PREVIEW_LENGTH),
+      lastSenderName: last.senderName,
+    });
+
+    const ids = messages.map((m) => m._id);
+    const readIds = messages.filter((m) => m.isRead).map((m) => m._id);
+    // `isRead` is no longer in the schema, hence strict: false to remove it
+    const adopted = await Message.updateMany(
+      { _id: { $in: ids }, conversation: { $exists: false } },
+      { $set: { conversation: conversation._id, readBy: [{ user: last.sender, readAt: last.createdAt }] }, $unset: { isRead: 1 } },
+      { strict: false }
+    );
+    // Another request adopted them first
+    if (adopted.modifiedCount === 0) {
+      await conversation.deleteOne();
+      continue;
+    }
+    if (readIds.length > 0) {
+      await Message.updateMany(
+        { _id: { $in: readIds } },
+        { $push: { readBy: { $each: staffIds.map((user) => ({ user, readAt: new Date() })) } } }
+      );
+    }
+  }
+};
+
+module.exports = {
+  isStaff,
+  visibleTo,
+  unreadBy,
+  unreadCounts,
+  postMessage,
+  markConversationRead,
+  adoptLegacyMessages,
+};
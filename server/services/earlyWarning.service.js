@@ -0,0 +1,164 @@
+const Attendance = require("../models/Attendance");
+const Student = require("../models/Student");
+const EarlyWarningSettings = require("../models/EarlyWarningSettings");
+const WatchlistEntry = require("../models/WatchlistEntry");
+const { summariseStatuses } = require("./attendanceStats.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** The organisation's thresholds; an unsaved document with the defaults until an admin saves them. */
+const getSettings = async (organisationId) =>
+  (await EarlyWarningSettings.findOne({ organisation: organisationId })) ||
+  new EarlyWarningSettings({ organisation: organisationId });
+
+const runOfAbsences = (history) => {
+  let run = 0;
+  for (let i = history.length - 1; i >= 0; i -= 1) {
+    const { status } = history[i];
+    if (status === "absent") run += 1;
+    else if (status !== "excused") break;
+  }
+  return run;
+};
+
+/**
+ * The rules a student's attendance history sets off. `history` is the
+ * student's sessions oldest first, as `{ date, status }`; `rules` are an
+ * organisation's thresholds. Returns the triggers, empty if none fire.
+ */
+const evaluateHistory = (history, rules, now = new Date()) => {
+  const triggers = [];
+  const { consecutive, rolling, drop } = rules;
+
+  if (consecutive.enabled) {
+    const run = runOfAbsences(history);
+    if (run >= consecutive.absences) {
+      triggers.push({ rule: "consecutive", value: run, threshold: consecutive.absences, detail: `${run} absences in a row` });
+    }
+  }
+
+  // The drop rule compares the same window against everything before it
+  const windowStart = new Date(now.getTime() - rolling.days * DAY_MS);
+  const recent = summariseStatuses(history.filter((h) => h.date >= windowStart).map((h) => h.status));
+  const before = summariseStatuses(history.filter((h) => h.date < windowStart).map((h) => h.status));
+  const enoughRecent = recent.total >= rolling.minSessions;
+
+  if (rolling.enabled && enoughRecent && recent.percent < rolling.rate) {
+    triggers.push({
+      rule: "rolling",
+      value: recent.percent,
+      threshold: rolling.rate,
+      detail: `${recent.percent}% attendance over the last ${rolling.days} days`,
+    });
+  }
+
+  if (drop.enabled && enoughRecent && before.total >= drop.minBaselineSessions) {
+    const fall = before.percent - recent.percent;
+    if (fall >= drop.points) {
+      triggers.push({
+        rule: "drop",
+        value: fall,
+        threshold: drop.points,
+        detail: `Down ${fall} points: ${recent.percent}% over the last ${rolling.days} days against ${before.percent}% before`,
+      });
+    }
+  }
+
+  return triggers;
+};
+
+/**
+ * Each student's sessions, oldest first: Map of student id to
+ * `[{ date, status, takenAt }]`, where `takenAt` is when the session was submitted.
+ */
+const loadHistories = async (organisationId, studentIds) => {
+  const sessions = await Attendance.find({ organisation: organisationId, "records.student": { $in: studentIds } })
+    .select("date createdAt records")
+    .sort({ date: 1, createdAt: 1 });
+
+  const wanted = new Set(studentIds.map(String));
+  const histories = new Map([...wanted].map((id) => [id, []]));
+  sessions.forEach((session) => {
+    session.records.forEach((record) => {
+      const id = record.student.toString();
+      if (wanted.has(id)) histories.get(id).push({ date: session.date, status: record.status, takenAt: session.createdAt });
+    });
+  });
+  return histories;
+};
+
+/**
+ * Runs the rules for these students and updates the watchlist: opens an entry
+ * for a newly flagged student, refreshes the triggers of open entries and
+ * marks them cleared when no rule fires any more. A student whose last entry
+ * was resolved is only flagged again on attendance taken after it was resolved.
+ * Returns `{ evaluated, flagged, cleared }`.
+ */
+const evaluateStudents = async (organisationId, studentIds) => {
+  const summary = { evaluated: studentIds.length, flagged: 0, cleared: 0 };
+  if (studentIds.length === 0) return summary;
+
+  const { rules } = await getSettings(organisationId);
+  const histories = await loadHistories(organisationId, studentIds);
+  const entries = await WatchlistEntry.find({ organisation: organisationId, student: { $in: studentIds } })
+    .select("student status clearedAt resolvedAt")
+    .sort({ createdAt: 1 });
+  const open = new Map();
+  const lastResolved = new Map();
+  entries.forEach((entry) => {
+    const id = entry.student.toString();
+    if (entry.status === "open") open.set(id, entry);
+    else lastResolved.set(id, entry.resolvedAt);
+  });
+
+  const now = new Date();
+  for (const [studentId, history] of histories) {
+    const triggers = evaluateHistory(history, rules, now);
+    const entry = open.get(studentId);
+
+    if (entry) {
+      if (triggers.length > 0) {
+        await WatchlistEntry.updateOne({ _id: entry._id }, { $set: { triggers, lastTriggeredAt: now, clearedAt: null } });
+      } else if (!entry.clearedAt) {
+        await WatchlistEntry.updateOne({ _id: entry._id }, { $set: { clearedAt: now } });
+        summary.cleared += 1;
+      }
+      continue;
+    }
+
+    if (triggers.length === 0) continue;
+    const resolvedAt = lastResolved.get(studentId);
+    const latest = history[history.length - 1];
+    if (resolvedAt && latest.takenAt <= resolvedAt) continue;
+
+    try {
+      await WatchlistEntry.create({ organisation: organisationId, student: studentId, triggers, lastTriggeredAt: now });
+      summary.flagged += 1;
+    } catch (err) {
+      // Flagged by a concurrent evaluation
+      if (err.code !== 11000) throw err;
+    }
+  }
+  return summary;
+};
+
+/** Runs the rules for every current (non-archived) student in the organisation. */
+const evaluateOrganisation = async (organisationId) => {
+  const studentIds = await Student.find({ organisation: organisationId, archived: { $ne: true } }).distinct("_id");
+  return evaluateStudents(organisationId, studentIds.map(String));
+};
+
+/** Re-checks the students of a session that was just taken or corrected. */
+const evaluateSession = (attendance) =>
+  evaluateStudents(
+    attendance.organisation,
+    attendance.records.map((r) => (r.student._id || r.student).toString())
+  );
+
+module.exports = {
+  getSettings,
+  evaluateHistory,
+  evaluateStudents,
+  evaluateOrganisation,
+  evaluateSession,
+};
@@ -0,0 +1,60 @@
+const Enrollment = require("../models/Enrollment");
+const Student = require("../models/Student");
+
+/**
+ * Enrollment entries that apply to a class. A roster set on the occurrence
+ * itself wins; otherwise the roster of its series applies.
+ * Returns { entries, scope } where scope is "class" or "series".
+ */
+const findEnrollments = async (classDoc) => {
+  const own = await Enrollment.find({ class: classDoc._id });
+  if (own.length > 0 || !classDoc.series) return { entries: own, scope: "class" };
+  return { entries: await Enrollment.find({ series: classDoc.series }), scope: "series" };
+};
+
+/**
+ * Active students on a class's roster. Classes nobody has enrolled students in
+ * yet fall back to every active student of the class's organisation, so existing
+ * timetables keep working. Returns { students, restricted }.
+ */
+const getClassRoster = async (classDoc) => {
+  const { entries: enrollments } = await findEnrollments(classDoc);
+  const query = { organisation: classDoc.organisation, archived: { $ne: true } };
+  const restricted = enrollments.length > 0;
+
+  if (restricted) {
+    const studentIds = enrollments.filter((e) => e.student).map((e) => e.student);
+    const sections = enrollments.filter((e) => e.section).map((e) => e.section);
+    query.$or = [{ _id: { $in: studentIds } }, { section: { $in: sections } }];
+  }
+
+  const students = await Student.find(query).sort({ section: 1, rollNo: 1 });
+  return { students, restricted };
+};
+
+/**
+ * Roster for reporting on past sessions: the current roster plus anyone who
+ * has a record in those sessions (e.g. since archived or unenrolled).
+ */
+const getReportingRoster = async (classDoc, sessions) => {
+  const { students } = await getClassRoster(classDoc);
+  const onRoster = new Set(students.map((s) => s._id.toString()));
+  const extraIds = [
+    ...new Set(sessions.flatMap((day) => day.records.map((r) => r.student.toString()))),
+  ].filter((id) => !onRoster.has(id));
+
+  if (extraIds.length === 0) return students;
+  const extra = await Student.find({ _id: { $in: extraIds } });
+  return [...students, ...extra];
+};
+
+/**
+ * Ids from studentIds that are not on the class's roster.
+ */
+const findUnenrolled = async (classDoc, studentIds) => {
+  const { students } = await getClassRoster(classDoc);
+  const onRoster = new Set(students.map((s) => s._id.toString()));
+  return studentIds.filter((id) => !onRoster.has(String(id)));
+};
+
+module.exports = { findEnrollments, getClassRoster, getReportingRoster, findUnenrolled };
@@ -0,0 +1,45 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Outgoing email. The transport is picked by MAIL_TRANSPORT:
+ *   "console" (default) — prints the message to the server log
+ *   "file"              — writes each message to MAIL_OUTBOX_DIR as a .txt file
+ * A real provider can be plugged in with `registerTransport(name, send)`,
+ * where `send(message)` returns a promise.
+ */
+const transports = {
+  console: async (message) => {
+    console.log(
+      `[MAIL] To: ${message.to}\n[MAIL] Subject: ${message.subject}\n${message.text}\n[MAIL] ----`
+    );
+  },
+
+  file: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "mail-outbox");
+    await fs.mkdir(dir, { recursive: true });
+    const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, "_");
+    const file = path.join(dir, `${Date.now()}-${safeTo}.txt`);
+    await fs.writeFile(
+      file,
+      `From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`
+    );
+  },
+};
+
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const send = transports[name];
+  if (!send) throw new Error(`Unknown mail transport "${name}"`);
+
+  await send({ from: process.env.MAIL_FROM || "Stuma <no-reply@stuma.app>", to, subject, text });
+};
+
+/** Absolute link into the web app, e.g. for invite and reset emails. */
+const clientUrl = (pathname) => `${(process.env.CLIENT_URL || "http://localhost:5173").replace(/\/$/, "")}${pathname}`;
+
+module.exports = { sendMail, registerTransport, clientUrl };
@@ -0,0 +1,86 @@
+const Organisation = require("../models/Organisation");
+const User = require("../models/User");
+const Student = require("../models/Student");
+const Class = require("../models/Class");
+const ClassSeries = require("../models/ClassSeries");
+const ClassPhoto = require("../models/ClassPhoto");
+const Attendance = require("../models/Attendance");
+const Enrollment = require("../models/Enrollment");
+const Alert = require("../models/Alert");
+const Message = require("../models/Message");
+
+// How long an admin invite stays valid
+const INVITE_TTL_DAYS = 7;
+
+/**
+ * Moves everything a legacy admin owned (and the volunteers on their classes)
+ * into the given organisation. Only touches documents that have none yet.
+ */
+const backfillAdminData = async (adminId, organisationId) => {
+  const unscoped = { admin: adminId, organisation: { $exists: false } };
+  const set = { $set: { organisation: organisationId } };
+
+  await Promise.all([
+    Student.updateMany(unscoped, set),
+    Class.updateMany(unscoped, set),
+    ClassSeries.updateMany(unscoped, set),
+    Attendance.updateMany(unscoped, set),
+    Enrollment.updateMany(unscoped, set),
+  ]);
+
+  const volunteerIds = await Class.distinct("assignedVolunteer", { admin: adminId });
+  await User.updateMany(
+    { _id: { $in: volunteerIds }, organisation: { $exists: false } },
+    set
+  );
+
+  const classIds = await Class.distinct("_id", { admin: adminId });
+  const senders = [adminId, ...volunteerIds];
+  await Promise.all([
+    ClassPhoto.updateMany({ class: { $in: classIds }, organisation: { $exists: false } }, set),
+    Alert.updateMany({ sender: { $in: senders }, organisation: { $exists: false } }, set),
+    Message.updateMany({ sender: { $in: senders }, organisation: { $exists: false } }, set),
+  ]);
+};
+
+/**
+ * Organisation id for a user, creating one on first use for accounts that
+ * predate organisations. A legacy admin gets their own organisation with
+ * their data moved into it; a legacy volunteer joins the organisation of a
+ * class they are assigned to. Returns null if none can be determined.
+ */
+const ensureOrganisation = async (user) => {
+  if (user.organisation) return user.organisation;
+
+  if (user.role === "admin") {
+    const organisation = await Organisation.create({
+      name: `${user.name}'s organisation`,
+      createdBy: user._id,
+    });
+    await User.updateOne({ _id: user._id }, { organisation: organisation._id });
+    await backfillAdminData(user._id, organisation._id);
+    user.organisation = organisation._id;
+    return organisation._id;
+  }
+
+  const assigned = await Class.findOne({
+    assignedVolunteer: user._id,
+    organisation: { $exists: true },
+  }).select("organisation");
+  if (!assigned) return null;
+
+  await User.updateOne({ _id: user._id }, { organisation: assigned.organisation });
+  user.organisation = assigned.organisation;
+  return assigned.organisation;
+};
+
+/** True when a document belongs to the given organisation. */
+const sameOrganisation = (doc, organisationId) =>
+  Boolean(doc?.organisation && organisationId) &&
+  doc.organisation.toString() === organisationId.toString();
+
+module.exports = {
+  INVITE_TTL_DAYS,
+  ensureOrganisation,
+  sameOrganisation,
+};
@@ -0,0 +1,381 @@
+const NotificationSettings = require("../models/NotificationSettings");
+const ParentNotification = require("../models/ParentNotification");
+const Organisation = require("../models/Organisation");
+const Student = require("../models/Student");
+const {
+  NOTIFICATION_LANGUAGES,
+  DEFAULT_TEMPLATES,
+  OPT_OUT_KEYWORDS,
+  OPT_IN_KEYWORDS,
+  MAX_ATTEMPTS,
+} = require("../config/notifications");
+const { sendSms, normalisePhone } = require("./sms.service");
+
+const WORKER_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 100;
+// A message still "sending" after this long was interrupted (e.g. by a restart)
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+const LOCALES = { en: "en-IN", hi: "hi-IN" };
+
+/** The organisation's settings; an unsaved default document (notifications off) until an admin saves them. */
+const getSettings = async (organisationId) =>
+  (await NotificationSettings.findOne({ organisation: organisationId })) ||
+  new NotificationSettings({ organisation: organisationId });
+
+/** Local date and time ("YYYY-MM-DD", "HH:MM") of `date` in the organisation's timezone. */
+const localNow = (timezone, date = new Date()) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return { day: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+// Days are stored as "YYYY-MM-DD"; shown to parents as e.g. "12 Mar 2026" or "12 मार्च 2026"
+const formatDay = (day, language) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString(LOCALES[language], {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+
+/** Fills {placeholders} in a template; unknown ones are left as they are. */
+const renderTemplate = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+
+/** The organisation's template for a kind of message in a language, or the default. */
+const templateFor = (settings, kind, language) =>
+  settings.templates?.[kind]?.[language] || DEFAULT_TEMPLATES[kind][language];
+
+const languageOf = (student) => (NOTIFICATION_LANGUAGES.includes(student.parentLanguage) ? student.parentLanguage : "en");
+
+/** Why a student's parent can't be messaged, or null if they can. */
+const undeliverableReason = (student) => {
+  if (!student) return "Student no longer exists";
+  if (student.parentOptOut) return "Parent opted out";
+  if (!normalisePhone(student.parentPhone)) return "No valid parent phone number";
+  return null;
+};
+
+const absenceText = (settings, organisationName, student, notice) => {
+  const language = languageOf(student);
+  return renderTemplate(templateFor(settings, "absence", language), {
+    student: student.name,
+    class: notice.subject,
+    date: formatDay(notice.day, language),
+    time: notice.startTime,
+    organisation: organisationName,
+  });
+};
+
+/**
+ * Queues a notice to the parents of each student marked absent in a newly
+ * taken session. In digest mode the notices are held for the day's digest.
+ * Students whose parents can't be messaged are logged as skipped.
+ * `attendance` must have its class and students populated.
+ */
+const queueAbsenceNotices = async (attendance) => {
+  const settings = await getSettings(attendance.organisation);
+  if (!settings.enabled) return [];
+
+  const absent = attendance.records.filter((r) => r.status === "absent" && r.student);
+  if (absent.length === 0) return [];
+
+  const organisation = await Organisation.findById(attendance.organisation).select("name");
+  const classDoc = attendance.class;
+  const day = new Date(attendance.date).toISOString().slice(0, 10);
+
+  const notices = absent.map(({ student }) => {
+    const notice = {
+      organisation: attendance.organisation,
+      student: student._id,
+      kind: "absence",
+      attendance: attendance._id,
+      class: classDoc._id,
+      day,
+      subject: classDoc.subject,
+      startTime: classDoc.startTime || "",
+      channel: settings.channel,
+      language: languageOf(student),
+      to: normalisePhone(student.parentPhone),
+    };
+    const reason = undeliverableReason(student);
+    if (reason) return { ...notice, status: "skipped", error: reason };
+    if (settings.mode === "digest") return { ...notice, status: "held" };
+    return { ...notice, status: "queued", text: absenceText(settings, organisation?.name || "", student, notice) };
+  });
+
+  // ordered: false so a notice that already exists for a student doesn't stop the rest
+  const created = await ParentNotification.insertMany(notices, { ordered: false }).catch((err) => {
+    if (err.code !== 11000) throw err;
+    return err.insertedDocs || [];
+  });
+  setImmediate(() => processQueue().catch((err) => console.error("[SMS] Queue error:", err)));
+  return created;
+};
+
+/**
+ * After a session is corrected, drops the unsent absence notices (held for the
+ * digest or still queued) of students who are no longer marked absent.
+ */
+const withdrawCorrectedNotices = (attendance) => {
+  const stillAbsent = attendance.records
+    .filter((r) => r.status === "absent")
+    .map((r) => r.student?._id || r.student);
+  return ParentNotification.updateMany(
+    {
+      attendance: attendance._id,
+      kind: "absence",
+      status: { $in: ["held", "queued"] },
+      student: { $nin: stillAbsent },
+    },
+    { $set: { status: "skipped", error: "No longer marked absent" } }
+  );
+};
+
+const digestText = (settings, organisationName, student, day, absences) => {
+  const language = languageOf(student);
+  return renderTemplate(templateFor(settings, "digest", language), {
+    student: student.name,
+    date: formatDay(day, language),
+    count: absences.length,
+    classes: absences.map((a) => (a.startTime ? `${a.subject} (${a.startTime})` : a.subject)).join(", "),
+    organisation: organisationName,
+  });
+};
+
+/**
+ * Turns an organisation's held absences into one queued digest per student and
+ * day. Absences recorded after today's digest went out are picked up by
+ * tomorrow's.
+ */
+const buildDigests = async (settings) => {
+  const held = await ParentNotification.find({ organisation: settings.organisation, status: "held" })
+    .populate("student", "name parentPhone parentLanguage parentOptOut")
+    .sort({ startTime: 1 });
+  if (held.length === 0) return 0;
+
+  const organisation = await Organisation.findById(settings.organisation).select("name");
+  const groups = new Map();
+  held.forEach((notice) => {
+    const key = `${notice.student?._id || notice.student}:${notice.day}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(notice);
+  });
+
+  let queued = 0;
+  for (const absences of groups.values()) {
+    const { student, day } = absences[0];
+    const ids = absences.map((a) => a._id);
+    const reason = undeliverableReason(student);
+    if (reason) {
+      await ParentNotification.updateMany({ _id: { $in: ids } }, { $set: { status: "skipped", error: reason } });
+      continue;
+    }
+
+    try {
+      const digest = await ParentNotification.create({
+        organisation: settings.organisation,
+        student: student._id,
+        kind: "digest",
+        day,
+        channel: settings.channel,
+        language: languageOf(student),
+        to: normalisePhone(student.parentPhone),
+        text: digestText(settings, organisation?.name || "", student, day, absences),
+      });
+      await ParentNotification.updateMany({ _id: { $in: ids } }, { $set: { status: "digested", digest: digest._id } });
+      queued += 1;
+    } catch (err) {
+      // Already sent a digest for this student and day; a late absence goes out on its own instead
+      if (err.code !== 11000) throw err;
+      await releaseHeld(settings, ids);
+    }
+  }
+  return queued;
+};
+
+/** Queues held absences as individual notices (e.g. after switching back to immediate mode). */
+const releaseHeld = async (settings, ids) => {
+  const filter = { organisation: settings.organisation, status: "held", ...(ids && { _id: { $in: ids } }) };
+  const held = await ParentNotification.find(filter).populate("student", "name parentPhone parentLanguage parentOptOut");
+  if (held.length === 0) return;
+  const organisation = await Organisation.findById(settings.organisation).select("name");
+
+  await Promise.all(held.map((notice) => {
+    const reason = undeliverableReason(notice.student);
+    const update = reason
+      ? { status: "skipped", error: reason }
+      : { status: "queued", nextAttemptAt: new Date(), text: absenceText(settings, organisation?.name || "", notice.student, notice) };
+    return ParentNotification.updateOne({ _id: notice._id }, { $set: update });
+  }));
+};
+
+/**
+ * Brings queued and held messages in line with newly saved settings: turning
+ * notifications off drops everything not yet sent, and leaving digest mode
+ * sends held absences straight away.
+ */
+const applySettings = async (settings) => {
+  if (!settings.enabled) {
+    await ParentNotification.updateMany(
+      { organisation: settings.organisation, status: { $in: ["held", "queued"] } },
+      { $set: { status: "skipped", error: "Parent notifications were turned off" } }
+    );
+  } else if (settings.mode === "immediate") {
+    await releaseHeld(settings);
+  }
+};
+
+/** Sends the digests of every organisation whose digest time has passed today. */
+const sendDueDigests = async (now = new Date()) => {
+  const candidates = await NotificationSettings.find({ enabled: true, mode: "digest" });
+  for (const settings of candidates) {
+    const { day, time } = localNow(settings.timezone, now);
+    if (time < settings.digestTime || settings.lastDigestOn >= day) continue;
+
+    // Claim today's run so a second server instance doesn't send it too
+    const claimed = await NotificationSettings.findOneAndUpdate(
+      { _id: settings._id, lastDigestOn: settings.lastDigestOn },
+      { $set: { lastDigestOn: day } }
+    );
+    if (claimed) await buildDigests(settings);
+  }
+};
+
+const backoffMs = (attempts) => 2 ** attempts * 60 * 1000;
+
+const deliver = async (notice, settingsCache) => {
+  const organisationId = notice.organisation.toString();
+  if (!settingsCache.has(organisationId)) settingsCache.set(organisationId, await getSettings(notice.organisation));
+
+  // Things may have changed since the message was queued
+  const reason = !settingsCache.get(organisationId).enabled
+    ? "Parent notifications were turned off"
+    : undeliverableReason(notice.student);
+  if (reason) {
+    await ParentNotification.updateOne({ _id: notice._id }, { $set: { status: "skipped", error: reason } });
+    return;
+  }
+
+  try {
+    const result = await sendSms({ to: notice.to, channel: notice.channel, text: notice.text });
+    await ParentNotification.updateOne(
+      { _id: notice._id },
+      { $set: { status: "sent", provider: result.provider, providerMessageId: result.id, error: "", sentAt: new Date() } }
+    );
+  } catch (err) {
+    const final = notice.attempts >= MAX_ATTEMPTS;
+    await ParentNotification.updateOne(
+      { _id: notice._id },
+      {
+        $set: {
+          status: final ? "failed" : "queued",
+          error: err.message,
+          nextAttemptAt: new Date(Date.now() + backoffMs(notice.attempts)),
+        },
+      }
+    );
+  }
+};
+
+let processing = false;
+
+/** Sends every queued message that is due, one at a time. */
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+  try {
+    await ParentNotification.updateMany(
+      { status: "sending", updatedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+      { $set: { status: "queued" } }
+    );
+
+    const settingsCache = new Map();
+    for (let i = 0; i < BATCH_SIZE; i += 1) {
+      const notice = await ParentNotification.findOneAndUpdate(
+        { status: "queued", nextAttemptAt: { $lte: new Date() } },
+        { $set: { status: "sending" }, $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      ).populate("student", "name parentPhone parentOptOut");
+      if (!notice) break;
+      await deliver(notice, settingsCache);
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Handles a parent's reply forwarded by the SMS gateway: STOP (and the other
+ * opt-out keywords) stops messages about every student we've messaged that
+ * number about, START resumes them. Only students whose parent phone is still
+ * that number are changed. Returns what was done.
+ */
+const handleReply = async ({ from, text }) => {
+  const keyword = String(text || "").trim().split(/\s+/)[0].toUpperCase();
+  const optOut = OPT_OUT_KEYWORDS.includes(keyword);
+  if (!optOut && !OPT_IN_KEYWORDS.includes(keyword)) return { action: "ignored", students: 0 };
+
+  const to = normalisePhone(from);
+  const notified = to ? await ParentNotification.distinct("student", { to }) : [];
+  // The number may since have been replaced; it no longer speaks for those students
+  const students = await Student.find({ _id: { $in: notified } }).select("parentPhone");
+  const studentIds = students.filter((s) => normalisePhone(s.parentPhone) === to).map((s) => s._id);
+  if (studentIds.length > 0) {
+    await Student.updateMany(
+      { _id: { $in: studentIds } },
+      { $set: { parentOptOut: optOut, parentOptOutAt: optOut ? new Date() : null } }
+    );
+  }
+  return { action: optOut ? "opted-out" : "opted-in", students: studentIds.length };
+};
+
+/** Requeues a failed message for another round of attempts. */
+const retry = (notice) =>
+  ParentNotification.findByIdAndUpdate(
+    notice._id,
+    { $set: { status: "queued", attempts: 0, nextAttemptAt: new Date(), error: "" } },
+    { new: true }
+  );
+
+let worker = null;
+
+/** Starts the once-a-minute loop that sends queued messages and due digests. */
+const startNotificationWorker = () => {
+  if (worker) return;
+  worker = setInterval(async () => {
+    try {
+      await sendDueDigests();
+      await processQueue();
+    } catch (err) {
+      console.error("[SMS] Worker error:", err);
+    }
+  }, WORKER_INTERVAL_MS);
+  worker.unref();
+};
+
+module.exports = {
+  getSettings,
+  renderTemplate,
+  templateFor,
+  queueAbsenceNotices,
+  withdrawCorrectedNotices,
+  applySettings,
+  sendDueDigests,
+  processQueue,
+  handleReply,
+  retry,
+  startNotificationWorker,
+};
@@ -0,0 +1,46 @@
+const Class = require("../models/Class");
+const { grantFor } = require("../config/permissions");
+const { sameOrganisation } = require("./organisation.service");
+
+/**
+ * True when the user is the assigned volunteer for the resource: a class or
+ * series directly, or the class an attendance session or photo belongs to.
+ */
+const isAssignedTo = async (user, resource) => {
+  let assignee = resource.assignedVolunteer;
+  if (assignee === undefined && resource.class) {
+    const classDoc = resource.class.assignedVolunteer !== undefined
+      ? resource.class
+      : await Class.findById(resource.class).select("assignedVolunteer");
+    assignee = classDoc?.assignedVolunteer;
+  }
+  return Boolean(assignee) && (assignee._id || assignee).toString() === user._id.toString();
+};
+
+/** True when the resource belongs to the user: it names them as its volunteer. */
+const isOwnedBy = (user, resource) => {
+  const owner = resource.volunteer;
+  return Boolean(owner) && (owner._id || owner).toString() === user._id.toString();
+};
+
+/**
+ * Whether the user holds a permission, optionally for a specific resource.
+ * Resources must belong to the user's organisation; "assigned" grants also
+ * require the user to be assigned to the resource's class, "own" grants
+ * require the resource to be the user's.
+ */
+const can = async (user, permission, resource) => {
+  const grant = grantFor(user.role, permission);
+  if (!grant) return false;
+  if (!resource) return true;
+  if (!sameOrganisation(resource, user.organisation)) return false;
+  if (grant === "assigned") return isAssignedTo(user, resource);
+  if (grant === "own") return isOwnedBy(user, resource);
+  return true;
+};
+
+module.exports = {
+  isAssignedTo,
+  isOwnedBy,
+  can,
+};
@@ -0,0 +1,147 @@
+/**
+ * Counters behind request rate limits and login lockouts.
+ *
+ * Records live in a store with an async `get(key)`, `set(key, value, ttlMs)`
+ * and `delete(key)`. The default keeps them in process memory, which is fine
+ * for a single server; call `setStore()` at startup with a shared store
+ * (e.g. Redis-backed) when running several instances.
+ */
+
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+    // Drop expired records now and then so idle keys don't pile up
+    this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+let store = new MemoryStore();
+
+const setStore = (nextStore) => {
+  store = nextStore;
+};
+
+/**
+ * Fixed-window counter. Returns how many hits the key has had in the current
+ * window and when that window resets.
+ */
+const hit = async (key, windowMs) => {
+  const now = Date.now();
+  const record = await store.get(key);
+  const next = record && record.resetAt > now
+    ? { count: record.count + 1, resetAt: record.resetAt }
+    : { count: 1, resetAt: now + windowMs };
+  await store.set(key, next, next.resetAt - now);
+  return next;
+};
+
+// ── Login throttling ────────────────────────────────────────────────────────
+// Each failed login for an email makes the next attempt wait longer (1s, 2s,
+// 4s … capped at 30s); after MAX_EMAIL_FAILURES the account is locked for
+// LOCKOUT_MINUTES. Failures from one IP across many emails get the same
+// treatment with a higher threshold. Failure counts are forgotten an hour
+// after the last one, or on a successful login.
+const MAX_EMAIL_FAILURES = 5;
+const MAX_IP_FAILURES = 20;
+const LOCKOUT_MINUTES = 15;
+const FAILURE_MEMORY_MS = 60 * 60 * 1000;
+const FREE_ATTEMPTS = 2;
+const MAX_DELAY_MS = 30 * 1000;
+
+const emailKey = (email) => `login:email:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+
+const delayAfter = (failures) =>
+  failures < FREE_ATTEMPTS ? 0 : Math.min(1000 * 2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_MS);
+
+const registerFailure = async (key, maxFailures) => {
+  const now = Date.now();
+  const failures = ((await store.get(key))?.failures || 0) + 1;
+  const locked = failures >= maxFailures;
+  const record = {
+    failures,
+    locked,
+    blockedUntil: now + (locked ? LOCKOUT_MINUTES * 60 * 1000 : delayAfter(failures)),
+  };
+  await store.set(key, record, Math.max(FAILURE_MEMORY_MS, record.blockedUntil - now));
+  return record;
+};
+
+/**
+ * Whether a login attempt may go ahead. When it may not, `retryAfterMs` says
+ * how long to wait and `locked` whether the account or IP is locked out
+ * (rather than just being slowed down).
+ */
+const checkLogin = async (email, ip) => {
+  const now = Date.now();
+  const records = [await store.get(emailKey(email)), await store.get(ipKey(ip))].filter(
+    (r) => r && r.blockedUntil > now
+  );
+  if (!records.length) return { allowed: true };
+
+  const longest = records.reduce((a, b) => (a.blockedUntil >= b.blockedUntil ? a : b));
+  return {
+    allowed: false,
+    locked: records.some((r) => r.locked),
+    retryAfterMs: longest.blockedUntil - now,
+  };
+};
+
+const recordLoginFailure = async (email, ip) => {
+  await registerFailure(ipKey(ip), MAX_IP_FAILURES);
+  return registerFailure(emailKey(email), MAX_EMAIL_FAILURES);
+};
+
+const recordLoginSuccess = async (email) => {
+  await store.delete(emailKey(email));
+};
+
+/** The active lockout for an email, or null. */
+const getLockout = async (email) => {
+  const record = await store.get(emailKey(email));
+  if (!record?.locked || record.blockedUntil <= Date.now()) return null;
+  return { failures: record.failures, lockedUntil: new Date(record.blockedUntil) };
+};
+
+const unlock = async (email) => {
+  await store.delete(emailKey(email));
+};
+
+module.exports = {
+  MemoryStore,
+  setStore,
+  hit,
+  MAX_EMAIL_FAILURES,
+  LOCKOUT_MINUTES,
+  checkLogin,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getLockout,
+  unlock,
+};
@@ -0,0 +1,70 @@
+/**
+ * Server-Sent Events hub. Each open stream is kept in memory with its user's
+ * organisation and role, so events only reach the people they concern.
+ * Streams live in this process: with several instances behind a load
+ * balancer, events would need a shared broker (e.g. Redis pub/sub) instead.
+ */
+
+const STAFF_ROLES = ["admin", "coordinator"];
+// Proxies drop idle connections; a comment line every 25s keeps the stream open
+const HEARTBEAT_MS = 25 * 1000;
+
+const clients = new Set();
+
+/**
+ * Turns the response into an event stream for `user`. The stream is closed
+ * when the access token expires (`expiresAt`), so a signed-out session stops
+ * receiving events; the client reconnects with a fresh token.
+ */
+const subscribe = (req, res, { user, organisationId, expiresAt }) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const client = {
+    res,
+    userId: user._id.toString(),
+    role: user.role,
+    organisationId: organisationId.toString(),
+  };
+  clients.add(client);
+  // Retry after 5s if the connection drops
+  res.write(`retry: 5000\nevent: ready\ndata: ${JSON.stringify({ userId: client.userId })}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  const expiry = expiresAt ? setTimeout(() => res.end(), Math.max(expiresAt - Date.now(), 0)) : null;
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    clients.delete(client);
+  });
+};
+
+/**
+ * Sends `event` to an organisation's open streams. `roles` limits it to those
+ * roles and `userIds` adds specific people; with neither, everyone gets it.
+ * Pass `roles: []` to reach only `userIds`.
+ */
+const publish = (organisationId, event, data, { roles, userIds = [] } = {}) => {
+  if (!organisationId) return;
+  const org = organisationId.toString();
+  const users = new Set(userIds.filter(Boolean).map(String));
+  const frame = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  clients.forEach((client) => {
+    if (client.organisationId !== org) return;
+    const addressed = !roles || roles.includes(client.role) || users.has(client.userId);
+    if (addressed) client.res.write(frame);
+  });
+};
+
+/** Sends `event` to the organisation's admins and coordinators, plus any `userIds`. */
+const publishToStaff = (organisationId, event, data, userIds = []) =>
+  publish(organisationId, event, data, { roles: STAFF_ROLES, userIds });
+
+module.exports = { subscribe, publish, publishToStaff };
@@ -0,0 +1,80 @@
+const Organisation = require("../models/Organisation");
+const User = require("../models/User");
+const RegistrationPolicy = require("../models/RegistrationPolicy");
+
+const MODES = ["invite", "domain"];
+// Mode used until an admin saves a policy
+const DEFAULT_MODE = MODES.includes(process.env.REGISTRATION_MODE) ? process.env.REGISTRATION_MODE : "invite";
+
+const emailDomain = (email) => String(email).split("@").pop().toLowerCase();
+
+/**
+ * The installation's policy. Before one is saved this is an unsaved document
+ * with the default mode, owned by the oldest organisation.
+ */
+const getPolicy = async () => {
+  const policy = (await RegistrationPolicy.findOne()) || new RegistrationPolicy({ mode: DEFAULT_MODE });
+  // Policies saved while open "bootstrap" sign-up existed fall back to invites
+  if (!MODES.includes(policy.mode)) policy.mode = "invite";
+  if (!policy.organisation) {
+    const oldest = await Organisation.findOne().sort({ createdAt: 1 }).select("_id");
+    policy.organisation = oldest?._id;
+  }
+  return policy;
+};
+
+/** Whether the given organisation's admins manage the policy. */
+const managesPolicy = (policy, organisationId) =>
+  !!policy.organisation && !!organisationId && policy.organisation.toString() === organisationId.toString();
+
+/**
+ * Whether nobody has an account yet. Organisations for accounts that predate
+ * them are only created at their first login, so this counts users.
+ */
+const isFirstUser = async () => !(await User.exists({}));
+
+/**
+ * How an uninvited sign-up for `email` may proceed:
+ *   { allowed: true, createOrganisation: true }                  — starts a new organisation as admin
+ *   { allowed: true, organisation, role }                        — joins an existing one
+ *   { allowed: false, message }
+ * Only the first person on an installation with no accounts starts an organisation.
+ */
+const resolveSignup = async (email) => {
+  if (await isFirstUser()) {
+    return { allowed: true, createOrganisation: true };
+  }
+
+  const policy = await getPolicy();
+  if (policy.mode === "domain" && policy.organisation && policy.allowedDomains.includes(emailDomain(email))) {
+    return { allowed: true, organisation: policy.organisation, role: policy.role };
+  }
+  return {
+    allowed: false,
+    message: policy.mode === "domain"
+      ? "Sign-up is only open to approved email domains. Ask an admin for an invite"
+      : "Sign-up is by invitation only. Ask an admin for an invite",
+  };
+};
+
+/** What the login page needs: whether to offer sign-up, and for which domains. */
+const publicPolicy = async () => {
+  if (await isFirstUser()) {
+    return { open: true, mode: "invite", firstUser: true };
+  }
+  const policy = await getPolicy();
+  return {
+    open: policy.mode === "domain" && policy.allowedDomains.length > 0,
+    mode: policy.mode,
+    allowedDomains: policy.mode === "domain" ? policy.allowedDomains : undefined,
+  };
+};
+
+module.exports = {
+  MODES,
+  emailDomain,
+  getPolicy,
+  managesPolicy,
+  resolveSignup,
+  publicPolicy,
+};
@@ -0,0 +1,82 @@
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const { hashToken, generateToken } = require("./token.service");
+
+// Access tokens are short-lived; the client renews them with its refresh token
+const ACCESS_TOKEN_TTL = "15m";
+const REFRESH_TTL_DAYS = 30;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+const describeClient = (req) => ({
+  userAgent: (req.get("user-agent") || "").slice(0, 300),
+  ip: req.ip || "",
+});
+
+/** Starts a session for a fresh login and returns its token pair. */
+const startSession = async (user, req) => {
+  const { token, tokenHash } = generateToken(48);
+  const session = await Session.create({
+    user: user._id,
+    tokenHash,
+    expiresAt: refreshExpiry(),
+    ...describeClient(req),
+  });
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken: token,
+    session,
+  };
+};
+
+/**
+ * Swaps a refresh token for a new pair. Returns null when the token is unknown,
+ * expired or revoked. Presenting the token that was already rotated away means
+ * it leaked, so that session is revoked outright.
+ */
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ tokenHash });
+
+  if (!session) {
+    const replayed = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+    if (replayed) {
+      replayed.revokedAt = new Date();
+      await replayed.save();
+    }
+    return null;
+  }
+  if (session.revokedAt || session.expiresAt <= new Date()) return null;
+
+  const next = generateToken(48);
+  session.previousTokenHash = tokenHash;
+  session.tokenHash = next.tokenHash;
+  session.lastUsedAt = new Date();
+  session.expiresAt = refreshExpiry();
+  Object.assign(session, describeClient(req));
+  await session.save();
+
+  return {
+    token: signAccessToken(session.user, session._id),
+    refreshToken: next.token,
+    session,
+  };
+};
+
+/** Whether the session behind an access token is still live. */
+const isSessionActive = (sessionId) =>
+  Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TTL_DAYS,
+  startSession,
+  rotateSession,
+  isSessionActive,
+};
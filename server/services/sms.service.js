@@ -0,0 +1,52 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Outgoing SMS and WhatsApp messages to parents. The provider is picked by SMS_PROVIDER:
+ *   "mock" (default) — appends each message as a JSON line to SMS_LOG_FILE and the server log
+ * A real gateway can be plugged in with `registerProvider(name, send)`, where
+ * `send({ to, channel, text })` resolves to `{ id }` (the gateway's message id)
+ * and rejects when the message was not accepted.
+ */
+const providers = {
+  mock: async (message) => {
+    const file = process.env.SMS_LOG_FILE || path.join(__dirname, "..", "sms-outbox.log");
+    const id = `mock-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.appendFile(file, `${JSON.stringify({ id, at: new Date().toISOString(), ...message })}\n`);
+    console.log(`[SMS] ${message.channel} to ${message.to}: ${message.text}`);
+    return { id };
+  },
+};
+
+const registerProvider = (name, send) => {
+  providers[name] = send;
+};
+
+const providerName = () => process.env.SMS_PROVIDER || "mock";
+
+/** Sends one message; resolves to `{ provider, id }`. */
+const sendSms = async ({ to, channel, text }) => {
+  const name = providerName();
+  const send = providers[name];
+  if (!send) throw new Error(`Unknown SMS provider "${name}"`);
+
+  const result = await send({ to, channel, text });
+  return { provider: name, id: result?.id ? String(result.id) : "" };
+};
+
+/**
+ * A phone number as digits with a leading +, e.g. "+919999999999". Local
+ * 10-digit numbers get SMS_DEFAULT_COUNTRY_CODE (91). Returns "" if it doesn't
+ * look like a phone number.
+ */
+const normalisePhone = (phone) => {
+  const raw = String(phone || "").trim();
+  let digits = raw.replace(/\D/g, "");
+  if (!raw.startsWith("+")) {
+    digits = digits.replace(/^0+/, "");
+    if (digits.length === 10) digits = `${process.env.SMS_DEFAULT_COUNTRY_CODE || "91"}${digits}`;
+  }
+  return digits.length >= 10 && digits.length <= 15 ? `+${digits}` : "";
+};
+
+module.exports = { sendSms, registerProvider, normalisePhone };
@@ -0,0 +1,128 @@
+const path = require("path");
+const { Readable } = require("stream");
+const csv = require("csv-parser");
+const ExcelJS = require("exceljs");
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Header spellings accepted for each Student field (compared lower-case, without spaces, dots, underscores or dashes)
+const COLUMN_ALIASES = {
+  name: ["name", "studentname", "fullname"],
+  rollNo: ["rollno", "roll", "rollnumber", "rollnum"],
+  section: ["section", "class", "grade", "batch"],
+  phone: ["phone", "studentphone", "mobile", "contact"],
+  parentPhone: ["parentphone", "guardianphone", "parentmobile", "parentcontact"],
+  notes: ["notes", "note", "remarks", "comments"],
+};
+
+const normaliseHeader = (header) => String(header || "").toLowerCase().replace(/[\s._-]/g, "");
+
+const FIELD_BY_HEADER = Object.entries(COLUMN_ALIASES).reduce((map, [field, aliases]) => {
+  aliases.forEach((alias) => { map[alias] = field; });
+  return map;
+}, {});
+
+// XLSX rows carry their sheet row number, since blank rows are skipped when reading them.
+// A symbol keeps it out of the header-keyed values.
+const ROW_NUMBER = Symbol("rowNumber");
+
+const parseCsv = (buffer) =>
+  new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from(buffer)
+      .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, "").trim() }))
+      .on("data", (row) => rows.push(row))
+      .on("end", () => resolve(rows))
+      .on("error", reject);
+  });
+
+const cellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") {
+    if (value.text !== undefined) return String(value.text); // hyperlinks
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+    if (value.result !== undefined) return String(value.result); // formulas
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+  }
+  return String(value);
+};
+
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, col) => { headers[col] = cellText(cell.value).trim(); });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = { [ROW_NUMBER]: rowNumber };
+    headers.forEach((header, col) => {
+      if (header) record[header] = cellText(row.getCell(col).value);
+    });
+    rows.push(record);
+  });
+  return rows;
+};
+
+/**
+ * Reads an uploaded .csv or .xlsx file into raw row objects keyed by header.
+ */
+const parseSpreadsheet = (file) => {
+  const ext = path.extname(file.originalname || "").toLowerCase();
+  return ext === ".xlsx" ? parseXlsx(file.buffer) : parseCsv(file.buffer);
+};
+
+/**
+ * Maps a raw row onto Student fields, ignoring unknown columns.
+ */
+const mapColumns = (raw) => {
+  const data = { name: "", rollNo: "", section: "", phone: "", parentPhone: "", notes: "" };
+  Object.entries(raw).forEach(([header, value]) => {
+    const field = FIELD_BY_HEADER[normaliseHeader(header)];
+    if (field) data[field] = String(value ?? "").trim();
+  });
+  data.section = (data.section || "General").toUpperCase();
+  return data;
+};
+
+/**
+ * Checks each row and flags duplicates, both within the file and against
+ * students the organisation already has (same section and rollNo).
+ * Row numbers are spreadsheet line numbers, so the header is row 1.
+ */
+const checkRows = (rawRows, existingStudents) => {
+  const taken = new Set(existingStudents.map((s) => `${s.section}::${s.rollNo}`));
+  const seenInFile = new Map();
+
+  return rawRows.flatMap((raw, i) => {
+    const row = raw[ROW_NUMBER] ?? i + 2;
+    // Blank lines at the end of a sheet are common; skip them rather than reporting errors
+    if (Object.values(raw).every((value) => !String(value ?? "").trim())) return [];
+
+    const data = mapColumns(raw);
+    const errors = [];
+
+    if (data.name.length < 2) errors.push("Name must be at least 2 characters");
+    if (!data.rollNo) errors.push("Roll number is required");
+
+    const key = `${data.section}::${data.rollNo}`;
+    let status = errors.length ? "error" : "ok";
+
+    if (status === "ok" && taken.has(key)) {
+      status = "duplicate";
+      errors.push(`Roll number ${data.rollNo} already exists in ${data.section}`);
+    } else if (status === "ok" && seenInFile.has(key)) {
+      status = "duplicate";
+      errors.push(`Same section and roll number as row ${seenInFile.get(key)}`);
+    }
+    if (status === "ok") seenInFile.set(key, row);
+
+    return [{ row, data, status, errors }];
+  });
+};
+
+module.exports = { MAX_IMPORT_ROWS, parseSpreadsheet, checkRows };
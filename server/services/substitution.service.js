@@ -0,0 +1,97 @@
+const AssignmentChange = require("../models/AssignmentChange");
+const Substitution = require("../models/Substitution");
+const User = require("../models/User");
+const { suggestVolunteers } = require("./availability.service");
+const { sendMail, clientUrl } = require("./mail.service");
+
+const idOf = (ref) => (ref?._id || ref || null)?.toString() || null;
+
+const describeClass = (classDoc) => `${classDoc.subject} on ${classDoc.date}, ${classDoc.startTime}-${classDoc.endTime}`;
+
+/**
+ * Appends an assignment history entry when a class's volunteer changed from `from`.
+ */
+const recordAssignmentChange = async ({ classDoc, from, actor, reason, substitution }) => {
+  if (idOf(from) === idOf(classDoc.assignedVolunteer)) return null;
+
+  return AssignmentChange.create({
+    class: classDoc._id,
+    organisation: classDoc.organisation,
+    from: idOf(from),
+    to: idOf(classDoc.assignedVolunteer),
+    actor: actor._id,
+    actorName: actor.name,
+    reason: reason || "",
+    substitution: substitution?._id,
+  });
+};
+
+/** Closes the open and claimed cover requests of classes that were cancelled. */
+const closeCoverRequests = (classIds, actor) =>
+  Substitution.updateMany(
+    { class: { $in: classIds }, status: { $in: ["open", "claimed"] } },
+    { $set: { status: "cancelled", decidedBy: actor._id, decidedAt: new Date() } }
+  );
+
+/** Volunteers, other than the one assigned, who are free and available to cover a class. */
+const eligibleSubstitutes = async (classDoc) => {
+  const { suggestions } = await suggestVolunteers(classDoc.organisation, {
+    date: classDoc.date,
+    startTime: classDoc.startTime,
+    endTime: classDoc.endTime,
+    excludeClassId: classDoc._id,
+  });
+  return suggestions
+    .map((s) => s.volunteer)
+    .filter((v) => idOf(v) !== idOf(classDoc.assignedVolunteer));
+};
+
+// A failed email shouldn't undo the substitution step it reports
+const mailQuietly = (message) =>
+  sendMail(message).catch((err) => console.error("Substitution email error:", err));
+
+const notifyCoverNeeded = (classDoc, requester, volunteers, reason) =>
+  Promise.all(volunteers.map((v) => mailQuietly({
+    to: v.email,
+    subject: `Cover needed: ${classDoc.subject} on ${classDoc.date}`,
+    text:
+      `Hi ${v.name},\n\n` +
+      `${requester.name} can't take ${describeClass(classDoc)} and you're free at that time.\n` +
+      (reason ? `Reason: ${reason}\n` : "") +
+      `\nClaim it from your dashboard: ${clientUrl("/dashboard")}\n`,
+  })));
+
+const notifyClaimed = async (classDoc, claimer) => {
+  const staff = await User.find({ organisation: classDoc.organisation, role: { $in: ["admin", "coordinator"] } }).select("name email");
+  await Promise.all(staff.map((s) => mailQuietly({
+    to: s.email,
+    subject: `${claimer.name} offered to cover ${classDoc.subject}`,
+    text:
+      `${claimer.name} has claimed ${describeClass(classDoc)}.\n\n` +
+      `Approve or decline the swap: ${clientUrl("/classes")}\n`,
+  })));
+};
+
+const notifyDecision = (classDoc, volunteer, approved) => mailQuietly({
+  to: volunteer.email,
+  subject: approved ? `You're now teaching ${classDoc.subject} on ${classDoc.date}` : `Cover request for ${classDoc.subject} was declined`,
+  text: approved
+    ? `Hi ${volunteer.name},\n\nYour offer to cover ${describeClass(classDoc)} was approved. It's on your schedule now.\n`
+    : `Hi ${volunteer.name},\n\nYour offer to cover ${describeClass(classDoc)} wasn't approved. Thanks for stepping up.\n`,
+});
+
+const notifyCovered = (classDoc, original, substitute) => mailQuietly({
+  to: original.email,
+  subject: `${classDoc.subject} on ${classDoc.date} is covered`,
+  text: `Hi ${original.name},\n\n${substitute.name} will take ${describeClass(classDoc)} in your place.\n`,
+});
+
+module.exports = {
+  recordAssignmentChange,
+  closeCoverRequests,
+  eligibleSubstitutes,
+  notifyCoverNeeded,
+  notifyClaimed,
+  notifyDecision,
+  notifyCovered,
+};
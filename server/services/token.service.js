@@ -0,0 +1,13 @@
+const crypto = require("crypto");
+
+// One-time tokens (invites, password resets, refresh tokens) are only ever
+// stored as a SHA-256 hash; the raw value is handed out once.
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/** New random token and its stored hash. */
+const generateToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString("hex");
+  return { token, tokenHash: hashToken(token) };
+};
+
+module.exports = { hashToken, generateToken };
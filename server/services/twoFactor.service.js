@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const QRCode = require("qrcode");
+const { authenticator } = require("otplib");
+const Organisation = require("../models/Organisation");
+const { hashToken } = require("./token.service");
+
+// Accept the code from the previous and next 30s step too, for clock drift
+authenticator.options = { window: 1 };
+
+const ISSUER = "Stuma";
+const RECOVERY_CODE_COUNT = 10;
+// Time allowed between the password step and the code step of a login
+const CHALLENGE_TTL = "5m";
+// Challenges carry their own audience so they can never pass as an access token
+const CHALLENGE_AUDIENCE = "stuma:2fa-challenge";
+
+/** Only admins use two-factor sign-in. */
+const supportsTwoFactor = (user) => user.role === "admin";
+
+/** New secret plus what an authenticator app needs to scan it. */
+const createSecret = async (user) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+};
+
+const verifyCode = (secret, code) =>
+  !!secret && authenticator.verify({ token: String(code).replace(/\s/g, ""), secret });
+
+/** Fresh single-use recovery codes (shown once) and the hashes to store. */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashToken) };
+};
+
+/**
+ * Checks a login code: a current TOTP code, or an unused recovery code, which
+ * is then struck off. Expects `user.twoFactor` loaded with its secret fields.
+ */
+const consumeCode = async (user, code) => {
+  const input = String(code || "").trim().toLowerCase();
+  if (/^\d{6}$/.test(input.replace(/\s/g, ""))) {
+    return verifyCode(user.twoFactor.secret, input);
+  }
+
+  const hash = hashToken(input);
+  const codes = user.twoFactor.recoveryCodes || [];
+  if (!codes.includes(hash)) return false;
+  user.twoFactor.recoveryCodes = codes.filter((h) => h !== hash);
+  await user.save();
+  return true;
+};
+
+// The password step hands out a short-lived challenge instead of a session
+const signChallenge = (user) =>
+  jwt.sign({ id: user._id, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL,
+    audience: CHALLENGE_AUDIENCE,
+  });
+
+/** The user id a challenge was issued for, or null when invalid or expired. */
+const verifyChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+    return decoded.purpose === "2fa" ? decoded.id : null;
+  } catch {
+    return null;
+  }
+};
+
+/** Whether the admin's organisation makes 2FA mandatory and they haven't set it up. */
+const needsTwoFactorSetup = async (user, organisationId) =>
+  supportsTwoFactor(user) &&
+  !user.twoFactor?.enabled &&
+  !!(await Organisation.exists({ _id: organisationId, requireAdminTwoFactor: true }));
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  supportsTwoFactor,
+  createSecret,
+  verifyCode,
+  generateRecoveryCodes,
+  consumeCode,
+  signChallenge,
+  verifyChallenge,
+  needsTwoFactorSetup,
+};
@@ -0,0 +1,218 @@
+const PDFDocument = require("pdfkit");
+const Class = require("../models/Class");
+const Attendance = require("../models/Attendance");
+const ClassPhoto = require("../models/ClassPhoto");
+const HoursAdjustment = require("../models/HoursAdjustment");
+const User = require("../models/User");
+
+const toMinutes = (time) => {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+};
+const round = (hours) => Math.round(hours * 100) / 100;
+
+/** Scheduled length of a class in hours. */
+const classHours = (cls) => round(Math.max(0, toMinutes(cls.endTime) - toMinutes(cls.startTime)) / 60);
+
+const dateRange = ({ from, to } = {}) => {
+  if (!from && !to) return undefined;
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return range;
+};
+
+/**
+ * Delivered classes of an organisation with the people credited for each.
+ * A class counts as delivered once attendance was submitted or a photo was
+ * captured. Whoever took the attendance or photo is credited; when only an
+ * admin recorded it, the assigned volunteer is. Cancelled classes never count.
+ * With `volunteerId`, only classes that volunteer could be credited for are read.
+ */
+const deliveredClasses = async (organisationId, { from, to, volunteerId } = {}) => {
+  const query = { organisation: organisationId, status: { $ne: "cancelled" } };
+  const dates = dateRange({ from, to });
+  if (dates) query.date = dates;
+  if (volunteerId) {
+    const [taken, photographed] = await Promise.all([
+      Attendance.distinct("class", { takenBy: volunteerId }),
+      ClassPhoto.distinct("class", { volunteer: volunteerId }),
+    ]);
+    query.$or = [{ assignedVolunteer: volunteerId }, { _id: { $in: [...taken, ...photographed] } }];
+  }
+
+  const classes = await Class.find(query).select("subject date startTime endTime assignedVolunteer").sort({ date: 1, startTime: 1 });
+  const ids = classes.map((c) => c._id);
+  const [sessions, photos] = await Promise.all([
+    Attendance.find({ class: { $in: ids } }).select("class takenBy").populate("takenBy", "role"),
+    ClassPhoto.find({ class: { $in: ids } }).select("class volunteer").populate("volunteer", "role"),
+  ]);
+
+  const proof = new Map();
+  const note = (classId, kind, person) => {
+    const key = classId.toString();
+    if (!proof.has(key)) proof.set(key, { evidence: new Set(), people: new Set() });
+    const entry = proof.get(key);
+    entry.evidence.add(kind);
+    if (person && person.role !== "admin") entry.people.add(person._id.toString());
+  };
+  sessions.forEach((s) => note(s.class, "attendance", s.takenBy));
+  photos.forEach((p) => note(p.class, "photo", p.volunteer));
+
+  return classes
+    .filter((cls) => proof.has(cls._id.toString()))
+    .map((cls) => {
+      const { evidence, people } = proof.get(cls._id.toString());
+      const credited = people.size > 0 ? [...people] : cls.assignedVolunteer ? [cls.assignedVolunteer.toString()] : [];
+      return { class: cls, hours: classHours(cls), evidence: [...evidence], credited };
+    });
+};
+
+const findAdjustments = (filter, range) => {
+  const dates = dateRange(range);
+  return HoursAdjustment.find(dates ? { ...filter, date: dates } : filter).sort({ date: 1, createdAt: 1 });
+};
+
+const summarise = (entries) => {
+  const classEntries = entries.filter((e) => e.type === "class");
+  const classHoursTotal = round(classEntries.reduce((sum, e) => sum + e.hours, 0));
+  const adjustmentHours = round(entries.filter((e) => e.type === "adjustment").reduce((sum, e) => sum + e.hours, 0));
+  return {
+    classes: classEntries.length,
+    classHours: classHoursTotal,
+    adjustmentHours,
+    totalHours: round(classHoursTotal + adjustmentHours),
+  };
+};
+
+/**
+ * One volunteer's hours ledger, oldest first: a `class` entry per delivered
+ * class they're credited for and an `adjustment` entry per manual change.
+ * Returns { entries, summary }.
+ */
+const volunteerLedger = async (volunteer, range = {}) => {
+  const id = volunteer._id.toString();
+  const [delivered, adjustments] = await Promise.all([
+    deliveredClasses(volunteer.organisation, { ...range, volunteerId: volunteer._id }),
+    findAdjustments({ volunteer: volunteer._id }, range),
+  ]);
+
+  const entries = [
+    ...delivered
+      .filter((d) => d.credited.includes(id))
+      .map((d) => ({
+        type: "class",
+        date: d.class.date,
+        hours: d.hours,
+        class: { _id: d.class._id, subject: d.class.subject, startTime: d.class.startTime, endTime: d.class.endTime },
+        evidence: d.evidence,
+      })),
+    ...adjustments.map((a) => ({
+      type: "adjustment",
+      _id: a._id,
+      date: a.date,
+      hours: a.hours,
+      reason: a.reason,
+      createdByName: a.createdByName,
+      createdAt: a.createdAt,
+    })),
+  ].sort((a, b) => a.date.localeCompare(b.date));
+
+  return { entries, summary: summarise(entries) };
+};
+
+/** Hours totals for every volunteer and coordinator in an organisation, most hours first. */
+const hoursReport = async (organisationId, range = {}) => {
+  const [volunteers, delivered, adjustments] = await Promise.all([
+    User.find({ organisation: organisationId, role: { $in: ["volunteer", "coordinator"] } }).select("name email role"),
+    deliveredClasses(organisationId, range),
+    findAdjustments({ organisation: organisationId }, range),
+  ]);
+
+  const rows = new Map(
+    volunteers.map((v) => [v._id.toString(), { volunteer: v, classes: 0, classHours: 0, adjustmentHours: 0 }])
+  );
+  delivered.forEach((d) =>
+    d.credited.forEach((id) => {
+      const row = rows.get(id);
+      if (!row) return;
+      row.classes += 1;
+      row.classHours += d.hours;
+    })
+  );
+  adjustments.forEach((a) => {
+    const row = rows.get(a.volunteer.toString());
+    if (row) row.adjustmentHours += a.hours;
+  });
+
+  return [...rows.values()]
+    .map((row) => ({
+      ...row,
+      classHours: round(row.classHours),
+      adjustmentHours: round(row.adjustmentHours),
+      totalHours: round(row.classHours + row.adjustmentHours),
+    }))
+    .sort((a, b) => b.totalHours - a.totalHours || a.volunteer.name.localeCompare(b.volunteer.name));
+};
+
+const formatHours = (hours) => `${hours} hour${hours === 1 ? "" : "s"}`;
+const longDate = (date) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" });
+
+/**
+ * Renders a one-page service certificate as a PDF buffer. The period defaults
+ * to the first and last ledger entries when no range was asked for.
+ */
+const renderCertificate = ({ volunteer, organisationName, ledger, from, to, issuedBy, issuedOn }) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const { width, height } = doc.page;
+    const RED = "#b91d20";
+    doc.rect(20, 20, width - 40, height - 40).lineWidth(3).stroke(RED);
+    doc.rect(30, 30, width - 60, height - 60).lineWidth(0.75).stroke(RED);
+
+    const start = from || ledger.entries[0]?.date;
+    const end = to || ledger.entries[ledger.entries.length - 1]?.date;
+    const period = start && end ? `between ${longDate(start)} and ${longDate(end)}` : "";
+    const { summary } = ledger;
+    const text = (value, size, options = {}) =>
+      doc.font(options.bold ? "Helvetica-Bold" : "Helvetica").fontSize(size).fillColor(options.color || "#111827")
+        .text(value, 50, options.y ?? doc.y, { width: width - 100, align: "center" });
+
+    text(organisationName.toUpperCase(), 12, { color: RED, bold: true, y: 80 });
+    text("Certificate of Volunteer Service", 30, { bold: true, y: 110 });
+    text("This is to certify that", 13, { color: "#6B7280", y: 175 });
+    text(volunteer.name, 28, { bold: true, y: 200 });
+    text(
+      `contributed ${formatHours(summary.totalHours)} of volunteer teaching with ${organisationName}` +
+        (period ? ` ${period}` : "") + ".",
+      13,
+      { y: 250 }
+    );
+    text(
+      `${summary.classes} class${summary.classes === 1 ? "" : "es"} delivered (${formatHours(summary.classHours)})` +
+        (summary.adjustmentHours ? `, plus ${formatHours(summary.adjustmentHours)} of other recorded service` : "") + ".",
+      11,
+      { color: "#6B7280", y: 280 }
+    );
+
+    const lineY = height - 130;
+    if (issuedBy) text(issuedBy, 12, { bold: true, y: lineY - 20 });
+    doc.moveTo(width / 2 - 110, lineY).lineTo(width / 2 + 110, lineY).lineWidth(0.75).stroke("#111827");
+    text(`Issued for ${organisationName} on ${longDate(issuedOn)}`, 10, { color: "#6B7280", y: lineY + 8 });
+
+    doc.end();
+  });
+
+module.exports = {
+  classHours,
+  deliveredClasses,
+  volunteerLedger,
+  hoursReport,
+  renderCertificate,
+};
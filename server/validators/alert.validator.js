@@ -0,0 +1,98 @@
+const { body, query, param, validationResult } = require("express-validator");
+const { ALERT_TYPES, ALERT_AUDIENCES } = require("../config/alerts");
+
+const validate = (validations) => {
+    return async (req, res, next) => {
+        for (let validation of validations) {
+            await validation.run(req);
+        }
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+        next();
+    };
+};
+
+const MAX_MESSAGE = 1000;
+
+const alertId = () => param("id").isMongoId().withMessage("Invalid alert ID");
+
+// An expiry must be in the future and after the alert is published
+const expiresAt = () =>
+    body("expiresAt")
+        .optional({ values: "null" })
+        .isISO8601()
+        .withMessage("Expiry must be a date and time")
+        .custom((value, { req }) => {
+            const expiry = new Date(value);
+            if (expiry <= new Date()) throw new Error("Expiry must be in the future");
+            if (req.body.publishAt && expiry <= new Date(req.body.publishAt)) {
+                throw new Error("Expiry must be after the publish time");
+            }
+            return true;
+        });
+
+exports.listAlertsValidation = validate([
+    query("includeInactive")
+        .optional()
+        .isIn(["true", "false"])
+        .withMessage("includeInactive must be true or false"),
+]);
+
+exports.createAlertValidation = validate([
+    body("message")
+        .isString()
+        .withMessage("Message is required")
+        .trim()
+        .notEmpty()
+        .withMessage("Message is required")
+        .isLength({ max: MAX_MESSAGE })
+        .withMessage(`Alerts must be at most ${MAX_MESSAGE} characters`),
+    body("type")
+        .optional()
+        .isIn(ALERT_TYPES)
+        .withMessage(`Type must be one of: ${ALERT_TYPES.join(", ")}`),
+    body("audience")
+        .optional()
+        .isIn(ALERT_AUDIENCES)
+        .withMessage(`Audience must be one of: ${ALERT_AUDIENCES.join(", ")}`),
+    body("userIds")
+        .if(body("audience").equals("users"))
+        .isArray({ min: 1 })
+        .withMessage("Choose at least one recipient"),
+    body("userIds.*").optional().isMongoId().withMessage("Invalid recipient ID"),
+    body("classId")
+        .if(body("audience").equals("class"))
+        .isMongoId()
+        .withMessage("Choose a class"),
+    body("publishAt")
+        .optional({ values: "null" })
+        .isISO8601()
+        .withMessage("Publish time must be a date and time"),
+    expiresAt(),
+    body("pinned").optional().isBoolean().withMessage("pinned must be true or false"),
+]);
+
+exports.markAlertsReadValidation = validate([
+    body("alertIds")
+        .isArray({ min: 1, max: 100 })
+        .withMessage("alertIds must list 1 to 100 alerts"),
+    body("alertIds.*").isMongoId().withMessage("Invalid alert ID"),
+]);
+
+exports.alertIdValidation = validate([alertId()]);
+
+exports.updateAlertValidation = validate([
+    alertId(),
+    body("pinned").optional().isBoolean().withMessage("pinned must be true or false"),
+    body("expiresAt")
+        .optional({ values: "null" })
+        .isISO8601()
+        .withMessage("Expiry must be a date and time"),
+]);
@@ -1,4 +1,5 @@
-const { body, param, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
+const { ATTENDANCE_STATUSES } = require("../config/attendanceStatuses");
 
 const validate = (validations) => {
     return async (req, res, next) => {
@@ -18,6 +19,16 @@ const validate = (validations) => {
     };
 };
 
+// Excused records must say why the student was excused
+const excusedReason = (reason, { req, path }) => {
+    const index = path.match(/records\[(\d+)\]/)?.[1];
+    const record = req.body.records?.[index];
+    if (record?.status === "excused" && !String(reason || "").trim()) {
+        throw new Error("A reason is required for excused students");
+    }
+    return true;
+};
+
 exports.markAttendanceValidation = validate([
     body("class").isMongoId().withMessage("Invalid class ID"),
     body("date")
@@ -30,14 +41,98 @@ exports.markAttendanceValidation = validate([
         .withMessage("At least one student record is required"),
     body("records.*.student").isMongoId().withMessage("Invalid student ID"),
     body("records.*.status")
-        .isIn(["present", "absent"])
-        .withMessage("Status must be either 'present' or 'absent'"),
+        .isIn(ATTENDANCE_STATUSES)
+        .withMessage(`Status must be one of: ${ATTENDANCE_STATUSES.join(", ")}`),
+    body("records.*.reason").custom(excusedReason),
+]);
+
+exports.updateAttendanceValidation = validate([
+    param("attendanceId").isMongoId().withMessage("Invalid attendance ID"),
+    body("records")
+        .isArray({ min: 1 })
+        .withMessage("At least one student record is required"),
+    body("records.*.student").isMongoId().withMessage("Invalid student ID"),
+    body("records.*.status")
+        .isIn(ATTENDANCE_STATUSES)
+        .withMessage(`Status must be one of: ${ATTENDANCE_STATUSES.join(", ")}`),
+    body("records.*.reason").custom(excusedReason),
+    body("note").optional().isString().withMessage("Note must be text"),
+    body("reason")
+        .trim()
+        .notEmpty()
+        .withMessage("A reason is required when changing submitted attendance"),
+]);
+
+exports.patchAttendanceValidation = validate([
+    param("attendanceId").isMongoId().withMessage("Invalid attendance ID"),
+    body("records")
+        .optional()
+        .isArray()
+        .withMessage("Records must be an array"),
+    body("records.*.student").isMongoId().withMessage("Invalid student ID"),
+    body("records.*.status")
+        .isIn(ATTENDANCE_STATUSES)
+        .withMessage(`Status must be one of: ${ATTENDANCE_STATUSES.join(", ")}`),
+    body("records.*.reason").custom(excusedReason),
+    body("note").optional().isString().withMessage("Note must be text"),
+    body("reason")
+        .trim()
+        .notEmpty()
+        .withMessage("A reason is required when changing submitted attendance"),
 ]);
 
 exports.classIdParamValidation = validate([
     param("classId").isMongoId().withMessage("Invalid class ID"),
 ]);
 
+exports.classAttendanceQueryValidation = validate([
+    query("date")
+        .optional()
+        .isISO8601()
+        .withMessage("Date must be a valid date (YYYY-MM-DD)"),
+]);
+
 exports.attendanceIdParamValidation = validate([
     param("attendanceId").isMongoId().withMessage("Invalid attendance ID"),
 ]);
+
+exports.exportAttendanceValidation = validate([
+    query("format")
+        .optional()
+        .isIn(["csv", "xlsx", "pdf"])
+        .withMessage("Format must be csv, xlsx or pdf"),
+    query("classId")
+        .optional()
+        .isMongoId()
+        .withMessage("Invalid class ID"),
+    query("studentId")
+        .optional()
+        .isMongoId()
+        .withMessage("Invalid student ID"),
+    query("section")
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage("Section cannot be empty"),
+    query("from")
+        .optional()
+        .isISO8601()
+        .withMessage("From must be a valid date (YYYY-MM-DD)"),
+    query("to")
+        .optional()
+        .isISO8601()
+        .withMessage("To must be a valid date (YYYY-MM-DD)")
+        .custom((to, { req }) => {
+            if (req.query.from && to < req.query.from) {
+                throw new Error("To must not be before from");
+            }
+            return true;
+        }),
+    query("classId").custom((classId, { req }) => {
+        const scopes = [classId, req.query.section, req.query.studentId].filter(Boolean);
+        if (scopes.length !== 1) {
+            throw new Error("Provide exactly one of classId, section or studentId");
+        }
+        return true;
+    }),
+]);
@@ -1,4 +1,4 @@
-const { body, validationResult } = require("express-validator");
+const { body, param, validationResult } = require("express-validator");
 
 const validate = (validations) => {
     return async (req, res, next) => {
@@ -37,6 +37,16 @@ exports.registerValidation = validate([
         .withMessage("Password is required")
         .isLength({ min: 6 })
         .withMessage("Password must be at least 6 characters"),
+    body("organisationName")
+        .optional({ values: "falsy" })
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage("Organisation name must be 2-100 characters"),
+    body("inviteToken")
+        .optional({ values: "falsy" })
+        .isHexadecimal()
+        .isLength({ min: 64, max: 64 })
+        .withMessage("Invalid invite token"),
 ]);
 
 exports.loginValidation = validate([
@@ -49,3 +59,68 @@ exports.loginValidation = validate([
         .normalizeEmail(),
     body("password").notEmpty().withMessage("Password is required"),
 ]);
+
+exports.refreshValidation = validate([
+    body("refreshToken")
+        .isString()
+        .isHexadecimal()
+        .isLength({ min: 96, max: 96 })
+        .withMessage("Invalid refresh token"),
+]);
+
+exports.sessionIdValidation = validate([
+    param("sessionId").isMongoId().withMessage("Invalid session ID"),
+]);
+
+exports.forgotPasswordValidation = validate([
+    body("email")
+        .trim()
+        .notEmpty()
+        .withMessage("Email is required")
+        .isEmail({ require_tld: false })
+        .withMessage("Must be a valid email")
+        .normalizeEmail(),
+]);
+
+// Accepting an invite and resetting a password both trade a one-time token for a new password
+exports.setPasswordValidation = validate([
+    body("token")
+        .isString()
+        .isHexadecimal()
+        .isLength({ min: 64, max: 64 })
+        .withMessage("Invalid or expired link"),
+    body("password")
+        .notEmpty()
+        .withMessage("Password is required")
+        .isLength({ min: 6 })
+        .withMessage("Password must be at least 6 characters"),
+]);
+
+exports.inviteTokenValidation = validate([
+    param("token")
+        .isHexadecimal()
+        .isLength({ min: 64, max: 64 })
+        .withMessage("Invalid or expired link"),
+]);
+
+// A six-digit authenticator code, or a recovery code (xxxxx-xxxxx) where allowed
+const twoFactorCode = () =>
+    body("code")
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage("Authentication code is required")
+        .isLength({ max: 20 })
+        .withMessage("Invalid authentication code");
+
+exports.loginTwoFactorValidation = validate([
+    body("challengeToken").isString().notEmpty().withMessage("Sign-in challenge is required"),
+    twoFactorCode(),
+]);
+
+exports.twoFactorCodeValidation = validate([twoFactorCode()]);
+
+exports.disableTwoFactorValidation = validate([
+    body("password").notEmpty().withMessage("Password is required"),
+    twoFactorCode(),
+]);
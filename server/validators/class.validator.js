@@ -1,4 +1,4 @@
-const { body, param, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
 
 const validate = (validations) => {
     return async (req, res, next) => {
@@ -31,9 +31,8 @@ exports.createClassValidation = validate([
         .isISO8601()
         .withMessage("Date must be a valid ISO8601 date format"),
     body("day")
+        .optional()
         .trim()
-        .notEmpty()
-        .withMessage("Day is required")
         .isIn([
             "Monday",
             "Tuesday",
@@ -62,8 +61,236 @@ exports.createClassValidation = validate([
             }
             return true;
         }),
+    body("autoAssign")
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage("autoAssign must be true or false"),
+]);
+
+exports.volunteerSuggestionsValidation = validate([
+    query("date")
+        .matches(/^\d{4}-\d{2}-\d{2}$/)
+        .withMessage("Date must be YYYY-MM-DD"),
+    query("startTime")
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage("Start time must be in HH:MM format (e.g., 10:00)"),
+    query("endTime")
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage("End time must be in HH:MM format (e.g., 11:00)")
+        .custom((endTime, { req }) => {
+            if (req.query.startTime >= endTime) {
+                throw new Error("End time must be after start time");
+            }
+            return true;
+        }),
+    query("classId")
+        .optional()
+        .isMongoId()
+        .withMessage("Invalid class ID"),
+]);
+
+const DAYS = [
+    "Monday",
+    "Tuesday",
+    "Wednesday",
+    "Thursday",
+    "Friday",
+    "Saturday",
+    "Sunday",
+];
+
+exports.updateClassValidation = validate([
+    param("classId").isMongoId().withMessage("Invalid class ID"),
+    body("subject")
+        .trim()
+        .notEmpty()
+        .withMessage("Subject is required")
+        .isLength({ min: 2 })
+        .withMessage("Subject must be at least 2 characters"),
+    body("date")
+        .trim()
+        .notEmpty()
+        .withMessage("Date is required")
+        .isISO8601()
+        .withMessage("Date must be a valid ISO8601 date format"),
+    body("day")
+        .optional()
+        .trim()
+        .isIn(DAYS)
+        .withMessage("Day must be a valid weekday"),
+    body("startTime")
+        .trim()
+        .notEmpty()
+        .withMessage("Start time is required")
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage("Start time must be in HH:MM format (e.g., 10:00)"),
+    body("endTime")
+        .trim()
+        .notEmpty()
+        .withMessage("End time is required")
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage("End time must be in HH:MM format (e.g., 11:00)")
+        .custom((endTime, { req }) => {
+            if (req.body.startTime >= endTime) {
+                throw new Error("End time must be after start time");
+            }
+            return true;
+        }),
+    body("assignedVolunteer")
+        .optional({ values: "falsy" })
+        .isMongoId()
+        .withMessage("Invalid volunteer ID"),
+]);
+
+exports.patchClassValidation = validate([
+    param("classId").isMongoId().withMessage("Invalid class ID"),
+    body("subject")
+        .optional()
+        .trim()
+        .isLength({ min: 2 })
+        .withMessage("Subject must be at least 2 characters"),
+    body("date")
+        .optional()
+        .trim()
+        .isISO8601()
+        .withMessage("Date must be a valid ISO8601 date format"),
+    body("day")
+        .optional()
+        .trim()
+        .isIn(DAYS)
+        .withMessage("Day must be a valid weekday"),
+    body("startTime")
+        .optional()
+        .trim()
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage("Start time must be in HH:MM format (e.g., 10:00)"),
+    body("endTime")
+        .optional()
+        .trim()
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage("End time must be in HH:MM format (e.g., 11:00)"),
+    body("assignedVolunteer")
+        .optional({ values: "falsy" })
+        .isMongoId()
+        .withMessage("Invalid volunteer ID"),
+    body("status")
+        .optional()
+        .isIn(["scheduled", "cancelled"])
+        .withMessage("Status must be either 'scheduled' or 'cancelled'"),
+    body("cancellationReason")
+        .optional()
+        .isString()
+        .withMessage("Cancellation reason must be text"),
+    body("cancellationReason").custom((reason, { req }) => {
+        if (req.body.status === "cancelled" && !String(reason || "").trim()) {
+            throw new Error("A cancellation reason is required");
+        }
+        return true;
+    }),
 ]);
 
 exports.classIdValidation = validate([
     param("classId").isMongoId().withMessage("Invalid class ID"),
 ]);
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+exports.createSeriesValidation = validate([
+    body("subject")
+        .trim()
+        .notEmpty()
+        .withMessage("Subject is required")
+        .isLength({ min: 2 })
+        .withMessage("Subject must be at least 2 characters"),
+    body("days")
+        .isArray({ min: 1 })
+        .withMessage("Pick at least one weekday"),
+    body("days.*")
+        .isIn(DAYS)
+        .withMessage("Day must be a valid weekday"),
+    body("startTime")
+        .trim()
+        .notEmpty()
+        .withMessage("Start time is required")
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage("Start time must be in HH:MM format (e.g., 10:00)"),
+    body("endTime")
+        .trim()
+        .notEmpty()
+        .withMessage("End time is required")
+        .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .withMessage("End time must be in HH:MM format (e.g., 11:00)")
+        .custom((endTime, { req }) => {
+            if (req.body.startTime >= endTime) {
+                throw new Error("End time must be after start time");
+            }
+            return true;
+        }),
+    body("startDate")
+        .trim()
+        .matches(DATE_ONLY)
+        .withMessage("Start date must be in YYYY-MM-DD format"),
+    body("endDate")
+        .trim()
+        .matches(DATE_ONLY)
+        .withMessage("End date must be in YYYY-MM-DD format")
+        .custom((endDate, { req }) => {
+            if (endDate < req.body.startDate) {
+                throw new Error("End date must not be before start date");
+            }
+            return true;
+        }),
+    body("exceptions")
+        .optional()
+        .isArray()
+        .withMessage("Exceptions must be an array of dates"),
+    body("exceptions.*")
+        .trim()
+        .matches(DATE_ONLY)
+        .withMessage("Exception dates must be in YYYY-MM-DD format"),
+    body("assignedVolunteer")
+        .optional({ values: "falsy" })
+        .isMongoId()
+        .withMessage("Invalid volunteer ID"),
+]);
+
+exports.seriesExceptionValidation = validate([
+    param("seriesId").isMongoId().withMessage("Invalid series ID"),
+    body("date")
+        .trim()
+        .matches(DATE_ONLY)
+        .withMessage("Date must be in YYYY-MM-DD format"),
+    body("reason")
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage("Reason must be at most 200 characters"),
+]);
+
+exports.seriesIdValidation = validate([
+    param("seriesId").isMongoId().withMessage("Invalid series ID"),
+]);
+
+exports.setRosterValidation = validate([
+    param("classId").isMongoId().withMessage("Invalid class ID"),
+    body("studentIds")
+        .optional()
+        .isArray()
+        .withMessage("studentIds must be an array"),
+    body("studentIds.*")
+        .isMongoId()
+        .withMessage("Invalid student ID"),
+    body("sections")
+        .optional()
+        .isArray()
+        .withMessage("sections must be an array"),
+    body("sections.*")
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage("Section names cannot be empty"),
+    body("applyToSeries")
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage("applyToSeries must be true or false"),
+]);
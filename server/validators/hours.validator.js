@@ -0,0 +1,66 @@
+const { body, query, param, validationResult } = require("express-validator");
+
+const validate = (validations) => {
+    return async (req, res, next) => {
+        for (let validation of validations) {
+            await validation.run(req);
+        }
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+        next();
+    };
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const rangeRules = [
+    query("from")
+        .optional()
+        .matches(DATE)
+        .withMessage("From must be a date (YYYY-MM-DD)"),
+    query("to")
+        .optional()
+        .matches(DATE)
+        .withMessage("To must be a date (YYYY-MM-DD)")
+        .custom((to, { req }) => {
+            if (req.query.from && to < req.query.from) {
+                throw new Error("To must not be before from");
+            }
+            return true;
+        }),
+];
+
+exports.hoursRangeValidation = validate(rangeRules);
+
+exports.volunteerHoursValidation = validate([
+    param("id").isMongoId().withMessage("Invalid volunteer ID"),
+    ...rangeRules,
+]);
+
+exports.hoursAdjustmentValidation = validate([
+    param("id").isMongoId().withMessage("Invalid volunteer ID"),
+    body("date")
+        .matches(DATE)
+        .withMessage("Date must be a date (YYYY-MM-DD)"),
+    body("hours")
+        .isFloat({ min: -1000, max: 1000 })
+        .withMessage("Hours must be a number between -1000 and 1000")
+        .custom((hours) => {
+            if (Number(hours) === 0) throw new Error("Hours must not be zero");
+            return true;
+        })
+        .toFloat(),
+    body("reason")
+        .trim()
+        .notEmpty()
+        .withMessage("A reason is required")
+        .isLength({ max: 300 })
+        .withMessage("Reason must be at most 300 characters"),
+]);
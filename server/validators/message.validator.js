@@ -0,0 +1,67 @@
+const { body, query, param, validationResult } = require("express-validator");
+
+const validate = (validations) => {
+    return async (req, res, next) => {
+        for (let validation of validations) {
+            await validation.run(req);
+        }
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+        next();
+    };
+};
+
+const MAX_TEXT = 2000;
+
+const messageText = () =>
+    body("text")
+        .isString()
+        .withMessage("Message text is required")
+        .trim()
+        .notEmpty()
+        .withMessage("Message text is required")
+        .isLength({ max: MAX_TEXT })
+        .withMessage(`Messages must be at most ${MAX_TEXT} characters`);
+
+const conversationId = () => param("id").isMongoId().withMessage("Invalid conversation ID");
+
+exports.listConversationsValidation = validate([
+    query("status")
+        .optional()
+        .isIn(["open", "closed"])
+        .withMessage("Status must be open or closed"),
+    query("unread")
+        .optional()
+        .isIn(["true", "false"])
+        .withMessage("unread must be true or false"),
+    query("volunteerId").optional().isMongoId().withMessage("Invalid volunteer ID"),
+    query("classId").optional().isMongoId().withMessage("Invalid class ID"),
+]);
+
+exports.startConversationValidation = validate([
+    messageText(),
+    body("subject")
+        .optional()
+        .trim()
+        .isLength({ max: 120 })
+        .withMessage("Subject must be at most 120 characters"),
+    body("volunteerId").optional().isMongoId().withMessage("Invalid volunteer ID"),
+    body("classId").optional({ values: "falsy" }).isMongoId().withMessage("Invalid class ID"),
+    body("attendanceId").optional({ values: "falsy" }).isMongoId().withMessage("Invalid attendance ID"),
+]);
+
+exports.conversationIdValidation = validate([conversationId()]);
+
+exports.replyValidation = validate([conversationId(), messageText()]);
+
+exports.updateConversationValidation = validate([
+    conversationId(),
+    body("status").isIn(["open", "closed"]).withMessage("Status must be open or closed"),
+]);
@@ -0,0 +1,108 @@
+const { body, query, param, validationResult } = require("express-validator");
+const {
+    NOTIFICATION_CHANNELS,
+    NOTIFICATION_KINDS,
+    DELIVERY_MODES,
+} = require("../config/notifications");
+
+const validate = (validations) => {
+    return async (req, res, next) => {
+        for (let validation of validations) {
+            await validation.run(req);
+        }
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+        next();
+    };
+};
+
+// SMS gateways split long messages; keep templates to a few parts
+const MAX_TEMPLATE = 480;
+const STATUSES = ["held", "digested", "queued", "sending", "sent", "failed", "skipped"];
+
+const isTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat("en", { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const template = (path) =>
+    body(path)
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: MAX_TEMPLATE })
+        .withMessage(`Templates must be at most ${MAX_TEMPLATE} characters`);
+
+exports.updateSettingsValidation = validate([
+    body("enabled")
+        .isBoolean({ strict: true })
+        .withMessage("enabled must be true or false"),
+    body("channel")
+        .optional()
+        .isIn(NOTIFICATION_CHANNELS)
+        .withMessage(`Channel must be one of: ${NOTIFICATION_CHANNELS.join(", ")}`),
+    body("mode")
+        .optional()
+        .isIn(DELIVERY_MODES)
+        .withMessage(`Mode must be one of: ${DELIVERY_MODES.join(", ")}`),
+    body("digestTime")
+        .optional()
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage("Digest time must be HH:MM"),
+    body("timezone")
+        .optional()
+        .custom(isTimezone)
+        .withMessage("Unknown timezone"),
+    template("templates.absence.en"),
+    template("templates.absence.hi"),
+    template("templates.digest.en"),
+    template("templates.digest.hi"),
+]);
+
+exports.listNotificationsValidation = validate([
+    query("status")
+        .optional()
+        .isIn(STATUSES)
+        .withMessage(`Status must be one of: ${STATUSES.join(", ")}`),
+    query("kind")
+        .optional()
+        .isIn(NOTIFICATION_KINDS)
+        .withMessage(`Kind must be one of: ${NOTIFICATION_KINDS.join(", ")}`),
+    query("studentId")
+        .optional()
+        .isMongoId()
+        .withMessage("Invalid student ID"),
+    query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("page must be a positive number"),
+    query("limit")
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage("limit must be between 1 and 200"),
+]);
+
+exports.notificationIdValidation = validate([
+    param("id").isMongoId().withMessage("Invalid notification ID"),
+]);
+
+exports.inboundReplyValidation = validate([
+    body("from")
+        .isString()
+        .notEmpty()
+        .withMessage("from is required"),
+    body("text")
+        .isString()
+        .withMessage("text is required"),
+]);
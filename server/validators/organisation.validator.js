@@ -0,0 +1,45 @@
+const { body, param, validationResult } = require("express-validator");
+
+const validate = (validations) => {
+    return async (req, res, next) => {
+        for (let validation of validations) {
+            await validation.run(req);
+        }
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+        next();
+    };
+};
+
+exports.updateOrganisationValidation = validate([
+    body("name")
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage("Organisation name must be 2-100 characters"),
+    body("requireAdminTwoFactor")
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage("requireAdminTwoFactor must be true or false"),
+]);
+
+exports.createInviteValidation = validate([
+    body("email")
+        .trim()
+        .notEmpty()
+        .withMessage("Email is required")
+        .isEmail({ require_tld: false })
+        .withMessage("Must be a valid email")
+        .normalizeEmail(),
+]);
+
+exports.inviteIdValidation = validate([
+    param("inviteId").isMongoId().withMessage("Invalid invite ID"),
+]);
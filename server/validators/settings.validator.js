@@ -0,0 +1,40 @@
+const { body, validationResult } = require("express-validator");
+const { MODES } = require("../services/registration.service");
+
+const validate = (validations) => {
+    return async (req, res, next) => {
+        for (let validation of validations) {
+            await validation.run(req);
+        }
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+        next();
+    };
+};
+
+exports.updateRegistrationValidation = validate([
+    body("mode")
+        .isIn(MODES)
+        .withMessage(`Mode must be one of: ${MODES.join(", ")}`),
+    body("allowedDomains")
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage("allowedDomains must be a list"),
+    body("allowedDomains.*")
+        .trim()
+        .toLowerCase()
+        .customSanitizer((domain) => domain.replace(/^@/, ""))
+        .isFQDN()
+        .withMessage("Each allowed domain must look like example.org"),
+    body("role")
+        .optional()
+        .isIn(["admin", "coordinator", "volunteer"])
+        .withMessage("Role must be admin, coordinator or volunteer"),
+]);
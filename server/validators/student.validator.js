@@ -1,4 +1,5 @@
-const { body, validationResult } = require("express-validator");
+const { body, param, validationResult } = require("express-validator");
+const { NOTIFICATION_LANGUAGES } = require("../config/notifications");
 
 const validate = (validations) => {
     return async (req, res, next) => {
@@ -32,3 +33,41 @@ exports.addStudentValidation = validate([
         .isLength({ min: 1 })
         .withMessage("Roll number must be at least 1 character"),
 ]);
+
+exports.updateStudentValidation = validate([
+    param("studentId").isMongoId().withMessage("Invalid student ID"),
+    body("name")
+        .trim()
+        .notEmpty()
+        .withMessage("Name is required")
+        .isLength({ min: 2 })
+        .withMessage("Name must be at least 2 characters"),
+    body("rollNo")
+        .trim()
+        .notEmpty()
+        .withMessage("Roll number is required"),
+    body("section")
+        .optional()
+        .trim()
+        .isLength({ max: 30 })
+        .withMessage("Section must be at most 30 characters"),
+    body("parentLanguage")
+        .optional()
+        .isIn(NOTIFICATION_LANGUAGES)
+        .withMessage(`Parent language must be one of: ${NOTIFICATION_LANGUAGES.join(", ")}`),
+    body("parentOptOut")
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage("parentOptOut must be true or false"),
+]);
+
+exports.archiveStudentValidation = validate([
+    param("studentId").isMongoId().withMessage("Invalid student ID"),
+    body("archived")
+        .isBoolean({ strict: true })
+        .withMessage("archived must be true or false"),
+]);
+
+exports.studentIdValidation = validate([
+    param("studentId").isMongoId().withMessage("Invalid student ID"),
+]);
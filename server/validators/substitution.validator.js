@@ -0,0 +1,32 @@
+const { body, param, validationResult } = require("express-validator");
+
+const validate = (validations) => {
+    return async (req, res, next) => {
+        for (let validation of validations) {
+            await validation.run(req);
+        }
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+        next();
+    };
+};
+
+exports.requestCoverValidation = validate([
+    body("classId").isMongoId().withMessage("Invalid class ID"),
+    body("reason")
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage("Reason must be at most 300 characters"),
+]);
+
+exports.substitutionIdValidation = validate([
+    param("id").isMongoId().withMessage("Invalid cover request ID"),
+]);
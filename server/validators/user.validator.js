@@ -0,0 +1,114 @@
+const { body, validationResult } = require("express-validator");
+const { WEEKDAYS } = require("../services/classSeries.service");
+
+const validate = (validations) => {
+    return async (req, res, next) => {
+        for (let validation of validations) {
+            await validation.run(req);
+        }
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+        next();
+    };
+};
+
+exports.updateMeValidation = validate([
+    body("name")
+        .optional()
+        .trim()
+        .isLength({ min: 2 })
+        .withMessage("Name must be at least 2 characters"),
+    body("phone")
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 20 })
+        .withMessage("Phone number is too long"),
+]);
+
+exports.changePasswordValidation = validate([
+    body("currentPassword").notEmpty().withMessage("Current password is required"),
+    body("newPassword")
+        .notEmpty()
+        .withMessage("New password is required")
+        .isLength({ min: 6 })
+        .withMessage("Password must be at least 6 characters"),
+]);
+
+exports.emailChangeValidation = validate([
+    body("newEmail")
+        .trim()
+        .notEmpty()
+        .withMessage("New email is required")
+        .isEmail({ require_tld: false })
+        .withMessage("Must be a valid email")
+        .normalizeEmail(),
+    body("password").notEmpty().withMessage("Password is required"),
+]);
+
+exports.confirmEmailValidation = validate([
+    body("token")
+        .isString()
+        .isHexadecimal()
+        .isLength({ min: 64, max: 64 })
+        .withMessage("Invalid or expired link"),
+]);
+
+exports.deleteMeValidation = validate([
+    body("password").notEmpty().withMessage("Password is required"),
+]);
+
+const TIME = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+exports.availabilityValidation = validate([
+    body("weekly")
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage("weekly must be a list of slots"),
+    body("weekly.*.day")
+        .isIn(WEEKDAYS)
+        .withMessage("Day must be a valid weekday"),
+    body("weekly.*.startTime")
+        .matches(TIME)
+        .withMessage("Start time must be in HH:MM format"),
+    body("weekly.*.endTime")
+        .matches(TIME)
+        .withMessage("End time must be in HH:MM format")
+        .custom((endTime, { req, path }) => {
+            const index = path.match(/\[(\d+)\]/)[1];
+            if (req.body.weekly[index].startTime >= endTime) {
+                throw new Error("End time must be after start time");
+            }
+            return true;
+        }),
+    body("blackouts")
+        .optional()
+        .isArray({ max: 100 })
+        .withMessage("blackouts must be a list of date ranges"),
+    body("blackouts.*.startDate")
+        .matches(DATE_ONLY)
+        .withMessage("Blackout dates must be YYYY-MM-DD"),
+    body("blackouts.*.endDate")
+        .matches(DATE_ONLY)
+        .withMessage("Blackout dates must be YYYY-MM-DD")
+        .custom((endDate, { req, path }) => {
+            const index = path.match(/\[(\d+)\]/)[1];
+            if (endDate < req.body.blackouts[index].startDate) {
+                throw new Error("A blackout can't end before it starts");
+            }
+            return true;
+        }),
+    body("blackouts.*.reason")
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage("Reason must be at most 200 characters"),
+]);
@@ -0,0 +1,98 @@
+const { body, query, param, validationResult } = require("express-validator");
+const { WATCHLIST_STATUSES } = require("../config/earlyWarning");
+
+const validate = (validations) => {
+    return async (req, res, next) => {
+        for (let validation of validations) {
+            await validation.run(req);
+        }
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation failed",
+                errors: errors.array(),
+            });
+        }
+        next();
+    };
+};
+
+const MAX_NOTE = 2000;
+
+const entryId = () => param("id").isMongoId().withMessage("Invalid watchlist entry ID");
+
+const toggle = (path) =>
+    body(path)
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage(`${path} must be true or false`);
+
+const whole = (path, min, max, message) =>
+    body(path)
+        .optional()
+        .isInt({ min, max })
+        .withMessage(message)
+        .toInt();
+
+exports.listWatchlistValidation = validate([
+    query("status")
+        .optional()
+        .isIn(WATCHLIST_STATUSES)
+        .withMessage(`Status must be one of: ${WATCHLIST_STATUSES.join(", ")}`),
+    query("assignedTo")
+        .optional()
+        .custom((value) => value === "me" || /^[a-f\d]{24}$/i.test(value))
+        .withMessage('assignedTo must be "me" or a user ID'),
+    query("studentId")
+        .optional()
+        .isMongoId()
+        .withMessage("Invalid student ID"),
+]);
+
+exports.updateSettingsValidation = validate([
+    body("rules")
+        .isObject()
+        .withMessage("rules is required"),
+    toggle("rules.consecutive.enabled"),
+    whole("rules.consecutive.absences", 2, 30, "Consecutive absences must be between 2 and 30"),
+    toggle("rules.rolling.enabled"),
+    whole("rules.rolling.days", 3, 120, "The rolling window must be between 3 and 120 days"),
+    whole("rules.rolling.minSessions", 1, 50, "Minimum sessions in the window must be between 1 and 50"),
+    whole("rules.rolling.rate", 1, 100, "The rolling attendance threshold must be between 1 and 100%"),
+    toggle("rules.drop.enabled"),
+    whole("rules.drop.points", 1, 100, "The drop threshold must be between 1 and 100 points"),
+    whole("rules.drop.minBaselineSessions", 1, 100, "Minimum earlier sessions must be between 1 and 100"),
+]);
+
+exports.entryIdValidation = validate([entryId()]);
+
+exports.assignEntryValidation = validate([
+    entryId(),
+    body("assignedTo")
+        .optional({ values: "null" })
+        .isMongoId()
+        .withMessage("assignedTo must be a user ID or null"),
+]);
+
+exports.addNoteValidation = validate([
+    entryId(),
+    body("text")
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage("Note text is required")
+        .isLength({ max: MAX_NOTE })
+        .withMessage(`Notes must be at most ${MAX_NOTE} characters`),
+]);
+
+exports.resolveEntryValidation = validate([
+    entryId(),
+    body("note")
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: MAX_NOTE })
+        .withMessage(`Notes must be at most ${MAX_NOTE} characters`),
+]);